@@ -0,0 +1,357 @@
+// This script fetches amendment data from the Congress.gov API and populates the database:
+// each amendment with its sponsor, the bill (or amendment) it amends, its actions and its cosponsors.
+// It follows the same ledger, batch and upsert pattern as billDataPopulation.js.
+// Bills and amendments that are amended but not stored yet get placeholder rows, which a bill sync fills in.
+// Cosponsors are only linked to members already in the database, so sync members first.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Ensure your .env file has DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
+// 3. Run it through the CLI: node cli.js sync amendments [--congress 118] [--batch-size 25] [--force] [--dry-run] [--incremental]
+//    (or directly with the same flags: node Services/amendmentDataPopulation.js --congress 118)
+// Every fetched document is archived in raw_api_documents; `node cli.js reprocess amendments` rebuilds the tables from that archive.
+
+import { BASE_API_URL, fetchJson, paginate, fetchAllItems, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+const amendmentKey = (amendment) => `${amendment.congress}-${amendment.type}-${amendment.number}`;
+
+/**
+ * Pages through the amendment list for the specified congress and records every amendment URL in the run's ledger.
+ * Incremental runs only list amendments updated inside the run's window.
+ * Full runs record amendments that haven't changed since they were stored as skipped, unless the run was started with --force.
+ * Paging starts from the run's saved cursor, if any.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueAmendmentUrls(run, recordPage) {
+  const startUrl = run.page_cursor || `${BASE_API_URL}/amendment/${options.congress}`;
+  const skipUnchanged = !run.window_to && !options.force;
+  let pendingCount = 0;
+  let skippedCount = 0;
+  console.log(`Starting to fetch amendment URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
+
+  for await (const data of paginate(startUrl, run.page_cursor ? {} : windowParams(run))) {
+    const apiAmendments = data.amendments || [];
+    const stored = skipUnchanged ? await getStoredUpdateDates(apiAmendments) : new Map();
+
+    const items = apiAmendments.map(amendment => {
+      const key = amendmentKey(amendment);
+      const storedUpdate = stored.get(key);
+      const isUnchanged = Boolean(storedUpdate && amendment.updateDate && new Date(storedUpdate) >= new Date(amendment.updateDate));
+      if (isUnchanged) skippedCount++; else pendingCount++;
+      return { entityType: 'amendment', entityKey: key, url: amendment.url, status: isUnchanged ? 'skipped' : 'pending' };
+    });
+    await recordPage(items, data.pagination?.next || null);
+  }
+
+  console.log(`✅ Queued ${pendingCount} amendments to process (${skippedCount} unchanged amendments skipped).`);
+}
+
+/**
+ * Returns the stored update date of each listed amendment that has been fully processed, keyed like the ledger.
+ */
+async function getStoredUpdateDates(apiAmendments) {
+  if (apiAmendments.length === 0) return new Map();
+  const result = await pool.query({
+    text: `
+      SELECT congress, type, number, updated_at FROM amendments
+      WHERE last_processed_at IS NOT NULL
+        AND (congress, type, number) IN (SELECT * FROM UNNEST($1::INT[], $2::TEXT[], $3::INT[]))
+    `,
+    values: [apiAmendments.map(a => a.congress), apiAmendments.map(a => a.type), apiAmendments.map(a => a.number)],
+  });
+  return new Map(result.rows.map(row => [amendmentKey(row), row.updated_at]));
+}
+
+/**
+ * Records every amendment of the congress that has an archived detail document, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueArchivedAmendments(recordPage) {
+  const documents = await listArchivedDocuments(pool, `amendment/${options.congress}/[a-z]+/[0-9]+`);
+  const items = documents
+    .filter(({ document }) => document.amendment)
+    .map(({ url, document: { amendment } }) => ({ entityType: 'amendment', entityKey: amendmentKey(amendment), url }));
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived amendments to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the amendments of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedAmendments(recordPage) {
+  const items = await getDeadLetterItems(pool, ['amendment'], options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed amendments to retry for Congress ${options.congress}.`);
+}
+
+/**
+ * Returns the id of a bill, inserting a placeholder row when the bill isn't stored yet.
+ */
+async function ensureBill(client, bill) {
+  const result = await client.query({
+    text: `
+      INSERT INTO bills (congress, type, number, title)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (congress, type, number) DO UPDATE SET congress = EXCLUDED.congress
+      RETURNING id;
+    `,
+    values: [bill.congress, bill.type, bill.number, bill.title || 'Untitled Bill'],
+  });
+  return result.rows[0].id;
+}
+
+/**
+ * Returns the id of an amendment, inserting a placeholder row when it isn't stored yet.
+ */
+async function ensureAmendment(client, amendment) {
+  const result = await client.query({
+    text: `
+      INSERT INTO amendments (congress, type, number)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (congress, type, number) DO UPDATE SET congress = EXCLUDED.congress
+      RETURNING id;
+    `,
+    values: [amendment.congress, amendment.type, amendment.number],
+  });
+  return result.rows[0].id;
+}
+
+/**
+ * Saves one amendment, the bill or amendment it amends, and its actions and cosponsors.
+ * If the actions or cosponsors can't be fetched, the amendment fails rather than being saved without them.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} amendment - The amendment from the amendment detail endpoint.
+ */
+async function saveAmendment(client, amendment) {
+  const amendedBillId = amendment.amendedBill ? await ensureBill(client, amendment.amendedBill) : null;
+  const amendedAmendmentId = amendment.amendedAmendment ? await ensureAmendment(client, amendment.amendedAmendment) : null;
+
+  // The sponsor is only linked when the member is stored; the amendment is saved either way.
+  const result = await client.query({
+    text: `
+      INSERT INTO amendments (
+        congress, type, number, chamber, description, purpose, sponsor_bioguide_id, amended_bill_id, amended_amendment_id,
+        proposed_date, submitted_date, latest_action_date, latest_action_text, updated_at, source_document_id, last_processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, (SELECT bioguide_id FROM members WHERE bioguide_id = $7), $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+      ON CONFLICT (congress, type, number) DO UPDATE SET
+        chamber = EXCLUDED.chamber,
+        description = EXCLUDED.description,
+        purpose = EXCLUDED.purpose,
+        sponsor_bioguide_id = EXCLUDED.sponsor_bioguide_id,
+        amended_bill_id = EXCLUDED.amended_bill_id,
+        amended_amendment_id = EXCLUDED.amended_amendment_id,
+        proposed_date = EXCLUDED.proposed_date,
+        submitted_date = EXCLUDED.submitted_date,
+        latest_action_date = EXCLUDED.latest_action_date,
+        latest_action_text = EXCLUDED.latest_action_text,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      amendment.congress,
+      amendment.type,
+      amendment.number,
+      amendment.chamber,
+      amendment.description,
+      amendment.purpose,
+      amendment.sponsors?.[0]?.bioguideId ?? null,
+      amendedBillId,
+      amendedAmendmentId,
+      amendment.proposedDate,
+      amendment.submittedDate,
+      amendment.latestAction?.actionDate,
+      amendment.latestAction?.text,
+      amendment.updateDate,
+      archivedDocumentId(amendment),
+    ],
+  });
+  const amendmentId = result.rows[0].id;
+
+  if (amendment.actions?.url) {
+    const actions = await fetchAllItems(amendment.actions.url);
+    for (const action of actions) {
+      await client.query({
+        text: `
+          INSERT INTO amendment_actions (amendment_id, action_date, text, type, action_code, source_system_name)
+          VALUES ($1, $2, $3, $4, $5, $6)
+          ON CONFLICT (amendment_id, action_date, text) DO UPDATE SET type = EXCLUDED.type;
+        `,
+        values: [amendmentId, action.actionDate, action.text || 'No description', action.type, action.actionCode, action.sourceSystem?.name],
+      });
+    }
+  }
+
+  if (amendment.cosponsors?.url) {
+    const cosponsors = await fetchAllItems(amendment.cosponsors.url);
+    for (const cosponsor of cosponsors) {
+      await client.query({
+        text: `
+          INSERT INTO amendment_cosponsors (amendment_id, member_bioguide_id, sponsorship_date, is_original_cosponsor, sponsorship_withdrawn_date)
+          SELECT $1, bioguide_id, $3, $4, $5 FROM members WHERE bioguide_id = $2
+          ON CONFLICT (amendment_id, member_bioguide_id) DO UPDATE SET
+            sponsorship_withdrawn_date = EXCLUDED.sponsorship_withdrawn_date;
+        `,
+        values: [amendmentId, cosponsor.bioguideId, cosponsor.sponsorshipDate, cosponsor.isOriginalCosponsor, cosponsor.sponsorshipWithdrawnDate],
+      });
+    }
+  }
+}
+
+/**
+ * Saves a batch of fetched amendments in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, amendment: object}>} entries - The fetched amendments with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveAmendmentBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, amendment } of entries) {
+      try {
+        await withSavepoint(client, () => saveAmendment(client, amendment));
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving amendment ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message, payload: amendment });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} amendments to the database.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving amendment batch. Transaction rolled back.', error);
+    return {
+      saved: [],
+      failed: entries.map(({ item, amendment }) => ({ item, error: 'Batch transaction rolled back', payload: amendment })),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lists the amendments a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewAmendments(window) {
+  let pendingCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueAmendmentUrls(previewRun, async (items) => {
+    pendingCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch details for ${pendingCount} amendments. Nothing was written to the database.`);
+  return 'dry-run';
+}
+
+/**
+ * Syncs the amendments of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Amendments saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Refetch amendments even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch amendments updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the amendments from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the amendments with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncAmendments();
+  } finally {
+    detachArchive();
+    await pool.end();
+  }
+}
+
+async function syncAmendments() {
+  console.log(`Starting amendment data population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'amendments', options.congress) : null;
+  if (options.dryRun) {
+    return previewAmendments(window);
+  }
+
+  const run = await startRun(pool, { entityType: 'amendments', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedAmendments(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedAmendments(recordPage);
+      } else {
+        await enqueueAmendmentUrls(run, recordPage);
+      }
+    }
+
+    const pendingItems = await getPendingItems(pool, run.id, 'amendment');
+    if (pendingItems.length === 0) {
+      console.log('No new or updated amendments found to process.');
+    } else {
+      console.log(`\nProcessing ${pendingItems.length} amendments in batches of ${options.batchSize}...`);
+    }
+
+    for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+      const batchItems = pendingItems.slice(i, i + options.batchSize);
+      console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+      const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+        try {
+          const { amendment } = await fetchJson(item.url);
+          return { item, amendment: amendment || null, error: amendment ? null : 'Response contained no amendment' };
+        } catch (error) {
+          console.error(`  Error fetching amendment detail for ${item.url}: ${error.message}`);
+          return { item, amendment: null, error: error.message };
+        }
+      });
+
+      const fetched = results.filter(r => r.amendment !== null);
+      await addFetchedCount(pool, run.id, fetched.length);
+      await settleItems(pool, run, { saved: [], failed: results.filter(r => r.amendment === null) });
+      await settleItems(pool, run, await saveAmendmentBatch(fetched));
+    }
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'amendments', options.congress, run.window_to);
+    }
+    console.log('\n✅ All amendment batches have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
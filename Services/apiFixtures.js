@@ -0,0 +1,66 @@
+// Fixture files for recording and replaying Congress.gov API responses.
+// A fixture is the JSON body of one response, stored under a path derived from the request URL:
+//   /v3/bill/119/hr/1?format=json&api_key=...        -> bill/119/hr/1.json
+//   /v3/bill/119?offset=250&limit=250&api_key=...    -> bill/119__limit=250&offset=250.json
+// The API key and the `format` parameter are never part of the name. Any remaining query parameters
+// are sorted so the same request always maps to the same file.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The fixtures checked into the repository.
+export const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'congress-api');
+// The host recorded bodies point at; the mock server rewrites it to its own address.
+export const LIVE_API_URL = 'https://api.congress.gov/v3';
+
+const IGNORED_PARAMS = new Set(['api_key', 'format']);
+
+/**
+ * Returns the fixture name (without extension) for a request URL.
+ * @param {string} url - The request URL, against the live API or a mock.
+ * @param {object} [options]
+ * @param {Set<string>} [options.ignoreParams] - Extra query parameters to leave out of the name.
+ */
+export function fixtureKey(url, { ignoreParams = new Set() } = {}) {
+  const parsed = new URL(url);
+  const endpoint = parsed.pathname.replace(/^.*?\/v3\/?/, '').replace(/\/+$/, '') || 'index';
+  const query = [...parsed.searchParams]
+    .filter(([key]) => !IGNORED_PARAMS.has(key) && !ignoreParams.has(key))
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&')
+    // Keep names valid on every filesystem (e.g. the ':' in fromDateTime values).
+    .replace(/[^\w=&.-]/g, '_');
+  return query ? `${endpoint}__${query}` : endpoint;
+}
+
+/**
+ * Saves a response body as a fixture, creating directories as needed.
+ * @param {string} fixturesDir - The fixture directory.
+ * @param {string} url - The request URL.
+ * @param {object} body - The parsed response body.
+ * @returns {Promise<string>} The file written.
+ */
+export async function writeFixture(fixturesDir, url, body) {
+  const file = path.join(fixturesDir, `${fixtureKey(url)}.json`);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, `${JSON.stringify(body, null, 2)}\n`);
+  return file;
+}
+
+/**
+ * Reads a fixture's raw text, or returns null when it doesn't exist.
+ * @param {string} fixturesDir - The fixture directory.
+ * @param {string} key - The fixture name from `fixtureKey`.
+ * @param {string} [extension] - 'json' for recorded bodies, 'raw' for payloads served verbatim (such as malformed JSON).
+ * @returns {Promise<string|null>}
+ */
+export async function readFixture(fixturesDir, key, extension = 'json') {
+  try {
+    return await fs.readFile(path.join(fixturesDir, `${key}.${extension}`), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
@@ -0,0 +1,85 @@
+// Historical backfill across a range of congresses.
+// Each congress is synced in dependency order (members, then committees, bills and amendments), and progress is read from
+// the ingestion ledger: a congress/entity pair that already has a completed run is skipped, and one whose last run
+// failed or was interrupted is resumed. Re-running the same backfill therefore picks up where it stopped.
+// Member details already stored from an earlier congress are not fetched again.
+// Run it with: node cli.js backfill --congress 93-119
+
+import { createPool } from './db.js';
+import { getLatestRun } from './ingestionLedger.js';
+import { run as syncMembers } from './memberDataPopulation.js';
+import { run as syncCommittees } from './committeDataPopulation.js';
+import { run as syncBills } from './billDataPopulation.js';
+import { run as syncAmendments } from './amendmentDataPopulation.js';
+
+// Bills reference members and committees, and amendments reference bills, so they come last.
+const BACKFILL_STEPS = [
+  { entityType: 'members', run: syncMembers },
+  { entityType: 'committees', run: syncCommittees },
+  { entityType: 'bills', run: syncBills },
+  { entityType: 'amendments', run: syncAmendments },
+];
+
+/**
+ * Decides what a backfill should do for one congress and entity, based on its latest run.
+ * @returns {Promise<'skip'|'resume'|'start'>}
+ */
+async function planStep(pool, entityType, congress, force) {
+  const latest = await getLatestRun(pool, entityType, congress);
+  if (!latest) return 'start';
+  if (latest.status === 'completed') return force ? 'start' : 'skip';
+  return 'resume';
+}
+
+function printProgress(progress) {
+  console.log('\n📋 Backfill progress:');
+  for (const [congress, steps] of progress) {
+    const line = BACKFILL_STEPS.map(({ entityType }) => `${entityType}: ${steps[entityType] || 'not started'}`).join(', ');
+    console.log(`   - Congress ${congress}: ${line}`);
+  }
+}
+
+/**
+ * Backfills every congress in a range, oldest first.
+ * @param {object} options - The sync options (see `toSyncOptions`), with `congresses` listing the range.
+ *   `force` re-syncs congresses that were already completed; `dryRun` only lists the work.
+ * @returns {Promise<string>} 'completed' if every step completed, 'failed' if any failed, or 'dry-run'.
+ */
+export async function runBackfill(options) {
+  const pool = createPool();
+  const progress = new Map();
+  let failed = false;
+
+  try {
+    console.log(`Starting backfill of Congresses ${options.congresses[0]}-${options.congresses[options.congresses.length - 1]}...`);
+    for (const congress of options.congresses) {
+      const steps = {};
+      progress.set(congress, steps);
+
+      for (const { entityType, run } of BACKFILL_STEPS) {
+        const plan = await planStep(pool, entityType, congress, options.force);
+        if (plan === 'skip') {
+          console.log(`\n⏭️  Congress ${congress} ${entityType} were already backfilled, skipping.`);
+          steps[entityType] = 'already completed';
+          continue;
+        }
+
+        console.log(`\n=== Congress ${congress}: ${plan === 'resume' ? 'resuming' : 'syncing'} ${entityType} ===`);
+        const status = await run({
+          ...options,
+          congress,
+          resume: plan === 'resume',
+          skipStoredMembers: true,
+        });
+        steps[entityType] = status;
+        if (status === 'failed') failed = true;
+      }
+    }
+  } finally {
+    printProgress(progress);
+    await pool.end();
+  }
+
+  if (options.dryRun) return 'dry-run';
+  return failed ? 'failed' : 'completed';
+}
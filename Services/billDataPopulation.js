@@ -2,29 +2,33 @@
 // It handles the main bill details and all related sub-endpoints like actions, committees, and summaries.
 // NOTE: This version fixes a bug that created invalid URLs and handles missing chamber data.
 // To run this script:
-// 1. Run the latest database setup script (v4) first.
+// 1. Apply the database migrations first: node migrate.js up
 // 2. Install packages: npm install pg dotenv node-fetch
 // 3. Ensure your .env file has DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
-// 4. Run the script: node <filename>.js
-
-import { Pool } from 'pg';
-import fetch from 'node-fetch';
-import 'dotenv/config';
-
-const API_KEY = process.env.CONGRESS_API_KEY;
-const BASE_API_URL = 'https://api.congress.gov/v3';
-const CONGRESS_TO_FETCH = process.env.CURRENT_CONGRESS;
-const BATCH_SIZE = 15; // Bills are very heavy, use a small batch size
-
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-});
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// 4. Run it through the CLI: node cli.js sync bills [--congress 118] [--batch-size 15] [--concurrency 5] [--force] [--dry-run]
+//    (or directly with the same flags: node Services/billDataPopulation.js --congress 118)
+// Every fetched document is archived in raw_api_documents; `node cli.js reprocess bills` rebuilds the bill tables from that archive.
+
+import { BASE_API_URL, fetchJson, paginate, fetchAllItems, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { previousRow, diffFields, logChanges } from './changeLog.js';
+import { updateBillStatus } from './billStatus.js';
+import { updateBillSearch } from './billSearch.js';
+
+const DEFAULT_BATCH_SIZE = 15; // Bills are very heavy, use a small batch size
+// Bill columns whose changes are recorded in change_log.
+const TRACKED_BILL_FIELDS = ['title', 'origin_chamber', 'introduced_date', 'policy_area_name', 'sponsor_bioguide_id', 'is_by_request', 'constitutional_authority_statement_text'];
+const TRACKED_COSPONSOR_FIELDS = ['sponsorship_date', 'is_original_cosponsor', 'sponsorship_withdrawn_date'];
+const TRACKED_SUMMARY_FIELDS = ['action_description', 'text'];
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
 
 /**
  * Infers the chamber from committee system code or name when not provided
@@ -54,97 +58,90 @@ function inferChamber(committee) {
 }
 
 /**
- * Fetches all bill URLs for the specified congress, filtering out recently processed bills.
+ * Records every bill of the congress that has an archived detail document, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
  */
-async function fetchAndFilterBillUrls() {
-  if (!CONGRESS_TO_FETCH) {
-    console.error('❌ Error: CURRENT_CONGRESS is not defined in your .env file.');
-    return [];
-  }
-  const billUrlsToProcess = [];
+async function enqueueArchivedBills(recordPage) {
+  const documents = await listArchivedDocuments(pool, `bill/${options.congress}/[a-z]+/[0-9]+`);
+  const items = documents
+    .filter(({ document }) => document.bill)
+    .map(({ url, document: { bill } }) => ({ entityType: 'bill', entityKey: `${bill.congress}-${bill.type}-${bill.number}`, url }));
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived bills to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the bills of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedBills(recordPage) {
+  const items = await getDeadLetterItems(pool, ['bill'], options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed bills to retry for Congress ${options.congress}.`);
+}
+
+/**
+ * Pages through the bill list for the specified congress and records every bill URL in the run's ledger.
+ * Incremental runs only list bills updated inside the run's window and queue all of them.
+ * Full runs list every bill and record bills that haven't changed since they were stored as skipped,
+ * unless the run was started with --force.
+ * Paging starts from the run's saved cursor, if any.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueBillUrls(run, recordPage) {
   const client = await pool.connect();
-  let nextUrl = `${BASE_API_URL}/bill/${CONGRESS_TO_FETCH}?api_key=${API_KEY}&limit=250`;
-  console.log(`Starting to fetch and filter bill URLs for Congress ${CONGRESS_TO_FETCH}...`);
+  const startUrl = run.page_cursor || `${BASE_API_URL}/bill/${options.congress}`;
+  const isIncremental = Boolean(run.window_to);
+  let pendingCount = 0;
+  let skippedCount = 0;
+  console.log(`Starting to fetch and filter bill URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
 
   try {
-    while (nextUrl) {
-      const response = await fetch(nextUrl);
-      if (!response.ok) throw new Error(`API request failed: ${response.status}`);
-      const data = await response.json();
-      const apiBills = data.bills;
+    for await (const data of paginate(startUrl, run.page_cursor ? {} : windowParams(run))) {
+      const apiBills = data.bills || [];
+      const items = [];
 
-      if (apiBills && apiBills.length > 0) {
+      if (isIncremental || options.force) {
+        // Everything in the window changed since the last sync (or a refresh was forced), so nothing is skipped.
+        for (const apiBill of apiBills) {
+          items.push({ entityType: 'bill', entityKey: `${apiBill.congress}-${apiBill.type}-${apiBill.number}`, url: apiBill.url });
+        }
+        pendingCount += apiBills.length;
+      } else if (apiBills.length > 0) {
         // Get identifiers for the current page of bills
         const identifiers = apiBills.map(b => `(${b.congress}, '${b.type.replace(/'/g, "''")}', ${b.number})`).join(',');
         
         // Query DB for existing bills in this page
         const dbResult = await client.query(`
-            SELECT congress, type, number, last_processed_at
+            SELECT congress, type, number, updated_at_including_text, last_processed_at
             FROM bills
             WHERE (congress, type, number) IN (${identifiers})
         `);
 
         // Create a map for fast lookup
-        const dbBillMap = new Map(dbResult.rows.map(r => [`${r.congress}-${r.type}-${r.number}`, r.last_processed_at]));
-        const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const dbBillMap = new Map(dbResult.rows.map(r => [`${r.congress}-${r.type}-${r.number}`, r]));
 
-        // Filter out recently processed bills
+        // Skip bills whose stored version is as new as the one the API lists
         for (const apiBill of apiBills) {
             const key = `${apiBill.congress}-${apiBill.type}-${apiBill.number}`;
-            const lastProcessed = dbBillMap.get(key);
+            const stored = dbBillMap.get(key);
+            const apiUpdated = apiBill.updateDateIncludingText || apiBill.updateDate;
+            const isUnchanged = Boolean(stored?.last_processed_at && stored.updated_at_including_text && apiUpdated
+                && new Date(stored.updated_at_including_text) >= new Date(apiUpdated));
 
-            if (lastProcessed && new Date(lastProcessed) > sevenDaysAgo) {
-                // This bill was processed recently, so we skip it.
-                continue;
-            }
-            // FIXED: Use '?' to correctly append the API key to the base URL.
-            billUrlsToProcess.push(`${apiBill.url}&api_key=${API_KEY}`);
+            items.push({ entityType: 'bill', entityKey: key, url: apiBill.url, status: isUnchanged ? 'skipped' : 'pending' });
+            if (isUnchanged) skippedCount++; else pendingCount++;
         }
       }
-      
-      nextUrl = data.pagination?.next ? `${data.pagination.next}&api_key=${API_KEY}` : null;
-      await sleep(250);
+
+      await recordPage(items, data.pagination?.next || null);
     }
-  } catch (error) {
-      console.error(`Error fetching bill URLs:`, error);
   } finally {
       client.release();
   }
   
-  console.log(`✅ Found a total of ${billUrlsToProcess.length} bills to process.`);
-  return billUrlsToProcess;
-}
-
-/**
- * A generic function to fetch data from paginated sub-endpoints (like actions, summaries, etc.).
- */
-async function fetchPaginatedSubEndpoint(url) {
-    const items = [];
-    let nextUrl = url;
-    while(nextUrl) {
-        try {
-            const response = await fetch(`${nextUrl}${nextUrl.includes('?') ? '&' : '?'}api_key=${API_KEY}`);
-            if(!response.ok) {
-                 if (response.status === 429) {
-                    console.warn(`  Rate limit hit for ${nextUrl}. Retrying after 5s...`);
-                    await sleep(5000);
-                    continue; // Retry the same URL
-                }
-                break;
-            }
-            const data = await response.json();
-            const key = Object.keys(data).find(k => Array.isArray(data[k]));
-            if (key && data[key]) {
-                items.push(...data[key]);
-            }
-            nextUrl = data.pagination?.next;
-            if(nextUrl) await sleep(100);
-        } catch(error) {
-            console.error(`Error fetching paginated data from ${nextUrl}:`, error);
-            nextUrl = null;
-        }
-    }
-    return items;
+  console.log(`✅ Queued ${pendingCount} bills to process (${skippedCount} unchanged bills skipped).`);
 }
 
 /**
@@ -171,393 +168,529 @@ async function ensureCommitteeExists(client, committee) {
 }
 
 /**
- * Saves a batch of fetched bill data to the database within a single transaction.
+ * Fetches members that are referenced by a bill but not yet in the database and inserts minimal rows for them,
+ * so sponsor and cosponsor foreign keys can be satisfied.
  */
-async function saveBillBatchToDb(billDataBatch) {
-    if (billDataBatch.length === 0) {
-        console.log("  No valid bill data in this batch to save.");
-        return;
+async function insertMissingMembers(client, bioguideIds) {
+    for (const bioguideId of bioguideIds) {
+        let member;
+        try {
+            ({ member } = await fetchJson(`${BASE_API_URL}/member/${bioguideId}`));
+        } catch (error) {
+            console.error(`    Could not fetch member ${bioguideId}: ${error.message}`);
+            continue;
+        }
+        if (member) {
+            await client.query({
+                text: `INSERT INTO members (bioguide_id, first_name, last_name, is_current_member, updated_at) 
+                       VALUES ($1, $2, $3, $4, $5) 
+                       ON CONFLICT DO NOTHING;`,
+                values: [
+                    member.bioguideId, 
+                    member.firstName || 'Unknown', 
+                    member.lastName || 'Unknown', 
+                    member.currentMember, 
+                    member.updateDate
+                ]
+            });
+        }
     }
+}
 
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
-        console.log(`  Starting database transaction for batch of ${billDataBatch.length} bills...`);
-
-        // Check for and insert missing sponsors before processing bills.
-        const sponsorIds = [...new Set(billDataBatch.map(b => b.sponsors?.[0]?.bioguideId).filter(id => id))];
-        if (sponsorIds.length > 0) {
-            const existingSponsorsResult = await client.query(`SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])`, [sponsorIds]);
-            const existingSponsorIds = new Set(existingSponsorsResult.rows.map(r => r.bioguide_id));
-            const missingSponsorIds = sponsorIds.filter(id => !existingSponsorIds.has(id));
+/**
+ * Saves one bill and the data from its sub-endpoints, recording what changed in change_log.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} bill - The bill from the bill detail endpoint.
+ * @param {number} runId - The ingestion run saving the bill.
+ */
+async function saveBill(client, bill, runId) {
+    // 1. Upsert core bill info and get its ID
+    const sponsorId = bill.sponsors && bill.sponsors.length > 0 ? bill.sponsors[0].bioguideId : null;
+    const billRes = await client.query({
+        text: `${previousRow('bills', 'congress = $1 AND type = $2 AND number = $3')}
+            INSERT INTO bills (congress, type, number, origin_chamber, title, introduced_date, policy_area_name, sponsor_bioguide_id, is_by_request, constitutional_authority_statement_text, updated_at, updated_at_including_text, source_document_id, last_processed_at)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+            ON CONFLICT (congress, type, number) DO UPDATE SET
+                origin_chamber = EXCLUDED.origin_chamber, title = EXCLUDED.title, introduced_date = EXCLUDED.introduced_date, policy_area_name = EXCLUDED.policy_area_name,
+                sponsor_bioguide_id = EXCLUDED.sponsor_bioguide_id, is_by_request = EXCLUDED.is_by_request, constitutional_authority_statement_text = EXCLUDED.constitutional_authority_statement_text,
+                updated_at = EXCLUDED.updated_at, updated_at_including_text = EXCLUDED.updated_at_including_text, source_document_id = EXCLUDED.source_document_id, last_processed_at = NOW()
+            RETURNING id, (SELECT to_jsonb(p) FROM previous p) AS previous, to_jsonb(bills.*) AS current;`,
+        values: [
+            bill.congress, 
+            bill.type, 
+            bill.number, 
+            bill.originChamber, 
+            bill.title || 'Untitled Bill', 
+            bill.introducedDate, 
+            bill.policyArea?.name, 
+            sponsorId, 
+            bill.sponsors?.[0]?.isByRequest === 'Y', 
+            bill.constitutionalAuthorityStatementText, 
+            bill.updateDate, 
+            bill.updateDateIncludingText,
+            archivedDocumentId(bill)
+        ]
+    });
+    const { id: billId, previous, current } = billRes.rows[0];
+    const billKey = `${bill.congress}-${bill.type}-${bill.number}`;
+
+    // A bill seen for the first time (or only as a placeholder from an amendment or related bill) is logged once;
+    // for a bill already stored, each changed field and each new or changed sub-record is logged.
+    const isNewBill = !previous || previous.updated_at === null;
+    const changes = isNewBill
+        ? [{ entityType: 'bill', entityKey: billKey, billId, changeType: 'added', newValue: current.title }]
+        : diffFields(previous, current, TRACKED_BILL_FIELDS)
+            .map(diff => ({ entityType: 'bill', entityKey: billKey, billId, changeType: 'updated', ...diff }));
+    
+    // 2. Process related data from sub-endpoints. A sub-endpoint that can't be fetched fails the whole bill,
+    // so it is retried rather than saved with missing actions, cosponsors or texts.
+    if (bill.actions?.url) {
+        const actions = await fetchAllItems(bill.actions.url);
+        for (const action of actions) {
+            const actionRes = await client.query({ 
+                text: `${previousRow('bill_actions', 'bill_id = $1 AND action_date = $2 AND text = $3')}
+                       INSERT INTO bill_actions (bill_id, action_date, text, type, action_code, source_system_name) 
+                       VALUES ($1, $2, $3, $4, $5, $6) 
+                       ON CONFLICT (bill_id, action_date, text) DO UPDATE SET type = EXCLUDED.type
+                       RETURNING id, NOT EXISTS (SELECT 1 FROM previous) AS inserted;`, 
+                values: [
+                    billId, 
+                    action.actionDate, 
+                    action.text || 'No description', 
+                    action.type, 
+                    action.actionCode, 
+                    action.sourceSystem?.name
+                ] 
+            });
 
-            if (missingSponsorIds.length > 0) {
-                console.log(`    Fetching missing sponsor data for: ${missingSponsorIds.join(', ')}`);
-                for (const sponsorId of missingSponsorIds) {
-                    const res = await fetch(`${BASE_API_URL}/member/${sponsorId}?api_key=${API_KEY}`);
-                    if (res.ok) {
-                        const { member } = await res.json();
-                        if (member) {
+            if (actionRes.rows.length > 0) {
+                const actionId = actionRes.rows[0].id;
+                if (actionRes.rows[0].inserted && !isNewBill) {
+                    changes.push({ entityType: 'bill_action', entityKey: actionId, billId, changeType: 'added', newValue: `${action.actionDate}: ${action.text || 'No description'}` });
+                }
+                if (Array.isArray(action.committees)) {
+                    for (const committee of action.committees) {
+                        // Ensure committee exists before linking
+                        await ensureCommitteeExists(client, committee);
+                        
+                        // Create the link in the junction table
+                        if (committee.systemCode) {
                             await client.query({
-                                text: `INSERT INTO members (bioguide_id, first_name, last_name, is_current_member, updated_at) 
-                                       VALUES ($1, $2, $3, $4, $5) 
+                                text: `INSERT INTO bill_action_committees (action_id, committee_system_code) 
+                                       VALUES ($1, $2) 
                                        ON CONFLICT DO NOTHING;`,
-                                values: [
-                                    member.bioguideId, 
-                                    member.firstName || 'Unknown', 
-                                    member.lastName || 'Unknown', 
-                                    member.currentMember, 
-                                    member.updateDate
-                                ]
+                                values: [actionId, committee.systemCode]
                             });
                         }
                     }
-                    await sleep(100);
                 }
             }
         }
-
-        for (const bill of billDataBatch) {
-             // 1. Upsert core bill info and get its ID
-            const sponsorId = bill.sponsors && bill.sponsors.length > 0 ? bill.sponsors[0].bioguideId : null;
-            const billRes = await client.query({
-                text: `INSERT INTO bills (congress, type, number, origin_chamber, title, introduced_date, policy_area_name, sponsor_bioguide_id, is_by_request, constitutional_authority_statement_text, updated_at, updated_at_including_text, last_processed_at)
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
-                    ON CONFLICT (congress, type, number) DO UPDATE SET
-                        origin_chamber = EXCLUDED.origin_chamber, title = EXCLUDED.title, introduced_date = EXCLUDED.introduced_date, policy_area_name = EXCLUDED.policy_area_name,
-                        sponsor_bioguide_id = EXCLUDED.sponsor_bioguide_id, is_by_request = EXCLUDED.is_by_request, constitutional_authority_statement_text = EXCLUDED.constitutional_authority_statement_text,
-                        updated_at = EXCLUDED.updated_at, updated_at_including_text = EXCLUDED.updated_at_including_text, last_processed_at = NOW()
-                    RETURNING id;`,
-                values: [
-                    bill.congress, 
-                    bill.type, 
-                    bill.number, 
-                    bill.originChamber, 
-                    bill.title || 'Untitled Bill', 
-                    bill.introducedDate, 
-                    bill.policyArea?.name, 
-                    sponsorId, 
-                    bill.sponsors?.[0]?.isByRequest === 'Y', 
-                    bill.constitutionalAuthorityStatementText, 
-                    bill.updateDate, 
-                    bill.updateDateIncludingText
-                ]
-            });
-            const billId = billRes.rows[0].id;
+    }
+    
+    if (bill.committees?.url) {
+        const committees = await fetchAllItems(bill.committees.url);
+        for (const committee of committees) {
+            // Ensure the committee exists first
+            await ensureCommitteeExists(client, committee);
             
-            // 2. Process related data from sub-endpoints
-            if (bill.actions?.url) {
-                const actions = await fetchPaginatedSubEndpoint(bill.actions.url);
-                for (const action of actions) {
-                    const actionRes = await client.query({ 
-                        text: `INSERT INTO bill_actions (bill_id, action_date, text, type, action_code, source_system_name) 
-                               VALUES ($1, $2, $3, $4, $5, $6) 
-                               ON CONFLICT (bill_id, action_date, text) DO UPDATE SET type = EXCLUDED.type
-                               RETURNING id;`, 
-                        values: [
-                            billId, 
-                            action.actionDate, 
-                            action.text || 'No description', 
-                            action.type, 
-                            action.actionCode, 
-                            action.sourceSystem?.name
-                        ] 
+            // Check if activities exists and is an array
+            if (Array.isArray(committee.activities)) {
+                for (const activity of committee.activities) {
+                    await client.query({ 
+                        text: `INSERT INTO bill_committees (bill_id, committee_system_code, activity_name, activity_date) 
+                               VALUES ($1, $2, $3, $4) 
+                               ON CONFLICT(bill_id, committee_system_code, activity_name, activity_date) DO NOTHING;`, 
+                        values: [billId, committee.systemCode, activity.name, activity.date]
                     });
-
-                    if (actionRes.rows.length > 0) {
-                        const actionId = actionRes.rows[0].id;
-                        if (Array.isArray(action.committees)) {
-                            for (const committee of action.committees) {
-                                // Ensure committee exists before linking
-                                await ensureCommitteeExists(client, committee);
-                                
-                                // Create the link in the junction table
-                                if (committee.systemCode) {
-                                    await client.query({
-                                        text: `INSERT INTO bill_action_committees (action_id, committee_system_code) 
-                                               VALUES ($1, $2) 
-                                               ON CONFLICT DO NOTHING;`,
-                                        values: [actionId, committee.systemCode]
-                                    });
-                                }
-                            }
-                        }
-                    }
-                }
-            }
-            
-            if (bill.committees?.url) {
-                const committees = await fetchPaginatedSubEndpoint(bill.committees.url);
-                for (const committee of committees) {
-                    // Ensure the committee exists first
-                    await ensureCommitteeExists(client, committee);
-                    
-                    // Check if activities exists and is an array
-                    if (Array.isArray(committee.activities)) {
-                        for (const activity of committee.activities) {
-                            await client.query({ 
-                                text: `INSERT INTO bill_committees (bill_id, committee_system_code, activity_name, activity_date) 
-                                       VALUES ($1, $2, $3, $4) 
-                                       ON CONFLICT(bill_id, committee_system_code, activity_name, activity_date) DO NOTHING;`, 
-                                values: [billId, committee.systemCode, activity.name, activity.date]
-                            });
-                        }
-                    }
                 }
             }
+        }
+    }
 
-            if (bill.cosponsors?.url) {
-                const cosponsors = await fetchPaginatedSubEndpoint(bill.cosponsors.url);
-                const cosponsorIds = cosponsors.map(c => c.bioguideId).filter(id => id);
-                if (cosponsorIds.length > 0) {
-                    const existingCosponsorsResult = await client.query(`SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])`, [cosponsorIds]);
-                    const existingCosponsorIds = new Set(existingCosponsorsResult.rows.map(r => r.bioguide_id));
-                    const missingCosponsorIds = cosponsorIds.filter(id => !existingCosponsorIds.has(id));
-
-                    if (missingCosponsorIds.length > 0) {
-                        console.log(`    Fetching missing cosponsor data for: ${missingCosponsorIds.join(', ')}`);
-                        for (const cosponsorId of missingCosponsorIds) {
-                            const res = await fetch(`${BASE_API_URL}/member/${cosponsorId}?api_key=${API_KEY}`);
-                            if (res.ok) {
-                                const { member } = await res.json();
-                                if (member) {
-                                    await client.query({
-                                        text: `INSERT INTO members (bioguide_id, first_name, last_name, is_current_member, updated_at) 
-                                               VALUES ($1, $2, $3, $4, $5) 
-                                               ON CONFLICT DO NOTHING;`, 
-                                        values: [
-                                            member.bioguideId, 
-                                            member.firstName || 'Unknown', 
-                                            member.lastName || 'Unknown', 
-                                            member.currentMember, 
-                                            member.updateDate
-                                        ]
-                                    });
-                                }
-                            }
-                            await sleep(100);
-                        }
-                    }
-                }
-                for (const cosponsor of cosponsors) {
-                    if (cosponsor.bioguideId) {
-                        await client.query({ 
-                            text: `INSERT INTO bill_cosponsors (bill_id, member_bioguide_id, sponsorship_date, is_original_cosponsor, sponsorship_withdrawn_date) 
-                                   VALUES ($1, $2, $3, $4, $5) 
-                                   ON CONFLICT DO NOTHING;`, 
-                            values: [billId, cosponsor.bioguideId, cosponsor.sponsorshipDate, cosponsor.isOriginalCosponsor, cosponsor.sponsorshipWithdrawnDate] 
-                        });
+    if (bill.cosponsors?.url) {
+        const cosponsors = await fetchAllItems(bill.cosponsors.url);
+        const cosponsorIds = cosponsors.map(c => c.bioguideId).filter(id => id);
+        if (cosponsorIds.length > 0) {
+            const existingCosponsorsResult = await client.query(`SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])`, [cosponsorIds]);
+            const existingCosponsorIds = new Set(existingCosponsorsResult.rows.map(r => r.bioguide_id));
+            const missingCosponsorIds = cosponsorIds.filter(id => !existingCosponsorIds.has(id));
+
+            if (missingCosponsorIds.length > 0) {
+                console.log(`    Fetching missing cosponsor data for: ${missingCosponsorIds.join(', ')}`);
+                await insertMissingMembers(client, missingCosponsorIds);
+            }
+        }
+        for (const cosponsor of cosponsors) {
+            if (cosponsor.bioguideId) {
+                // Cosponsorships are updated in place, so a withdrawal reaches the stored row.
+                const cosponsorRes = await client.query({ 
+                    text: `${previousRow('bill_cosponsors', 'bill_id = $1 AND member_bioguide_id = $2')}
+                           INSERT INTO bill_cosponsors (bill_id, member_bioguide_id, sponsorship_date, is_original_cosponsor, sponsorship_withdrawn_date) 
+                           VALUES ($1, $2, $3, $4, $5) 
+                           ON CONFLICT (bill_id, member_bioguide_id) DO UPDATE SET
+                               sponsorship_date = EXCLUDED.sponsorship_date, is_original_cosponsor = EXCLUDED.is_original_cosponsor,
+                               sponsorship_withdrawn_date = EXCLUDED.sponsorship_withdrawn_date
+                           RETURNING (SELECT to_jsonb(p) FROM previous p) AS previous, to_jsonb(bill_cosponsors.*) AS current;`, 
+                    values: [billId, cosponsor.bioguideId, cosponsor.sponsorshipDate, cosponsor.isOriginalCosponsor, cosponsor.sponsorshipWithdrawnDate] 
+                });
+                if (!isNewBill) {
+                    const row = cosponsorRes.rows[0];
+                    const change = { entityType: 'bill_cosponsor', entityKey: cosponsor.bioguideId, billId, memberBioguideId: cosponsor.bioguideId };
+                    if (!row.previous) {
+                        changes.push({ ...change, changeType: 'added', newValue: row.current.sponsorship_date });
+                    } else {
+                        diffFields(row.previous, row.current, TRACKED_COSPONSOR_FIELDS)
+                            .forEach(diff => changes.push({ ...change, changeType: 'updated', ...diff }));
                     }
                 }
             }
+        }
+    }
 
-            if (bill.committeeReports) {
-                for (const reportStub of bill.committeeReports) {
-                    if (!reportStub.url) continue;
+    if (bill.committeeReports) {
+        for (const reportStub of bill.committeeReports) {
+            if (!reportStub.url) continue;
 
-                    const reportDetailResponse = await fetch(`${reportStub.url}&api_key=${API_KEY}`);
-                    if (!reportDetailResponse.ok) {
-                        console.error(`    Could not fetch details for report ${reportStub.citation}`);
-                        continue;
-                    }
-                    const { committeeReport } = await reportDetailResponse.json();
-                    
-                    if (committeeReport) {
-                        const reportRes = await client.query({
-                            text: `
-                                INSERT INTO committee_reports (congress, chamber, type, number, part, citation, title, issue_date, is_conference_report, updated_at)
-                                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                                ON CONFLICT (citation) DO UPDATE SET
-                                    congress = EXCLUDED.congress, chamber = EXCLUDED.chamber, type = EXCLUDED.type, number = EXCLUDED.number, part = EXCLUDED.part,
-                                    title = EXCLUDED.title, issue_date = EXCLUDED.issue_date, is_conference_report = EXCLUDED.is_conference_report, updated_at = EXCLUDED.updated_at
-                                RETURNING id;
-                            `,
-                            values: [
-                                committeeReport.congress, 
-                                committeeReport.chamber || 'Unknown', 
-                                committeeReport.type, 
-                                committeeReport.number, 
-                                committeeReport.part, 
-                                committeeReport.citation, 
-                                committeeReport.title || 'Untitled Report', 
-                                committeeReport.issueDate, 
-                                committeeReport.isConferenceReport, 
-                                committeeReport.updateDate
-                            ]
-                        });
-                        const reportId = reportRes.rows[0].id;
-
-                        await client.query({
-                            text: `INSERT INTO report_associated_bills (bill_id, report_id) VALUES ($1, $2) ON CONFLICT DO NOTHING;`,
-                            values: [billId, reportId]
-                        });
-                        await sleep(100);
-                    }
-                }
+            let committeeReport;
+            try {
+                ({ committeeReport } = await fetchJson(reportStub.url));
+            } catch (error) {
+                console.error(`    Could not fetch details for report ${reportStub.citation}: ${error.message}`);
+                continue;
             }
             
-            if (bill.relatedBills?.url) {
-                const relatedBills = await fetchPaginatedSubEndpoint(bill.relatedBills.url);
-                for (const relatedBill of relatedBills) {
-                    // Ensure the related bill exists in the bills table to get its ID
-                    const relatedBillRes = await client.query({
-                        text: `INSERT INTO bills (congress, type, number, title) VALUES ($1, $2, $3, $4)
-                               ON CONFLICT (congress, type, number) DO UPDATE SET title = EXCLUDED.title 
-                               RETURNING id;`,
-                        values: [
-                            relatedBill.congress, 
-                            relatedBill.type, 
-                            relatedBill.number, 
-                            relatedBill.title || 'Untitled Bill'
-                        ]
+            if (committeeReport) {
+                const reportRes = await client.query({
+                    text: `
+                        INSERT INTO committee_reports (congress, chamber, type, number, part, citation, title, issue_date, is_conference_report, updated_at)
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                        ON CONFLICT (citation) DO UPDATE SET
+                            congress = EXCLUDED.congress, chamber = EXCLUDED.chamber, type = EXCLUDED.type, number = EXCLUDED.number, part = EXCLUDED.part,
+                            title = EXCLUDED.title, issue_date = EXCLUDED.issue_date, is_conference_report = EXCLUDED.is_conference_report, updated_at = EXCLUDED.updated_at
+                        RETURNING id;
+                    `,
+                    values: [
+                        committeeReport.congress, 
+                        committeeReport.chamber || 'Unknown', 
+                        committeeReport.type, 
+                        committeeReport.number, 
+                        committeeReport.part, 
+                        committeeReport.citation, 
+                        committeeReport.title || 'Untitled Report', 
+                        committeeReport.issueDate, 
+                        committeeReport.isConferenceReport, 
+                        committeeReport.updateDate
+                    ]
+                });
+                const reportId = reportRes.rows[0].id;
+
+                await client.query({
+                    text: `INSERT INTO report_associated_bills (bill_id, report_id) VALUES ($1, $2) ON CONFLICT DO NOTHING;`,
+                    values: [billId, reportId]
+                });
+            }
+        }
+    }
+    
+    if (bill.relatedBills?.url) {
+        const relatedBills = await fetchAllItems(bill.relatedBills.url);
+        for (const relatedBill of relatedBills) {
+            // Ensure the related bill exists in the bills table to get its ID
+            const relatedBillRes = await client.query({
+                text: `INSERT INTO bills (congress, type, number, title) VALUES ($1, $2, $3, $4)
+                       ON CONFLICT (congress, type, number) DO UPDATE SET title = EXCLUDED.title 
+                       RETURNING id;`,
+                values: [
+                    relatedBill.congress, 
+                    relatedBill.type, 
+                    relatedBill.number, 
+                    relatedBill.title || 'Untitled Bill'
+                ]
+            });
+            const relatedBillId = relatedBillRes.rows[0].id;
+            
+            // Link the two bills in the junction table
+            if (Array.isArray(relatedBill.relationshipDetails)) {
+                for (const relationship of relatedBill.relationshipDetails) {
+                     await client.query({
+                        text: `INSERT INTO related_bills (bill_id, related_bill_id, relationship_type, identified_by)
+                               VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING;`,
+                        values: [billId, relatedBillId, relationship.type, relationship.identifiedBy]
                     });
-                    const relatedBillId = relatedBillRes.rows[0].id;
-                    
-                    // Link the two bills in the junction table
-                    if (Array.isArray(relatedBill.relationshipDetails)) {
-                        for (const relationship of relatedBill.relationshipDetails) {
-                             await client.query({
-                                text: `INSERT INTO related_bills (bill_id, related_bill_id, relationship_type, identified_by)
-                                       VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING;`,
-                                values: [billId, relatedBillId, relationship.type, relationship.identifiedBy]
-                            });
-                        }
-                    }
                 }
             }
+        }
+    }
 
-            if (bill.summaries?.url) {
-                const summaries = await fetchPaginatedSubEndpoint(bill.summaries.url);
-                for (const summary of summaries) {
-                    await client.query({ 
-                        text: `INSERT INTO bill_summaries (bill_id, version_code, action_description, action_date, text, updated_at) 
-                               VALUES ($1, $2, $3, $4, $5, $6) 
-                               ON CONFLICT (bill_id, version_code, action_date) DO NOTHING;`, 
-                        values: [billId, summary.versionCode, summary.actionDesc, summary.actionDate, summary.text, summary.updateDate] 
-                    });
+    if (bill.summaries?.url) {
+        const summaries = await fetchAllItems(bill.summaries.url);
+        for (const summary of summaries) {
+            const summaryRes = await client.query({ 
+                text: `${previousRow('bill_summaries', 'bill_id = $1 AND version_code = $2 AND action_date = $4')}
+                       INSERT INTO bill_summaries (bill_id, version_code, action_description, action_date, text, updated_at) 
+                       VALUES ($1, $2, $3, $4, $5, $6) 
+                       ON CONFLICT (bill_id, version_code, action_date) DO UPDATE SET
+                           action_description = EXCLUDED.action_description, text = EXCLUDED.text, updated_at = EXCLUDED.updated_at
+                       RETURNING (SELECT to_jsonb(p) FROM previous p) AS previous, to_jsonb(bill_summaries.*) AS current;`, 
+                values: [billId, summary.versionCode, summary.actionDesc, summary.actionDate, summary.text, summary.updateDate] 
+            });
+            if (!isNewBill) {
+                const row = summaryRes.rows[0];
+                const change = { entityType: 'bill_summary', entityKey: `${summary.versionCode}:${summary.actionDate}`, billId };
+                if (!row.previous) {
+                    changes.push({ ...change, changeType: 'added', newValue: summary.actionDesc });
+                } else {
+                    diffFields(row.previous, row.current, TRACKED_SUMMARY_FIELDS)
+                        .forEach(diff => changes.push({ ...change, changeType: 'updated', ...diff }));
                 }
             }
-            
-            if (bill.subjects?.url) {
-                const subjectsData = await fetchPaginatedSubEndpoint(bill.subjects.url);
-                if(subjectsData.length > 0 && subjectsData[0].legislativeSubjects){
-                    for (const subject of subjectsData[0].legislativeSubjects) {
-                        await client.query({ 
-                            text: `INSERT INTO bill_subjects (bill_id, name) VALUES ($1, $2) ON CONFLICT (bill_id, name) DO NOTHING;`, 
-                            values: [billId, subject.name] 
-                        });
-                    }
-                }
+        }
+    }
+    
+    if (bill.subjects?.url) {
+        const subjectsData = await fetchAllItems(bill.subjects.url);
+        if(subjectsData.length > 0 && subjectsData[0].legislativeSubjects){
+            for (const subject of subjectsData[0].legislativeSubjects) {
+                await client.query({ 
+                    text: `INSERT INTO bill_subjects (bill_id, name) VALUES ($1, $2) ON CONFLICT (bill_id, name) DO NOTHING;`, 
+                    values: [billId, subject.name] 
+                });
             }
-            
-            if (bill.titles?.url) {
-                const titles = await fetchPaginatedSubEndpoint(bill.titles.url);
-                for (const title of titles) {
+        }
+    }
+    
+    if (bill.titles?.url) {
+        const titles = await fetchAllItems(bill.titles.url);
+        for (const title of titles) {
+            await client.query({ 
+                text: `INSERT INTO bill_titles (bill_id, title_type, title, chamber_code, chamber_name) 
+                       VALUES ($1, $2, $3, $4, $5) 
+                       ON CONFLICT (bill_id, title_type, title) DO NOTHING;`, 
+                values: [billId, title.titleType, title.title, title.chamberCode, title.chamberName] 
+            });
+        }
+    }
+
+    if (bill.textVersions?.url) {
+        const texts = await fetchAllItems(bill.textVersions.url);
+        for (const text of texts) {
+            if (Array.isArray(text.formats)) {
+                for (const format of text.formats) {
                     await client.query({ 
-                        text: `INSERT INTO bill_titles (bill_id, title_type, title, chamber_code, chamber_name) 
+                        text: `INSERT INTO bill_text_versions (bill_id, type, date, url, format) 
                                VALUES ($1, $2, $3, $4, $5) 
-                               ON CONFLICT (bill_id, title_type, title) DO NOTHING;`, 
-                        values: [billId, title.titleType, title.title, title.chamberCode, title.chamberName] 
+                               ON CONFLICT (bill_id, type, format) DO NOTHING;`, 
+                        values: [billId, text.type, text.date, format.url, format.type] 
                     });
                 }
             }
+        }
+    }
 
-            if (bill.textVersions?.url) {
-                const texts = await fetchPaginatedSubEndpoint(bill.textVersions.url);
-                for (const text of texts) {
-                    if (Array.isArray(text.formats)) {
-                        for (const format of text.formats) {
-                            await client.query({ 
-                                text: `INSERT INTO bill_text_versions (bill_id, type, date, url, format) 
-                                       VALUES ($1, $2, $3, $4, $5) 
-                                       ON CONFLICT (bill_id, type, format) DO NOTHING;`, 
-                                values: [billId, text.type, text.date, format.url, format.type] 
-                            });
-                        }
-                    }
-                }
+    // Process inline arrays
+    if (Array.isArray(bill.cboCostEstimates)) {
+        for (const cbo of bill.cboCostEstimates) {
+            await client.query({ 
+                text: `INSERT INTO cbo_cost_estimates (bill_id, url, title, description, publication_date) 
+                       VALUES ($1, $2, $3, $4, $5) 
+                       ON CONFLICT(url) DO UPDATE SET title=EXCLUDED.title;`, 
+                values: [billId, cbo.url, cbo.title, cbo.description, cbo.pubDate] 
+            });
+        }
+    }
+    if (Array.isArray(bill.laws)) {
+        for (const law of bill.laws) {
+            await client.query({
+                text: `INSERT INTO laws (bill_id, type, number)
+                       VALUES ($1, $2, $3)
+                       ON CONFLICT (bill_id) DO UPDATE SET type = EXCLUDED.type, number = EXCLUDED.number;`,
+                values: [billId, law.type, law.number]
+            });
+        }
+    }
+
+    // 3. Derive the bill's status from the actions and law just saved, and reindex it for search
+    const { previous: previousStatus, status } = await updateBillStatus(client, billId);
+    if (!isNewBill && previousStatus !== status) {
+        changes.push({ entityType: 'bill', entityKey: billKey, billId, changeType: 'updated', field: 'status', oldValue: previousStatus, newValue: status });
+    }
+    await updateBillSearch(client, [billId]);
+
+    await logChanges(client, runId, changes);
+}
+
+/**
+ * Saves a batch of fetched bills in one transaction. Each bill is saved under its own savepoint,
+ * so a bill that fails (e.g. a cosponsor that can't be inserted) is rolled back alone.
+ * @param {Array<{item: object, bill: object}>} entries - The fetched bills with their ledger items.
+ * @param {number} runId - The ingestion run, recorded with each change.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ *   If the transaction itself fails, every bill is reported as failed.
+ */
+async function saveBillBatchToDb(entries, runId) {
+    const saved = [];
+    const failed = [];
+    if (entries.length === 0) {
+        console.log("  No valid bill data in this batch to save.");
+        return { saved, failed };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        console.log(`  Starting database transaction for batch of ${entries.length} bills...`);
+
+        // Check for and insert missing sponsors before processing bills.
+        const sponsorIds = [...new Set(entries.map(({ bill }) => bill.sponsors?.[0]?.bioguideId).filter(id => id))];
+        if (sponsorIds.length > 0) {
+            const existingSponsorsResult = await client.query(`SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])`, [sponsorIds]);
+            const existingSponsorIds = new Set(existingSponsorsResult.rows.map(r => r.bioguide_id));
+            const missingSponsorIds = sponsorIds.filter(id => !existingSponsorIds.has(id));
+
+            if (missingSponsorIds.length > 0) {
+                console.log(`    Fetching missing sponsor data for: ${missingSponsorIds.join(', ')}`);
+                // A sponsor that can't be inserted only fails the bills that reference it, below.
+                await withSavepoint(client, () => insertMissingMembers(client, missingSponsorIds))
+                    .catch(error => console.error(`    Error inserting missing sponsors: ${error.message}`));
             }
+        }
 
-            // Process inline arrays
-            if (Array.isArray(bill.cboCostEstimates)) {
-                for (const cbo of bill.cboCostEstimates) {
-                    await client.query({ 
-                        text: `INSERT INTO cbo_cost_estimates (bill_id, url, title, description, publication_date) 
-                               VALUES ($1, $2, $3, $4, $5) 
-                               ON CONFLICT(url) DO UPDATE SET title=EXCLUDED.title;`, 
-                        values: [billId, cbo.url, cbo.title, cbo.description, cbo.pubDate] 
-                    });
-                }
+        for (const entry of entries) {
+            try {
+                await withSavepoint(client, () => saveBill(client, entry.bill, runId));
+                saved.push(entry.item);
+            } catch (error) {
+                console.error(`    ❌ Error saving bill ${entry.item.entity_key}, rolled back to its savepoint: ${error.message}`);
+                failed.push({ item: entry.item, error: error.message, payload: entry.bill });
             }
         }
         
         await client.query('COMMIT');
-        console.log(`  ✅ Successfully committed batch to database.`);
+        console.log(`  ✅ Committed ${saved.length} of ${entries.length} bills to the database.`);
+        return { saved, failed };
 
     } catch (error) {
         await client.query('ROLLBACK');
         console.error(`  ❌ Error during database batch operation. Transaction rolled back.`, error);
+        return {
+            saved: [],
+            failed: entries.map(({ item, bill }) => ({ item, error: 'Batch transaction rolled back', payload: bill })),
+        };
     } finally {
         client.release();
     }
 }
 
 /**
- * Main function to orchestrate the entire data population process.
+ * Lists the bills a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
  */
-async function main() {
-  console.log('Starting bill data population process...');
-  const billUrls = await fetchAndFilterBillUrls();
-  
-  if (billUrls.length === 0) {
-    console.log('No new or updated bills found to process.');
+async function previewBills(window) {
+  let pendingCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueBillUrls(previewRun, async (items) => {
+    pendingCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch details for ${pendingCount} bills. Nothing was written to the database.`);
+  return 'dry-run';
+}
+
+/**
+ * Syncs the bills of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Bills saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Refetch bills even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch bills updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the bills from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the bills with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncBills();
+  } finally {
+    detachArchive();
     await pool.end();
-    return;
   }
+}
 
-  console.log(`\nProcessing ${billUrls.length} bills in batches of ${BATCH_SIZE}. This is a heavy process and will take a long time...`);
-
-  for (let i = 0; i < billUrls.length; i += BATCH_SIZE) {
-      const batchUrls = billUrls.slice(i, i + BATCH_SIZE);
-      console.log(`\n--- Processing Batch ${Math.floor(i / BATCH_SIZE) + 1} of ${Math.ceil(billUrls.length / BATCH_SIZE)} ---`);
-      
-      // Step 1: Fetch all data for the batch concurrently
-      const promises = batchUrls.map(async (url) => {
-          try {
-              const response = await fetch(url);
-              if (!response.ok) {
-                  if (response.status === 429) return 'RATE_LIMIT';
-                  console.error(`  Error fetching bill detail for ${url}: Status ${response.status}`);
-                  return null;
-              }
-              const { bill } = await response.json();
-              return bill;
-          } catch(e) {
-              console.error(`  Network error for ${url}: ${e.message}`);
-              return null;
-          }
-      });
-      const results = await Promise.all(promises);
-      
-      if(results.includes('RATE_LIMIT')) {
-          console.log("Rate limit detected. Pausing for 1 hour and 1 second before retrying batch...");
-          await sleep(3601000); // 1 hour and 1 second
-          i -= BATCH_SIZE; // Decrement to retry the current batch
-          continue;
-      }
-      
-      // Step 2: Save the fetched data in a single database transaction
-      const validBillData = results.filter(bill => bill !== null);
-      await saveBillBatchToDb(validBillData);
-      
-      await sleep(2000); // Pause between batches
+/**
+ * Main function to orchestrate the entire data population process.
+ */
+async function syncBills() {
+  console.log(`Starting bill data population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'bills', options.congress) : null;
+  if (options.dryRun) {
+    return previewBills(window);
   }
 
-  console.log('\n✅ All bill batches have been processed!');
-  await pool.end();
+  const run = await startRun(pool, { entityType: 'bills', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedBills(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedBills(recordPage);
+      } else {
+        await enqueueBillUrls(run, recordPage);
+      }
+    }
+
+    const pendingItems = await getPendingItems(pool, run.id, 'bill');
+    if (pendingItems.length === 0) {
+      console.log('No new or updated bills found to process.');
+    } else {
+      console.log(`\nProcessing ${pendingItems.length} bills in batches of ${options.batchSize}. This is a heavy process and will take a long time...`);
+    }
+
+    for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+        const batchItems = pendingItems.slice(i, i + options.batchSize);
+        console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+        
+        // Step 1: Fetch all data for the batch concurrently
+        // The shared API client paces these requests and retries rate-limited ones.
+        const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+            try {
+                const { bill } = await fetchJson(item.url);
+                return { item, bill: bill || null, error: bill ? null : 'Response contained no bill' };
+            } catch (error) {
+                console.error(`  Error fetching bill detail for ${item.url}: ${error.message}`);
+                return { item, bill: null, error: error.message };
+            }
+        });
+
+        const fetched = results.filter(r => r.bill !== null);
+        await addFetchedCount(pool, run.id, fetched.length);
+        await settleItems(pool, run, { saved: [], failed: results.filter(r => r.bill === null) });
+        
+        // Step 2: Save the fetched data in a single database transaction, one savepoint per bill
+        await settleItems(pool, run, await saveBillBatchToDb(fetched, run.id));
+    }
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'bills', options.congress, run.window_to);
+    }
+    console.log('\n✅ All bill batches have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
 }
 
-main().catch(error => {
-  console.error('An unexpected error occurred during the main process:', error);
-  pool.end();
-});
\ No newline at end of file
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
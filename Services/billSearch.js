@@ -0,0 +1,199 @@
+// Full-text search of bills. Each bill has a weighted tsvector document in bill_search built from its titles (A),
+// subjects and policy area (B), latest summary (C) and the start of its latest full text (D).
+// The bill and text syncs rebuild a bill's document as they save it; bills saved before this existed can be
+// indexed with: node cli.js db refresh-search [--congress 117-119] (or node Services/billSearch.js with the same flags).
+// Search queries (`/api/bills?q=`) accept words, "quoted phrases", OR, NOT or a leading -, parentheses and
+// prefix matches with a trailing * (e.g. `"clean water" OR wetland* -pipeline`); words are ANDed by default.
+
+import { parseArgs } from 'util';
+import { createPool } from './db.js';
+import { isMainModule, parseCongressRange, validateEnv } from './config.js';
+
+// Characters of full text indexed per bill. A tsvector is limited to 1MB, and the opening sections say the most.
+const FULL_TEXT_LIMIT = 200000;
+// Bills indexed per statement by `refreshBillSearch`.
+const REFRESH_BATCH_SIZE = 200;
+// Markers ts_headline puts around matches, swapped for <mark> once the snippet is escaped.
+const START_MARK = '[[[';
+const STOP_MARK = ']]]';
+const HEADLINE_OPTIONS = `StartSel="${START_MARK}", StopSel="${STOP_MARK}", MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+
+// The searchable fields of a bill aliased `b`, as a lateral subquery `f`.
+const SEARCH_FIELDS = `
+  LATERAL (
+    SELECT
+      concat_ws(' · ', b.title, (SELECT string_agg(DISTINCT bt.title, ' · ') FROM bill_titles bt WHERE bt.bill_id = b.id AND bt.title IS DISTINCT FROM b.title)) as title,
+      concat_ws(', ', b.policy_area_name, (SELECT string_agg(bsub.name, ', ' ORDER BY bsub.name) FROM bill_subjects bsub WHERE bsub.bill_id = b.id)) as subject,
+      (SELECT regexp_replace(su.text, '<[^>]+>', ' ', 'g') FROM bill_summaries su WHERE su.bill_id = b.id ORDER BY su.action_date DESC NULLS LAST, su.id DESC LIMIT 1) as summary,
+      (SELECT left(btx.plain_text, ${FULL_TEXT_LIMIT}) FROM bill_texts btx WHERE btx.bill_id = b.id ORDER BY btx.version_date DESC NULLS LAST, btx.id DESC LIMIT 1) as text
+  ) f`;
+
+/**
+ * Splits a word into the letters and digits Postgres indexes, e.g. 'covid-19' -> ['covid', '19'].
+ */
+function wordParts(word) {
+  return word.normalize('NFKC').split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Turns a part list into a tsquery operand: one lexeme, or a phrase of several.
+ */
+function toOperand(parts, prefix = false) {
+  const lexemes = parts.map((part, i) => (prefix && i === parts.length - 1 ? `${part}:*` : part));
+  return lexemes.length === 1 ? lexemes[0] : `(${lexemes.join(' <-> ')})`;
+}
+
+/**
+ * Converts a search box query into to_tsquery syntax. Unbalanced parentheses and dangling operators are dropped,
+ * so a half-typed query still searches for what it has.
+ * @param {string} input - The user's query.
+ * @returns {string|null} The tsquery text, or null when the query has no words to search for.
+ */
+export function toTsQuery(input) {
+  const tokens = [];
+  for (const [token, phrase] of (input || '').matchAll(/"([^"]*)"?|[()]|[^\s()"]+/g)) {
+    if (phrase !== undefined) {
+      const parts = wordParts(phrase);
+      if (parts.length > 0) tokens.push({ type: 'operand', value: toOperand(parts) });
+    } else if (token === '(' || token === ')') {
+      tokens.push({ type: token });
+    } else if (token === 'OR' || token === '|') {
+      tokens.push({ type: 'or' });
+    } else if (token === 'AND' || token === '&') {
+      continue;
+    } else if (token === 'NOT') {
+      tokens.push({ type: 'not' });
+    } else {
+      const negated = /^[-!]/.test(token);
+      const parts = wordParts(token);
+      if (parts.length === 0) continue;
+      if (negated) tokens.push({ type: 'not' });
+      tokens.push({ type: 'operand', value: toOperand(parts, token.endsWith('*')) });
+    }
+  }
+
+  const out = [];
+  let depth = 0;
+  const isOperator = value => ['&', '|', '!', '('].includes(value);
+  const endsWithOperand = () => out.length > 0 && !isOperator(out[out.length - 1]);
+  const dropTrailingOperators = () => {
+    while (out.length > 0 && isOperator(out[out.length - 1])) {
+      if (out.pop() === '(') depth--;
+    }
+  };
+  for (const token of tokens) {
+    if (token.type === 'operand' || token.type === 'not' || token.type === '(') {
+      if (endsWithOperand()) out.push('&');
+      if (token.type === '(') depth++;
+      out.push(token.type === 'operand' ? token.value : token.type === 'not' ? '!' : '(');
+    } else if (token.type === ')') {
+      while (out.length > 0 && ['&', '|', '!'].includes(out[out.length - 1])) out.pop();
+      if (out[out.length - 1] === '(') {
+        out.pop();
+        depth--;
+      } else if (depth > 0) {
+        out.push(')');
+        depth--;
+      }
+    } else if (token.type === 'or' && endsWithOperand()) {
+      out.push('|');
+    }
+  }
+  dropTrailingOperators();
+  while (depth-- > 0) out.push(')');
+  return out.some(value => !isOperator(value) && value !== ')') ? out.join(' ') : null;
+}
+
+const escapeHtml = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/**
+ * Finds where each bill matched a search: the fields containing a match, with a snippet of each.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {Array<number>} billIds - The bills found by the search.
+ * @param {string} tsQuery - The query from `toTsQuery`.
+ * @returns {Promise<Map<number, Array<{field: string, snippet: string}>>>} Bill id -> matches, in the order
+ *   title, subject, summary, text. Snippets are HTML-escaped with the matching words in <mark> elements.
+ */
+export async function fetchSearchMatches(pool, billIds, tsQuery) {
+  const result = await pool.query(`
+    SELECT b.id, m.field, ts_headline('english', m.content, query, $3) as snippet
+    FROM bills b
+    CROSS JOIN to_tsquery('english', $2) query
+    CROSS JOIN ${SEARCH_FIELDS}
+    CROSS JOIN LATERAL (VALUES (1, 'title', f.title), (2, 'subject', f.subject), (3, 'summary', f.summary), (4, 'text', f.text)) m(position, field, content)
+    WHERE b.id = ANY($1::INT[]) AND m.content <> '' AND to_tsvector('english', m.content) @@ query
+    ORDER BY b.id, m.position
+  `, [billIds, tsQuery, HEADLINE_OPTIONS]);
+
+  const matches = new Map();
+  for (const row of result.rows) {
+    const snippet = escapeHtml(row.snippet.replace(/\s+/g, ' ').trim())
+      .split(START_MARK).join('<mark>')
+      .split(STOP_MARK).join('</mark>');
+    matches.set(row.id, [...(matches.get(row.id) || []), { field: row.field, snippet }]);
+  }
+  return matches;
+}
+
+/**
+ * Rebuilds the search documents of some bills from their stored titles, subjects, summaries and text.
+ * @param {import('pg').PoolClient|import('pg').Pool} client - A client (inside the transaction that saved the bills) or the pool.
+ * @param {Array<number>} billIds - The bills to index.
+ */
+export async function updateBillSearch(client, billIds) {
+  await client.query({
+    text: `
+      INSERT INTO bill_search (bill_id, document, updated_at)
+      SELECT b.id,
+             setweight(to_tsvector('english', COALESCE(f.title, '')), 'A') ||
+             setweight(to_tsvector('english', COALESCE(f.subject, '')), 'B') ||
+             setweight(to_tsvector('english', COALESCE(f.summary, '')), 'C') ||
+             setweight(to_tsvector('english', COALESCE(f.text, '')), 'D'),
+             NOW()
+      FROM bills b
+      CROSS JOIN ${SEARCH_FIELDS}
+      WHERE b.id = ANY($1::INT[])
+      ON CONFLICT (bill_id) DO UPDATE SET document = EXCLUDED.document, updated_at = EXCLUDED.updated_at;
+    `,
+    values: [billIds],
+  });
+}
+
+/**
+ * Rebuilds the search document of every stored bill, e.g. after this was added or the weighting changed.
+ * @param {object} [refreshOptions]
+ * @param {Array<number>} [refreshOptions.congresses] - Limit the refresh to these congresses (default: all).
+ * @returns {Promise<number>} The number of bills indexed.
+ */
+export async function refreshBillSearch({ congresses = null } = {}) {
+  const pool = createPool();
+  try {
+    const bills = await pool.query(
+      'SELECT id FROM bills WHERE ($1::INT[] IS NULL OR congress = ANY($1)) ORDER BY id',
+      [congresses],
+    );
+    const billIds = bills.rows.map(row => row.id);
+    console.log(`Indexing ${billIds.length} bills for search...`);
+
+    for (let i = 0; i < billIds.length; i += REFRESH_BATCH_SIZE) {
+      await updateBillSearch(pool, billIds.slice(i, i + REFRESH_BATCH_SIZE));
+      console.log(`  ✅ ${Math.min(i + REFRESH_BATCH_SIZE, billIds.length)}/${billIds.length}`);
+    }
+    return billIds.length;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  try {
+    const { values } = parseArgs({ args: process.argv.slice(2), options: { congress: { type: 'string' } } });
+    validateEnv();
+    refreshBillSearch({ congresses: values.congress ? parseCongressRange(values.congress) : null })
+      .then(count => console.log(`\n✅ Indexed ${count} bills for search.`))
+      .catch(error => { console.error('❌ Search refresh failed:', error); process.exitCode = 1; });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+}
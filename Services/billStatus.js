@@ -0,0 +1,162 @@
+// Derives a normalized status for each bill from its actions and its law, so "where is this bill?" doesn't
+// mean reading every action. Each stage is recognized by its Library of Congress action code where the action
+// has one, and otherwise by the action's type and text:
+//   introduced, referred, reported, passed_house, passed_senate, resolving_differences, to_president,
+//   vetoed, veto_overridden, became_law.
+// The bill's status is the furthest stage reached (bills.status, with the date in bills.status_date), and the date
+// each stage was first reached is kept in bill_milestones. The bill sync updates both as it saves a bill;
+// bills saved before this existed can be brought up to date with: node cli.js db refresh-status [--congress 117-119]
+// (or node Services/billStatus.js with the same flags).
+
+import { parseArgs } from 'util';
+import { createPool } from './db.js';
+import { isMainModule, parseCongressRange, validateEnv } from './config.js';
+
+// The stages in the order a bill reaches them. Passing the House and passing the Senate are the same step;
+// a bill that has passed both is in whichever chamber passed it last.
+export const BILL_STATUSES = [
+  'introduced', 'referred', 'reported', 'passed_house', 'passed_senate', 'resolving_differences',
+  'to_president', 'vetoed', 'veto_overridden', 'became_law',
+];
+const STAGE_RANK = { ...Object.fromEntries(BILL_STATUSES.map((status, index) => [status, index])), passed_senate: 3 };
+
+// Bills whose statuses are refreshed per transaction by `refreshBillStatuses`.
+const REFRESH_BATCH_SIZE = 500;
+
+// How each stage is recognized in an action, other than the veto override, which needs both chambers.
+const MILESTONE_RULES = [
+  { milestone: 'introduced', codes: ['1000', '10000'], test: action => /^introduced in (the )?(house|senate)/i.test(action.text) },
+  { milestone: 'referred', test: action => ['IntroReferral', 'Committee'].includes(action.type) && /\breferred to\b/i.test(action.text) },
+  { milestone: 'reported', codes: ['5000', '14000'], test: action => ['Committee', 'Calendars'].includes(action.type) && /\breported\b/i.test(action.text) && !/ordered to be reported/i.test(action.text) },
+  { milestone: 'passed_house', codes: ['8000'], test: action => /passed\/agreed to in house|^passed house/i.test(action.text) && !/over veto/i.test(action.text) },
+  { milestone: 'passed_senate', codes: ['17000'], test: action => /passed\/agreed to in senate|^passed senate/i.test(action.text) && !/over veto/i.test(action.text) },
+  { milestone: 'resolving_differences', test: action => action.type === 'ResolvingDifferences' || /^resolving differences/i.test(action.text) },
+  { milestone: 'to_president', codes: ['28000'], test: action => /presented to (the )?president/i.test(action.text) },
+  { milestone: 'vetoed', codes: ['31000'], test: action => (action.type === 'Veto' && /vetoed/i.test(action.text)) || /vetoed by (the )?president/i.test(action.text) },
+  { milestone: 'became_law', codes: ['36000'], test: action => action.type === 'BecameLaw' || /became (public|private) law/i.test(action.text) },
+];
+
+/**
+ * Derives a bill's status and milestones.
+ * @param {object} bill
+ * @param {Array<{id: number, action_date: string, type: string, action_code: string, text: string}>} bill.actions -
+ *   The bill's actions, oldest first, with `action_date` as YYYY-MM-DD.
+ * @param {string|null} [bill.introducedDate] - The bill's introduced date, as YYYY-MM-DD.
+ * @param {boolean} [bill.hasLaw] - Whether the bill has a row in laws.
+ * @returns {{status: string|null, statusDate: string|null, milestones: Array<{milestone: string, date: string|null, actionId: number|null}>}}
+ *   Status is null for a bill with no introduced date and no recognized actions.
+ */
+export function deriveBillStatus({ actions, introducedDate = null, hasLaw = false }) {
+  const reached = new Map();
+  const reach = (milestone, date, actionId = null) => {
+    if (!reached.has(milestone)) reached.set(milestone, { milestone, date, actionId });
+  };
+
+  if (introducedDate) reach('introduced', introducedDate);
+  const overrides = {};
+  for (const action of actions) {
+    for (const rule of MILESTONE_RULES) {
+      if (rule.codes?.includes(action.action_code) || rule.test(action)) reach(rule.milestone, action.action_date, action.id);
+    }
+    const override = (action.text || '').match(/passed (house|senate) over veto/i);
+    if (override) overrides[override[1].toLowerCase()] = action;
+  }
+  // A veto is overridden once both chambers have voted to override it.
+  if (overrides.house && overrides.senate) {
+    const last = overrides.house.action_date > overrides.senate.action_date ? overrides.house : overrides.senate;
+    reach('veto_overridden', last.action_date, last.id);
+  }
+  if (hasLaw) reach('became_law', actions.length > 0 ? actions[actions.length - 1].action_date : null);
+
+  const milestones = [...reached.values()]
+    .sort((a, b) => STAGE_RANK[a.milestone] - STAGE_RANK[b.milestone] || (a.date || '').localeCompare(b.date || ''));
+  const furthest = milestones[milestones.length - 1];
+  return { status: furthest?.milestone || null, statusDate: furthest?.date || null, milestones };
+}
+
+/**
+ * Recomputes a bill's status from its stored actions and law and saves it with its milestones.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {number} billId - The bill.
+ * @returns {Promise<{previous: string|null, status: string|null}>} The status before and after.
+ */
+export async function updateBillStatus(client, billId) {
+  const billResult = await client.query({
+    text: `SELECT status, introduced_date::TEXT as introduced_date, EXISTS (SELECT 1 FROM laws WHERE bill_id = $1) as has_law
+           FROM bills WHERE id = $1`,
+    values: [billId],
+  });
+  const bill = billResult.rows[0];
+  const actionsResult = await client.query({
+    text: `SELECT id, action_date::DATE::TEXT as action_date, type, action_code, text
+           FROM bill_actions WHERE bill_id = $1 ORDER BY action_date, id`,
+    values: [billId],
+  });
+  const { status, statusDate, milestones } = deriveBillStatus({
+    actions: actionsResult.rows,
+    introducedDate: bill.introduced_date,
+    hasLaw: bill.has_law,
+  });
+
+  await client.query({ text: 'UPDATE bills SET status = $2, status_date = $3 WHERE id = $1', values: [billId, status, statusDate] });
+  await client.query({ text: 'DELETE FROM bill_milestones WHERE bill_id = $1', values: [billId] });
+  await client.query({
+    text: `
+      INSERT INTO bill_milestones (bill_id, milestone, milestone_date, action_id)
+      SELECT $1, * FROM UNNEST($2::TEXT[], $3::DATE[], $4::INT[])
+    `,
+    values: [billId, milestones.map(m => m.milestone), milestones.map(m => m.date), milestones.map(m => m.actionId)],
+  });
+  return { previous: bill.status, status };
+}
+
+/**
+ * Recomputes the status of every stored bill, e.g. after this was added or the rules changed.
+ * @param {object} [refreshOptions]
+ * @param {Array<number>} [refreshOptions.congresses] - Limit the refresh to these congresses (default: all).
+ * @returns {Promise<number>} The number of bills refreshed.
+ */
+export async function refreshBillStatuses({ congresses = null } = {}) {
+  const pool = createPool();
+  try {
+    const bills = await pool.query(
+      'SELECT id FROM bills WHERE ($1::INT[] IS NULL OR congress = ANY($1)) ORDER BY id',
+      [congresses],
+    );
+    const billIds = bills.rows.map(row => row.id);
+    console.log(`Refreshing the status of ${billIds.length} bills...`);
+
+    for (let i = 0; i < billIds.length; i += REFRESH_BATCH_SIZE) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const billId of billIds.slice(i, i + REFRESH_BATCH_SIZE)) {
+          await updateBillStatus(client, billId);
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      } finally {
+        client.release();
+      }
+      console.log(`  ✅ ${Math.min(i + REFRESH_BATCH_SIZE, billIds.length)}/${billIds.length}`);
+    }
+    return billIds.length;
+  } finally {
+    await pool.end();
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  try {
+    const { values } = parseArgs({ args: process.argv.slice(2), options: { congress: { type: 'string' } } });
+    validateEnv();
+    refreshBillStatuses({ congresses: values.congress ? parseCongressRange(values.congress) : null })
+      .then(count => console.log(`\n✅ Refreshed the status of ${count} bills.`))
+      .catch(error => { console.error('❌ Status refresh failed:', error); process.exitCode = 1; });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+}
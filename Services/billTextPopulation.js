@@ -0,0 +1,256 @@
+// This script downloads the full text of each bill text version recorded in bill_text_versions
+// and saves it in bill_texts: the raw XML, the plain text, and word and section counts.
+// The 'Formatted XML' file is preferred; versions published without one fall back to 'Formatted Text'.
+// Versions already in bill_texts are skipped unless --force, so it is safe to run repeatedly.
+// With --text-dir it reads a local directory of GovInfo bill files (e.g. the BILLS bulk data) instead of
+// downloading them, matching files to versions by name (BILLS-119hr1204ih.xml), so it can run offline.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Sync the bills, which records their text versions: node cli.js sync bills --congress 118
+// 3. Run it through the CLI: node cli.js sync texts [--congress 118] [--batch-size 25] [--force] [--dry-run] [--text-dir <dir>]
+//    (or directly with the same flags: node Services/billTextPopulation.js --congress 118)
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fetchText, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { markupToText, countElements } from './xmlUtils.js';
+import { updateBillSearch } from './billSearch.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+// Formats with usable text, most preferred first.
+const TEXT_FORMATS = ['Formatted XML', 'Formatted Text'];
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+// File name -> path of every file under --text-dir, built once per run.
+let localFiles = null;
+
+/**
+ * Lists the text versions of the congress's bills that should be downloaded, one file per version.
+ * @returns {Promise<Array<object>>} Ledger items for `recordListPage`.
+ */
+async function findTextVersions() {
+  const result = await pool.query({
+    text: `
+      SELECT DISTINCT ON (b.id, tv.type) b.congress, b.type AS bill_type, b.number, tv.type AS version_type, tv.url
+      FROM bill_text_versions tv
+      JOIN bills b ON b.id = tv.bill_id
+      LEFT JOIN bill_texts bt ON bt.bill_id = tv.bill_id AND bt.version_type = tv.type
+      WHERE b.congress = $1 AND tv.url IS NOT NULL AND tv.format = ANY($2::TEXT[]) AND ($3 OR bt.id IS NULL)
+      ORDER BY b.id, tv.type, array_position($2::TEXT[], tv.format)
+    `,
+    values: [options.congress, TEXT_FORMATS, Boolean(options.force)],
+  });
+  return result.rows.map(row => ({
+    entityType: 'bill-text',
+    entityKey: `${row.congress}-${row.bill_type}-${row.number}:${row.version_type}`,
+    url: row.url,
+  }));
+}
+
+/**
+ * Indexes the files under the --text-dir directory by name.
+ */
+async function indexLocalFiles(dir) {
+  const files = new Map();
+  for (const entry of await fs.readdir(dir, { recursive: true, withFileTypes: true })) {
+    if (entry.isFile()) files.set(entry.name, path.join(entry.parentPath ?? entry.path, entry.name));
+  }
+  console.log(`Indexed ${files.size} files in ${dir}.`);
+  return files;
+}
+
+/**
+ * Reads a text version file from --text-dir, or downloads it.
+ * @param {string} url - The file URL from bill_text_versions.
+ * @returns {Promise<string>} The file contents.
+ */
+async function readVersionFile(url) {
+  if (!localFiles) return fetchText(url);
+
+  const fileName = path.basename(new URL(url).pathname);
+  const file = localFiles.get(fileName);
+  if (!file) {
+    const error = new Error(`${fileName} is not in ${options.textDir}`);
+    error.status = 404;
+    throw error;
+  }
+  return fs.readFile(file, 'utf8');
+}
+
+/**
+ * Extracts the plain text and counts from a text version file.
+ * @param {string} content - The file contents.
+ * @param {string} format - The bill_text_versions format.
+ * @returns {{rawXml: string|null, plainText: string, wordCount: number, sectionCount: number}}
+ */
+function analyzeText(content, format) {
+  const isXml = format === 'Formatted XML';
+  const plainText = markupToText(content);
+  const sectionCount = isXml
+    ? countElements(content, 'section')
+    : (plainText.match(/^SEC(?:TION)?\.\s*\d+/gm) || []).length;
+  return {
+    rawXml: isXml ? content : null,
+    plainText,
+    wordCount: plainText.split(/\s+/).filter(Boolean).length,
+    sectionCount,
+  };
+}
+
+/**
+ * Saves a text version, replacing any text stored for the same bill and version, and reindexes the bill for search.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {string} url - The file URL, which identifies the version in bill_text_versions.
+ * @param {string} content - The file contents.
+ */
+async function saveBillText(client, url, content) {
+  const versionResult = await client.query({
+    text: 'SELECT bill_id, type, date, format FROM bill_text_versions WHERE url = $1 LIMIT 1',
+    values: [url],
+  });
+  const version = versionResult.rows[0];
+  if (!version) throw new Error(`No text version is recorded for ${url}`);
+
+  const { rawXml, plainText, wordCount, sectionCount } = analyzeText(content, version.format);
+  await client.query({
+    text: `
+      INSERT INTO bill_texts (bill_id, version_type, version_date, source_format, source_url, raw_xml, plain_text, word_count, section_count)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      ON CONFLICT (bill_id, version_type) DO UPDATE SET
+        version_date = EXCLUDED.version_date,
+        source_format = EXCLUDED.source_format,
+        source_url = EXCLUDED.source_url,
+        raw_xml = EXCLUDED.raw_xml,
+        plain_text = EXCLUDED.plain_text,
+        word_count = EXCLUDED.word_count,
+        section_count = EXCLUDED.section_count,
+        fetched_at = NOW();
+    `,
+    values: [version.bill_id, version.type, version.date, version.format, url, rawXml, plainText, wordCount, sectionCount],
+  });
+  await updateBillSearch(client, [version.bill_id]);
+}
+
+/**
+ * Saves a batch of downloaded texts in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, content: string}>} entries - The downloaded files with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveTextBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, content } of entries) {
+      try {
+        await withSavepoint(client, () => saveBillText(client, item.url, content));
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving text ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} bill texts.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving bill text batch. Transaction rolled back.', error);
+    return { saved: [], failed: entries.map(({ item }) => ({ item, error: 'Batch transaction rolled back' })) };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Downloads (or reads) and saves the full text of every text version of one congress's bills.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Texts saved per transaction.
+ * @param {number} [runOptions.concurrency] - Downloads in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Download versions whose text is already stored.
+ * @param {boolean} [runOptions.dryRun] - List what would be downloaded without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.retryFailed] - Only process the texts with open dead letters.
+ * @param {string} [runOptions.textDir] - A directory of GovInfo bill files to read instead of downloading.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  try {
+    localFiles = options.textDir ? await indexLocalFiles(options.textDir) : null;
+    return await syncBillTexts();
+  } finally {
+    localFiles = null;
+    await pool.end();
+  }
+}
+
+async function syncBillTexts() {
+  console.log(`Starting bill text population process for Congress ${options.congress}...`);
+  if (options.dryRun) {
+    const items = await findTextVersions();
+    console.log(`\n🔎 Dry run: would ${localFiles ? 'read' : 'download'} ${items.length} bill text versions. Nothing was written to the database.`);
+    return 'dry-run';
+  }
+
+  const run = await startRun(pool, { entityType: 'bill-texts', congress: options.congress, resume: options.resume });
+  try {
+    if (!run.list_complete) {
+      const items = options.retryFailed
+        ? await getDeadLetterItems(pool, ['bill-text'], options.congress)
+        : await findTextVersions();
+      await recordListPage(pool, run.id, items, null);
+    }
+
+    const pendingItems = await getPendingItems(pool, run.id, 'bill-text');
+    if (pendingItems.length === 0) {
+      console.log('No bill texts to download.');
+    } else {
+      console.log(`\nProcessing ${pendingItems.length} bill text versions in batches of ${options.batchSize}...`);
+    }
+
+    for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+      const batchItems = pendingItems.slice(i, i + options.batchSize);
+      console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+      const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+        try {
+          return { item, content: await readVersionFile(item.url), error: null };
+        } catch (error) {
+          console.error(`  Error reading text ${item.url}: ${error.message}`);
+          return { item, content: null, error: error.message };
+        }
+      });
+
+      const fetched = results.filter(r => r.content !== null);
+      await addFetchedCount(pool, run.id, fetched.length);
+      await settleItems(pool, run, { saved: [], failed: results.filter(r => r.content === null) });
+      await settleItems(pool, run, await saveTextBatch(fetched));
+    }
+
+    const status = await completeRun(pool, run.id);
+    console.log('\n✅ All bill text batches have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run, { apiKey: false });
+}
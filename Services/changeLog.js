@@ -0,0 +1,60 @@
+// Change log of the records the syncs overwrite (see the change_log table).
+// A save statement returns the stored record before and after its upsert as JSON (see `previousRow`);
+// `diffFields` compares the two and `logChanges` records what was added or changed, with the sync run that did it.
+
+/**
+ * Builds the SQL for the `previous` CTE that captures a row before an upsert replaces it.
+ * The CTE runs against the snapshot taken before the statement, so it sees the old values even though the
+ * INSERT ... ON CONFLICT DO UPDATE in the same statement overwrites them. Select it in RETURNING as
+ * `(SELECT to_jsonb(p) FROM previous p) AS previous`; it is NULL when the row is new.
+ * @param {string} table - The table.
+ * @param {string} where - The condition identifying the row, using the statement's parameters.
+ * @returns {string}
+ */
+export function previousRow(table, where) {
+  return `WITH previous AS (SELECT * FROM ${table} WHERE ${where})`;
+}
+
+/**
+ * Lists the fields whose values differ between two versions of a record.
+ * Both versions should come from the database as JSON, so values of the same type compare equal.
+ * @param {object} before - The stored record before the upsert.
+ * @param {object} after - The record after the upsert.
+ * @param {Array<string>} fields - The fields to compare.
+ * @returns {Array<{field: string, oldValue: *, newValue: *}>}
+ */
+export function diffFields(before, after, fields) {
+  return fields
+    .filter(field => JSON.stringify(before[field] ?? null) !== JSON.stringify(after[field] ?? null))
+    .map(field => ({ field, oldValue: before[field] ?? null, newValue: after[field] ?? null }));
+}
+
+const toText = value => (value === null || value === undefined ? null : typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * Records changes in change_log.
+ * @param {import('pg').PoolClient} client - A client inside the transaction that made the changes.
+ * @param {number|null} runId - The ingestion run that made them.
+ * @param {Array<object>} changes - Each with `entityType`, `entityKey`, `changeType` ('added' or 'updated'),
+ *   and optionally `billId`, `memberBioguideId`, `field`, `oldValue` and `newValue`.
+ */
+export async function logChanges(client, runId, changes) {
+  if (changes.length === 0) return;
+  await client.query({
+    text: `
+      INSERT INTO change_log (run_id, entity_type, entity_key, bill_id, member_bioguide_id, change_type, field, old_value, new_value)
+      SELECT $1, * FROM UNNEST($2::TEXT[], $3::TEXT[], $4::INT[], $5::TEXT[], $6::TEXT[], $7::TEXT[], $8::TEXT[], $9::TEXT[])
+    `,
+    values: [
+      runId,
+      changes.map(change => change.entityType),
+      changes.map(change => String(change.entityKey)),
+      changes.map(change => change.billId ?? null),
+      changes.map(change => change.memberBioguideId ?? null),
+      changes.map(change => change.changeType),
+      changes.map(change => change.field ?? null),
+      changes.map(change => toText(change.oldValue)),
+      changes.map(change => toText(change.newValue)),
+    ],
+  });
+}
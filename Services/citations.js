@@ -0,0 +1,131 @@
+// Legislative citations: bills and resolutions ("H.R. 1", "H.J.Res.7", "S. 5 (118th Congress)", "hr1-118"),
+// public and private laws ("Pub. L. 118-5", "Private Law 118-1") and committee reports ("S. Rept. 118-40",
+// "H.R. Rep. No. 118-40, Part 2"). `parseCitation` normalizes any of these, however they are punctuated or spaced;
+// `resolveCitation` finds the records a citation names, in every congress unless the citation gives one.
+// Served by /api/resolve?cite=, and used by the bill number filter of /api/bills and by the global search.
+
+// Bill and resolution types by their citation letters, lowercase without punctuation or spaces, with the
+// canonical citation form of each.
+export const BILL_TYPES = {
+  hr: 'H.R.',
+  s: 'S.',
+  hres: 'H.Res.',
+  sres: 'S.Res.',
+  hjres: 'H.J.Res.',
+  sjres: 'S.J.Res.',
+  hconres: 'H.Con.Res.',
+  sconres: 'S.Con.Res.',
+};
+
+// Law kinds by the ways their citations are abbreviated, with their type in laws.type.
+const LAW_PREFIXES = {
+  publ: 'Public Law', publiclaw: 'Public Law', pl: 'Public Law',
+  privl: 'Private Law', pvtl: 'Private Law', privatelaw: 'Private Law', pvtlaw: 'Private Law',
+};
+const LAW_ABBREVIATIONS = { 'Public Law': 'Pub. L.', 'Private Law': 'Priv. L.' };
+
+// Report kinds by the ways their citations are abbreviated, with their type in committee_reports.type.
+const REPORT_PREFIXES = {
+  hrept: 'HRPT', hrpt: 'HRPT', hrep: 'HRPT', hrrep: 'HRPT',
+  srept: 'SRPT', srpt: 'SRPT', srep: 'SRPT',
+  exrept: 'ERPT', erpt: 'ERPT', exrep: 'ERPT', erep: 'ERPT',
+};
+const REPORT_ABBREVIATIONS = { HRPT: 'H. Rept.', SRPT: 'S. Rept.', ERPT: 'Ex. Rept.' };
+
+// A congress given as an ordinal, e.g. "(118th)", "118th Congress" or "118th Cong."
+const ORDINAL_CONGRESS = /\(?\b(\d{1,3})(?:st|nd|rd|th)\b\.?(?:\s*(?:congress|cong\.?))?\)?/i;
+
+// 118 -> '118th', 101 -> '101st'.
+export const ordinal = n => `${n}${[11, 12, 13].includes(n % 100) ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+
+/**
+ * Parses a legislative citation.
+ * @param {string} text - The citation as typed.
+ * @returns {{kind: 'bill', type: string, number: number, congress: number|null, citation: string}
+ *   |{kind: 'law', lawType: string, congress: number, number: number, citation: string}
+ *   |{kind: 'report', reportType: string, congress: number, number: number, part: number|null, citation: string}
+ *   |null} The citation's parts and its canonical form, or null when the text isn't a citation.
+ *   A bill's type is lowercase (a key of BILL_TYPES); its congress is null when the citation doesn't give one.
+ */
+export function parseCitation(text) {
+  let rest = (text || '').trim();
+  let congress = null;
+  const congressMatch = rest.match(ORDINAL_CONGRESS);
+  if (congressMatch) {
+    congress = parseInt(congressMatch[1], 10);
+    rest = rest.replace(ORDINAL_CONGRESS, ' ');
+  }
+  const compact = rest.toLowerCase().replace(/\bno\.?(?=\s*\d)/g, '').replace(/[\s.,()]/g, '');
+
+  const law = compact.match(/^([a-z]+)(\d+)-(\d+)$/);
+  if (law && LAW_PREFIXES[law[1]]) {
+    const lawType = LAW_PREFIXES[law[1]];
+    const parsed = { kind: 'law', lawType, congress: parseInt(law[2], 10), number: parseInt(law[3], 10) };
+    return { ...parsed, citation: `${LAW_ABBREVIATIONS[lawType]} ${parsed.congress}-${parsed.number}` };
+  }
+
+  const report = compact.match(/^([a-z]+)(\d+)-(\d+)(?:(?:part|pt)(\d+))?$/);
+  if (report && REPORT_PREFIXES[report[1]]) {
+    const reportType = REPORT_PREFIXES[report[1]];
+    const parsed = {
+      kind: 'report',
+      reportType,
+      congress: parseInt(report[2], 10),
+      number: parseInt(report[3], 10),
+      part: report[4] ? parseInt(report[4], 10) : null,
+    };
+    const part = parsed.part ? `, Part ${parsed.part}` : '';
+    return { ...parsed, citation: `${REPORT_ABBREVIATIONS[reportType]} ${parsed.congress}-${parsed.number}${part}` };
+  }
+
+  // A bill can carry its congress before it ("118 HR 1") or after a hyphen ("hr1-118"), as Congress.gov URLs do.
+  const bill = compact.match(/^(\d{1,3})?([a-z]+)(\d+)(?:-(\d{1,3}))?$/);
+  if (bill && BILL_TYPES[bill[2]]) {
+    const billCongress = congress ?? (bill[1] || bill[4] ? parseInt(bill[1] || bill[4], 10) : null);
+    const parsed = { kind: 'bill', type: bill[2], number: parseInt(bill[3], 10), congress: billCongress };
+    const inCongress = billCongress ? ` (${ordinal(billCongress)} Congress)` : '';
+    return { ...parsed, citation: `${BILL_TYPES[parsed.type]} ${parsed.number}${inCongress}` };
+  }
+  return null;
+}
+
+// The bill fields returned for a bill or law.
+const BILL_FIELDS = `
+  b.id, b.congress, b.type, b.number, b.title, b.introduced_date, b.policy_area_name, b.status, b.status_date`;
+
+/**
+ * Finds the bills, laws or reports a parsed citation names.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {object} citation - The result of `parseCitation`.
+ * @returns {Promise<Array<object>>} The records, newest congress first: bills with BILL_FIELDS, laws as their bill
+ *   with `law_type` and `law_number`, and reports with their first committee's system code.
+ */
+export async function resolveCitation(pool, citation) {
+  if (citation.kind === 'bill') {
+    const result = await pool.query(`
+      SELECT ${BILL_FIELDS}
+      FROM bills b
+      WHERE lower(b.type) = $1 AND b.number = $2 AND ($3::INT IS NULL OR b.congress = $3)
+      ORDER BY b.congress DESC
+      LIMIT 100
+    `, [citation.type, citation.number, citation.congress]);
+    return result.rows;
+  }
+  if (citation.kind === 'law') {
+    const result = await pool.query(`
+      SELECT l.type as law_type, l.number as law_number, ${BILL_FIELDS}
+      FROM laws l
+      JOIN bills b ON b.id = l.bill_id
+      WHERE l.type = $1 AND l.number = $2
+    `, [citation.lawType, `${citation.congress}-${citation.number}`]);
+    return result.rows;
+  }
+  const result = await pool.query(`
+    SELECT cr.id, cr.congress, cr.chamber, cr.type, cr.number, cr.part, cr.citation, cr.title, cr.issue_date,
+           (SELECT MIN(rc.committee_system_code) FROM report_committees rc WHERE rc.report_id = cr.id) as committee_system_code
+    FROM committee_reports cr
+    WHERE cr.type = $1 AND cr.congress = $2 AND cr.number = $3 AND ($4::INT IS NULL OR COALESCE(cr.part, 1) = $4)
+    ORDER BY cr.part NULLS FIRST
+  `, [citation.reportType, citation.congress, citation.number, citation.part]);
+  return result.rows;
+}
@@ -2,77 +2,69 @@
 // and populates the corresponding tables in the PostgreSQL database.
 // NOTE: This version adds checks to see if report data needs updating, reducing unnecessary API calls.
 // To run this script:
-// 1. Make sure you have run the latest database setup script first (v3).
+// 1. Apply the database migrations first: node migrate.js up
 // 2. Install packages: npm install pg dotenv node-fetch
 // 3. Ensure your .env file is present with DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
-// 4. Run the script from your terminal: node <filename>.js (or <filename>.mjs if using "type": "module")
+// 4. Run it through the CLI: node cli.js sync committees [--congress 118] [--batch-size 25] [--force] [--dry-run]
+//    (or directly with the same flags: node Services/committeDataPopulation.js --congress 118)
+// Every fetched document is archived in raw_api_documents; `node cli.js reprocess committees` rebuilds the committee tables from that archive.
 
-import { Pool } from 'pg';
-import fetch from 'node-fetch';
-import 'dotenv/config';
+import { BASE_API_URL, fetchJson, paginate, fetchAllItems } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, enqueueItems, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
 
-// Configuration for the Congress.gov API and script behavior
-const API_KEY = process.env.CONGRESS_API_KEY;
-const BASE_API_URL = 'https://api.congress.gov/v3';
-const CONGRESS_TO_FETCH = process.env.CURRENT_CONGRESS;
-const BATCH_SIZE = 25; // API calls can be heavy, so a smaller batch is safer
-const FORCE_UPDATE_REPORTS = true; // Set to true to force update all reports, false to use optimization
+const DEFAULT_BATCH_SIZE = 25; // API calls can be heavy, so a smaller batch is safer
 
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-});
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Set by `run` for the duration of a run.
+let pool;
+let options;
 
 /**
  * Fetches all committees and subcommittees for a given congress.
+ * @param {object} [params] - Extra list parameters, such as an incremental run's update window.
  * @returns {Promise<Array<object>>} A promise that resolves to a list of committee objects from the API.
  */
-async function fetchAllCommittees() {
-  if (!CONGRESS_TO_FETCH) {
-    console.error('❌ Error: CURRENT_CONGRESS is not defined in your .env file.');
-    return [];
-  }
-  
-  const allCommittees = [];
-  let nextUrl = `${BASE_API_URL}/committee/${CONGRESS_TO_FETCH}?api_key=${API_KEY}&limit=250`;
-  console.log(`Starting to fetch committees for Congress ${CONGRESS_TO_FETCH}...`);
-
-  while (nextUrl) {
-    try {
-      const response = await fetch(nextUrl);
-      if (!response.ok) throw new Error(`API request failed: ${response.status}`);
-      const data = await response.json();
+async function fetchAllCommittees(params = {}) {
+  let allCommittees = [];
+  console.log(`Starting to fetch committees for Congress ${options.congress}...`);
 
-      if (data.committees) {
-        allCommittees.push(...data.committees);
-      }
-      
-      nextUrl = (data.pagination && data.pagination.next) ? `${data.pagination.next}&api_key=${API_KEY}` : null;
-      await sleep(250);
-    } catch (error) {
-      console.error(`Error fetching committees from ${nextUrl}:`, error);
-      nextUrl = null;
-    }
+  try {
+    allCommittees = await fetchAllItems(`${BASE_API_URL}/committee/${options.congress}`, 'committees', params);
+  } catch (error) {
+    console.error(`Error fetching committees for Congress ${options.congress}:`, error);
   }
 
   console.log(`✅ Found a total of ${allCommittees.length} committees and subcommittees.`);
   return allCommittees;
 }
 
+/**
+ * Collects the committees from every archived committee list page of the congress, for a reprocessing run.
+ * @returns {Promise<Array<object>>} The committee list items, one per system code.
+ */
+async function loadArchivedCommittees() {
+  const documents = await listArchivedDocuments(pool, `committee/${options.congress}(\\?.*)?`);
+  const committees = new Map();
+  for (const { document } of documents) {
+    for (const committee of document.committees || []) committees.set(committee.systemCode, committee);
+  }
+  console.log(`✅ Found ${committees.size} archived committees and subcommittees for Congress ${options.congress}.`);
+  return [...committees.values()];
+}
+
 /**
  * Upserts basic committee info and establishes parent-child relationships.
  * This is done in two passes to ensure parent committees exist before being referenced.
  * @param {Array<object>} committeesData - The raw committee data from the API.
- * @returns {Promise<Array<string>>} A list of detail URLs for all committees.
+ * @returns {Promise<boolean>} Whether the base committee data was committed.
  */
 async function upsertBaseCommittees(committeesData) {
   const client = await pool.connect();
-  const detailUrls = [];
+  let committed = false;
 
   try {
     console.log('Upserting base committee information...');
@@ -80,7 +72,6 @@ async function upsertBaseCommittees(committeesData) {
 
     // Pass 1: Insert all committees with NULL for parent.
     for (const committee of committeesData) {
-      detailUrls.push(`${committee.url}&api_key=${API_KEY}`);
       const query = {
         text: `
           INSERT INTO committees (system_code, name, chamber, committee_type_code)
@@ -108,6 +99,7 @@ async function upsertBaseCommittees(committeesData) {
     }
     
     await client.query('COMMIT');
+    committed = true;
     console.log('✅ Base committee information saved.');
   } catch (error) {
     await client.query('ROLLBACK');
@@ -115,280 +107,503 @@ async function upsertBaseCommittees(committeesData) {
   } finally {
     client.release();
   }
-  return detailUrls;
+  return committed;
+}
+
+/**
+ * Saves a committee's `isCurrent` flag, update date and history, and decides whether its reports need processing.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} committee - The committee from the committee detail endpoint.
+ * @returns {Promise<{systemCode: string, url: string}|null>} The committee's reports URL, if its reports should be processed.
+ */
+async function saveCommitteeDetails(client, committee) {
+    // Update committee with `isCurrent` flag and `updateDate`
+    await client.query({
+        text: 'UPDATE committees SET is_current = $1, updated_at = $2, source_document_id = $3 WHERE system_code = $4',
+        values: [committee.isCurrent, committee.updateDate, archivedDocumentId(committee), committee.systemCode]
+    });
+
+    // Unpack and save committee history
+    if (Array.isArray(committee.history)) {
+        for (const historyItem of committee.history) {
+            if (historyItem.officialName) {
+              await client.query({
+                  text: `
+                      INSERT INTO committee_history (committee_system_code, official_name, start_date, end_date)
+                      VALUES ($1, $2, $3, $4)
+                      ON CONFLICT DO NOTHING;
+                  `,
+                  values: [committee.systemCode, historyItem.officialName, historyItem.startDate, historyItem.endDate]
+              });
+            }
+        }
+    }
+
+    // Check if reports need to be updated
+    if (committee.reports && committee.reports.url) {
+        // Check reports specifically for the current congress
+        const dbResult = await client.query({
+            text: `
+                SELECT 
+                    COUNT(DISTINCT cr.id) as total_reports,
+                    COUNT(DISTINCT rab.report_id) as reports_with_bills
+                FROM committee_reports cr
+                INNER JOIN report_committees rc ON cr.id = rc.report_id
+                LEFT JOIN report_associated_bills rab ON cr.id = rab.report_id
+                WHERE rc.committee_system_code = $1 AND cr.congress = $2
+            `,
+            values: [committee.systemCode, parseInt(options.congress)]
+        });
+
+        const currentCongressReports = parseInt(dbResult.rows[0].total_reports, 10);
+        const reportsWithBills = parseInt(dbResult.rows[0].reports_with_bills, 10);
+        const reportsWithoutBills = currentCongressReports - reportsWithBills;
+
+        // Always process if there are reports without bill associations in the current congress
+        if (reportsWithoutBills > 0 || committee.reports.count > 0) {
+            if (reportsWithoutBills > 0) {
+                console.log(`  Queueing reports for ${committee.systemCode}: ${reportsWithoutBills} Congress ${options.congress} reports need bill associations.`);
+            } else {
+                console.log(`  Queueing reports for ${committee.systemCode}: Checking for new Congress ${options.congress} reports.`);
+            }
+
+            return {
+                systemCode: committee.systemCode,
+                url: committee.reports.url
+            };
+        } else {
+            console.log(`  Skipping reports for ${committee.systemCode}: No Congress ${options.congress} reports to process.`);
+        }
+    }
+    return null;
 }
 
 /**
  * Fetches committee details and history, and returns URLs for their reports if they have been updated.
- * @param {Array<string>} detailUrls - A batch of committee detail URLs.
- * @returns {Promise<Array<object>>} A list of objects containing committee codes and their report URLs.
+ * Each committee is saved under its own savepoint, so one that fails is rolled back alone.
+ * @param {Array<object>} items - A batch of committee ledger items.
+ * @returns {Promise<{reportUrlData: Array<object>, fetchedCount: number, saved: Array<object>, failed: Array<object>}>}
+ *   The committee codes and report URLs to process (empty if the transaction was rolled back),
+ *   how many details were fetched, and the outcome for `settleItems`.
  */
-async function processCommitteeDetailsBatch(detailUrls) {
+async function processCommitteeDetailsBatch(items) {
   const reportUrlData = [];
+  const fetched = [];
+  const saved = [];
+  const failed = [];
   const client = await pool.connect();
 
   try {
       await client.query('BEGIN');
-      for (const url of detailUrls) {
-          const response = await fetch(url);
-          if (!response.ok) {
-              console.error(`  Error fetching detail for ${url}: Status ${response.status}`);
+      for (const item of items) {
+          let committee;
+          try {
+              ({ committee } = await fetchJson(item.url));
+          } catch (error) {
+              console.error(`  Error fetching detail for ${item.url}: ${error.message}`);
+              failed.push({ item, error: error.message });
               continue;
           }
-          const { committee } = await response.json();
-          if (!committee) continue;
-
-          // Update committee with `isCurrent` flag and `updateDate`
-          await client.query({
-              text: 'UPDATE committees SET is_current = $1, updated_at = $2 WHERE system_code = $3',
-              values: [committee.isCurrent, committee.updateDate, committee.systemCode]
-          });
-
-          // Unpack and save committee history
-          if (Array.isArray(committee.history)) {
-              for (const historyItem of committee.history) {
-                  if (historyItem.officialName) {
-                    await client.query({
-                        text: `
-                            INSERT INTO committee_history (committee_system_code, official_name, start_date, end_date)
-                            VALUES ($1, $2, $3, $4)
-                            ON CONFLICT DO NOTHING;
-                        `,
-                        values: [committee.systemCode, historyItem.officialName, historyItem.startDate, historyItem.endDate]
-                    });
-                  }
-              }
+          if (!committee) {
+              failed.push({ item, error: 'Response contained no committee' });
+              continue;
           }
-
-          // Check if reports need to be updated
-          if (committee.reports && committee.reports.url) {
-              // Check reports specifically for the current congress
-              const dbResult = await client.query({
-                  text: `
-                      SELECT 
-                          COUNT(DISTINCT cr.id) as total_reports,
-                          COUNT(DISTINCT rab.report_id) as reports_with_bills
-                      FROM committee_reports cr
-                      INNER JOIN report_committees rc ON cr.id = rc.report_id
-                      LEFT JOIN report_associated_bills rab ON cr.id = rab.report_id
-                      WHERE rc.committee_system_code = $1 AND cr.congress = $2
-                  `,
-                  values: [committee.systemCode, parseInt(CONGRESS_TO_FETCH)]
-              });
-              
-              const currentCongressReports = parseInt(dbResult.rows[0].total_reports, 10);
-              const reportsWithBills = parseInt(dbResult.rows[0].reports_with_bills, 10);
-              const reportsWithoutBills = currentCongressReports - reportsWithBills;
-
-              // Always process if there are reports without bill associations in the current congress
-              if (reportsWithoutBills > 0 || committee.reports.count > 0) {
-                  if (reportsWithoutBills > 0) {
-                      console.log(`  Queueing reports for ${committee.systemCode}: ${reportsWithoutBills} Congress ${CONGRESS_TO_FETCH} reports need bill associations.`);
-                  } else {
-                      console.log(`  Queueing reports for ${committee.systemCode}: Checking for new Congress ${CONGRESS_TO_FETCH} reports.`);
-                  }
-                  
-                  const baseUrl = committee.reports.url;
-                  const urlWithKey = baseUrl.includes('?') ? `${baseUrl}&api_key=${API_KEY}` : `${baseUrl}?api_key=${API_KEY}`;
-                  reportUrlData.push({
-                      systemCode: committee.systemCode,
-                      url: urlWithKey
-                  });
-              } else {
-                  console.log(`  Skipping reports for ${committee.systemCode}: No Congress ${CONGRESS_TO_FETCH} reports to process.`);
-              }
+          fetched.push({ item, committee });
+          try {
+              const reportUrlDatum = await withSavepoint(client, () => saveCommitteeDetails(client, committee));
+              if (reportUrlDatum) reportUrlData.push(reportUrlDatum);
+              saved.push(item);
+          } catch (error) {
+              console.error(`  ❌ Error saving committee ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+              failed.push({ item, error: error.message, payload: committee });
           }
-          await sleep(100); // Small pause between detail fetches
       }
       await client.query('COMMIT');
+      return { reportUrlData, fetchedCount: fetched.length, saved, failed };
   } catch (error) {
       await client.query('ROLLBACK');
       console.error(`❌ Error processing committee details batch. Transaction rolled back.`, error);
+      const rolledBack = fetched.map(({ item, committee }) => ({ item, error: 'Batch transaction rolled back', payload: committee }));
+      return { reportUrlData: [], fetchedCount: fetched.length, saved: [], failed: [...failed.filter(f => !f.payload), ...rolledBack] };
   } finally {
       client.release();
   }
-  return reportUrlData;
+}
+
+/**
+ * Saves the fields only available on a report's detail record (title, issue date, conference flag)
+ * and links the report to its associated bills, creating placeholder bill rows as needed.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {number} reportId - The `committee_reports` row to update.
+ * @param {object} detailedReport - The report from the `/committee-report/{congress}/{type}/{number}` endpoint.
+ */
+async function saveReportDetails(client, reportId, detailedReport) {
+    // Update report with additional details if needed
+    await client.query({
+        text: `
+            UPDATE committee_reports 
+            SET title = COALESCE($1, title), 
+                issue_date = COALESCE($2, issue_date),
+                is_conference_report = COALESCE($3, is_conference_report),
+                source_document_id = COALESCE($4, source_document_id)
+            WHERE id = $5;
+        `,
+        values: [detailedReport.title, detailedReport.issueDate, detailedReport.isConferenceReport, archivedDocumentId(detailedReport), reportId]
+    });
+    
+    // Process associated bills
+    if (Array.isArray(detailedReport.associatedBill)) {
+        for (const associatedBill of detailedReport.associatedBill) {
+            // First, ensure the bill exists in the bills table
+            const billRes = await client.query({
+                text: `
+                    INSERT INTO bills (congress, type, number)
+                    VALUES ($1, $2, $3)
+                    ON CONFLICT (congress, type, number) DO UPDATE SET
+                        congress = EXCLUDED.congress
+                    RETURNING id;
+                `,
+                values: [associatedBill.congress, associatedBill.type, associatedBill.number]
+            });
+            
+            const billId = billRes.rows[0].id;
+            
+            // Create the association between report and bill
+            await client.query({
+                text: `
+                    INSERT INTO report_associated_bills (report_id, bill_id)
+                    VALUES ($1, $2)
+                    ON CONFLICT DO NOTHING;
+                `,
+                values: [reportId, billId]
+            });
+            
+            console.log(`      Linked report ${detailedReport.citation} to bill ${associatedBill.type}${associatedBill.number}`);
+        }
+    }
 }
 
 /**
  * Fetches and saves all reports for a given committee.
- * @param {object} reportUrlDatum - An object containing a committee's systemCode and its reports URL.
+ * Each report is saved under its own savepoint, so one that fails is rolled back on its own and the rest are committed.
+ * @param {object} item - The committee's 'committee-reports' ledger item (its system code and reports URL).
+ * @returns {Promise<{saved: Array<object>, failed: Array<{item: object, error: string, payload?: object}>}>} The
+ *   committee's item once its reports are committed, and the reports that failed, as 'committee-report' items
+ *   to retry through their detail URL.
  */
-async function processCommitteeReports(reportUrlDatum) {
+async function processCommitteeReports(item) {
     const client = await pool.connect();
-    let nextUrl = reportUrlDatum.url;
+    const failedReports = [];
     let processedCount = 0;
     let skippedCount = 0;
 
     try {
         await client.query('BEGIN');
-        while (nextUrl) {
-            const response = await fetch(nextUrl);
-            if (!response.ok) break;
-            const data = await response.json();
-
+        for await (const data of paginate(item.url)) {
             if (Array.isArray(data.reports)) {
                 for (const report of data.reports) {
                     // Skip reports not from the current congress
-                    if (report.congress !== parseInt(CONGRESS_TO_FETCH)) {
+                    if (report.congress !== parseInt(options.congress)) {
                         skippedCount++;
                         continue;
                     }
 
-                    processedCount++;
-                    
-                    // Insert or update the committee report
-                    const res = await client.query({
-                        text: `
-                            INSERT INTO committee_reports (congress, chamber, type, number, part, citation, updated_at)
-                            VALUES ($1, $2, $3, $4, $5, $6, $7)
-                            ON CONFLICT (citation) DO UPDATE SET updated_at = EXCLUDED.updated_at
-                            RETURNING id;
-                        `,
-                        values: [report.congress, report.chamber, report.type, report.number, report.part, report.citation, report.updateDate]
-                    });
-                    
-                    const reportId = res.rows[0].id;
-                    
-                    // Link report to committee
-                    await client.query({
-                        text: `
-                            INSERT INTO report_committees (report_id, committee_system_code)
-                            VALUES ($1, $2) ON CONFLICT DO NOTHING;
-                        `,
-                        values: [reportId, reportUrlDatum.systemCode]
-                    });
-
-                    // Fetch detailed report information to get associated bills
-                    if (report.congress && report.type && report.number) {
-                        try {
-                            // Construct the detail URL
-                            const detailUrl = `${BASE_API_URL}/committee-report/${report.congress}/${report.type}/${report.number}?api_key=${API_KEY}`;
-                            console.log(`    Fetching detailed report info for ${report.citation} (Congress ${report.congress})...`);
-                            
-                            const detailResponse = await fetch(detailUrl);
-                            if (detailResponse.ok) {
-                                const detailData = await detailResponse.json();
-                                
-                                if (detailData.committeeReports && detailData.committeeReports[0]) {
-                                    const detailedReport = detailData.committeeReports[0];
-                                    
-                                    // Update report with additional details if needed
-                                    await client.query({
-                                        text: `
-                                            UPDATE committee_reports 
-                                            SET title = COALESCE($1, title), 
-                                                issue_date = COALESCE($2, issue_date),
-                                                is_conference_report = COALESCE($3, is_conference_report)
-                                            WHERE id = $4;
-                                        `,
-                                        values: [detailedReport.title, detailedReport.issueDate, detailedReport.isConferenceReport, reportId]
-                                    });
-                                    
-                                    // Process associated bills
-                                    if (Array.isArray(detailedReport.associatedBill)) {
-                                        for (const associatedBill of detailedReport.associatedBill) {
-                                            // First, ensure the bill exists in the bills table
-                                            const billRes = await client.query({
-                                                text: `
-                                                    INSERT INTO bills (congress, type, number)
-                                                    VALUES ($1, $2, $3)
-                                                    ON CONFLICT (congress, type, number) DO UPDATE SET
-                                                        congress = EXCLUDED.congress
-                                                    RETURNING id;
-                                                `,
-                                                values: [associatedBill.congress, associatedBill.type, associatedBill.number]
-                                            });
-                                            
-                                            const billId = billRes.rows[0].id;
-                                            
-                                            // Create the association between report and bill
-                                            await client.query({
-                                                text: `
-                                                    INSERT INTO report_associated_bills (report_id, bill_id)
-                                                    VALUES ($1, $2)
-                                                    ON CONFLICT DO NOTHING;
-                                                `,
-                                                values: [reportId, billId]
-                                            });
-                                            
-                                            console.log(`      Linked report ${report.citation} to bill ${associatedBill.type}${associatedBill.number}`);
-                                        }
-                                    }
+                    const detailUrl = `${BASE_API_URL}/committee-report/${report.congress}/${report.type}/${report.number}`;
+                    let detailedReport = null;
+                    try {
+                        await withSavepoint(client, async () => {
+                            // Reports whose details were saved from the same updateDate don't need their details refetched
+                            const existing = await client.query({
+                                text: 'SELECT updated_at, title FROM committee_reports WHERE citation = $1',
+                                values: [report.citation]
+                            });
+                            const stored = existing.rows[0];
+                            const isUnchanged = !options.force && Boolean(stored?.title && stored.updated_at && report.updateDate
+                                && new Date(stored.updated_at) >= new Date(report.updateDate));
+
+                            // Insert or update the committee report
+                            const res = await client.query({
+                                text: `
+                                    INSERT INTO committee_reports (congress, chamber, type, number, part, citation, updated_at)
+                                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                                    ON CONFLICT (citation) DO UPDATE SET updated_at = EXCLUDED.updated_at
+                                    RETURNING id;
+                                `,
+                                values: [report.congress, report.chamber, report.type, report.number, report.part, report.citation, report.updateDate]
+                            });
+
+                            const reportId = res.rows[0].id;
+
+                            // Link report to committee
+                            await client.query({
+                                text: `
+                                    INSERT INTO report_committees (report_id, committee_system_code)
+                                    VALUES ($1, $2) ON CONFLICT DO NOTHING;
+                                `,
+                                values: [reportId, item.entity_key]
+                            });
+
+                            // Fetch detailed report information to get associated bills
+                            if (!isUnchanged && report.congress && report.type && report.number) {
+                                console.log(`    Fetching detailed report info for ${report.citation} (Congress ${report.congress})...`);
+                                const detailData = await fetchJson(detailUrl).catch(error => {
+                                    if (error.status !== 404) throw error;
+                                    console.log(`    No detailed info found for report ${report.citation}`);
+                                    return null;
+                                });
+                                detailedReport = detailData?.committeeReports?.[0] || null;
+                                if (detailedReport) {
+                                    await saveReportDetails(client, reportId, detailedReport);
                                 }
-                            } else if (detailResponse.status === 404) {
-                                console.log(`    No detailed info found for report ${report.citation}`);
-                            } else {
-                                console.error(`    Error fetching detail for report ${report.citation}: Status ${detailResponse.status}`);
                             }
-                            
-                            await sleep(100); // Small pause between detail fetches
-                        } catch (error) {
-                            console.error(`    Error processing detailed report for ${report.citation}:`, error.message);
-                        }
+                        });
+                        processedCount++;
+                    } catch (error) {
+                        console.error(`    ❌ Error saving report ${report.citation}, rolled back to its savepoint: ${error.message}`);
+                        failedReports.push({
+                            item: { entity_type: 'committee-report', entity_key: report.citation, url: detailUrl },
+                            error: error.message,
+                            payload: detailedReport ? { committeeReports: [detailedReport] } : null,
+                        });
                     }
                 }
             }
-            nextUrl = (data.pagination && data.pagination.next) ? `${data.pagination.next}&api_key=${API_KEY}` : null;
-            if (nextUrl) await sleep(100);
         }
         await client.query('COMMIT');
-        console.log(`  Reports for committee ${reportUrlDatum.systemCode}: Processed ${processedCount} from Congress ${CONGRESS_TO_FETCH}, skipped ${skippedCount} from other congresses.`);
+        console.log(`  Reports for committee ${item.entity_key}: Processed ${processedCount} from Congress ${options.congress}, failed ${failedReports.length}, skipped ${skippedCount} from other congresses.`);
+        return { saved: [item], failed: failedReports };
     } catch(error) {
         await client.query('ROLLBACK');
-        console.error(`  ❌ Error processing reports for ${reportUrlDatum.systemCode}. Transaction rolled back.`, error)
+        console.error(`  ❌ Error processing reports for ${item.entity_key}. Transaction rolled back.`, error)
+        return { saved: [], failed: [{ item, error: 'Report transaction rolled back' }] };
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Records every committee report updated inside an incremental run's window as a ledger item.
+ * Items already recorded for the run are left untouched, so this is safe to repeat on resume.
+ * @param {object} run - The ingestion run from the ledger.
+ */
+async function enqueueUpdatedReports(run) {
+    console.log(`\nFetching committee reports updated since the last sync for Congress ${options.congress}...`);
+    const reports = await fetchAllItems(`${BASE_API_URL}/committee-report/${options.congress}`, 'reports', windowParams(run));
+    await enqueueItems(pool, run.id, reports.map(report => ({ entityType: 'committee-report', entityKey: report.citation, url: report.url })));
+    console.log(`✅ Found ${reports.length} updated committee reports.`);
+}
+
+/**
+ * Records every committee report of the congress with an archived detail document, for a reprocessing run.
+ * @param {object} run - The ingestion run from the ledger.
+ */
+async function enqueueArchivedReports(run) {
+    const documents = await listArchivedDocuments(pool, `committee-report/${options.congress}/[A-Za-z]+/[0-9]+`);
+    const items = documents
+        .filter(({ document }) => document.committeeReports?.[0])
+        .map(({ url, document }) => ({ entityType: 'committee-report', entityKey: document.committeeReports[0].citation, url }));
+    await enqueueItems(pool, run.id, items);
+    console.log(`✅ Found ${items.length} archived committee reports.`);
+}
+
+/**
+ * Fetches one committee report (all of its parts) and saves it with its committees and associated bills.
+ * Used by incremental and reprocessing runs, which discover reports through the report list rather than through each committee.
+ * @param {object} item - The report's 'committee-report' ledger item, with its detail URL.
+ * @returns {Promise<{fetchedCount: number, saved: Array<object>, failed: Array<{item: object, error: string, payload?: object}>}>}
+ *   The item in `saved` once the report is committed, or in `failed` with why (and the fetched document, if any).
+ */
+async function processUpdatedReport(item) {
+    let detailData;
+    try {
+        detailData = await fetchJson(item.url);
+    } catch (error) {
+        console.error(`    Error fetching report ${item.url}: ${error.message}`);
+        return { fetchedCount: 0, saved: [], failed: [{ item, error: error.message }] };
+    }
+
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        for (const report of detailData.committeeReports || []) {
+            const res = await client.query({
+                text: `
+                    INSERT INTO committee_reports (congress, chamber, type, number, part, citation, updated_at)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (citation) DO UPDATE SET updated_at = EXCLUDED.updated_at
+                    RETURNING id;
+                `,
+                values: [report.congress, report.chamber || 'Unknown', report.type, report.number, report.part, report.citation, report.updateDate]
+            });
+            const reportId = res.rows[0].id;
+
+            // Link the report to the committees that filed it, when we know them
+            for (const committee of report.committees || []) {
+                await client.query({
+                    text: `
+                        INSERT INTO report_committees (report_id, committee_system_code)
+                        SELECT $1, system_code FROM committees WHERE system_code = $2
+                        ON CONFLICT DO NOTHING;
+                    `,
+                    values: [reportId, committee.systemCode]
+                });
+            }
+
+            await saveReportDetails(client, reportId, report);
+            console.log(`    Saved updated report ${report.citation}`);
+        }
+        await client.query('COMMIT');
+        return { fetchedCount: 1, saved: [item], failed: [] };
+    } catch (error) {
+        await client.query('ROLLBACK');
+        console.error(`  ❌ Error saving report ${item.entity_key}. Transaction rolled back: ${error.message}`);
+        return { fetchedCount: 1, saved: [], failed: [{ item, error: error.message, payload: detailData }] };
     } finally {
         client.release();
     }
 }
 
+/**
+ * Lists the committees and reports a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewCommittees(window) {
+  const previewRun = { window_from: window?.from || null, window_to: window?.to || null };
+  const committeesData = await fetchAllCommittees(windowParams(previewRun));
+  let summary = `${committeesData.length} committees`;
+  if (previewRun.window_from) {
+    const reports = await fetchAllItems(`${BASE_API_URL}/committee-report/${options.congress}`, 'reports', windowParams(previewRun));
+    summary += ` and ${reports.length} updated committee reports`;
+  }
+  console.log(`\n🔎 Dry run: would fetch details for ${summary}. Nothing was written to the database.`);
+  return 'dry-run';
+}
 
 /**
- * Main function to orchestrate the entire data population process.
+ * Syncs the committees, their history and their reports for one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Committees saved per transaction.
+ * @param {boolean} [runOptions.force] - Refetch report details even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch committees and reports updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the committees and reports from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the committees and reports with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
  */
-async function main() {
-  console.log('Starting committee data population process...');
-  
-  // 1. Get all base committee data
-  const committeesData = await fetchAllCommittees();
-  if (committeesData.length === 0) {
-      console.log('No committees found to process.');
-      pool.end();
-      return;
+export async function run(runOptions) {
+  options = { ...runOptions, batchSize: runOptions.batchSize || DEFAULT_BATCH_SIZE };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncCommittees();
+  } finally {
+    detachArchive();
+    await pool.end();
   }
-  
-  // 2. Save base data and get detail URLs
-  const detailUrls = await upsertBaseCommittees(committeesData);
-  const allReportUrls = [];
-  
-  // 3. Process details and history in batches
-  console.log(`\nProcessing details for ${detailUrls.length} committees in batches of ${BATCH_SIZE}...`);
-  for (let i = 0; i < detailUrls.length; i += BATCH_SIZE) {
-    const batchUrls = detailUrls.slice(i, i + BATCH_SIZE);
-    console.log(` Processing details batch ${Math.floor(i / BATCH_SIZE) + 1}...`);
-    const reportUrls = await processCommitteeDetailsBatch(batchUrls);
-    allReportUrls.push(...reportUrls);
-    await sleep(500);
+}
+
+/**
+ * Orchestrates the committee data population process for one congress.
+ */
+async function syncCommittees() {
+  console.log(`Starting committee data population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'committees', options.congress) : null;
+  if (options.dryRun) {
+    return previewCommittees(window);
   }
 
-  // 4. Process all reports for each committee
-  if (allReportUrls.length > 0) {
-    console.log(`\nProcessing reports for ${allReportUrls.length} updated committees...`);
-    for (let i = 0; i < allReportUrls.length; i++) {
-        console.log(` [${i+1}/${allReportUrls.length}] Fetching reports for ${allReportUrls[i].systemCode}`);
-        await processCommitteeReports(allReportUrls[i]);
-        await sleep(250); // Pause between processing each committee's reports
+  const run = await startRun(pool, { entityType: 'committees', congress: options.congress, resume: options.resume, window });
+  // With a high-water mark, reports are found through the report list's update window instead of per committee;
+  // when reprocessing, through the archived report documents.
+  const useReportWindow = Boolean(run.window_from) || Boolean(options.fromArchive);
+  try {
+    if (!run.list_complete && options.retryFailed) {
+      // Only the committees and reports with open dead letters; their base data was saved when they were first listed.
+      const items = await getDeadLetterItems(pool, ['committee', 'committee-reports', 'committee-report'], options.congress);
+      await recordListPage(pool, run.id, items, null);
+      console.log(`Found ${items.length} failed committees and reports to retry for Congress ${options.congress}.`);
+    } else if (!run.list_complete) {
+      // 1. Get all base committee data (only the updated committees in an incremental run)
+      const committeesData = options.fromArchive ? await loadArchivedCommittees() : await fetchAllCommittees(windowParams(run));
+      if (committeesData.length === 0 && !useReportWindow) {
+          console.log('No committees found to process.');
+          await finishRun(pool, run.id, 'failed');
+          return 'failed';
+      }
+
+      // 2. Save base data and queue the detail URLs in the ledger
+      if (!(await upsertBaseCommittees(committeesData))) {
+          await finishRun(pool, run.id, 'failed');
+          return 'failed';
+      }
+      const items = committeesData.map(c => ({ entityType: 'committee', entityKey: c.systemCode, url: c.url }));
+      await recordListPage(pool, run.id, items, null);
     }
-  } else {
-      console.log('\nNo committee reports needed to be updated.');
-  }
 
+    // 3. Process details and history in batches
+    const pendingCommittees = await getPendingItems(pool, run.id, 'committee');
+    console.log(`\nProcessing details for ${pendingCommittees.length} committees in batches of ${options.batchSize}...`);
+    for (let i = 0; i < pendingCommittees.length; i += options.batchSize) {
+      const batchItems = pendingCommittees.slice(i, i + options.batchSize);
+      console.log(` Processing details batch ${Math.floor(i / options.batchSize) + 1}...`);
+      const { reportUrlData, fetchedCount, saved, failed } = await processCommitteeDetailsBatch(batchItems);
 
-  console.log('\n✅ All committee data has been processed!');
-  await pool.end();
+      await addFetchedCount(pool, run.id, fetchedCount);
+      // Queue each committee's reports as their own ledger items before marking the committees done.
+      if (!useReportWindow) {
+        await enqueueItems(pool, run.id, reportUrlData.map(r => ({ entityType: 'committee-reports', entityKey: r.systemCode, url: r.url })));
+      }
+      await settleItems(pool, run, { saved, failed });
+    }
+
+    // 4a. In an incremental run, process every report updated inside the window (or every archived report when reprocessing).
+    // Reports retried from dead letters are processed the same way.
+    if (useReportWindow) {
+      await (options.fromArchive ? enqueueArchivedReports(run) : enqueueUpdatedReports(run));
+    }
+    const pendingUpdatedReports = await getPendingItems(pool, run.id, 'committee-report');
+    for (let i = 0; i < pendingUpdatedReports.length; i++) {
+        const item = pendingUpdatedReports[i];
+        console.log(` [${i+1}/${pendingUpdatedReports.length}] Fetching report ${item.entity_key}`);
+        const { fetchedCount, saved, failed } = await processUpdatedReport(item);
+        await addFetchedCount(pool, run.id, fetchedCount);
+        await settleItems(pool, run, { saved, failed });
+    }
+
+    // 4b. Otherwise, process all reports for each committee
+    const pendingReports = await getPendingItems(pool, run.id, 'committee-reports');
+    if (pendingReports.length > 0) {
+      console.log(`\nProcessing reports for ${pendingReports.length} updated committees...`);
+      for (let i = 0; i < pendingReports.length; i++) {
+          const item = pendingReports[i];
+          console.log(` [${i+1}/${pendingReports.length}] Fetching reports for ${item.entity_key}`);
+          const { saved, failed } = await processCommitteeReports(item);
+          // Reports that failed on their own join the ledger as their own items, so they are counted as failed,
+          // dead-lettered and retried through their detail URL (step 4a) on --resume or retry-failed.
+          const failedReports = failed.filter(f => f.item !== item).map(f => f.item);
+          await enqueueItems(pool, run.id, failedReports.map(r => ({ entityType: r.entity_type, entityKey: r.entity_key, url: r.url })));
+          await settleItems(pool, run, { saved, failed });
+      }
+    } else {
+        console.log('\nNo committee reports needed to be updated.');
+    }
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'committees', options.congress, run.window_to);
+    }
+    console.log('\n✅ All committee data has been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
 }
 
-main().catch(error => {
-  console.error('An unexpected error occurred during the main process:', error);
-  pool.end();
-});
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
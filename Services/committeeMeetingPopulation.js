@@ -0,0 +1,426 @@
+// This script fetches committee meetings (/committee-meeting) and published hearings (/hearing) from the
+// Congress.gov API and populates committee_meetings and hearings, linked to the committees that held them
+// and to the bills they considered. Hearings are linked to the meeting they were held at.
+// It follows the same ledger, batch and upsert pattern as billDataPopulation.js: the meeting list is paged first,
+// then the hearing list, and each meeting or hearing is fetched and saved as its own ledger item.
+// Committees and bills are only linked when they are already stored, so sync committees and bills first.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Ensure your .env file has DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
+// 3. Run it through the CLI: node cli.js sync meetings [--congress 119] [--batch-size 25] [--force] [--dry-run] [--incremental]
+//    (or directly with the same flags: node Services/committeeMeetingPopulation.js --congress 119)
+
+import { BASE_API_URL, fetchJson, paginate, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+const hearingKey = (hearing) => `${hearing.congress}-${hearing.chamber?.toLowerCase()}-${hearing.jacketNumber}`;
+
+// The two lists a run pages through, in order. `itemsKey` holds a list page's records and `detailKey` the record in its detail document.
+const LISTS = {
+  'committee-meeting': {
+    endpoint: 'committee-meeting',
+    label: 'committee meetings',
+    itemsKey: 'committeeMeetings',
+    detailKey: 'committeeMeeting',
+    key: (meeting) => String(meeting.eventId),
+    storedQuery: `
+      SELECT event_id AS key, updated_at FROM committee_meetings
+      WHERE last_processed_at IS NOT NULL AND event_id = ANY($1::TEXT[])
+    `,
+  },
+  hearing: {
+    endpoint: 'hearing',
+    label: 'hearings',
+    itemsKey: 'hearings',
+    detailKey: 'hearing',
+    key: hearingKey,
+    storedQuery: `
+      SELECT congress || '-' || LOWER(chamber) || '-' || jacket_number AS key, updated_at FROM hearings
+      WHERE last_processed_at IS NOT NULL AND congress || '-' || LOWER(chamber) || '-' || jacket_number = ANY($1::TEXT[])
+    `,
+  },
+};
+
+/**
+ * Returns the first page URL of a list, with the run's update window applied.
+ */
+function listStartUrl(list, run) {
+  const url = new URL(`${BASE_API_URL}/${list.endpoint}/${options.congress}`);
+  for (const [key, value] of Object.entries(windowParams(run))) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+/**
+ * Pages through the meeting list and then the hearing list for the specified congress, recording every URL in the run's ledger.
+ * The saved cursor says which list to continue: the last meeting page points the cursor at the first hearing page.
+ * Incremental runs only list records updated inside the run's window.
+ * Full runs record records that haven't changed since they were stored as skipped, unless the run was started with --force.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueMeetingUrls(run, recordPage) {
+  const skipUnchanged = !run.window_to && !options.force;
+  const hearingsStart = listStartUrl(LISTS.hearing, run);
+  const resumeHearings = Boolean(run.page_cursor) && new URL(run.page_cursor).pathname.includes('/hearing/');
+  console.log(`Starting to fetch meeting and hearing URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
+
+  for (const [entityType, list] of Object.entries(LISTS)) {
+    if (entityType === 'committee-meeting' && resumeHearings) continue;
+    const isLast = entityType === 'hearing';
+    const resumeUrl = run.page_cursor && resumeHearings === isLast ? run.page_cursor : null;
+    const startUrl = resumeUrl || listStartUrl(list, run);
+    let pendingCount = 0;
+    let skippedCount = 0;
+
+    for await (const data of paginate(startUrl)) {
+      const records = data[list.itemsKey] || [];
+      const stored = skipUnchanged ? await getStoredUpdateDates(list, records) : new Map();
+
+      const items = records.map(record => {
+        const key = list.key(record);
+        const storedUpdate = stored.get(key);
+        const isUnchanged = Boolean(storedUpdate && record.updateDate && new Date(storedUpdate) >= new Date(record.updateDate));
+        if (isUnchanged) skippedCount++; else pendingCount++;
+        return { entityType, entityKey: key, url: record.url, status: isUnchanged ? 'skipped' : 'pending' };
+      });
+      const next = data.pagination?.next || null;
+      await recordPage(items, next || (isLast ? null : hearingsStart));
+    }
+
+    console.log(`✅ Queued ${pendingCount} ${list.label} to process (${skippedCount} unchanged skipped).`);
+  }
+}
+
+/**
+ * Returns the stored update date of each listed record that has been fully processed, keyed like the ledger.
+ */
+async function getStoredUpdateDates(list, records) {
+  if (records.length === 0) return new Map();
+  const result = await pool.query({ text: list.storedQuery, values: [records.map(list.key)] });
+  return new Map(result.rows.map(row => [row.key, row.updated_at]));
+}
+
+/**
+ * Records every meeting and hearing of the congress that has an archived detail document, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueArchivedMeetings(recordPage) {
+  const items = [];
+  for (const [entityType, list] of Object.entries(LISTS)) {
+    const documents = await listArchivedDocuments(pool, `${list.endpoint}/${options.congress}/[a-z]+/[0-9]+`);
+    items.push(...documents
+      .filter(({ document }) => document[list.detailKey])
+      .map(({ url, document }) => ({ entityType, entityKey: list.key(document[list.detailKey]), url })));
+  }
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived meetings and hearings to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the meetings and hearings of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedMeetings(recordPage) {
+  const items = await getDeadLetterItems(pool, Object.keys(LISTS), options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed meetings and hearings to retry for Congress ${options.congress}.`);
+}
+
+/**
+ * Links a meeting or hearing to the stored committees among those listed.
+ */
+async function linkCommittees(client, table, idColumn, id, committees) {
+  await client.query({ text: `DELETE FROM ${table} WHERE ${idColumn} = $1`, values: [id] });
+  const systemCodes = (committees || []).map(c => c.systemCode?.toLowerCase()).filter(Boolean);
+  if (systemCodes.length === 0) return;
+  await client.query({
+    text: `
+      INSERT INTO ${table} (${idColumn}, committee_system_code)
+      SELECT $1, system_code FROM committees WHERE system_code = ANY($2::TEXT[])
+      ON CONFLICT DO NOTHING;
+    `,
+    values: [id, systemCodes],
+  });
+}
+
+/**
+ * Saves one committee meeting with its committees, the bills it considered and its witnesses.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} meeting - The meeting from the committee-meeting detail endpoint.
+ */
+async function saveMeeting(client, meeting) {
+  const result = await client.query({
+    text: `
+      INSERT INTO committee_meetings (
+        event_id, congress, chamber, type, title, meeting_status, meeting_date,
+        location_building, location_room, location_address, updated_at, source_document_id, last_processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+      ON CONFLICT (event_id) DO UPDATE SET
+        congress = EXCLUDED.congress,
+        chamber = EXCLUDED.chamber,
+        type = EXCLUDED.type,
+        title = EXCLUDED.title,
+        meeting_status = EXCLUDED.meeting_status,
+        meeting_date = EXCLUDED.meeting_date,
+        location_building = EXCLUDED.location_building,
+        location_room = EXCLUDED.location_room,
+        location_address = EXCLUDED.location_address,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      String(meeting.eventId),
+      meeting.congress,
+      meeting.chamber,
+      meeting.type,
+      meeting.title,
+      meeting.meetingStatus,
+      meeting.date,
+      meeting.location?.building,
+      meeting.location?.room,
+      meeting.location?.address,
+      meeting.updateDate,
+      archivedDocumentId(meeting),
+    ],
+  });
+  const meetingId = result.rows[0].id;
+
+  await linkCommittees(client, 'committee_meeting_committees', 'meeting_id', meetingId, meeting.committees);
+
+  await client.query({ text: 'DELETE FROM committee_meeting_bills WHERE meeting_id = $1', values: [meetingId] });
+  for (const bill of meeting.relatedItems?.bills || []) {
+    await client.query({
+      text: `
+        INSERT INTO committee_meeting_bills (meeting_id, bill_id)
+        SELECT $1, id FROM bills WHERE congress = $2 AND type = $3 AND number = $4
+        ON CONFLICT DO NOTHING;
+      `,
+      values: [meetingId, bill.congress, bill.type?.toUpperCase(), bill.number],
+    });
+  }
+
+  await client.query({ text: 'DELETE FROM committee_meeting_witnesses WHERE meeting_id = $1', values: [meetingId] });
+  for (const witness of meeting.witnesses || []) {
+    if (!witness.name) continue;
+    await client.query({
+      text: 'INSERT INTO committee_meeting_witnesses (meeting_id, name, position, organization) VALUES ($1, $2, $3, $4)',
+      values: [meetingId, witness.name, witness.position, witness.organization],
+    });
+  }
+}
+
+/**
+ * Saves one published hearing with its committees, linked to the meeting it was held at when that is stored.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} hearing - The hearing from the hearing detail endpoint.
+ */
+async function saveHearing(client, hearing) {
+  const formatUrl = (type) => (hearing.formats || []).find(format => format.type === type)?.url ?? null;
+  const result = await client.query({
+    text: `
+      INSERT INTO hearings (
+        congress, chamber, jacket_number, number, part, title, citation, hearing_date, meeting_id,
+        pdf_url, text_url, updated_at, source_document_id, last_processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, (SELECT id FROM committee_meetings WHERE event_id = $9), $10, $11, $12, $13, NOW())
+      ON CONFLICT (congress, chamber, jacket_number) DO UPDATE SET
+        number = EXCLUDED.number,
+        part = EXCLUDED.part,
+        title = EXCLUDED.title,
+        citation = EXCLUDED.citation,
+        hearing_date = EXCLUDED.hearing_date,
+        meeting_id = EXCLUDED.meeting_id,
+        pdf_url = EXCLUDED.pdf_url,
+        text_url = EXCLUDED.text_url,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      hearing.congress,
+      hearing.chamber,
+      hearing.jacketNumber,
+      hearing.number,
+      hearing.part,
+      hearing.title,
+      hearing.citation,
+      hearing.dates?.[0]?.date ?? null,
+      hearing.associatedMeeting?.eventId ? String(hearing.associatedMeeting.eventId) : null,
+      formatUrl('PDF'),
+      formatUrl('Formatted Text'),
+      hearing.updateDate,
+      archivedDocumentId(hearing),
+    ],
+  });
+  await linkCommittees(client, 'hearing_committees', 'hearing_id', result.rows[0].id, hearing.committees);
+}
+
+const SAVERS = { 'committee-meeting': saveMeeting, hearing: saveHearing };
+
+/**
+ * Saves a batch of fetched meetings or hearings in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, record: object}>} entries - The fetched records with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveRecordBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, record } of entries) {
+      try {
+        await withSavepoint(client, () => SAVERS[item.entity_type](client, record));
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving ${item.entity_type} ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message, payload: record });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} records to the database.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving meeting batch. Transaction rolled back.', error);
+    return {
+      saved: [],
+      failed: entries.map(({ item, record }) => ({ item, error: 'Batch transaction rolled back', payload: record })),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fetches and saves every pending item of one type, in batches.
+ */
+async function processPendingItems(run, entityType) {
+  const list = LISTS[entityType];
+  const pendingItems = await getPendingItems(pool, run.id, entityType);
+  if (pendingItems.length === 0) {
+    console.log(`No new or updated ${list.label} found to process.`);
+    return;
+  }
+  console.log(`\nProcessing ${pendingItems.length} ${list.label} in batches of ${options.batchSize}...`);
+
+  for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+    const batchItems = pendingItems.slice(i, i + options.batchSize);
+    console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+    const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+      try {
+        const record = (await fetchJson(item.url))[list.detailKey];
+        return { item, record: record || null, error: record ? null : `Response contained no ${list.detailKey}` };
+      } catch (error) {
+        console.error(`  Error fetching ${entityType} ${item.url}: ${error.message}`);
+        return { item, record: null, error: error.message };
+      }
+    });
+
+    const fetched = results.filter(r => r.record !== null);
+    await addFetchedCount(pool, run.id, fetched.length);
+    await settleItems(pool, run, { saved: [], failed: results.filter(r => r.record === null) });
+    await settleItems(pool, run, await saveRecordBatch(fetched));
+  }
+}
+
+/**
+ * Lists the meetings and hearings a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewMeetings(window) {
+  let pendingCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueMeetingUrls(previewRun, async (items) => {
+    pendingCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch ${pendingCount} meetings and hearings. Nothing was written to the database.`);
+  return 'dry-run';
+}
+
+/**
+ * Syncs the committee meetings and hearings of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Records saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Refetch records even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch records updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the records from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the records with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncMeetings();
+  } finally {
+    detachArchive();
+    await pool.end();
+  }
+}
+
+async function syncMeetings() {
+  console.log(`Starting committee meeting and hearing population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'committee-meetings', options.congress) : null;
+  if (options.dryRun) {
+    return previewMeetings(window);
+  }
+
+  const run = await startRun(pool, { entityType: 'committee-meetings', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedMeetings(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedMeetings(recordPage);
+      } else {
+        await enqueueMeetingUrls(run, recordPage);
+      }
+    }
+
+    // Meetings first, so hearings can be linked to the meeting they were held at.
+    await processPendingItems(run, 'committee-meeting');
+    await processPendingItems(run, 'hearing');
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'committee-meetings', options.congress, run.window_to);
+    }
+    console.log('\n✅ All committee meetings and hearings have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
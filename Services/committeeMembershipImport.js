@@ -0,0 +1,222 @@
+// This script imports committee and subcommittee rosters into committee_memberships from the
+// congress-legislators project (https://github.com/unitedstates/congress-legislators), since the
+// Congress.gov API publishes no membership data. It reads local copies of two of its files:
+// - committees-current.yaml, which lists each committee's thomas_id and its subcommittees, and
+// - committee-membership-current.yaml, which lists the members of each committee and subcommittee by
+//   thomas_id (HSAG, or HSAG14 for a subcommittee) with their bioguide id, rank, title and party side.
+// Thomas ids map onto the API's system codes (HSAG -> hsag00, HSAG14 -> hsag14). Seats on committees or
+// members that aren't in the database are skipped, so sync members and committees first.
+// The files describe the current congress only, so each import replaces that congress's whole roster.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Run it through the CLI: node cli.js sync memberships --legislators-dir <dir> [--congress 119] [--dry-run]
+//    (or directly with the same flags: node Services/committeeMembershipImport.js --legislators-dir <dir>)
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { createPool } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+
+const COMMITTEES_FILE = 'committees-current.yaml';
+const MEMBERSHIP_FILE = 'committee-membership-current.yaml';
+const PARTY_SIDES = new Set(['majority', 'minority']);
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+/**
+ * Reads and parses one of the congress-legislators YAML files from --legislators-dir.
+ */
+async function readYamlFile(fileName) {
+  const file = path.join(options.legislatorsDir, fileName);
+  return yaml.load(await fs.readFile(file, 'utf8'), { filename: file });
+}
+
+/**
+ * Maps every committee and subcommittee thomas_id in committees-current.yaml to its system codes.
+ * @param {Array<object>} committees - The parsed committees file.
+ * @returns {Map<string, {committee: string, subcommittee: string|null}>} Keys as used in the membership file.
+ */
+function mapCommitteeIds(committees) {
+  const ids = new Map();
+  for (const committee of committees || []) {
+    if (!committee.thomas_id) continue;
+    const parentCode = `${committee.thomas_id.toLowerCase()}00`;
+    ids.set(committee.thomas_id, { committee: parentCode, subcommittee: null });
+    for (const subcommittee of committee.subcommittees || []) {
+      if (!subcommittee.thomas_id) continue;
+      ids.set(`${committee.thomas_id}${subcommittee.thomas_id}`, {
+        committee: parentCode,
+        subcommittee: `${committee.thomas_id.toLowerCase()}${subcommittee.thomas_id}`,
+      });
+    }
+  }
+  return ids;
+}
+
+/**
+ * Turns the membership file into roster rows, one per seat.
+ * Seats under thomas_ids missing from the committees file are counted and left out.
+ * @param {object} memberships - The parsed membership file: thomas_id -> list of members.
+ * @param {Map<string, object>} committeeIds - From `mapCommitteeIds`.
+ * @returns {{seats: Array<object>, unknownCommittees: Array<string>}}
+ */
+function buildSeats(memberships, committeeIds) {
+  const seats = [];
+  const unknownCommittees = [];
+  for (const [thomasId, members] of Object.entries(memberships || {})) {
+    const codes = committeeIds.get(thomasId);
+    if (!codes) {
+      unknownCommittees.push(thomasId);
+      continue;
+    }
+    for (const member of members || []) {
+      if (!member.bioguide) continue;
+      seats.push({
+        bioguideId: member.bioguide,
+        committee: codes.committee,
+        subcommittee: codes.subcommittee,
+        rank: Number.isInteger(member.rank) ? member.rank : null,
+        title: member.title || null,
+        partySide: PARTY_SIDES.has(member.party) ? member.party : null,
+      });
+    }
+  }
+  return { seats, unknownCommittees };
+}
+
+/**
+ * Keeps the seats whose member and committees are in the database.
+ * @returns {Promise<{matched: Array<object>, unmatched: Array<object>}>}
+ */
+async function matchSeats(seats) {
+  const [members, committees] = await Promise.all([
+    pool.query({
+      text: 'SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])',
+      values: [[...new Set(seats.map(seat => seat.bioguideId))]],
+    }),
+    pool.query('SELECT system_code FROM committees'),
+  ]);
+  const memberIds = new Set(members.rows.map(row => row.bioguide_id));
+  const systemCodes = new Set(committees.rows.map(row => row.system_code));
+
+  const matched = [];
+  const unmatched = [];
+  for (const seat of seats) {
+    const known = memberIds.has(seat.bioguideId)
+      && systemCodes.has(seat.committee)
+      && (!seat.subcommittee || systemCodes.has(seat.subcommittee));
+    (known ? matched : unmatched).push(seat);
+  }
+  return { matched, unmatched };
+}
+
+/**
+ * Replaces the congress's roster with the given seats in one transaction.
+ * @returns {Promise<number>} The number of seats saved.
+ */
+async function replaceRoster(seats) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query({ text: 'DELETE FROM committee_memberships WHERE congress = $1', values: [options.congress] });
+    const result = await client.query({
+      text: `
+        INSERT INTO committee_memberships (congress, member_bioguide_id, committee_system_code, subcommittee_system_code, rank, title, party_side)
+        SELECT $1, s.member_bioguide_id, s.committee_system_code, s.subcommittee_system_code, s.rank, s.title, s.party_side
+        FROM UNNEST($2::TEXT[], $3::TEXT[], $4::TEXT[], $5::INT[], $6::TEXT[], $7::TEXT[])
+          AS s(member_bioguide_id, committee_system_code, subcommittee_system_code, rank, title, party_side)
+        ON CONFLICT DO NOTHING;
+      `,
+      values: [
+        options.congress,
+        seats.map(seat => seat.bioguideId),
+        seats.map(seat => seat.committee),
+        seats.map(seat => seat.subcommittee),
+        seats.map(seat => seat.rank),
+        seats.map(seat => seat.title),
+        seats.map(seat => seat.partySide),
+      ],
+    });
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Imports the committee rosters for one congress from the files in --legislators-dir.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress the roster belongs to. The files only describe the
+ *   current congress, so other congresses are skipped when CURRENT_CONGRESS is set.
+ * @param {string} [runOptions.legislatorsDir] - The directory holding the two YAML files. Without it nothing is imported.
+ * @param {boolean} [runOptions.dryRun] - Report what would be imported without writing to the database.
+ * @returns {Promise<string>} The run status: 'completed', 'failed', 'dry-run', or 'skipped'.
+ */
+export async function run(runOptions) {
+  options = runOptions;
+  if (!options.legislatorsDir) {
+    console.log(`⏭️  No --legislators-dir given; skipping committee memberships for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+  if (process.env.CURRENT_CONGRESS && Number(options.congress) !== Number(process.env.CURRENT_CONGRESS)) {
+    console.log(`⏭️  The membership files only describe the current congress; skipping committee memberships for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+
+  pool = createPool();
+  try {
+    return await importCommitteeMemberships();
+  } finally {
+    await pool.end();
+  }
+}
+
+async function importCommitteeMemberships() {
+  console.log(`Starting committee membership import for Congress ${options.congress}...`);
+  let seats;
+  try {
+    const committeeIds = mapCommitteeIds(await readYamlFile(COMMITTEES_FILE));
+    const built = buildSeats(await readYamlFile(MEMBERSHIP_FILE), committeeIds);
+    seats = built.seats;
+    if (built.unknownCommittees.length > 0) {
+      console.warn(`  ⚠️  ${built.unknownCommittees.length} committees in ${MEMBERSHIP_FILE} aren't in ${COMMITTEES_FILE}: ${built.unknownCommittees.join(', ')}`);
+    }
+  } catch (error) {
+    console.error(`❌ Error reading the membership files in ${options.legislatorsDir}: ${error.message}`);
+    return 'failed';
+  }
+
+  const { matched, unmatched } = await matchSeats(seats);
+  if (unmatched.length > 0) {
+    console.warn(`  ⚠️  Skipping ${unmatched.length} seats whose member or committee isn't in the database.`);
+  }
+  if (options.dryRun) {
+    console.log(`\n🔎 Dry run: would replace the Congress ${options.congress} roster with ${matched.length} seats. Nothing was written to the database.`);
+    return 'dry-run';
+  }
+  if (matched.length === 0) {
+    // An empty roster usually means members or committees weren't synced; keep the stored roster.
+    console.error('❌ No seats matched the database; the stored roster was left unchanged.');
+    return 'failed';
+  }
+
+  try {
+    const saved = await replaceRoster(matched);
+    console.log(`\n✅ Saved ${saved} committee seats for Congress ${options.congress}.`);
+    return 'completed';
+  } catch (error) {
+    console.error('❌ Error saving committee memberships. Transaction rolled back.', error);
+    return 'failed';
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run, { apiKey: false });
+}
@@ -0,0 +1,183 @@
+// Configuration shared by the `congress` CLI and the data population scripts.
+// It validates the .env settings before any work starts and parses the per-run sync flags,
+// so a bad setting fails fast with a clear message instead of halfway through an ingestion run.
+
+import 'dotenv/config';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { ordinal } from './citations.js';
+
+const DB_ENV_VARS = ['DB_USER', 'DB_HOST', 'DB_NAME', 'DB_PASSWORD', 'DB_PORT'];
+// The first congress the Congress.gov API has data for.
+export const FIRST_API_CONGRESS = 93;
+
+// Flags accepted by every sync command, in the format expected by util.parseArgs.
+export const SYNC_FLAGS = {
+  congress: { type: 'string' },
+  'batch-size': { type: 'string' },
+  concurrency: { type: 'string' },
+  force: { type: 'boolean', default: false },
+  'dry-run': { type: 'boolean', default: false },
+  resume: { type: 'boolean', default: false },
+  incremental: { type: 'boolean', default: false },
+  'text-dir': { type: 'string' },
+  'vote-dir': { type: 'string' },
+  'legislators-dir': { type: 'string' },
+  'zcta-file': { type: 'string' },
+  'district-file': { type: 'string' },
+};
+
+// Flags accepted by `congress reprocess` and `congress retry-failed`, whose records are already chosen
+// (archived documents or dead letters), so there is nothing to filter or skip.
+export const REPROCESS_FLAGS = {
+  congress: SYNC_FLAGS.congress,
+  'batch-size': SYNC_FLAGS['batch-size'],
+  resume: SYNC_FLAGS.resume,
+};
+// `congress retry-failed` also retries bill texts, which can be read from a local directory.
+export const RETRY_FLAGS = {
+  ...REPROCESS_FLAGS,
+  'text-dir': SYNC_FLAGS['text-dir'],
+};
+
+/**
+ * Checks the .env configuration and throws one error that lists every problem found.
+ * @param {object} [requirements]
+ * @param {boolean} [requirements.apiKey] - Whether CONGRESS_API_KEY is needed (anything that calls the API).
+ *   A local mock API set through CONGRESS_API_BASE_URL doesn't need one.
+ * @param {boolean} [requirements.congress] - Whether CURRENT_CONGRESS is needed (no --congress flag was given).
+ */
+export function validateEnv({ apiKey = false, congress = false } = {}) {
+  const problems = DB_ENV_VARS
+    .filter(name => !process.env[name])
+    .map(name => `${name} is not set`);
+
+  if (process.env.CONGRESS_API_BASE_URL && !URL.canParse(process.env.CONGRESS_API_BASE_URL)) {
+    problems.push(`CONGRESS_API_BASE_URL must be a URL, got '${process.env.CONGRESS_API_BASE_URL}'`);
+  }
+  if (process.env.DB_PORT && !/^\d+$/.test(process.env.DB_PORT)) {
+    problems.push(`DB_PORT must be a port number, got '${process.env.DB_PORT}'`);
+  }
+  if (apiKey && !process.env.CONGRESS_API_KEY && !process.env.CONGRESS_API_BASE_URL) {
+    problems.push('CONGRESS_API_KEY is not set');
+  }
+  if (congress) {
+    if (!process.env.CURRENT_CONGRESS) {
+      problems.push('CURRENT_CONGRESS is not set (or pass --congress)');
+    } else if (!/^\d+$/.test(process.env.CURRENT_CONGRESS)) {
+      problems.push(`CURRENT_CONGRESS must be a congress number, got '${process.env.CURRENT_CONGRESS}'`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid .env configuration:\n  - ${problems.join('\n  - ')}`);
+  }
+}
+
+/**
+ * Returns the congress in session on a date. Each congress starts on January 3 of an odd year.
+ * @param {Date} [date] - Defaults to now.
+ * @returns {number}
+ */
+export function currentCongress(date = new Date()) {
+  const year = date.getUTCMonth() === 0 && date.getUTCDate() < 3 ? date.getUTCFullYear() - 1 : date.getUTCFullYear();
+  return Math.floor((year - 1789) / 2) + 1;
+}
+
+/**
+ * Parses a congress selection such as '118', '117-119' or '115,117-119' into a sorted list of congress numbers.
+ * Every congress must be between FIRST_API_CONGRESS and the current congress.
+ * @param {string} value - The selection.
+ * @returns {Array<number>}
+ */
+export function parseCongressRange(value) {
+  const congresses = new Set();
+  for (const part of String(value).split(',')) {
+    const match = part.trim().match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid congress '${part.trim()}'. Use a number or a range such as 117-119.`);
+    }
+    const start = parseInt(match[1], 10);
+    const end = match[2] ? parseInt(match[2], 10) : start;
+    if (start > end) {
+      throw new Error(`Invalid congress range '${part.trim()}': the start is after the end.`);
+    }
+    if (start < FIRST_API_CONGRESS) {
+      throw new Error(`Congress ${start} is not available; the Congress.gov API starts at the ${ordinal(FIRST_API_CONGRESS)} Congress.`);
+    }
+    if (end > currentCongress()) {
+      throw new Error(`Congress ${end} is not available; the current congress is the ${ordinal(currentCongress())}.`);
+    }
+    for (let congress = start; congress <= end; congress++) congresses.add(congress);
+  }
+  return [...congresses].sort((a, b) => a - b);
+}
+
+function parsePositiveInt(value, flag) {
+  if (value === undefined) return undefined;
+  if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+    throw new Error(`--${flag} must be a positive whole number, got '${value}'.`);
+  }
+  return parseInt(value, 10);
+}
+
+/**
+ * Turns parsed sync flags into the options accepted by the population scripts' `run` functions.
+ * @param {object} values - The `values` returned by util.parseArgs with SYNC_FLAGS.
+ * @returns {{congresses: Array<number>, batchSize?: number, concurrency?: number, force: boolean, dryRun: boolean, resume: boolean, incremental: boolean, textDir?: string, voteDir?: string, legislatorsDir?: string, zctaFile?: string, districtFile?: string}}
+ */
+export function toSyncOptions(values) {
+  return {
+    congresses: parseCongressRange(values.congress || process.env.CURRENT_CONGRESS),
+    batchSize: parsePositiveInt(values['batch-size'], 'batch-size'),
+    concurrency: parsePositiveInt(values.concurrency, 'concurrency'),
+    force: values.force,
+    dryRun: values['dry-run'],
+    resume: values.resume,
+    incremental: values.incremental,
+    textDir: values['text-dir'],
+    voteDir: values['vote-dir'],
+    legislatorsDir: values['legislators-dir'],
+    zctaFile: values['zcta-file'],
+    districtFile: values['district-file'],
+  };
+}
+
+/**
+ * Whether a module was started directly with `node <file>` rather than imported.
+ * @param {string} moduleUrl - The module's `import.meta.url`.
+ */
+export function isMainModule(moduleUrl) {
+  return Boolean(process.argv[1]) && path.resolve(process.argv[1]) === fileURLToPath(moduleUrl);
+}
+
+/**
+ * Runs a population script started directly, e.g. `node Services/billDataPopulation.js --congress 118 --resume`.
+ * It accepts the same sync flags as `congress sync` and sets the exit code from the run's results.
+ * @param {function(object): Promise<string>} run - The script's `run` function, which returns the run status.
+ * @param {object} [requirements]
+ * @param {boolean} [requirements.apiKey] - Whether the script calls the Congress.gov API (false for local file imports).
+ */
+export async function runFromCommandLine(run, { apiKey = true } = {}) {
+  let options;
+  try {
+    const { values } = parseArgs({ args: process.argv.slice(2), options: SYNC_FLAGS });
+    validateEnv({ apiKey, congress: !values.congress });
+    options = toSyncOptions(values);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+    return;
+  }
+
+  try {
+    for (const congress of options.congresses) {
+      const status = await run({ ...options, congress });
+      if (status === 'failed') process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('An unexpected error occurred during the main process:', error);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,293 @@
+// Shared client for the Congress.gov API used by all of the data population scripts.
+// It appends the API key, keeps requests under the 5,000 requests/hour quota with a token bucket,
+// retries 429 and 5xx responses with exponential backoff plus jitter, and follows `pagination.next`.
+// Set CONGRESS_API_BASE_URL to point it at another server, such as the local mock (`node cli.js mock-api`),
+// and CONGRESS_API_RECORD_DIR to save every response it receives as a fixture file for that mock to replay.
+// The population scripts also hand every response to the raw document archive (see rawArchive.js),
+// which can in turn stand in for the network when reprocessing.
+// Usage:
+//   import { BASE_API_URL, fetchJson, paginate, fetchAllItems } from './congressApiClient.js';
+//   const { bill } = await fetchJson(`${BASE_API_URL}/bill/119/hr/1`);
+
+import fetch from 'node-fetch';
+import 'dotenv/config';
+import { LIVE_API_URL, writeFixture } from './apiFixtures.js';
+
+export const BASE_API_URL = (process.env.CONGRESS_API_BASE_URL || LIVE_API_URL).replace(/\/+$/, '');
+const API_KEY = process.env.CONGRESS_API_KEY;
+const RECORD_DIR = process.env.CONGRESS_API_RECORD_DIR;
+
+const HOURLY_REQUEST_LIMIT = 5000;
+const MAX_RETRIES = 6;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 5 * 60 * 1000;
+const DEFAULT_PAGE_LIMIT = 250;
+
+// Optional hooks set by rawArchive.js: a sink receiving every fetched document, and a source answering
+// requests from stored documents instead of the network.
+let documentSink = null;
+let documentSource = null;
+
+/**
+ * Sets the function called with `(requestUrl, body)` after every successful fetch, or clears it with null.
+ * The fetch waits for the sink, so a failure to store the document fails the request.
+ */
+export function setDocumentSink(sink) {
+  documentSink = sink;
+}
+
+/**
+ * Sets the function that answers requests instead of the network, or clears it with null.
+ * It is called with the request URL and returns the body, or null when it has no document for it.
+ */
+export function setDocumentSource(source) {
+  documentSource = source;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Token bucket shared by every request made in this process.
+// It starts full and refills continuously at the hourly quota rate.
+const bucket = {
+  capacity: HOURLY_REQUEST_LIMIT,
+  tokens: HOURLY_REQUEST_LIMIT,
+  refillPerMs: HOURLY_REQUEST_LIMIT / (60 * 60 * 1000),
+  lastRefill: Date.now(),
+};
+
+function refillBucket() {
+  const now = Date.now();
+  bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.lastRefill) * bucket.refillPerMs);
+  bucket.lastRefill = now;
+}
+
+/**
+ * Waits until a request token is available and consumes it.
+ */
+async function acquireToken() {
+  for (;;) {
+    refillBucket();
+    if (bucket.tokens >= 1) {
+      bucket.tokens -= 1;
+      return;
+    }
+    const waitMs = Math.ceil((1 - bucket.tokens) / bucket.refillPerMs);
+    await sleep(waitMs);
+  }
+}
+
+/**
+ * Aligns the local bucket with the quota the API reports, so a fresh process
+ * doesn't assume a full hour of requests when an earlier run already used them.
+ */
+function syncBucketWithHeaders(headers) {
+  const limit = parseInt(headers.get('x-ratelimit-limit'), 10);
+  const remaining = parseInt(headers.get('x-ratelimit-remaining'), 10);
+
+  if (!isNaN(limit) && limit > 0 && limit !== bucket.capacity) {
+    bucket.capacity = limit;
+    bucket.refillPerMs = limit / (60 * 60 * 1000);
+  }
+  if (!isNaN(remaining)) {
+    refillBucket();
+    bucket.tokens = Math.min(bucket.tokens, remaining);
+  }
+}
+
+/**
+ * Computes the delay before the next retry: the server's Retry-After when given,
+ * otherwise exponential backoff with random jitter.
+ */
+function retryDelayMs(attempt, response) {
+  const retryAfter = response ? parseInt(response.headers.get('retry-after'), 10) : NaN;
+  if (!isNaN(retryAfter)) return retryAfter * 1000;
+
+  const backoff = Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** attempt);
+  return backoff + Math.floor(Math.random() * BASE_BACKOFF_MS);
+}
+
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+/**
+ * Returns the given URL with the API key (when one is configured) and any extra query parameters applied.
+ * Existing parameters (such as the offset in a `pagination.next` URL) are preserved.
+ */
+export function withApiKey(url, params = {}) {
+  const fullUrl = new URL(url);
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null) fullUrl.searchParams.set(key, value);
+  }
+  if (API_KEY) fullUrl.searchParams.set('api_key', API_KEY);
+  return fullUrl.toString();
+}
+
+/**
+ * Removes the API key from a URL so it can be safely logged.
+ */
+export function redactApiKey(url) {
+  const redacted = new URL(url);
+  redacted.searchParams.delete('api_key');
+  return redacted.toString();
+}
+
+/**
+ * Parses a successful response as JSON. A body that isn't valid JSON is reported as an error
+ * carrying the response status, like any other failed request, rather than as a bare SyntaxError.
+ */
+async function parseBody(response, requestUrl) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    const error = new Error(`Malformed JSON in response from ${redactApiKey(requestUrl)}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Requests a URL until it succeeds, retrying network errors, 429s and 5xx responses with backoff.
+ * @param {string} requestUrl - The full URL to request.
+ * @param {object} options
+ * @param {boolean} options.rateLimited - Whether the request counts against the API quota (the token bucket).
+ * @returns {Promise<import('node-fetch').Response>} The successful response.
+ * @throws {Error} When the request fails with a non-retryable status or retries are exhausted.
+ */
+async function requestWithRetries(requestUrl, { rateLimited }) {
+  let lastError = null;
+
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    if (rateLimited) await acquireToken();
+
+    let response;
+    try {
+      response = await fetch(requestUrl);
+    } catch (error) {
+      lastError = error;
+      if (attempt < MAX_RETRIES) {
+        const delay = retryDelayMs(attempt);
+        console.warn(`  Network error for ${redactApiKey(requestUrl)} (${error.message}). Retrying in ${Math.round(delay / 1000)}s...`);
+        await sleep(delay);
+      }
+      continue;
+    }
+
+    if (rateLimited) syncBucketWithHeaders(response.headers);
+
+    if (response.ok) return response;
+
+    lastError = new Error(`${rateLimited ? 'API request' : 'Request'} failed with status ${response.status} for ${redactApiKey(requestUrl)}`);
+    lastError.status = response.status;
+
+    if (!isRetryableStatus(response.status)) break;
+
+    if (rateLimited && response.status === 429) {
+      // The quota is spent; drain the bucket so every caller slows to the refill rate.
+      bucket.tokens = 0;
+    }
+    if (attempt < MAX_RETRIES) {
+      const delay = retryDelayMs(attempt, response);
+      console.warn(`  Status ${response.status} for ${redactApiKey(requestUrl)}. Retrying in ${Math.round(delay / 1000)}s (attempt ${attempt + 1} of ${MAX_RETRIES})...`);
+      await sleep(delay);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Fetches a Congress.gov API URL and returns the parsed JSON body.
+ * Rate limiting and retries are handled here; callers only see the final outcome.
+ * @param {string} url - An API URL, with or without a query string.
+ * @param {object} [params] - Extra query parameters to apply.
+ * @returns {Promise<object>} The parsed response body.
+ * @throws {Error} When the request fails with a non-retryable status or retries are exhausted.
+ *   The error carries the HTTP `status` when one was received.
+ */
+export async function fetchJson(url, params = {}) {
+  const requestUrl = withApiKey(url, params);
+
+  if (documentSource) {
+    const body = await documentSource(requestUrl);
+    if (body) return body;
+    const error = new Error(`No archived document for ${redactApiKey(requestUrl)}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const response = await requestWithRetries(requestUrl, { rateLimited: true });
+  const body = await parseBody(response, requestUrl);
+  if (RECORD_DIR) await writeFixture(RECORD_DIR, requestUrl, body);
+  if (documentSink) await documentSink(requestUrl, body);
+  return body;
+}
+
+/**
+ * Downloads a document linked from the API but served outside it, such as a bill text file on congress.gov.
+ * Retries work as for `fetchJson`, but no API key is sent and the API quota isn't used.
+ * @param {string} url - The document URL.
+ * @returns {Promise<string>} The response body.
+ * @throws {Error} When the request fails; the error carries the HTTP `status` when one was received.
+ */
+export async function fetchText(url) {
+  const response = await requestWithRetries(url, { rateLimited: false });
+  return response.text();
+}
+
+/**
+ * Iterates over every page of a paginated API list, following `pagination.next`.
+ * @param {string} url - The first page URL.
+ * @param {object} [params] - Query parameters for the first page (a page limit of 250 is applied by default).
+ * @yields {object} The parsed body of each page.
+ */
+export async function* paginate(url, params = {}) {
+  let nextUrl = url;
+  let nextParams = { limit: DEFAULT_PAGE_LIMIT, ...params };
+
+  while (nextUrl) {
+    const data = await fetchJson(nextUrl, nextParams);
+    yield data;
+    nextUrl = data.pagination?.next || null;
+    // The `next` URL already carries offset, limit and the original filters.
+    nextParams = {};
+  }
+}
+
+/**
+ * Collects the items from every page of a paginated list.
+ * @param {string} url - The first page URL.
+ * @param {string} [itemsKey] - The response key holding the items. Defaults to the first array in the body.
+ * @param {object} [params] - Query parameters for the first page.
+ * @returns {Promise<Array<object>>} All items across all pages.
+ */
+export async function fetchAllItems(url, itemsKey, params = {}) {
+  const items = [];
+  for await (const data of paginate(url, params)) {
+    const key = itemsKey || Object.keys(data).find(k => Array.isArray(data[k]));
+    if (key && Array.isArray(data[key])) {
+      items.push(...data[key]);
+    }
+  }
+  return items;
+}
+
+/**
+ * Maps over items with at most `concurrency` calls in flight at once, keeping the results in input order.
+ * The token bucket still paces the underlying requests; this caps how many are waiting at the same time.
+ * @param {Array} items - The inputs, such as detail URLs.
+ * @param {number} concurrency - The maximum number of calls running at once.
+ * @param {function(*): Promise<*>} fn - The async function to call for each item.
+ * @returns {Promise<Array>} The results, in the same order as `items`.
+ */
+export async function mapWithConcurrency(items, concurrency, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
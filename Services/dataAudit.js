@@ -0,0 +1,239 @@
+// Data-quality audit of the database, replacing the old check-data.js row counts.
+// Each check counts the records with a known ingestion problem and fails when the count is over its threshold:
+// - bills without a sponsor, members without any terms, committees left with chamber 'Unknown' by inferChamber,
+// - committee reports with no associated bills, cosponsorships dated in the future,
+// - committees whose system codes differ only by case,
+// - per-congress gaps between the bills stored and the API's `pagination.count` (skipped with --offline).
+// The report is printed to stdout as JSON (so it can be saved or piped to jq); progress and a summary go to stderr.
+// Thresholds can be overridden with a JSON file mapping check ids to the largest acceptable value,
+// e.g. { "reports_without_bills": 25, "bill_count_gap_pct": 0.5 }.
+// Run it with: node cli.js db audit [--congress 117-119] [--thresholds <file>] [--offline]
+// (or node Services/dataAudit.js with the same flags). The exit code is 1 when any threshold is breached.
+
+import fs from 'fs/promises';
+import { parseArgs } from 'util';
+import { createPool } from './db.js';
+import { BASE_API_URL, fetchJson } from './congressApiClient.js';
+import { isMainModule, parseCongressRange, validateEnv } from './config.js';
+
+// Records listed in the report for each failing check.
+const SAMPLE_SIZE = 10;
+
+// Flags accepted by the audit, in the format expected by util.parseArgs.
+export const AUDIT_FLAGS = {
+  congress: { type: 'string' },
+  thresholds: { type: 'string' },
+  offline: { type: 'boolean', default: false },
+};
+
+/**
+ * The database checks. Each query returns the offending records, filtered to the audited congresses
+ * when `$1` (an INT[] or NULL for all congresses) applies; `threshold` is the largest acceptable count.
+ */
+const CHECKS = [
+  {
+    id: 'bills_missing_sponsor',
+    description: 'Bills whose sponsor_bioguide_id is null',
+    threshold: 0,
+    query: `
+      SELECT id, congress, type, number, title FROM bills
+      WHERE sponsor_bioguide_id IS NULL AND ($1::INT[] IS NULL OR congress = ANY($1))
+      ORDER BY congress DESC, type, number`,
+  },
+  {
+    id: 'members_without_terms',
+    description: 'Members with no member_terms rows',
+    threshold: 0,
+    query: `
+      SELECT m.bioguide_id, m.direct_order_name FROM members m
+      WHERE NOT EXISTS (SELECT 1 FROM member_terms mt WHERE mt.member_bioguide_id = m.bioguide_id)
+      ORDER BY m.bioguide_id`,
+  },
+  {
+    id: 'committees_unknown_chamber',
+    description: "Committees whose chamber is still 'Unknown' (inferred from a bill's committee list)",
+    threshold: 0,
+    query: `
+      SELECT system_code, name FROM committees
+      WHERE chamber = 'Unknown'
+      ORDER BY system_code`,
+  },
+  {
+    id: 'reports_without_bills',
+    description: 'Committee reports with no report_associated_bills rows',
+    threshold: 0,
+    query: `
+      SELECT cr.id, cr.citation, cr.congress FROM committee_reports cr
+      WHERE NOT EXISTS (SELECT 1 FROM report_associated_bills rab WHERE rab.report_id = cr.id)
+        AND ($1::INT[] IS NULL OR cr.congress = ANY($1))
+      ORDER BY cr.congress DESC, cr.citation`,
+  },
+  {
+    id: 'future_cosponsor_dates',
+    description: 'Cosponsorships whose sponsorship or withdrawal date is in the future',
+    threshold: 0,
+    query: `
+      SELECT bc.bill_id, b.congress, b.type, b.number, bc.member_bioguide_id, bc.sponsorship_date, bc.sponsorship_withdrawn_date
+      FROM bill_cosponsors bc
+      JOIN bills b ON b.id = bc.bill_id
+      WHERE (bc.sponsorship_date > CURRENT_DATE OR bc.sponsorship_withdrawn_date > CURRENT_DATE)
+        AND ($1::INT[] IS NULL OR b.congress = ANY($1))
+      ORDER BY bc.sponsorship_date DESC`,
+  },
+  {
+    id: 'duplicate_committees',
+    description: 'Committees whose system codes differ only by case',
+    threshold: 0,
+    query: `
+      SELECT LOWER(system_code) as system_code, array_agg(system_code ORDER BY system_code) as variants
+      FROM committees
+      GROUP BY LOWER(system_code)
+      HAVING COUNT(*) > 1
+      ORDER BY 1`,
+  },
+];
+
+const BILL_COUNT_CHECK = {
+  id: 'bill_count_gap_pct',
+  description: "Largest per-congress gap between the bills stored and the API's pagination.count, as a percentage",
+  threshold: 1,
+};
+
+// Progress goes to stderr so stdout holds only the JSON report.
+const log = (...args) => console.error(...args);
+
+/**
+ * Reads threshold overrides from a JSON file.
+ * @returns {Promise<object>} Check id -> threshold.
+ */
+async function readThresholds(file) {
+  if (!file) return {};
+  const overrides = JSON.parse(await fs.readFile(file, 'utf8'));
+  for (const [id, value] of Object.entries(overrides)) {
+    if (![...CHECKS, BILL_COUNT_CHECK].some(check => check.id === id)) throw new Error(`Unknown check '${id}' in ${file}.`);
+    if (typeof value !== 'number' || value < 0) throw new Error(`The threshold for '${id}' must be a non-negative number.`);
+  }
+  return overrides;
+}
+
+/**
+ * Runs one database check.
+ */
+async function runCheck(pool, check, congresses, threshold) {
+  const result = await pool.query(check.query, check.query.includes('$1') ? [congresses] : []);
+  const count = result.rows.length;
+  return {
+    id: check.id,
+    description: check.description,
+    count,
+    threshold,
+    passed: count <= threshold,
+    samples: result.rows.slice(0, SAMPLE_SIZE),
+  };
+}
+
+/**
+ * Compares the stored bill count of each congress with the API's total.
+ */
+async function checkBillCounts(pool, congresses, threshold) {
+  const stored = await pool.query(
+    `SELECT congress, COUNT(*)::INT as count FROM bills WHERE ($1::INT[] IS NULL OR congress = ANY($1)) GROUP BY congress ORDER BY congress`,
+    [congresses],
+  );
+  const storedCounts = new Map(stored.rows.map(row => [row.congress, row.count]));
+  const audited = congresses || [...storedCounts.keys()];
+
+  const gaps = [];
+  for (const congress of audited) {
+    const body = await fetchJson(`${BASE_API_URL}/bill/${congress}`, { limit: 1 });
+    const apiCount = body.pagination?.count ?? 0;
+    const storedCount = storedCounts.get(congress) || 0;
+    const gapPct = apiCount > 0 ? Math.round((Math.abs(apiCount - storedCount) / apiCount) * 10000) / 100 : 0;
+    gaps.push({ congress, stored: storedCount, api: apiCount, missing: apiCount - storedCount, gap_pct: gapPct });
+    log(`  Congress ${congress}: ${storedCount} bills stored, ${apiCount} in the API (${gapPct}% gap)`);
+  }
+
+  const largest = Math.max(0, ...gaps.map(gap => gap.gap_pct));
+  return {
+    id: BILL_COUNT_CHECK.id,
+    description: BILL_COUNT_CHECK.description,
+    count: largest,
+    threshold,
+    passed: largest <= threshold,
+    samples: gaps.filter(gap => gap.gap_pct > 0),
+  };
+}
+
+/**
+ * Runs every check and builds the report.
+ * @param {object} [auditOptions]
+ * @param {Array<number>} [auditOptions.congresses] - Limit the congress-specific checks to these congresses (default: all).
+ * @param {object} [auditOptions.thresholds] - Check id -> largest acceptable value, overriding the defaults.
+ * @param {boolean} [auditOptions.offline] - Skip the checks that call the Congress.gov API.
+ * @returns {Promise<object>} The report: `passed`, and each check with its count, threshold and sample records.
+ */
+export async function runAudit({ congresses = null, thresholds = {}, offline = false } = {}) {
+  const pool = createPool();
+  const checks = [];
+  try {
+    for (const check of CHECKS) {
+      log(`🔍 ${check.description}...`);
+      checks.push(await runCheck(pool, check, congresses, thresholds[check.id] ?? check.threshold));
+    }
+    if (offline) {
+      log('⏭️  Offline: skipping the bill count comparison with the API.');
+    } else {
+      log(`🔍 ${BILL_COUNT_CHECK.description}...`);
+      checks.push(await checkBillCounts(pool, congresses, thresholds[BILL_COUNT_CHECK.id] ?? BILL_COUNT_CHECK.threshold));
+    }
+  } finally {
+    await pool.end();
+  }
+
+  return {
+    generated_at: new Date().toISOString(),
+    congresses,
+    passed: checks.every(check => check.passed),
+    checks,
+  };
+}
+
+/**
+ * Prints a one-line result per check to stderr.
+ */
+function printSummary(report) {
+  log('\n📋 Audit summary:');
+  for (const check of report.checks) {
+    log(`  ${check.passed ? '✅' : '❌'} ${check.id}: ${check.count} (threshold ${check.threshold})`);
+  }
+  log(report.passed ? '\n✅ All checks passed.' : '\n❌ Some checks breached their thresholds.');
+}
+
+/**
+ * Runs the audit from parsed flags, prints the JSON report to stdout and returns whether it passed.
+ * @param {object} values - The `values` returned by util.parseArgs with AUDIT_FLAGS.
+ * @returns {Promise<boolean>} Whether every check passed.
+ */
+export async function auditFromFlags(values) {
+  const report = await runAudit({
+    congresses: values.congress ? parseCongressRange(values.congress) : null,
+    thresholds: await readThresholds(values.thresholds),
+    offline: values.offline,
+  });
+  console.log(JSON.stringify(report, null, 2));
+  printSummary(report);
+  return report.passed;
+}
+
+if (isMainModule(import.meta.url)) {
+  try {
+    const { values } = parseArgs({ args: process.argv.slice(2), options: AUDIT_FLAGS });
+    validateEnv({ apiKey: !values.offline });
+    auditFromFlags(values)
+      .then(passed => { if (!passed) process.exitCode = 1; })
+      .catch(error => { console.error('❌ Audit failed:', error); process.exitCode = 1; });
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 2;
+  }
+}
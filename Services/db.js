@@ -0,0 +1,37 @@
+// Database connection settings shared by the server and the data population scripts.
+
+import pg from 'pg';
+import 'dotenv/config';
+
+/**
+ * Creates a connection pool from the DB_* settings in the .env file.
+ * @returns {import('pg').Pool}
+ */
+export function createPool() {
+  return new pg.Pool({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+  });
+}
+
+/**
+ * Runs `fn` under a savepoint of an open transaction, so a failure rolls back only its own statements
+ * and the transaction can carry on with the next record. The error is rethrown for the caller to record.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {function(): Promise<*>} fn - The statements to run.
+ * @returns {Promise<*>} What `fn` returned.
+ */
+export async function withSavepoint(client, fn) {
+  await client.query('SAVEPOINT record');
+  try {
+    const result = await fn();
+    await client.query('RELEASE SAVEPOINT record');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT record');
+    throw error;
+  }
+}
@@ -0,0 +1,92 @@
+// Dead letters for the data population scripts.
+// A record that can't be fetched or saved is rolled back on its own (see `withSavepoint` in db.js) and recorded
+// in `dead_letters` with the error and the fetched payload, so the rest of its batch is still committed.
+// `congress retry-failed` queues only the open dead letters; any later run that saves the record resolves its dead letter.
+
+import { markItems } from './ingestionLedger.js';
+
+/**
+ * Records a failed record, or counts another attempt when it already has an open dead letter.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {object} deadLetter
+ * @param {object} deadLetter.run - The ingestion run that failed to save the record.
+ * @param {string} deadLetter.entityType - The ledger item type, e.g. 'bill'.
+ * @param {string} deadLetter.entityKey - The record's key, e.g. '119-HR-1'.
+ * @param {string} deadLetter.url - The detail URL the record is fetched from.
+ * @param {string} deadLetter.error - Why it failed.
+ * @param {object|null} [deadLetter.payload] - The fetched document, when the fetch succeeded.
+ */
+export async function recordDeadLetter(pool, { run, entityType, entityKey, url, error, payload = null }) {
+  await pool.query({
+    text: `
+      INSERT INTO dead_letters (entity_type, entity_key, congress, url, error, payload, run_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (entity_type, entity_key) WHERE resolved_at IS NULL DO UPDATE SET
+        url = EXCLUDED.url,
+        error = EXCLUDED.error,
+        payload = COALESCE(EXCLUDED.payload, dead_letters.payload),
+        run_id = EXCLUDED.run_id,
+        attempts = dead_letters.attempts + 1,
+        last_failed_at = NOW();
+    `,
+    values: [entityType, entityKey, run.congress, url, error, payload, run.id],
+  });
+}
+
+/**
+ * Marks the open dead letters of records that have now been saved as resolved.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} entityType - The ledger item type.
+ * @param {Array<string>} entityKeys - The saved records.
+ */
+export async function resolveDeadLetters(pool, entityType, entityKeys) {
+  if (entityKeys.length === 0) return;
+  await pool.query({
+    text: `
+      UPDATE dead_letters SET resolved_at = NOW()
+      WHERE entity_type = $1 AND entity_key = ANY($2::TEXT[]) AND resolved_at IS NULL
+    `,
+    values: [entityType, entityKeys],
+  });
+}
+
+/**
+ * Returns the open dead letters of some record types for a congress, as items accepted by `enqueueItems`.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {Array<string>} entityTypes - The ledger item types, e.g. ['bill'].
+ * @param {number|string} congress - The congress.
+ * @returns {Promise<Array<{entityType: string, entityKey: string, url: string}>>}
+ */
+export async function getDeadLetterItems(pool, entityTypes, congress) {
+  const result = await pool.query({
+    text: `
+      SELECT entity_type, entity_key, url FROM dead_letters
+      WHERE entity_type = ANY($1::TEXT[]) AND congress = $2 AND resolved_at IS NULL
+      ORDER BY first_failed_at
+    `,
+    values: [entityTypes, congress],
+  });
+  return result.rows.map(row => ({ entityType: row.entity_type, entityKey: row.entity_key, url: row.url }));
+}
+
+/**
+ * Records the outcome of a batch in the run's ledger and in the dead letters:
+ * saved items are marked done and resolve their dead letters, failed items are marked failed and dead-lettered.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {object} run - The ingestion run.
+ * @param {object} outcome
+ * @param {Array<object>} outcome.saved - The `ingestion_items` rows that were saved.
+ * @param {Array<{item: object, error: string, payload?: object}>} outcome.failed - The rows that failed, with why.
+ */
+export async function settleItems(pool, run, { saved, failed }) {
+  await markItems(pool, run.id, saved.map(item => item.url), 'done');
+  for (const entityType of new Set(saved.map(item => item.entity_type))) {
+    const keys = saved.filter(item => item.entity_type === entityType).map(item => item.entity_key);
+    await resolveDeadLetters(pool, entityType, keys);
+  }
+
+  for (const { item, error, payload } of failed) {
+    await markItems(pool, run.id, [item.url], 'failed', error);
+    await recordDeadLetter(pool, { run, entityType: item.entity_type, entityKey: item.entity_key, url: item.url, error, payload });
+  }
+}
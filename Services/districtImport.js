@@ -0,0 +1,255 @@
+// This script imports the Census data behind the find-my-representative lookup from local files:
+// - --zcta-file: the ZCTA-to-congressional-district relationship file
+//   (e.g. tab20_cd11920_zcta520_natl.txt from https://www.census.gov/geographies/reference-files/time-series/geo/relationship-files.html),
+//   pipe- or comma-delimited with GEOID_ZCTA5_<yy> and GEOID_CD<congress>_<yy> columns, into zcta_districts.
+// - --district-file: district boundaries as GeoJSON (e.g. the cartographic boundary file cb_2024_us_cd119_500k
+//   converted with ogr2ogr or mapshaper), whose features carry STATEFP and CD<congress>FP properties, into district_boundaries.
+// Both files name the congress they describe; a file for another congress than the one being synced is skipped.
+// Each import replaces that congress's rows. District "00" (at-large) and "98" (non-voting delegate) become district 0,
+// the way member_terms stores them.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Run it through the CLI: node cli.js sync districts [--zcta-file <file>] [--district-file <file>] [--congress 119] [--dry-run]
+//    (or directly with the same flags: node Services/districtImport.js --zcta-file <file>)
+
+import fs from 'fs/promises';
+import { createPool } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { geometryBounds } from './geoUtils.js';
+import { ordinal } from './citations.js';
+
+// State FIPS codes -> postal codes, for the states, DC and the territories with a delegate.
+const STATE_FIPS = {
+  '01': 'AL', '02': 'AK', '04': 'AZ', '05': 'AR', '06': 'CA', '08': 'CO', '09': 'CT', '10': 'DE', '11': 'DC',
+  '12': 'FL', '13': 'GA', '15': 'HI', '16': 'ID', '17': 'IL', '18': 'IN', '19': 'IA', '20': 'KS', '21': 'KY',
+  '22': 'LA', '23': 'ME', '24': 'MD', '25': 'MA', '26': 'MI', '27': 'MN', '28': 'MS', '29': 'MO', '30': 'MT',
+  '31': 'NE', '32': 'NV', '33': 'NH', '34': 'NJ', '35': 'NM', '36': 'NY', '37': 'NC', '38': 'ND', '39': 'OH',
+  '40': 'OK', '41': 'OR', '42': 'PA', '44': 'RI', '45': 'SC', '46': 'SD', '47': 'TN', '48': 'TX', '49': 'UT',
+  '50': 'VT', '51': 'VA', '53': 'WA', '54': 'WV', '55': 'WI', '56': 'WY',
+  '60': 'AS', '66': 'GU', '69': 'MP', '72': 'PR', '78': 'VI',
+};
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+/**
+ * Converts a Census state FIPS code and district code to the (state, district) pair used by member_terms.
+ * @returns {{stateCode: string, district: number}|null} Null for codes that aren't a district (e.g. 'ZZ', water only).
+ */
+function toDistrict(stateFips, districtCode) {
+  const stateCode = STATE_FIPS[stateFips];
+  if (!stateCode || !/^\d{2}$/.test(districtCode)) return null;
+  const number = parseInt(districtCode, 10);
+  return { stateCode, district: number === 98 ? 0 : number };
+}
+
+/**
+ * Parses the ZCTA-to-district relationship file into one row per ZCTA and district.
+ * @param {string} text - The file contents.
+ * @returns {{congress: number, rows: Array<object>}}
+ */
+function parseRelationshipFile(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(Boolean);
+  const delimiter = lines[0].includes('|') ? '|' : ',';
+  const header = lines[0].split(delimiter).map(name => name.trim().replace(/^"|"$/g, ''));
+  const zctaColumn = header.findIndex(name => /^GEOID_ZCTA5/i.test(name));
+  const districtColumn = header.findIndex(name => /^GEOID_CD\d+/i.test(name));
+  const areaColumn = header.findIndex(name => /^AREALAND_PART$/i.test(name));
+  if (zctaColumn === -1 || districtColumn === -1) {
+    throw new Error('Expected GEOID_ZCTA5_<yy> and GEOID_CD<congress>_<yy> columns in the relationship file.');
+  }
+  const congress = parseInt(header[districtColumn].match(/^GEOID_CD(\d+)/i)[1], 10);
+
+  // The same ZCTA and district can appear in several rows (one per county part); add up their land areas.
+  const parts = new Map();
+  const zctaAreas = new Map();
+  for (const line of lines.slice(1)) {
+    const fields = line.split(delimiter).map(field => field.trim().replace(/^"|"$/g, ''));
+    const zcta = fields[zctaColumn];
+    const geoid = fields[districtColumn] || '';
+    const district = zcta && toDistrict(geoid.slice(0, 2), geoid.slice(2));
+    if (!district) continue;
+
+    const area = areaColumn === -1 ? 0 : Number(fields[areaColumn]) || 0;
+    const key = `${zcta}:${district.stateCode}:${district.district}`;
+    const part = parts.get(key) || { zcta, ...district, area: 0 };
+    part.area += area;
+    parts.set(key, part);
+    zctaAreas.set(zcta, (zctaAreas.get(zcta) || 0) + area);
+  }
+
+  const rows = [...parts.values()].map(part => ({
+    ...part,
+    share: zctaAreas.get(part.zcta) > 0 ? Number((part.area / zctaAreas.get(part.zcta)).toFixed(4)) : null,
+  }));
+  return { congress, rows };
+}
+
+/**
+ * Reads the district features of a GeoJSON boundary file.
+ * @param {object} collection - The parsed GeoJSON FeatureCollection.
+ * @returns {{congress: number, districts: Array<object>}}
+ */
+function parseBoundaryFile(collection) {
+  const features = collection?.features || [];
+  const districtProperty = Object.keys(features[0]?.properties || {}).find(name => /^CD\d+FP$/i.test(name));
+  if (!districtProperty) {
+    throw new Error('Expected STATEFP and CD<congress>FP properties on the boundary features.');
+  }
+  const congress = parseInt(districtProperty.match(/\d+/)[0], 10);
+
+  const districts = [];
+  for (const feature of features) {
+    const district = toDistrict(feature.properties.STATEFP, feature.properties[districtProperty]);
+    const bounds = district && geometryBounds(feature.geometry);
+    if (bounds) districts.push({ ...district, geometry: feature.geometry, bounds });
+  }
+  return { congress, districts };
+}
+
+/**
+ * Runs `fn` in a transaction on its own client.
+ */
+async function inTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Replaces the congress's ZCTA-to-district rows.
+ * @returns {Promise<number>} The number of rows saved.
+ */
+async function saveZctaDistricts(rows) {
+  return inTransaction(async (client) => {
+    await client.query({ text: 'DELETE FROM zcta_districts WHERE congress = $1', values: [options.congress] });
+    const result = await client.query({
+      text: `
+        INSERT INTO zcta_districts (congress, zcta, state_code, district, land_area_share)
+        SELECT $1, * FROM UNNEST($2::TEXT[], $3::TEXT[], $4::INT[], $5::NUMERIC[])
+      `,
+      values: [
+        options.congress,
+        rows.map(row => row.zcta),
+        rows.map(row => row.stateCode),
+        rows.map(row => row.district),
+        rows.map(row => row.share),
+      ],
+    });
+    return result.rowCount;
+  });
+}
+
+/**
+ * Replaces the congress's district boundaries.
+ * @returns {Promise<number>} The number of districts saved.
+ */
+async function saveDistrictBoundaries(districts) {
+  return inTransaction(async (client) => {
+    await client.query({ text: 'DELETE FROM district_boundaries WHERE congress = $1', values: [options.congress] });
+    for (const { stateCode, district, geometry, bounds } of districts) {
+      await client.query({
+        text: `
+          INSERT INTO district_boundaries (congress, state_code, district, geometry, min_lng, min_lat, max_lng, max_lat)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          ON CONFLICT (congress, state_code, district) DO UPDATE SET
+            geometry = EXCLUDED.geometry, min_lng = EXCLUDED.min_lng, min_lat = EXCLUDED.min_lat,
+            max_lng = EXCLUDED.max_lng, max_lat = EXCLUDED.max_lat;
+        `,
+        values: [options.congress, stateCode, district, geometry, bounds.minLng, bounds.minLat, bounds.maxLng, bounds.maxLat],
+      });
+    }
+    return districts.length;
+  });
+}
+
+/**
+ * Imports one of the two files, skipping it when it describes another congress.
+ * @param {string} label - What the file holds, for the log.
+ * @param {function(): Promise<{congress: number}>} parse - Reads and parses the file.
+ * @param {function(object): number} count - The number of records parsed.
+ * @param {function(object): Promise<number>} save - Saves the parsed file.
+ * @returns {Promise<string>} 'completed', 'failed', 'dry-run' or 'skipped'.
+ */
+async function importFile(label, parse, count, save) {
+  let parsed;
+  try {
+    parsed = await parse();
+  } catch (error) {
+    console.error(`❌ Error reading the ${label} file: ${error.message}`);
+    return 'failed';
+  }
+  if (parsed.congress !== Number(options.congress)) {
+    console.log(`⏭️  The ${label} file describes the ${ordinal(parsed.congress)} Congress; skipping it for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+  if (options.dryRun) {
+    console.log(`🔎 Dry run: would replace the Congress ${options.congress} ${label} with ${count(parsed)} records. Nothing was written to the database.`);
+    return 'dry-run';
+  }
+
+  try {
+    const saved = await save(parsed);
+    console.log(`✅ Saved ${saved} ${label} records for Congress ${options.congress}.`);
+    return 'completed';
+  } catch (error) {
+    console.error(`❌ Error saving the ${label}. Transaction rolled back.`, error);
+    return 'failed';
+  }
+}
+
+/**
+ * Imports the ZCTA-to-district relationships and district boundaries for one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to import; files for other congresses are skipped.
+ * @param {string} [runOptions.zctaFile] - The Census ZCTA-to-congressional-district relationship file.
+ * @param {string} [runOptions.districtFile] - The district boundaries as GeoJSON.
+ * @param {boolean} [runOptions.dryRun] - Report what would be imported without writing to the database.
+ * @returns {Promise<string>} The run status: 'completed', 'failed', 'dry-run', or 'skipped' when neither file applies.
+ */
+export async function run(runOptions) {
+  options = runOptions;
+  if (!options.zctaFile && !options.districtFile) {
+    console.log(`⏭️  No --zcta-file or --district-file given; skipping district lookup data for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+
+  console.log(`Starting district lookup import for Congress ${options.congress}...`);
+  pool = createPool();
+  try {
+    const statuses = [];
+    if (options.zctaFile) {
+      statuses.push(await importFile(
+        'ZCTA-to-district',
+        async () => parseRelationshipFile(await fs.readFile(options.zctaFile, 'utf8')),
+        parsed => parsed.rows.length,
+        parsed => saveZctaDistricts(parsed.rows),
+      ));
+    }
+    if (options.districtFile) {
+      statuses.push(await importFile(
+        'district boundary',
+        async () => parseBoundaryFile(JSON.parse(await fs.readFile(options.districtFile, 'utf8'))),
+        parsed => parsed.districts.length,
+        parsed => saveDistrictBoundaries(parsed.districts),
+      ));
+    }
+    return ['failed', 'completed', 'dry-run'].find(status => statuses.includes(status)) || 'skipped';
+  } finally {
+    await pool.end();
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run, { apiKey: false });
+}
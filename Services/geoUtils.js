@@ -0,0 +1,63 @@
+// Small helpers for the GeoJSON district boundaries used by the representative lookup.
+// They cover Polygon and MultiPolygon geometries with [longitude, latitude] coordinates, which is all the
+// Census cartographic boundary files contain, so the lookup doesn't need PostGIS.
+
+/**
+ * Returns the polygons of a geometry, each a list of rings (the outer ring first, then any holes).
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon.
+ * @returns {Array<Array<Array<[number, number]>>>}
+ */
+function polygonsOf(geometry) {
+  if (geometry?.type === 'Polygon') return [geometry.coordinates];
+  if (geometry?.type === 'MultiPolygon') return geometry.coordinates;
+  return [];
+}
+
+/**
+ * Returns the bounding box of a geometry.
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon.
+ * @returns {{minLng: number, minLat: number, maxLng: number, maxLat: number}|null} Null for an empty or unsupported geometry.
+ */
+export function geometryBounds(geometry) {
+  let bounds = null;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const [lng, lat] of polygon[0] || []) {
+      if (!bounds) {
+        bounds = { minLng: lng, minLat: lat, maxLng: lng, maxLat: lat };
+        continue;
+      }
+      bounds.minLng = Math.min(bounds.minLng, lng);
+      bounds.minLat = Math.min(bounds.minLat, lat);
+      bounds.maxLng = Math.max(bounds.maxLng, lng);
+      bounds.maxLat = Math.max(bounds.maxLat, lat);
+    }
+  }
+  return bounds;
+}
+
+/**
+ * Whether a point lies inside a ring, by casting a ray east from the point and counting the edges it crosses.
+ */
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Whether a point lies inside a geometry: inside the outer ring of one of its polygons and outside that polygon's holes.
+ * @param {object} geometry - A GeoJSON Polygon or MultiPolygon.
+ * @param {number} lng - The longitude.
+ * @param {number} lat - The latitude.
+ * @returns {boolean}
+ */
+export function geometryContains(geometry, lng, lat) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    outer && ringContains(outer, lng, lat) && !holes.some(hole => ringContains(hole, lng, lat)));
+}
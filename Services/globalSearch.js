@@ -0,0 +1,188 @@
+// Global search across members, bills, committees and committee reports, for a search box that doesn't make the
+// user pick a dataset first. Every hit has the same shape, { type, id, label, detail, score }, plus what the app
+// needs to link it (a report links to its committee):
+// - members by name (direct or inverted order), nickname and the state of their latest term,
+// - bills by number (any citation parseCitation reads, e.g. "H.J.Res. 7 (118th)"; newest congress first without
+//   one), title and short titles,
+// - committees by name, system code and the official names in their history,
+// - committee reports by citation (e.g. "H. Rept. 118-40").
+// Scores come from search_match_score (migration 0017): a whole match scores 1, then prefixes, word starts,
+// substrings and, in full search only, close spellings.
+// `search` ranks each dataset separately for /api/search; `suggest` is the prefix-only mode behind /api/suggest.
+
+import { parseCitation } from './citations.js';
+
+// The kinds of hit, in the order their groups are listed when their best scores tie.
+export const SEARCH_TYPES = ['members', 'bills', 'committees', 'reports'];
+
+const escapeLike = text => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Builds the values a dataset's query can use, and a function that numbers them as the query uses them
+ * (Postgres can't type a parameter the query never mentions).
+ * @returns {{param: function(string): string, values: Array}}
+ */
+function searchParams(q, limit) {
+  const escaped = escapeLike(q);
+  const citation = parseCitation(q);
+  const billNumber = citation?.kind === 'bill' ? citation : null;
+  const named = {
+    q,
+    contains: `%${escaped}%`,
+    prefix: `${escaped}%`,
+    wordStart: `% ${escaped}%`,
+    citation: q.toLowerCase().replace(/[^a-z0-9-]/g, ''),
+    billType: billNumber?.type ?? null,
+    billNumber: billNumber?.number ?? null,
+    billCongress: billNumber?.congress ?? null,
+    limit,
+  };
+  const values = [];
+  const placeholders = {};
+  const param = name => (placeholders[name] ??= `$${values.push(named[name])}`);
+  return { param, values };
+}
+
+/**
+ * The condition for a column matching the query: any substring or close spelling in full search, the start of the
+ * text or of one of its words in prefix mode.
+ */
+function matches(column, prefix, param) {
+  return prefix
+    ? `(${column} ILIKE ${param('prefix')} OR ${column} ILIKE ${param('wordStart')})`
+    : `(${column} ILIKE ${param('contains')} OR ${param('q')} <% ${column})`;
+}
+
+// Each dataset's query, given whether it is in prefix mode and searchParams' `param`. They select the hit fields
+// and `score`, best first.
+const QUERIES = {
+  members: (prefix, param) => `
+    SELECT 'member' as type, m.bioguide_id as id, m.direct_order_name as label,
+           concat_ws(' · ', concat_ws('-', mph.party_abbreviation, lt.state_code, lt.district), lt.chamber) as detail,
+           GREATEST(
+             search_match_score(m.direct_order_name, ${param('q')}),
+             search_match_score(m.inverted_order_name, ${param('q')}),
+             search_match_score(m.nickname || ' ' || m.last_name, ${param('q')}),
+             search_match_score(lt.state_name, ${param('q')}) * 0.5,
+             CASE WHEN lt.state_code = upper(${param('q')}) THEN 0.5 ELSE 0 END
+           ) as score
+    FROM members m
+    LEFT JOIN LATERAL (
+      SELECT state_code, state_name, district, chamber
+      FROM member_terms
+      WHERE member_bioguide_id = m.bioguide_id
+      ORDER BY congress DESC, start_year DESC NULLS LAST
+      LIMIT 1
+    ) lt ON true
+    LEFT JOIN LATERAL (
+      SELECT party_abbreviation
+      FROM member_party_history
+      WHERE member_bioguide_id = m.bioguide_id
+      ORDER BY start_year DESC
+      LIMIT 1
+    ) mph ON true
+    WHERE ${matches('m.direct_order_name', prefix, param)}
+       OR ${matches('m.inverted_order_name', prefix, param)}
+       OR ${matches("(m.nickname || ' ' || m.last_name)", prefix, param)}
+       OR ${matches('lt.state_name', prefix, param)}
+       OR lt.state_code = upper(${param('q')})
+    ORDER BY score DESC, m.is_current_member IS TRUE DESC, m.last_name, m.first_name
+    LIMIT ${param('limit')}`,
+
+  // billType and billNumber are NULL unless the query is a bill citation, and billCongress unless it names a congress.
+  bills: (prefix, param) => `
+    SELECT 'bill' as type, b.id, upper(b.type) || '.' || b.number as label,
+           concat_ws(' · ', 'Congress ' || b.congress, b.title) as detail, b.congress, hit.score
+    FROM (
+      SELECT bill_id, MAX(score) as score
+      FROM (
+        SELECT b.id as bill_id, 1.0::REAL as score FROM bills b
+        WHERE lower(b.type) = ${param('billType')} AND b.number = ${param('billNumber')}
+          AND (${param('billCongress')}::INT IS NULL OR b.congress = ${param('billCongress')})
+        UNION ALL
+        SELECT b.id, search_match_score(b.title, ${param('q')}) FROM bills b WHERE ${matches('b.title', prefix, param)}
+        UNION ALL
+        SELECT bt.bill_id, search_match_score(bt.title, ${param('q')}) FROM bill_titles bt
+        WHERE bt.title_type ILIKE 'short title%' AND ${matches('bt.title', prefix, param)}
+      ) found
+      GROUP BY bill_id
+    ) hit
+    JOIN bills b ON b.id = hit.bill_id
+    ORDER BY hit.score DESC, b.congress DESC, b.introduced_date DESC NULLS LAST, b.id DESC
+    LIMIT ${param('limit')}`,
+
+  committees: (prefix, param) => `
+    SELECT 'committee' as type, c.system_code as id, c.name as label,
+           concat_ws(' · ', c.chamber, parent.name, c.system_code) as detail, hit.score
+    FROM (
+      SELECT system_code, MAX(score) as score
+      FROM (
+        SELECT c.system_code, GREATEST(search_match_score(c.name, ${param('q')}), search_match_score(c.system_code, ${param('q')})) as score
+        FROM committees c
+        WHERE ${matches('c.name', prefix, param)} OR c.system_code ILIKE ${param('prefix')}
+        UNION ALL
+        SELECT ch.committee_system_code, search_match_score(ch.official_name, ${param('q')}) * 0.9
+        FROM committee_history ch
+        WHERE ${matches('ch.official_name', prefix, param)}
+      ) found
+      GROUP BY system_code
+    ) hit
+    JOIN committees c ON c.system_code = hit.system_code
+    LEFT JOIN committees parent ON parent.system_code = c.parent_committee_system_code
+    ORDER BY hit.score DESC, c.is_current IS NOT FALSE DESC, c.name
+    LIMIT ${param('limit')}`,
+
+  // Citations are compared without punctuation or spaces, so "HRept118-40" finds "H. Rept. 118-40". Only a query
+  // with a number can be a citation; "H. Rept." alone would match every House report.
+  reports: (prefix, param) => `
+    SELECT 'report' as type, cr.id, cr.citation as label, cr.title as detail,
+           (SELECT MIN(rc.committee_system_code) FROM report_committees rc WHERE rc.report_id = cr.id) as committee_system_code,
+           CASE WHEN cite.normalized = ${param('citation')} THEN 1 ELSE 0.9 END::REAL as score
+    FROM committee_reports cr
+    CROSS JOIN LATERAL (SELECT regexp_replace(lower(cr.citation), '[^a-z0-9-]', '', 'g') as normalized) cite
+    WHERE ${param('citation')} ~ '[0-9]' AND starts_with(cite.normalized, ${param('citation')})
+    ORDER BY score DESC, cr.congress DESC, length(cite.normalized), cr.citation
+    LIMIT ${param('limit')}`,
+};
+
+/**
+ * Runs one dataset's query.
+ */
+async function searchType(pool, type, q, limit, prefix) {
+  const { param, values } = searchParams(q, limit);
+  const result = await pool.query(QUERIES[type](prefix, param), values);
+  return result.rows;
+}
+
+/**
+ * Searches every dataset, ranking the hits of each.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} q - The search text.
+ * @param {object} [searchOptions]
+ * @param {number} [searchOptions.limit] - Hits per dataset.
+ * @param {Array<string>} [searchOptions.types] - The datasets to search (default: all of SEARCH_TYPES).
+ * @returns {Promise<Array<{type: string, hits: Array<object>}>>} A group per dataset with hits, the group with
+ *   the best hit first.
+ */
+export async function search(pool, q, { limit = 10, types = SEARCH_TYPES } = {}) {
+  const groups = await Promise.all(types.map(async type => ({ type, hits: await searchType(pool, type, q, limit, false) })));
+  const best = group => group.hits[0].score;
+  return groups
+    .filter(group => group.hits.length > 0)
+    .sort((a, b) => best(b) - best(a) || SEARCH_TYPES.indexOf(a.type) - SEARCH_TYPES.indexOf(b.type));
+}
+
+/**
+ * Suggests members, bills, committees and reports whose names or numbers start with what has been typed so far.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} q - The text typed so far.
+ * @param {object} [suggestOptions]
+ * @param {number} [suggestOptions.limit] - The number of suggestions.
+ * @returns {Promise<Array<object>>} The best hits of every dataset, best first.
+ */
+export async function suggest(pool, q, { limit = 8 } = {}) {
+  const hits = (await Promise.all(SEARCH_TYPES.map(type => searchType(pool, type, q, limit, true)))).flat();
+  return hits
+    .sort((a, b) => b.score - a.score || SEARCH_TYPES.indexOf(`${a.type}s`) - SEARCH_TYPES.indexOf(`${b.type}s`))
+    .slice(0, limit);
+}
@@ -0,0 +1,300 @@
+// This script fetches House roll-call votes from the Congress.gov API's house-vote endpoint and populates
+// roll_calls and member_votes (see rollCalls.js). Senate votes are imported from files by senateVoteImport.js.
+// It follows the same ledger, batch and upsert pattern as billDataPopulation.js.
+// Member votes are only linked to members already in the database, so sync members first.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Ensure your .env file has DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
+// 3. Run it through the CLI: node cli.js sync house-votes [--congress 119] [--batch-size 25] [--force] [--dry-run] [--incremental]
+//    (or directly with the same flags: node Services/houseVotePopulation.js --congress 119)
+// The House votes endpoint starts with the 118th Congress; earlier congresses simply have nothing to list.
+
+import { BASE_API_URL, fetchJson, paginate, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { saveRollCall, normalizeBillType } from './rollCalls.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+const voteKey = (vote) => `${vote.congress}-${vote.sessionNumber}-${vote.rollCallNumber}`;
+
+/**
+ * Pages through the House vote list for the specified congress and records every vote URL in the run's ledger.
+ * Incremental runs only list votes updated inside the run's window.
+ * Full runs record votes that haven't changed since they were stored as skipped, unless the run was started with --force.
+ * Paging starts from the run's saved cursor, if any.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueVoteUrls(run, recordPage) {
+  const startUrl = run.page_cursor || `${BASE_API_URL}/house-vote/${options.congress}`;
+  const skipUnchanged = !run.window_to && !options.force;
+  let pendingCount = 0;
+  let skippedCount = 0;
+  console.log(`Starting to fetch House vote URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
+
+  for await (const data of paginate(startUrl, run.page_cursor ? {} : windowParams(run))) {
+    const apiVotes = data.houseRollCallVotes || [];
+    const stored = skipUnchanged ? await getStoredUpdateDates(apiVotes) : new Map();
+
+    const items = apiVotes.map(vote => {
+      const key = voteKey(vote);
+      const storedUpdate = stored.get(key);
+      const isUnchanged = Boolean(storedUpdate && vote.updateDate && new Date(storedUpdate) >= new Date(vote.updateDate));
+      if (isUnchanged) skippedCount++; else pendingCount++;
+      return { entityType: 'house-vote', entityKey: key, url: vote.url, status: isUnchanged ? 'skipped' : 'pending' };
+    });
+    await recordPage(items, data.pagination?.next || null);
+  }
+
+  console.log(`✅ Queued ${pendingCount} House votes to process (${skippedCount} unchanged votes skipped).`);
+}
+
+/**
+ * Returns the stored update date of each listed vote that has been fully processed, keyed like the ledger.
+ */
+async function getStoredUpdateDates(apiVotes) {
+  if (apiVotes.length === 0) return new Map();
+  const result = await pool.query({
+    text: `
+      SELECT congress, session, roll_call_number, updated_at FROM roll_calls
+      WHERE chamber = 'House' AND last_processed_at IS NOT NULL
+        AND (congress, session, roll_call_number) IN (SELECT * FROM UNNEST($1::INT[], $2::INT[], $3::INT[]))
+    `,
+    values: [apiVotes.map(v => v.congress), apiVotes.map(v => v.sessionNumber), apiVotes.map(v => v.rollCallNumber)],
+  });
+  return new Map(result.rows.map(row => [`${row.congress}-${row.session}-${row.roll_call_number}`, row.updated_at]));
+}
+
+/**
+ * Records every House vote of the congress that has an archived detail document, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueArchivedVotes(recordPage) {
+  const documents = await listArchivedDocuments(pool, `house-vote/${options.congress}/[0-9]+/[0-9]+`);
+  const items = documents
+    .filter(({ document }) => document.houseRollCallVote)
+    .map(({ url, document: { houseRollCallVote } }) => ({ entityType: 'house-vote', entityKey: voteKey(houseRollCallVote), url }));
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived House votes to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the House votes of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedVotes(recordPage) {
+  const items = await getDeadLetterItems(pool, ['house-vote'], options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed House votes to retry for Congress ${options.congress}.`);
+}
+
+/**
+ * Fetches how each member voted on a roll call.
+ * @param {string} detailUrl - The vote's detail URL.
+ * @returns {Promise<Array<object>>} The `results` of every page.
+ */
+async function fetchMemberVotes(detailUrl) {
+  const membersUrl = `${detailUrl.split('?')[0].replace(/\/+$/, '')}/members`;
+  const results = [];
+  for await (const data of paginate(membersUrl)) {
+    results.push(...(data.houseRollCallVoteMemberVotes?.results || []));
+  }
+  return results;
+}
+
+/**
+ * Adds up the per-party totals of a House vote.
+ */
+function sumPartyTotals(votePartyTotal) {
+  if (!Array.isArray(votePartyTotal) || votePartyTotal.length === 0) return null;
+  const sum = (key) => votePartyTotal.reduce((total, party) => total + (party[key] || 0), 0);
+  return { yea: sum('yeaTotal'), nay: sum('nayTotal'), present: sum('presentTotal'), notVoting: sum('notVotingTotal') };
+}
+
+/**
+ * Turns a House vote and its member votes into the roll call shape saved by `saveRollCall`.
+ */
+function toRollCall(vote, memberVotes) {
+  return {
+    chamber: 'House',
+    congress: vote.congress,
+    session: vote.sessionNumber,
+    rollCallNumber: vote.rollCallNumber,
+    voteDate: vote.startDate,
+    question: vote.voteQuestion,
+    voteType: vote.voteType,
+    result: vote.result,
+    description: vote.legislationTitle || null,
+    legislationType: normalizeBillType(vote.legislationType),
+    legislationNumber: vote.legislationNumber ?? null,
+    amendment: vote.amendmentType && vote.amendmentNumber
+      ? { type: vote.amendmentType.toUpperCase(), number: parseInt(vote.amendmentNumber, 10) }
+      : null,
+    totals: sumPartyTotals(vote.votePartyTotal),
+    sourceUrl: vote.sourceDataURL || null,
+    updatedAt: vote.updateDate,
+    sourceDocumentId: archivedDocumentId(vote),
+    votes: memberVotes.map(member => ({
+      bioguideId: member.bioguideID,
+      voteCast: member.voteCast,
+      party: member.voteParty,
+      state: member.voteState,
+    })),
+  };
+}
+
+/**
+ * Saves a batch of fetched votes in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, vote: object, memberVotes: Array<object>}>} entries - The fetched votes with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveVoteBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, vote, memberVotes } of entries) {
+      try {
+        const { savedVotes } = await withSavepoint(client, () => saveRollCall(client, toRollCall(vote, memberVotes)));
+        if (savedVotes < memberVotes.length) {
+          console.log(`    ⚠️  House vote ${item.entity_key}: ${memberVotes.length - savedVotes} member votes skipped (members not stored).`);
+        }
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving House vote ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message, payload: vote });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} House votes to the database.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving House vote batch. Transaction rolled back.', error);
+    return {
+      saved: [],
+      failed: entries.map(({ item, vote }) => ({ item, error: 'Batch transaction rolled back', payload: vote })),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Lists the votes a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewVotes(window) {
+  let pendingCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueVoteUrls(previewRun, async (items) => {
+    pendingCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch ${pendingCount} House votes. Nothing was written to the database.`);
+  return 'dry-run';
+}
+
+/**
+ * Syncs the House roll-call votes of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Votes saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Refetch votes even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch votes updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the votes from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the votes with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncHouseVotes();
+  } finally {
+    detachArchive();
+    await pool.end();
+  }
+}
+
+async function syncHouseVotes() {
+  console.log(`Starting House vote population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'house-votes', options.congress) : null;
+  if (options.dryRun) {
+    return previewVotes(window);
+  }
+
+  const run = await startRun(pool, { entityType: 'house-votes', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedVotes(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedVotes(recordPage);
+      } else {
+        await enqueueVoteUrls(run, recordPage);
+      }
+    }
+
+    const pendingItems = await getPendingItems(pool, run.id, 'house-vote');
+    if (pendingItems.length === 0) {
+      console.log('No new or updated House votes found to process.');
+    } else {
+      console.log(`\nProcessing ${pendingItems.length} House votes in batches of ${options.batchSize}...`);
+    }
+
+    for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+      const batchItems = pendingItems.slice(i, i + options.batchSize);
+      console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+      const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+        try {
+          const { houseRollCallVote: vote } = await fetchJson(item.url);
+          if (!vote) return { item, vote: null, error: 'Response contained no houseRollCallVote' };
+          return { item, vote, memberVotes: await fetchMemberVotes(item.url), error: null };
+        } catch (error) {
+          console.error(`  Error fetching House vote ${item.url}: ${error.message}`);
+          return { item, vote: null, error: error.message };
+        }
+      });
+
+      const fetched = results.filter(r => r.vote !== null);
+      await addFetchedCount(pool, run.id, fetched.length);
+      await settleItems(pool, run, { saved: [], failed: results.filter(r => r.vote === null) });
+      await settleItems(pool, run, await saveVoteBatch(fetched));
+    }
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'house-votes', options.congress, run.window_to);
+    }
+    console.log('\n✅ All House vote batches have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
@@ -0,0 +1,245 @@
+// Persistent job ledger for the data population scripts.
+// Every run is recorded in `ingestion_runs` together with the cursor of the next list page to fetch,
+// and every detail URL it discovers is recorded in `ingestion_items` with its status.
+// A run started with `--resume` continues the most recent unfinished run for the same entity and congress
+// instead of re-paging the whole list from the start.
+
+const MAX_ITEM_RETRIES = 3;
+
+/**
+ * Starts a new ingestion run, or reopens the latest unfinished one when resuming.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {object} options
+ * @param {string} options.entityType - The kind of data being ingested (e.g. 'bills', 'members', 'committees').
+ * @param {number|string} options.congress - The congress being ingested.
+ * @param {boolean} [options.resume] - Whether to pick up the latest unfinished run.
+ * @param {{from: Date|null, to: Date}} [options.window] - The update window of an incremental run.
+ *   A resumed run keeps the window it was started with.
+ * @returns {Promise<object>} The `ingestion_runs` row, with a `resumed` flag.
+ */
+export async function startRun(pool, { entityType, congress, resume = false, window = null }) {
+  if (resume) {
+    const previous = await pool.query({
+      text: `
+        SELECT * FROM ingestion_runs
+        WHERE entity_type = $1 AND congress = $2 AND status IN ('running', 'failed')
+        ORDER BY started_at DESC
+        LIMIT 1
+      `,
+      values: [entityType, congress],
+    });
+
+    if (previous.rows.length > 0) {
+      const run = previous.rows[0];
+      await pool.query({
+        text: `UPDATE ingestion_runs SET status = 'running', finished_at = NULL WHERE id = $1`,
+        values: [run.id],
+      });
+      console.log(`Resuming ingestion run #${run.id} for ${entityType} (Congress ${congress}), started ${new Date(run.started_at).toLocaleString()}.`);
+      return { ...run, status: 'running', resumed: true };
+    }
+    console.log(`No unfinished ${entityType} run found for Congress ${congress}. Starting a new run.`);
+  }
+
+  const result = await pool.query({
+    text: `
+      INSERT INTO ingestion_runs (entity_type, congress, window_from, window_to)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+    values: [entityType, congress, window?.from || null, window?.to || null],
+  });
+  console.log(`Started ingestion run #${result.rows[0].id} for ${entityType} (Congress ${congress}).`);
+  return { ...result.rows[0], resumed: false };
+}
+
+/**
+ * Returns the most recent run for an entity and congress, or null if it has never been run.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} entityType - The kind of data ingested (e.g. 'bills').
+ * @param {number|string} congress - The congress.
+ * @returns {Promise<object|null>} The `ingestion_runs` row.
+ */
+export async function getLatestRun(pool, entityType, congress) {
+  const result = await pool.query({
+    text: `
+      SELECT * FROM ingestion_runs
+      WHERE entity_type = $1 AND congress = $2
+      ORDER BY started_at DESC
+      LIMIT 1
+    `,
+    values: [entityType, congress],
+  });
+  return result.rows[0] || null;
+}
+
+/**
+ * Adds items to a run's ledger. Items already recorded for the run are left untouched.
+ * @param {import('pg').Pool|import('pg').PoolClient} db - A pool or a client inside an open transaction.
+ * @param {number} runId - The ingestion run.
+ * @param {Array<{entityType: string, entityKey?: string, url: string, status?: string}>} items - The items to record.
+ */
+export async function enqueueItems(db, runId, items) {
+  for (const item of items) {
+    await db.query({
+      text: `
+        INSERT INTO ingestion_items (run_id, entity_type, entity_key, url, status)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (run_id, url) DO NOTHING;
+      `,
+      values: [runId, item.entityType, item.entityKey, item.url, item.status || 'pending'],
+    });
+  }
+}
+
+/**
+ * Records one page of list results: the items it produced and the cursor of the next page.
+ * Both are written in one transaction so a crash can never lose items behind an advanced cursor.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {number} runId - The ingestion run.
+ * @param {Array<object>} items - Items found on the page, as accepted by `enqueueItems`.
+ * @param {string|null} nextCursor - The next page URL, or null when the list is exhausted.
+ */
+export async function recordListPage(pool, runId, items, nextCursor) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await enqueueItems(client, runId, items);
+    await client.query({
+      text: `UPDATE ingestion_runs SET page_cursor = $1, list_complete = $2 WHERE id = $3`,
+      values: [nextCursor, !nextCursor, runId],
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Returns the items of a run that still need processing: pending ones, and failed ones with retries left.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {number} runId - The ingestion run.
+ * @param {string} entityType - The item type to return.
+ * @returns {Promise<Array<object>>} The `ingestion_items` rows, in discovery order.
+ */
+export async function getPendingItems(pool, runId, entityType) {
+  const result = await pool.query({
+    text: `
+      SELECT id, entity_type, entity_key, url, status, retries
+      FROM ingestion_items
+      WHERE run_id = $1 AND entity_type = $2
+        AND (status = 'pending' OR (status = 'failed' AND retries < $3))
+      ORDER BY id
+    `,
+    values: [runId, entityType, MAX_ITEM_RETRIES],
+  });
+  return result.rows;
+}
+
+/**
+ * Marks items as done, skipped or failed. Failed items have their retry count incremented.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {number} runId - The ingestion run.
+ * @param {Array<string>} urls - The item URLs to update.
+ * @param {'done'|'skipped'|'failed'} status - The new status.
+ * @param {string} [errorMessage] - The failure reason, for failed items.
+ */
+export async function markItems(pool, runId, urls, status, errorMessage = null) {
+  if (urls.length === 0) return;
+  await pool.query({
+    text: `
+      UPDATE ingestion_items
+      SET status = $1,
+          retries = retries + CASE WHEN $1 = 'failed' THEN 1 ELSE 0 END,
+          last_error = $2,
+          updated_at = NOW()
+      WHERE run_id = $3 AND url = ANY($4::TEXT[])
+    `,
+    values: [status, errorMessage, runId, urls],
+  });
+}
+
+/**
+ * Adds to the number of detail documents fetched from the API during a run.
+ */
+export async function addFetchedCount(pool, runId, count) {
+  if (count === 0) return;
+  await pool.query({
+    text: `UPDATE ingestion_runs SET fetched_count = fetched_count + $1 WHERE id = $2`,
+    values: [count, runId],
+  });
+}
+
+/**
+ * Closes a run with its final status.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {number} runId - The ingestion run.
+ * @param {'completed'|'failed'} status - How the run ended.
+ */
+export async function finishRun(pool, runId, status = 'completed') {
+  await pool.query({
+    text: `UPDATE ingestion_runs SET status = $1, finished_at = NOW() WHERE id = $2`,
+    values: [status, runId],
+  });
+}
+
+/**
+ * Closes a run that reached the end of its work. A run that still has failed or pending items
+ * is closed as 'failed' so that `--resume` retries them.
+ * @returns {Promise<string>} The final status.
+ */
+export async function completeRun(pool, runId) {
+  const summary = await getRunSummary(pool, runId);
+  const status = summary.failed > 0 || summary.pending > 0 ? 'failed' : 'completed';
+  await finishRun(pool, runId, status);
+  return status;
+}
+
+/**
+ * Builds the end-of-run summary from the ledger.
+ * @returns {Promise<{fetched: number, upserted: number, skipped: number, failed: number, pending: number}>}
+ */
+export async function getRunSummary(pool, runId) {
+  const result = await pool.query({
+    text: `
+      SELECT
+        r.fetched_count AS fetched,
+        COUNT(i.id) FILTER (WHERE i.status = 'done') AS upserted,
+        COUNT(i.id) FILTER (WHERE i.status = 'skipped') AS skipped,
+        COUNT(i.id) FILTER (WHERE i.status = 'failed') AS failed,
+        COUNT(i.id) FILTER (WHERE i.status = 'pending') AS pending
+      FROM ingestion_runs r
+      LEFT JOIN ingestion_items i ON i.run_id = r.id
+      WHERE r.id = $1
+      GROUP BY r.id
+    `,
+    values: [runId],
+  });
+  const row = result.rows[0] || {};
+  return {
+    fetched: parseInt(row.fetched || 0, 10),
+    upserted: parseInt(row.upserted || 0, 10),
+    skipped: parseInt(row.skipped || 0, 10),
+    failed: parseInt(row.failed || 0, 10),
+    pending: parseInt(row.pending || 0, 10),
+  };
+}
+
+/**
+ * Prints the end-of-run summary.
+ */
+export async function printRunSummary(pool, runId) {
+  const summary = await getRunSummary(pool, runId);
+  console.log(`\n📋 Ingestion run #${runId} summary:`);
+  console.log(`   - Fetched:  ${summary.fetched}`);
+  console.log(`   - Upserted: ${summary.upserted}`);
+  console.log(`   - Skipped:  ${summary.skipped}`);
+  console.log(`   - Failed:   ${summary.failed}`);
+  if (summary.pending > 0) {
+    console.log(`   - Pending:  ${summary.pending} (run again with --resume to continue)`);
+  }
+  return summary;
+}
@@ -2,249 +2,396 @@
 // NOTE: v3 - This script is updated to handle 'directOrderName' and 'invertedOrderName'.
 // It unpacks the 'terms' and 'leadership' arrays and saves them correctly.
 // To run this script:
-// 1. Run the latest database setup script (v5) first.
+// 1. Apply the database migrations first: node migrate.js up
 // 2. Install packages: npm install pg dotenv node-fetch
 // 3. Ensure your .env file is present with DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
-// 4. Run the script from your terminal: node <filename>.js (or <filename>.mjs if using "type": "module")
-
-import { Pool } from 'pg';
-import fetch from 'node-fetch';
-import 'dotenv/config';
-
-const API_KEY = process.env.CONGRESS_API_KEY;
-const BASE_API_URL = 'https://api.congress.gov/v3';
-const CONGRESS_TO_FETCH = process.env.CURRENT_CONGRESS;
-const BATCH_SIZE = 50;
-
-const pool = new Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
-});
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-async function fetchAllMemberUrls() {
-  if (!CONGRESS_TO_FETCH) {
-    console.error('❌ Error: CURRENT_CONGRESS is not defined in your .env file.');
-    return [];
-  }
+// 4. Run it through the CLI: node cli.js sync members [--congress 118] [--resume] [--incremental] [--dry-run]
+//    (or directly with the same flags: node Services/memberDataPopulation.js --congress 118)
+// Every fetched document is archived in raw_api_documents; `node cli.js reprocess members` rebuilds the member tables from that archive.
 
-  const memberUrls = [];
-  let nextUrl = `${BASE_API_URL}/member/congress/${CONGRESS_TO_FETCH}?api_key=${API_KEY}&limit=250`;
-  let pageNum = 1;
+import { BASE_API_URL, fetchJson, paginate, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { previousRow, diffFields, logChanges } from './changeLog.js';
 
-  console.log(`Starting to fetch member URLs for Congress ${CONGRESS_TO_FETCH}...`);
+const DEFAULT_BATCH_SIZE = 50;
+// Member columns whose changes are recorded in change_log.
+const TRACKED_MEMBER_FIELDS = [
+  'direct_order_name', 'first_name', 'middle_name', 'last_name', 'suffix_name', 'nickname', 'honorific_name',
+  'birth_year', 'death_year', 'official_url', 'depiction_image_url', 'is_current_member',
+];
 
-  while (nextUrl) {
-    try {
-      console.log(`Fetching page ${pageNum}...`);
-      const response = await fetch(nextUrl);
-      if (!response.ok) {
-        throw new Error(`API request failed with status ${response.status}: ${await response.text()}`);
-      }
-      const data = await response.json();
-      
-      if (data.members) {
-        data.members.forEach(member => memberUrls.push(`${member.url}&api_key=${API_KEY}`));
-      }
+// Set by `run` for the duration of a run.
+let pool;
+let options;
 
-      nextUrl = (data.pagination && data.pagination.next) ? `${data.pagination.next}&api_key=${API_KEY}` : null;
-      if(nextUrl) pageNum++;
-      
-      await sleep(200);
+/**
+ * Pages through the member list for the specified congress and records every member URL in the run's ledger.
+ * Incremental runs with a high-water mark list members updated inside the run's window instead;
+ * the per-congress list can't be filtered by update date, so they use the `/member` list and keep
+ * only the members with a term overlapping the congress, since the high-water mark is per congress.
+ * Paging starts from the run's saved cursor, if any.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueMemberUrls(run, recordPage) {
+  const useWindow = Boolean(run.window_from);
+  const listUrl = useWindow ? `${BASE_API_URL}/member` : `${BASE_API_URL}/member/congress/${options.congress}`;
+  const startUrl = run.page_cursor || listUrl;
+  let memberCount = 0;
+  let pageNum = 1;
 
-    } catch (error) {
-      console.error(`Error fetching page ${pageNum} from ${nextUrl}:`, error);
-      nextUrl = null;
-    }
+  console.log(`Starting to fetch ${useWindow ? 'updated ' : ''}member URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
+
+  for await (const data of paginate(startUrl, run.page_cursor || !useWindow ? {} : windowParams(run))) {
+    console.log(`Fetched page ${pageNum}...`);
+    const apiMembers = (data.members || []).filter(member => !useWindow || servedInCongress(member, options.congress));
+    const storedIds = options.skipStoredMembers ? await getMembersWithStoredDetails(apiMembers.map(m => m.bioguideId)) : new Set();
+    const items = apiMembers.map(member => ({
+      entityType: 'member',
+      entityKey: member.bioguideId,
+      url: member.url,
+      status: storedIds.has(member.bioguideId) ? 'skipped' : 'pending',
+    }));
+    await recordPage(items, data.pagination?.next || null);
+    memberCount += items.length;
+    pageNum++;
   }
-  console.log(`✅ Found a total of ${memberUrls.length} members for Congress ${CONGRESS_TO_FETCH}.`);
-  return memberUrls;
+  console.log(`✅ Found a total of ${memberCount} members for Congress ${options.congress}.`);
 }
 
-async function processMemberBatch(membersData) {
-    if (membersData.length === 0) return;
+/**
+ * Tells whether a member from the `/member` list has a term overlapping the congress. The list gives terms
+ * by start and end year only, so a term ending in the congress's first year (on January 3) also counts;
+ * fetching such a member once more is harmless.
+ * @param {object} member - A member from the list, with `terms.item` of `{startYear, endYear}`.
+ * @param {number|string} congress
+ */
+function servedInCongress(member, congress) {
+  const firstYear = 1787 + 2 * Number(congress);
+  const terms = member.terms?.item;
+  if (!terms) return true;
+  return terms.some(term => term.startYear <= firstYear + 1 && (!term.endYear || term.endYear >= firstYear));
+}
 
-    const client = await pool.connect();
-    try {
-        await client.query('BEGIN');
+/**
+ * Records every member with an archived detail document that lists a term in the congress, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueArchivedMembers(recordPage) {
+  const congress = Number(options.congress);
+  const documents = await listArchivedDocuments(pool, 'member/[A-Z][0-9]{6}');
+  const items = documents
+    .filter(({ document }) => document.member?.terms?.some(term => term.congress === congress))
+    .map(({ url, document: { member } }) => ({ entityType: 'member', entityKey: member.bioguideId, url }));
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived members to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the members of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedMembers(recordPage) {
+  const items = await getDeadLetterItems(pool, ['member'], options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed members to retry for Congress ${options.congress}.`);
+}
 
-        for (const member of membersData) {
-            // 1. Upsert the main member data
+/**
+ * Returns which of the given members already have their details stored, e.g. from an earlier congress.
+ * A member's detail record covers every term they served, so it doesn't need fetching again for each congress.
+ * Minimal rows inserted for bill sponsors have no terms, so they still count as missing.
+ * @param {Array<string>} bioguideIds - The members to check.
+ * @returns {Promise<Set<string>>}
+ */
+async function getMembersWithStoredDetails(bioguideIds) {
+  if (bioguideIds.length === 0) return new Set();
+  const result = await pool.query({
+    text: `SELECT DISTINCT member_bioguide_id FROM member_terms WHERE member_bioguide_id = ANY($1::TEXT[])`,
+    values: [bioguideIds],
+  });
+  return new Set(result.rows.map(row => row.member_bioguide_id));
+}
+
+/**
+ * Upserts one member's details and their address, terms, party history and leadership,
+ * recording changed fields and new party affiliations in change_log.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} member - The member from the member detail endpoint.
+ * @param {number} runId - The ingestion run saving the member.
+ */
+async function saveMember(client, member, runId) {
+    // 1. Upsert the main member data
+    const memberRes = await client.query({
+        text: `
+          ${previousRow('members', 'bioguide_id = $1')}
+          INSERT INTO members (
+            bioguide_id, direct_order_name, inverted_order_name, first_name, middle_name, last_name, suffix_name,
+            nickname, honorific_name, birth_year, death_year, official_url, depiction_image_url,
+            depiction_attribution, is_current_member, updated_at, source_document_id
+          )
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+          ON CONFLICT (bioguide_id) DO UPDATE SET
+            direct_order_name = EXCLUDED.direct_order_name,
+            inverted_order_name = EXCLUDED.inverted_order_name,
+            first_name = EXCLUDED.first_name,
+            middle_name = EXCLUDED.middle_name,
+            last_name = EXCLUDED.last_name,
+            suffix_name = EXCLUDED.suffix_name,
+            nickname = EXCLUDED.nickname,
+            honorific_name = EXCLUDED.honorific_name,
+            birth_year = EXCLUDED.birth_year,
+            death_year = EXCLUDED.death_year,
+            official_url = EXCLUDED.official_url,
+            depiction_image_url = EXCLUDED.depiction_image_url,
+            depiction_attribution = EXCLUDED.depiction_attribution,
+            is_current_member = EXCLUDED.is_current_member,
+            updated_at = EXCLUDED.updated_at,
+            source_document_id = EXCLUDED.source_document_id
+          RETURNING (SELECT to_jsonb(p) FROM previous p) AS previous, to_jsonb(members.*) AS current;
+        `,
+        values: [
+          member.bioguideId,
+          member.directOrderName,
+          member.invertedOrderName,
+          member.firstName,
+          member.middleName,
+          member.lastName,
+          member.suffixName,
+          member.nickName,
+          member.honorificName,
+          member.birthYear,
+          member.deathYear,
+          member.officialWebsiteUrl,
+          member.depiction?.imageUrl,
+          member.depiction?.attribution,
+          member.currentMember,
+          member.updateDate,
+          archivedDocumentId(member)
+        ],
+    });
+
+    // A member seen for the first time (or only as a sponsor placeholder from the bill sync) is logged once.
+    const { previous, current } = memberRes.rows[0];
+    const isNewMember = !previous || previous.direct_order_name === null;
+    const change = { entityType: 'member', entityKey: member.bioguideId, memberBioguideId: member.bioguideId };
+    const changes = isNewMember
+        ? [{ ...change, changeType: 'added', newValue: current.direct_order_name }]
+        : diffFields(previous, current, TRACKED_MEMBER_FIELDS).map(diff => ({ ...change, changeType: 'updated', ...diff }));
+
+    // 2. Upsert address information
+    if (member.addressInformation) {
+        const addr = member.addressInformation;
+        await client.query({
+            text: `
+              INSERT INTO member_addresses (member_bioguide_id, office_address, city, district, zip_code, phone_number)
+              VALUES ($1, $2, $3, $4, $5, $6)
+              ON CONFLICT (member_bioguide_id) DO UPDATE SET
+                office_address = EXCLUDED.office_address, city = EXCLUDED.city, district = EXCLUDED.district,
+                zip_code = EXCLUDED.zip_code, phone_number = EXCLUDED.phone_number;
+            `,
+            values: [member.bioguideId, addr.officeAddress, addr.city, addr.district, addr.zipCode, addr.phoneNumber]
+        });
+    }
+
+    // 3. Unpack and upsert party history
+    if (Array.isArray(member.partyHistory)) {
+        for (const party of member.partyHistory) {
+            const partyRes = await client.query({
+                text: `
+                  INSERT INTO member_party_history (member_bioguide_id, party_name, party_abbreviation, start_year)
+                  VALUES ($1, $2, $3, $4)
+                  ON CONFLICT (member_bioguide_id, party_name, start_year) DO NOTHING
+                  RETURNING id;
+                `,
+                values: [member.bioguideId, party.partyName, party.partyAbbreviation, party.startYear]
+            });
+            if (partyRes.rows.length > 0 && !isNewMember) {
+                changes.push({ ...change, entityType: 'member_party', changeType: 'added', newValue: `${party.partyName} (${party.startYear})` });
+            }
+        }
+    }
+
+    // 4. Unpack and upsert terms
+    if (Array.isArray(member.terms)) {
+        for (const term of member.terms) {
+            await client.query({
+                text: `
+                  INSERT INTO member_terms (member_bioguide_id, congress, chamber, member_type, state_code, state_name, district, start_year, end_year)
+                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                  ON CONFLICT (member_bioguide_id, congress, chamber, district) DO UPDATE SET
+                    member_type = EXCLUDED.member_type, state_code = EXCLUDED.state_code, state_name = EXCLUDED.state_name,
+                    start_year = EXCLUDED.start_year, end_year = EXCLUDED.end_year;
+                `,
+                values: [member.bioguideId, term.congress, term.chamber, term.memberType, term.stateCode, term.stateName, term.district, term.startYear, term.endYear]
+            });
+        }
+    }
+    
+    // 5. Unpack and upsert leadership roles
+    if (Array.isArray(member.leadership)) {
+        for (const role of member.leadership) {
             await client.query({
                 text: `
-                  INSERT INTO members (
-                    bioguide_id, direct_order_name, inverted_order_name, first_name, middle_name, last_name, suffix_name,
-                    nickname, honorific_name, birth_year, death_year, official_url, depiction_image_url,
-                    depiction_attribution, is_current_member, updated_at
-                  )
-                  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
-                  ON CONFLICT (bioguide_id) DO UPDATE SET
-                    direct_order_name = EXCLUDED.direct_order_name,
-                    inverted_order_name = EXCLUDED.inverted_order_name,
-                    first_name = EXCLUDED.first_name,
-                    middle_name = EXCLUDED.middle_name,
-                    last_name = EXCLUDED.last_name,
-                    suffix_name = EXCLUDED.suffix_name,
-                    nickname = EXCLUDED.nickname,
-                    honorific_name = EXCLUDED.honorific_name,
-                    birth_year = EXCLUDED.birth_year,
-                    death_year = EXCLUDED.death_year,
-                    official_url = EXCLUDED.official_url,
-                    depiction_image_url = EXCLUDED.depiction_image_url,
-                    depiction_attribution = EXCLUDED.depiction_attribution,
-                    is_current_member = EXCLUDED.is_current_member,
-                    updated_at = EXCLUDED.updated_at;
+                  INSERT INTO member_leadership (member_bioguide_id, congress, leadership_type, is_current)
+                  VALUES ($1, $2, $3, $4)
+                  ON CONFLICT (member_bioguide_id, congress, leadership_type) DO UPDATE SET
+                    is_current = EXCLUDED.is_current;
                 `,
-                values: [
-                  member.bioguideId,
-                  member.directOrderName,
-                  member.invertedOrderName,
-                  member.firstName,
-                  member.middleName,
-                  member.lastName,
-                  member.suffixName,
-                  member.nickName,
-                  member.honorificName,
-                  member.birthYear,
-                  member.deathYear,
-                  member.officialWebsiteUrl,
-                  member.depiction?.imageUrl,
-                  member.depiction?.attribution,
-                  member.currentMember,
-                  member.updateDate
-                ],
+                values: [member.bioguideId, role.congress, role.type, role.current]
             });
+        }
+    }
 
-            // 2. Upsert address information
-            if (member.addressInformation) {
-                const addr = member.addressInformation;
-                await client.query({
-                    text: `
-                      INSERT INTO member_addresses (member_bioguide_id, office_address, city, district, zip_code, phone_number)
-                      VALUES ($1, $2, $3, $4, $5, $6)
-                      ON CONFLICT (member_bioguide_id) DO UPDATE SET
-                        office_address = EXCLUDED.office_address, city = EXCLUDED.city, district = EXCLUDED.district,
-                        zip_code = EXCLUDED.zip_code, phone_number = EXCLUDED.phone_number;
-                    `,
-                    values: [member.bioguideId, addr.officeAddress, addr.city, addr.district, addr.zipCode, addr.phoneNumber]
-                });
-            }
+    await logChanges(client, runId, changes);
+}
 
-            // 3. Unpack and upsert party history
-            if (Array.isArray(member.partyHistory)) {
-                for (const party of member.partyHistory) {
-                    await client.query({
-                        text: `
-                          INSERT INTO member_party_history (member_bioguide_id, party_name, party_abbreviation, start_year)
-                          VALUES ($1, $2, $3, $4)
-                          ON CONFLICT (member_bioguide_id, party_name, start_year) DO NOTHING;
-                        `,
-                        values: [member.bioguideId, party.partyName, party.partyAbbreviation, party.startYear]
-                    });
-                }
-            }
+/**
+ * Upserts a batch of members in one transaction, each under its own savepoint so a member that fails is rolled back alone.
+ * @param {Array<{item: object, member: object}>} entries - The fetched members with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ *   If the transaction itself fails, every member is reported as failed.
+ */
+async function processMemberBatch(entries, runId) {
+    const saved = [];
+    const failed = [];
+    if (entries.length === 0) return { saved, failed };
 
-            // 4. Unpack and upsert terms
-            if (Array.isArray(member.terms)) {
-                for (const term of member.terms) {
-                    await client.query({
-                        text: `
-                          INSERT INTO member_terms (member_bioguide_id, congress, chamber, member_type, state_code, state_name, district, start_year, end_year)
-                          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-                          ON CONFLICT (member_bioguide_id, congress, chamber, district) DO UPDATE SET
-                            member_type = EXCLUDED.member_type, state_code = EXCLUDED.state_code, state_name = EXCLUDED.state_name,
-                            start_year = EXCLUDED.start_year, end_year = EXCLUDED.end_year;
-                        `,
-                        values: [member.bioguideId, term.congress, term.chamber, term.memberType, term.stateCode, term.stateName, term.district, term.startYear, term.endYear]
-                    });
-                }
-            }
-            
-            // 5. Unpack and upsert leadership roles
-            if (Array.isArray(member.leadership)) {
-                for (const role of member.leadership) {
-                    await client.query({
-                        text: `
-                          INSERT INTO member_leadership (member_bioguide_id, congress, leadership_type, is_current)
-                          VALUES ($1, $2, $3, $4)
-                          ON CONFLICT (member_bioguide_id, congress, leadership_type) DO UPDATE SET
-                            is_current = EXCLUDED.is_current;
-                        `,
-                        values: [member.bioguideId, role.congress, role.type, role.current]
-                    });
-                }
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+
+        for (const entry of entries) {
+            try {
+                await withSavepoint(client, () => saveMember(client, entry.member, runId));
+                saved.push(entry.item);
+            } catch (error) {
+                console.error(`    ❌ Error saving member ${entry.item.entity_key}, rolled back to its savepoint: ${error.message}`);
+                failed.push({ item: entry.item, error: error.message, payload: entry.member });
             }
         }
 
         await client.query('COMMIT');
-        console.log(`  ✅ Successfully committed batch of ${membersData.length} members.`);
+        console.log(`  ✅ Committed ${saved.length} of ${entries.length} members.`);
+        return { saved, failed };
     } catch (error) {
         await client.query('ROLLBACK');
-        console.error(`  ❌ Error processing batch for members [${membersData.map(m=>m.bioguideId).join(', ')}]. Transaction rolled back.`, error);
+        console.error(`  ❌ Error processing batch for members [${entries.map(({ item }) => item.entity_key).join(', ')}]. Transaction rolled back.`, error);
+        return {
+            saved: [],
+            failed: entries.map(({ item, member }) => ({ item, error: 'Batch transaction rolled back', payload: member })),
+        };
     } finally {
         client.release();
     }
 }
 
-async function main() {
-  console.log('Starting member data population process...');
-  const allMemberUrls = await fetchAllMemberUrls();
-  
-  if (allMemberUrls.length > 0) {
-    console.log(`\nNow processing ${allMemberUrls.length} members in batches of ${BATCH_SIZE}. This may take a while...`);
-    
-    for (let i = 0; i < allMemberUrls.length; i += BATCH_SIZE) {
-        const batchUrls = allMemberUrls.slice(i, i + BATCH_SIZE);
-        console.log(`\nProcessing batch ${Math.floor(i / BATCH_SIZE) + 1} of ${Math.ceil(allMemberUrls.length / BATCH_SIZE)} (Members ${i + 1} to ${i + batchUrls.length})...`);
+/**
+ * Lists the members a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewMembers(window) {
+  let memberCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueMemberUrls(previewRun, async (items) => {
+    memberCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch details for ${memberCount} members. Nothing was written to the database.`);
+  return 'dry-run';
+}
 
-        const memberPromises = batchUrls.map(async (url) => {
-            try {
-                const response = await fetch(url);
-                if (!response.ok) {
-                    if (response.status === 429) {
-                        console.warn(`  Rate limit hit for ${url}. Will retry this batch...`);
-                        return 'RATE_LIMIT';
-                    }
-                    console.error(`  Error fetching ${url}: Status ${response.status}`);
-                    return null;
-                }
-                const { member } = await response.json();
-                return member;
-            } catch (error) {
-                console.error(`  Network error fetching ${url}:`, error.message);
-                return null;
-            }
-        });
+/**
+ * Syncs the members of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Members saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch members updated since the last successful sync.
+ * @param {boolean} [runOptions.skipStoredMembers] - Skip members whose details are already stored (used by backfills).
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the members from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the members with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncMembers();
+  } finally {
+    detachArchive();
+    await pool.end();
+  }
+}
 
-        const results = await Promise.all(memberPromises);
-        
-        if (results.includes('RATE_LIMIT')) {
-            console.log("Pausing for 10 seconds due to rate limit, then retrying last batch...");
-            await sleep(10000);
-            i -= BATCH_SIZE;
-            continue;
-        }
+async function syncMembers() {
+  console.log(`Starting member data population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'members', options.congress) : null;
+  if (options.dryRun) {
+    return previewMembers(window);
+  }
 
-        const membersData = results.filter(m => m != null);
-        if (membersData.length > 0) {
-            await processMemberBatch(membersData);
-        }
-        await sleep(1000);
+  const run = await startRun(pool, { entityType: 'members', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedMembers(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedMembers(recordPage);
+      } else {
+        await enqueueMemberUrls(run, recordPage);
+      }
     }
-    console.log('\n✅ All member batches have been processed!');
-  } else {
-    console.log('No members found to process.');
-  }
 
-  await pool.end();
-  console.log('Database connection pool closed.');
+    const pendingItems = await getPendingItems(pool, run.id, 'member');
+    if (pendingItems.length > 0) {
+      console.log(`\nNow processing ${pendingItems.length} members in batches of ${options.batchSize}. This may take a while...`);
+      
+      for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+          const batchItems = pendingItems.slice(i, i + options.batchSize);
+          console.log(`\nProcessing batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} (Members ${i + 1} to ${i + batchItems.length})...`);
+
+          const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+              try {
+                  const { member } = await fetchJson(item.url);
+                  return { item, member: member || null, error: member ? null : 'Response contained no member' };
+              } catch (error) {
+                  console.error(`  Error fetching ${item.url}:`, error.message);
+                  return { item, member: null, error: error.message };
+              }
+          });
+
+          const fetched = results.filter(r => r.member !== null);
+          await addFetchedCount(pool, run.id, fetched.length);
+          await settleItems(pool, run, { saved: [], failed: results.filter(r => r.member === null) });
+          await settleItems(pool, run, await processMemberBatch(fetched, run.id));
+      }
+      console.log('\n✅ All member batches have been processed!');
+    } else {
+      console.log('No members found to process.');
+    }
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'members', options.congress, run.window_to);
+    }
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
 }
 
-main().catch(error => {
-  console.error('An unexpected error occurred during the main process:', error);
-  pool.end();
-});
\ No newline at end of file
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
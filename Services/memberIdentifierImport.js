@@ -0,0 +1,157 @@
+// This script imports each member's IDs in other databases (FEC, OpenSecrets, GovTrack, VoteSmart,
+// Wikipedia, ICPSR, ...) and their social media accounts into member_identifiers, from local copies of the
+// congress-legislators project's (https://github.com/unitedstates/congress-legislators) files:
+// - legislators-current.yaml, whose `id` block lists the IDs, and
+// - legislators-social-media.yaml, whose `social` block lists the accounts (twitter, youtube, youtube_id, ...).
+// Every key of both blocks is stored as a scheme, so new IDs in the files are picked up without code changes.
+// Members are matched on their bioguide id; members who aren't in the database are skipped, so sync members first.
+// Each member found in the files has their identifiers replaced; members missing from them are left alone.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Run it through the CLI: node cli.js sync identifiers --legislators-dir <dir> [--dry-run]
+//    (or directly with the same flags: node Services/memberIdentifierImport.js --legislators-dir <dir>)
+
+import fs from 'fs/promises';
+import path from 'path';
+import yaml from 'js-yaml';
+import { createPool } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+
+const LEGISLATORS_FILE = 'legislators-current.yaml';
+const SOCIAL_MEDIA_FILE = 'legislators-social-media.yaml';
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+/**
+ * Reads and parses one of the congress-legislators YAML files from --legislators-dir.
+ */
+async function readYamlFile(fileName) {
+  const file = path.join(options.legislatorsDir, fileName);
+  return yaml.load(await fs.readFile(file, 'utf8'), { filename: file });
+}
+
+/**
+ * Collects the identifiers of every legislator in the files.
+ * @param {Array<object>} legislators - The parsed legislators file.
+ * @param {Array<object>} socialMedia - The parsed social media file.
+ * @returns {Map<string, Array<{scheme: string, value: string}>>} Bioguide id -> identifiers.
+ */
+function collectIdentifiers(legislators, socialMedia) {
+  const identifiers = new Map();
+  const add = (bioguideId, block) => {
+    if (!bioguideId || !block) return;
+    const list = identifiers.get(bioguideId) || [];
+    for (const [scheme, value] of Object.entries(block)) {
+      if (scheme === 'bioguide') continue;
+      for (const item of [].concat(value)) {
+        if (item !== null && item !== undefined && item !== '') list.push({ scheme, value: String(item) });
+      }
+    }
+    identifiers.set(bioguideId, list);
+  };
+
+  for (const legislator of legislators || []) add(legislator.id?.bioguide, legislator.id);
+  for (const entry of socialMedia || []) add(entry.id?.bioguide, entry.social);
+  return identifiers;
+}
+
+/**
+ * Replaces the identifiers of the given members in one transaction.
+ * @param {Map<string, Array<object>>} identifiers - From `collectIdentifiers`, limited to stored members.
+ * @returns {Promise<number>} The number of identifiers saved.
+ */
+async function replaceIdentifiers(identifiers) {
+  const rows = [...identifiers].flatMap(([bioguideId, list]) => list.map(item => ({ bioguideId, ...item })));
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query({
+      text: 'DELETE FROM member_identifiers WHERE member_bioguide_id = ANY($1::TEXT[])',
+      values: [[...identifiers.keys()]],
+    });
+    const result = await client.query({
+      text: `
+        INSERT INTO member_identifiers (member_bioguide_id, scheme, value)
+        SELECT * FROM UNNEST($1::TEXT[], $2::TEXT[], $3::TEXT[])
+        ON CONFLICT DO NOTHING;
+      `,
+      values: [rows.map(row => row.bioguideId), rows.map(row => row.scheme), rows.map(row => row.value)],
+    });
+    await client.query('COMMIT');
+    return result.rowCount;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Imports member identifiers from the files in --legislators-dir.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress being synced. The files only describe current
+ *   legislators, so other congresses are skipped when CURRENT_CONGRESS is set.
+ * @param {string} [runOptions.legislatorsDir] - The directory holding the two YAML files. Without it nothing is imported.
+ * @param {boolean} [runOptions.dryRun] - Report what would be imported without writing to the database.
+ * @returns {Promise<string>} The run status: 'completed', 'failed', 'dry-run', or 'skipped'.
+ */
+export async function run(runOptions) {
+  options = runOptions;
+  if (!options.legislatorsDir) {
+    console.log(`⏭️  No --legislators-dir given; skipping member identifiers for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+  if (process.env.CURRENT_CONGRESS && Number(options.congress) !== Number(process.env.CURRENT_CONGRESS)) {
+    console.log(`⏭️  The legislator files only describe the current congress; skipping member identifiers for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+
+  pool = createPool();
+  try {
+    return await importMemberIdentifiers();
+  } finally {
+    await pool.end();
+  }
+}
+
+async function importMemberIdentifiers() {
+  console.log('Starting member identifier import...');
+  let identifiers;
+  try {
+    identifiers = collectIdentifiers(await readYamlFile(LEGISLATORS_FILE), await readYamlFile(SOCIAL_MEDIA_FILE));
+  } catch (error) {
+    console.error(`❌ Error reading the legislator files in ${options.legislatorsDir}: ${error.message}`);
+    return 'failed';
+  }
+
+  const stored = await pool.query({
+    text: 'SELECT bioguide_id FROM members WHERE bioguide_id = ANY($1::TEXT[])',
+    values: [[...identifiers.keys()]],
+  });
+  const storedIds = new Set(stored.rows.map(row => row.bioguide_id));
+  const matched = new Map([...identifiers].filter(([bioguideId]) => storedIds.has(bioguideId)));
+  if (matched.size < identifiers.size) {
+    console.warn(`  ⚠️  Skipping ${identifiers.size - matched.size} legislators who aren't in the database.`);
+  }
+
+  if (options.dryRun) {
+    console.log(`\n🔎 Dry run: would replace the identifiers of ${matched.size} members. Nothing was written to the database.`);
+    return 'dry-run';
+  }
+
+  try {
+    const saved = await replaceIdentifiers(matched);
+    console.log(`\n✅ Saved ${saved} identifiers for ${matched.size} members.`);
+    return 'completed';
+  } catch (error) {
+    console.error('❌ Error saving member identifiers. Transaction rolled back.', error);
+    return 'failed';
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run, { apiKey: false });
+}
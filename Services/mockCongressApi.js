@@ -0,0 +1,168 @@
+// services/mockCongressApi.js
+// A local stand-in for the Congress.gov API that replays fixture files (see apiFixtures.js),
+// so the population scripts can run end to end without an API key or network access.
+// Point the scripts at it with CONGRESS_API_BASE_URL=http://localhost:3100/v3.
+//
+// How a request is answered:
+// 1. A fixture recorded for the exact request (including its offset/limit) is returned as-is.
+// 2. A '.raw' fixture for the exact request is sent verbatim, which is how malformed payloads are tested.
+// 3. Otherwise a fixture for the endpoint alone is used and, for list endpoints, filtered by
+//    fromDateTime/toDateTime and paginated by offset/limit, with a `pagination.next` link back to this server.
+// Links to https://api.congress.gov/v3 inside fixtures are rewritten to point at this server.
+//
+// Faults can be injected to exercise the client's retries and the scripts' failure handling:
+//   --rate-limit-every N   Answer every Nth request with 429 and Retry-After: 1
+//   --malformed-every N    Answer every Nth request with a truncated JSON body
+// and --page-size N caps the page size, so a handful of fixture items still spans several pages.
+//
+// Run it with: node cli.js mock-api [--port 3100] [--fixtures <dir>] (or node Services/mockCongressApi.js)
+
+import express from 'express';
+import { parseArgs } from 'util';
+import { DEFAULT_FIXTURES_DIR, LIVE_API_URL, fixtureKey, readFixture } from './apiFixtures.js';
+import { isMainModule } from './config.js';
+
+const DEFAULT_PORT = 3100;
+const DEFAULT_PAGE_LIMIT = 20;
+const PAGING_PARAMS = new Set(['offset', 'limit', 'fromDateTime', 'toDateTime', 'sort']);
+
+/**
+ * Returns the name of the array of items in a list response (e.g. 'bills'), or null for detail responses.
+ */
+function findItemsKey(body) {
+  return Object.keys(body).find(key => key !== 'pagination' && Array.isArray(body[key])) || null;
+}
+
+/**
+ * Applies a list request's update window and page to a fixture holding the whole list.
+ */
+function paginateList(body, itemsKey, requestUrl, pageSize) {
+  const query = requestUrl.searchParams;
+  const from = query.get('fromDateTime') ? new Date(query.get('fromDateTime')) : null;
+  const to = query.get('toDateTime') ? new Date(query.get('toDateTime')) : null;
+  const offset = parseInt(query.get('offset') || '0', 10);
+  const requestedLimit = parseInt(query.get('limit') || String(DEFAULT_PAGE_LIMIT), 10);
+  const limit = pageSize > 0 ? Math.min(requestedLimit, pageSize) : requestedLimit;
+
+  const items = body[itemsKey].filter(item => {
+    const updated = item.updateDateIncludingText || item.updateDate;
+    if (!updated) return true;
+    return (!from || new Date(updated) >= from) && (!to || new Date(updated) <= to);
+  });
+
+  let next = null;
+  if (offset + limit < items.length) {
+    const nextUrl = new URL(requestUrl);
+    nextUrl.searchParams.delete('api_key');
+    nextUrl.searchParams.set('offset', offset + limit);
+    nextUrl.searchParams.set('limit', limit);
+    next = nextUrl.toString();
+  }
+
+  return {
+    ...body,
+    [itemsKey]: items.slice(offset, offset + limit),
+    pagination: { count: items.length, ...(next ? { next } : {}) },
+  };
+}
+
+/**
+ * Creates the mock API app.
+ * @param {object} [options]
+ * @param {string} [options.fixturesDir] - Where the fixtures live (defaults to fixtures/congress-api).
+ * @param {number} [options.rateLimitEvery] - Answer every Nth request with a 429.
+ * @param {number} [options.malformedEvery] - Answer every Nth request with malformed JSON.
+ * @param {number} [options.pageSize] - The largest page served for list fixtures, whatever limit is requested.
+ * @returns {import('express').Express}
+ */
+export function createMockApi({ fixturesDir = DEFAULT_FIXTURES_DIR, rateLimitEvery = 0, malformedEvery = 0, pageSize = 0 } = {}) {
+  const app = express();
+  let requestCount = 0;
+
+  app.get('/v3/*path', async (req, res) => {
+    requestCount++;
+    const baseUrl = `${req.protocol}://${req.get('host')}/v3`;
+    const requestUrl = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+    const loggedUrl = new URL(requestUrl);
+    loggedUrl.searchParams.delete('api_key');
+    console.log(`Mock API: ${req.method} ${loggedUrl.pathname}${loggedUrl.search}`);
+
+    res.set('x-ratelimit-limit', '5000');
+    res.set('x-ratelimit-remaining', '5000');
+
+    if (rateLimitEvery > 0 && requestCount % rateLimitEvery === 0) {
+      res.set('retry-after', '1');
+      return res.status(429).json({ error: { code: 'OVER_RATE_LIMIT', message: 'Injected rate limit' } });
+    }
+
+    try {
+      const exactKey = fixtureKey(requestUrl.toString());
+      const endpointKey = fixtureKey(requestUrl.toString(), { ignoreParams: PAGING_PARAMS });
+
+      const raw = await readFixture(fixturesDir, exactKey, 'raw');
+      if (raw !== null) {
+        return res.type('application/json').send(raw);
+      }
+
+      const exact = await readFixture(fixturesDir, exactKey);
+      const text = exact ?? await readFixture(fixturesDir, endpointKey);
+      if (text === null) {
+        return res.status(404).json({ error: `No fixture for ${endpointKey}` });
+      }
+
+      if (malformedEvery > 0 && requestCount % malformedEvery === 0) {
+        return res.type('application/json').send(text.slice(0, Math.floor(text.length / 2)));
+      }
+
+      let body = JSON.parse(text.split(LIVE_API_URL).join(baseUrl));
+      const itemsKey = findItemsKey(body);
+      if (exact === null && itemsKey) {
+        body = paginateList(body, itemsKey, requestUrl, pageSize);
+      }
+      res.json(body);
+    } catch (error) {
+      console.error(`Mock API error for ${requestUrl.pathname}:`, error);
+      res.status(500).json({ error: 'Mock server error' });
+    }
+  });
+
+  return app;
+}
+
+/**
+ * Starts the mock API.
+ * @param {object} [options] - The `createMockApi` options, plus `port`.
+ */
+export function startMockApi({ port = DEFAULT_PORT, ...options } = {}) {
+  return createMockApi(options).listen(port, () => {
+    console.log(`Mock Congress.gov API running on http://localhost:${port}/v3`);
+    console.log(`Serving fixtures from ${options.fixturesDir || DEFAULT_FIXTURES_DIR}`);
+  });
+}
+
+// Flags accepted by the mock server, in the format expected by util.parseArgs.
+export const MOCK_API_FLAGS = {
+  port: { type: 'string' },
+  fixtures: { type: 'string' },
+  'rate-limit-every': { type: 'string' },
+  'malformed-every': { type: 'string' },
+  'page-size': { type: 'string' },
+};
+
+/**
+ * Turns parsed mock server flags into `startMockApi` options.
+ */
+export function toMockApiOptions(values) {
+  return {
+    port: values.port ? parseInt(values.port, 10) : DEFAULT_PORT,
+    fixturesDir: values.fixtures,
+    rateLimitEvery: parseInt(values['rate-limit-every'] || '0', 10),
+    malformedEvery: parseInt(values['malformed-every'] || '0', 10),
+    pageSize: parseInt(values['page-size'] || '0', 10),
+  };
+}
+
+if (isMainModule(import.meta.url)) {
+  const { values } = parseArgs({ args: process.argv.slice(2), options: MOCK_API_FLAGS });
+  startMockApi(toMockApiOptions(values));
+}
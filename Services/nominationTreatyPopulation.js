@@ -0,0 +1,480 @@
+// This script fetches nominations (/nomination) and treaties (/treaty) from the Congress.gov API and populates
+// the nomination and treaty tables: nominees and the positions they were nominated to, actions, the resolution
+// of advice and consent for treaties, and the committees each was referred to.
+// It follows the same ledger, batch and upsert pattern as committeeMeetingPopulation.js: the nomination list is paged
+// first, then the treaty list, and each nomination or treaty is fetched and saved as its own ledger item.
+// Committees are only linked when they are already stored, so sync committees first.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Ensure your .env file has DB credentials, CONGRESS_API_KEY, and CURRENT_CONGRESS.
+// 3. Run it through the CLI: node cli.js sync nominations [--congress 119] [--batch-size 25] [--force] [--dry-run] [--incremental]
+//    (or directly with the same flags: node Services/nominationTreatyPopulation.js --congress 119)
+
+import { BASE_API_URL, fetchJson, fetchAllItems, paginate, mapWithConcurrency } from './congressApiClient.js';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getUpdateWindow, setHighWaterMark, windowParams } from './syncState.js';
+import { attachArchive, archivedDocumentId, listArchivedDocuments } from './rawArchive.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { markupToText } from './xmlUtils.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+
+const nominationKey = (nomination) => `${nomination.congress}-${nomination.number}-${nomination.partNumber || '00'}`;
+const treatyKey = (treaty) => `${treaty.congressReceived}-${treaty.number}${treaty.suffix || ''}`;
+
+// The two lists a run pages through, in order. `itemsKey` holds a list page's records and `detailKey` the record in its detail document.
+const LISTS = {
+  nomination: {
+    endpoint: 'nomination',
+    label: 'nominations',
+    itemsKey: 'nominations',
+    detailKey: 'nomination',
+    archivePattern: (congress) => `nomination/${congress}/[0-9]+`,
+    key: nominationKey,
+    storedQuery: `
+      SELECT congress || '-' || number || '-' || part_number AS key, updated_at FROM nominations
+      WHERE last_processed_at IS NOT NULL AND congress || '-' || number || '-' || part_number = ANY($1::TEXT[])
+    `,
+  },
+  treaty: {
+    endpoint: 'treaty',
+    label: 'treaties',
+    itemsKey: 'treaties',
+    detailKey: 'treaty',
+    archivePattern: (congress) => `treaty/${congress}/[0-9]+(/[A-Za-z])?`,
+    key: treatyKey,
+    storedQuery: `
+      SELECT congress_received || '-' || number || suffix AS key, updated_at FROM treaties
+      WHERE last_processed_at IS NOT NULL AND congress_received || '-' || number || suffix = ANY($1::TEXT[])
+    `,
+  },
+};
+
+/**
+ * Returns the first page URL of a list, with the run's update window applied.
+ */
+function listStartUrl(list, run) {
+  const url = new URL(`${BASE_API_URL}/${list.endpoint}/${options.congress}`);
+  for (const [key, value] of Object.entries(windowParams(run))) url.searchParams.set(key, value);
+  return url.toString();
+}
+
+/**
+ * Pages through the nomination list and then the treaty list for the specified congress, recording every URL in the run's ledger.
+ * The saved cursor says which list to continue: the last nomination page points the cursor at the first treaty page.
+ * Incremental runs only list records updated inside the run's window.
+ * Full runs record records that haven't changed since they were stored as skipped, unless the run was started with --force.
+ * @param {object} run - The ingestion run from the ledger.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records each page's items and next cursor.
+ */
+async function enqueueRecordUrls(run, recordPage) {
+  const skipUnchanged = !run.window_to && !options.force;
+  const treatiesStart = listStartUrl(LISTS.treaty, run);
+  const resumeTreaties = Boolean(run.page_cursor) && new URL(run.page_cursor).pathname.includes('/treaty/');
+  console.log(`Starting to fetch nomination and treaty URLs for Congress ${options.congress}${run.page_cursor ? ' from the saved cursor' : ''}...`);
+
+  for (const [entityType, list] of Object.entries(LISTS)) {
+    if (entityType === 'nomination' && resumeTreaties) continue;
+    const isLast = entityType === 'treaty';
+    const resumeUrl = run.page_cursor && resumeTreaties === isLast ? run.page_cursor : null;
+    const startUrl = resumeUrl || listStartUrl(list, run);
+    let pendingCount = 0;
+    let skippedCount = 0;
+
+    for await (const data of paginate(startUrl)) {
+      const records = data[list.itemsKey] || [];
+      const stored = skipUnchanged ? await getStoredUpdateDates(list, records) : new Map();
+
+      const items = records.map(record => {
+        const key = list.key(record);
+        const storedUpdate = stored.get(key);
+        const isUnchanged = Boolean(storedUpdate && record.updateDate && new Date(storedUpdate) >= new Date(record.updateDate));
+        if (isUnchanged) skippedCount++; else pendingCount++;
+        return { entityType, entityKey: key, url: record.url, status: isUnchanged ? 'skipped' : 'pending' };
+      });
+      const next = data.pagination?.next || null;
+      await recordPage(items, next || (isLast ? null : treatiesStart));
+    }
+
+    console.log(`✅ Queued ${pendingCount} ${list.label} to process (${skippedCount} unchanged skipped).`);
+  }
+}
+
+/**
+ * Returns the stored update date of each listed record that has been fully processed, keyed like the ledger.
+ */
+async function getStoredUpdateDates(list, records) {
+  if (records.length === 0) return new Map();
+  const result = await pool.query({ text: list.storedQuery, values: [records.map(list.key)] });
+  return new Map(result.rows.map(row => [row.key, row.updated_at]));
+}
+
+/**
+ * Records every nomination and treaty of the congress that has an archived detail document, for a reprocessing run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueArchivedRecords(recordPage) {
+  const items = [];
+  for (const [entityType, list] of Object.entries(LISTS)) {
+    const documents = await listArchivedDocuments(pool, list.archivePattern(options.congress));
+    items.push(...documents
+      .filter(({ document }) => document[list.detailKey])
+      .map(({ url, document }) => ({ entityType, entityKey: list.key(document[list.detailKey]), url })));
+  }
+  await recordPage(items, null);
+  console.log(`Found ${items.length} archived nominations and treaties to reprocess for Congress ${options.congress}.`);
+}
+
+/**
+ * Records the nominations and treaties of the congress with open dead letters, for a `retry-failed` run.
+ * @param {function(Array<object>, string|null): Promise<void>} recordPage - Records the items and completes the list.
+ */
+async function enqueueFailedRecords(recordPage) {
+  const items = await getDeadLetterItems(pool, Object.keys(LISTS), options.congress);
+  await recordPage(items, null);
+  console.log(`Found ${items.length} failed nominations and treaties to retry for Congress ${options.congress}.`);
+}
+
+/**
+ * Links a nomination or treaty to the stored committees it was referred to, one row per committee activity.
+ */
+async function saveCommitteeActivities(client, table, idColumn, id, committees) {
+  for (const committee of committees) {
+    for (const activity of committee.activities || []) {
+      await client.query({
+        text: `
+          INSERT INTO ${table} (${idColumn}, committee_system_code, activity_name, activity_date)
+          SELECT $1, system_code, $3, $4 FROM committees WHERE system_code = $2
+          ON CONFLICT (${idColumn}, committee_system_code, activity_name, activity_date) DO NOTHING;
+        `,
+        values: [id, committee.systemCode?.toLowerCase(), activity.name, activity.date],
+      });
+    }
+  }
+}
+
+/**
+ * Saves one nomination with its positions and nominees, actions and committee referrals.
+ * A sub-endpoint that can't be fetched fails the nomination, so it is dead-lettered and retried.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} nomination - The nomination from the nomination detail endpoint.
+ */
+async function saveNomination(client, nomination) {
+  const result = await client.query({
+    text: `
+      INSERT INTO nominations (
+        congress, number, part_number, citation, description, organization, received_date, is_civilian, is_list,
+        latest_action_date, latest_action_text, updated_at, source_document_id, last_processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())
+      ON CONFLICT (congress, number, part_number) DO UPDATE SET
+        citation = EXCLUDED.citation,
+        description = EXCLUDED.description,
+        organization = EXCLUDED.organization,
+        received_date = EXCLUDED.received_date,
+        is_civilian = EXCLUDED.is_civilian,
+        is_list = EXCLUDED.is_list,
+        latest_action_date = EXCLUDED.latest_action_date,
+        latest_action_text = EXCLUDED.latest_action_text,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      nomination.congress,
+      nomination.number,
+      nomination.partNumber || '00',
+      nomination.citation,
+      nomination.description,
+      nomination.organization ?? nomination.nominees?.[0]?.organization ?? null,
+      nomination.receivedDate,
+      nomination.nominationType?.isCivilian ?? null,
+      nomination.isList ?? null,
+      nomination.latestAction?.actionDate,
+      nomination.latestAction?.text,
+      nomination.updateDate,
+      archivedDocumentId(nomination),
+    ],
+  });
+  const nominationId = result.rows[0].id;
+
+  // Positions are replaced as a whole, which also clears their nominees.
+  await client.query({ text: 'DELETE FROM nomination_positions WHERE nomination_id = $1', values: [nominationId] });
+  for (const position of nomination.nominees || []) {
+    const positionResult = await client.query({
+      text: `
+        INSERT INTO nomination_positions (nomination_id, ordinal, position_title, organization, intro_text, nominee_count)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id;
+      `,
+      values: [nominationId, position.ordinal, position.positionTitle, position.organization, position.introText, position.nomineeCount],
+    });
+    const nominees = position.url ? await fetchAllItems(position.url, 'nominees') : [];
+    for (const nominee of nominees) {
+      await client.query({
+        text: `
+          INSERT INTO nomination_nominees (position_id, first_name, middle_name, last_name, prefix, suffix, state, effective_date, predecessor_name)
+          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `,
+        values: [
+          positionResult.rows[0].id, nominee.firstName, nominee.middleName, nominee.lastName,
+          nominee.prefix, nominee.suffix, nominee.state, nominee.effectiveDate, nominee.predecessorName,
+        ],
+      });
+    }
+  }
+
+  if (nomination.actions?.url) {
+    const actions = await fetchAllItems(nomination.actions.url, 'actions');
+    for (const action of actions) {
+      await client.query({
+        text: `
+          INSERT INTO nomination_actions (nomination_id, action_date, text, type, action_code)
+          VALUES ($1, $2, $3, $4, $5)
+          ON CONFLICT (nomination_id, action_date, text) DO UPDATE SET type = EXCLUDED.type;
+        `,
+        values: [nominationId, action.actionDate, action.text || 'No description', action.type, action.actionCode],
+      });
+    }
+  }
+
+  if (nomination.committees?.url) {
+    const committees = await fetchAllItems(nomination.committees.url, 'committees');
+    await saveCommitteeActivities(client, 'nomination_committees', 'nomination_id', nominationId, committees);
+  }
+}
+
+/**
+ * Saves one treaty with its resolution text, actions and committee referrals.
+ * Like a nomination, it fails when its actions or committees can't be fetched.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} treaty - The treaty from the treaty detail endpoint.
+ */
+async function saveTreaty(client, treaty) {
+  const titles = treaty.titles || [];
+  const title = (titles.find(t => /formal/i.test(t.titleType || '')) || titles[0])?.title ?? null;
+  const resolutionHtml = treaty.resolutionText || null;
+
+  const result = await client.query({
+    text: `
+      INSERT INTO treaties (
+        congress_received, congress_considered, number, suffix, topic, title, transmitted_date, in_force_date,
+        old_number, countries, resolution_html, resolution_text, updated_at, source_document_id, last_processed_at
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW())
+      ON CONFLICT (congress_received, number, suffix) DO UPDATE SET
+        congress_considered = EXCLUDED.congress_considered,
+        topic = EXCLUDED.topic,
+        title = EXCLUDED.title,
+        transmitted_date = EXCLUDED.transmitted_date,
+        in_force_date = EXCLUDED.in_force_date,
+        old_number = EXCLUDED.old_number,
+        countries = EXCLUDED.countries,
+        resolution_html = EXCLUDED.resolution_html,
+        resolution_text = EXCLUDED.resolution_text,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      treaty.congressReceived,
+      treaty.congressConsidered,
+      treaty.number,
+      treaty.suffix || '',
+      treaty.topic,
+      title,
+      treaty.transmittedDate,
+      treaty.inForceDate,
+      treaty.oldNumberDisplayName || treaty.oldNumber,
+      (treaty.countriesParties || []).map(c => c.countryParty).filter(Boolean),
+      resolutionHtml,
+      resolutionHtml ? markupToText(resolutionHtml) : null,
+      treaty.updateDate,
+      archivedDocumentId(treaty),
+    ],
+  });
+  const treatyId = result.rows[0].id;
+
+  if (treaty.actions?.url) {
+    const actions = await fetchAllItems(treaty.actions.url, 'actions');
+    for (const action of actions) {
+      await client.query({
+        text: `
+          INSERT INTO treaty_actions (treaty_id, action_date, text, type, action_code, committee_system_code)
+          VALUES ($1, $2, $3, $4, $5, (SELECT system_code FROM committees WHERE system_code = $6))
+          ON CONFLICT (treaty_id, action_date, text) DO UPDATE SET
+            type = EXCLUDED.type,
+            committee_system_code = EXCLUDED.committee_system_code;
+        `,
+        values: [treatyId, action.actionDate, action.text || 'No description', action.type, action.actionCode, action.committee?.systemCode?.toLowerCase()],
+      });
+    }
+  }
+
+  if (treaty.committees?.url) {
+    const committees = await fetchAllItems(treaty.committees.url, 'treatyCommittees');
+    await saveCommitteeActivities(client, 'treaty_committees', 'treaty_id', treatyId, committees);
+  }
+}
+
+const SAVERS = { nomination: saveNomination, treaty: saveTreaty };
+
+/**
+ * Saves a batch of fetched nominations or treaties in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, record: object}>} entries - The fetched records with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveRecordBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, record } of entries) {
+      try {
+        await withSavepoint(client, () => SAVERS[item.entity_type](client, record));
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving ${item.entity_type} ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message, payload: record });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} records to the database.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving nomination and treaty batch. Transaction rolled back.', error);
+    return {
+      saved: [],
+      failed: entries.map(({ item, record }) => ({ item, error: 'Batch transaction rolled back', payload: record })),
+    };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fetches and saves every pending item of one type, in batches.
+ */
+async function processPendingItems(run, entityType) {
+  const list = LISTS[entityType];
+  const pendingItems = await getPendingItems(pool, run.id, entityType);
+  if (pendingItems.length === 0) {
+    console.log(`No new or updated ${list.label} found to process.`);
+    return;
+  }
+  console.log(`\nProcessing ${pendingItems.length} ${list.label} in batches of ${options.batchSize}...`);
+
+  for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+    const batchItems = pendingItems.slice(i, i + options.batchSize);
+    console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+    const results = await mapWithConcurrency(batchItems, options.concurrency, async (item) => {
+      try {
+        const record = (await fetchJson(item.url))[list.detailKey];
+        return { item, record: record || null, error: record ? null : `Response contained no ${list.detailKey}` };
+      } catch (error) {
+        console.error(`  Error fetching ${entityType} ${item.url}: ${error.message}`);
+        return { item, record: null, error: error.message };
+      }
+    });
+
+    const fetched = results.filter(r => r.record !== null);
+    await addFetchedCount(pool, run.id, fetched.length);
+    await settleItems(pool, run, { saved: [], failed: results.filter(r => r.record === null) });
+    await settleItems(pool, run, await saveRecordBatch(fetched));
+  }
+}
+
+/**
+ * Lists the nominations and treaties a run would fetch without writing anything to the database.
+ * @returns {Promise<string>} Always 'dry-run'.
+ */
+async function previewRecords(window) {
+  let pendingCount = 0;
+  const previewRun = { page_cursor: null, window_from: window?.from || null, window_to: window?.to || null };
+  await enqueueRecordUrls(previewRun, async (items) => {
+    pendingCount += items.filter(item => item.status !== 'skipped').length;
+  });
+  console.log(`\n🔎 Dry run: would fetch ${pendingCount} nominations and treaties. Nothing was written to the database.`);
+  return 'dry-run';
+}
+
+/**
+ * Syncs the nominations and treaties of one congress.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to sync.
+ * @param {number} [runOptions.batchSize] - Records saved per transaction.
+ * @param {number} [runOptions.concurrency] - Detail requests in flight at once (defaults to the batch size).
+ * @param {boolean} [runOptions.force] - Refetch records even when the stored copy is up to date.
+ * @param {boolean} [runOptions.dryRun] - List what would be fetched without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.incremental] - Only fetch records updated since the last successful sync.
+ * @param {boolean} [runOptions.fromArchive] - Rebuild the records from archived documents instead of the API.
+ * @param {boolean} [runOptions.retryFailed] - Only process the records with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed' or 'dry-run'.
+ */
+export async function run(runOptions) {
+  const batchSize = runOptions.batchSize || DEFAULT_BATCH_SIZE;
+  options = { ...runOptions, batchSize, concurrency: runOptions.concurrency || batchSize };
+  pool = createPool();
+  const detachArchive = attachArchive(pool, options);
+  try {
+    return await syncNominationsAndTreaties();
+  } finally {
+    detachArchive();
+    await pool.end();
+  }
+}
+
+async function syncNominationsAndTreaties() {
+  console.log(`Starting nomination and treaty population process for Congress ${options.congress}...`);
+  const window = options.incremental ? await getUpdateWindow(pool, 'nominations', options.congress) : null;
+  if (options.dryRun) {
+    return previewRecords(window);
+  }
+
+  const run = await startRun(pool, { entityType: 'nominations', congress: options.congress, resume: options.resume, window });
+  try {
+    if (!run.list_complete) {
+      const recordPage = (items, nextCursor) => recordListPage(pool, run.id, items, nextCursor);
+      if (options.retryFailed) {
+        await enqueueFailedRecords(recordPage);
+      } else if (options.fromArchive) {
+        await enqueueArchivedRecords(recordPage);
+      } else {
+        await enqueueRecordUrls(run, recordPage);
+      }
+    }
+
+    await processPendingItems(run, 'nomination');
+    await processPendingItems(run, 'treaty');
+
+    const status = await completeRun(pool, run.id);
+    if (status === 'completed' && run.window_to) {
+      await setHighWaterMark(pool, 'nominations', options.congress, run.window_to);
+    }
+    console.log('\n✅ All nominations and treaties have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run);
+}
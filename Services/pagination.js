@@ -0,0 +1,137 @@
+// Cursor (keyset) pagination for the API's list endpoints.
+// A paged endpoint answers with { items, total, next }: `total` counts every matching record, and `next` is an
+// opaque cursor to pass back as `?cursor=` for the following page (null on the last page). The cursor holds the sort
+// keys of the last record returned, so each page continues exactly where the previous one stopped, however many
+// pages in, and records added meanwhile don't shift later pages.
+// Each endpoint names its orderings; a request picks one with `?sort=` and flips its direction with `?order=asc|desc`.
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 500;
+
+/**
+ * @typedef {object} SortKey
+ * @property {string} expression - SQL over the paged query's columns (aliased `q`). It must never be NULL,
+ *   so wrap nullable columns in COALESCE.
+ * @property {string} type - The expression's SQL type, used to cast the cursor's values: one of CURSOR_VALUE_CHECKS.
+ */
+
+/**
+ * @typedef {object} SortOption
+ * @property {Array<SortKey>} keys - The keys to order by. Together they must identify a record, so end with its id.
+ * @property {'asc'|'desc'} direction - The default direction.
+ */
+
+// Whether a decoded cursor value is one Postgres can cast to each sort key type. The values are as json_build_array
+// wrote them: numbers, and dates and timestamps as ISO strings, or '-infinity' where COALESCE filled in a missing one.
+const isCalendarDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+  && new Date(value).toISOString().startsWith(value);
+const isInfinity = value => value === 'infinity' || value === '-infinity';
+const CURSOR_VALUE_CHECKS = {
+  INT: value => Number.isInteger(value) && Math.abs(value) <= 2147483647,
+  BIGINT: value => Number.isSafeInteger(value),
+  REAL: value => Number.isFinite(value) && Math.abs(value) <= 3.4e38,
+  TEXT: value => typeof value === 'string',
+  DATE: value => typeof value === 'string' && (isInfinity(value) || isCalendarDate(value)),
+  TIMESTAMPTZ: value => typeof value === 'string' && (isInfinity(value)
+    || (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?([+-]\d{2}(:\d{2})?|Z)$/.test(value)
+      && isCalendarDate(value.slice(0, 10)) && !isNaN(Date.parse(value)))),
+};
+
+function invalidPage(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Builds the cursor for the page after a record: its sort keys, tagged with the ordering they belong to.
+ * @param {string} sort - The ordering's name.
+ * @param {'asc'|'desc'} direction - The ordering's direction.
+ * @param {Array} after - The values of the ordering's keys for the last record returned.
+ * @returns {string}
+ */
+export function encodeCursor(sort, direction, after) {
+  return Buffer.from(JSON.stringify({ sort, order: direction, after }), 'utf8').toString('base64url');
+}
+
+/**
+ * Reads and validates the `sort`, `order`, `limit` and `cursor` query parameters.
+ * @param {object} query - The request's query parameters.
+ * @param {Object<string, SortOption>} sorts - The endpoint's orderings.
+ * @param {string} defaultSort - The ordering used without `sort`.
+ * @returns {{sort: string, keys: Array<SortKey>, direction: string, limit: number, after: Array|null}}
+ * @throws {Error} With `status` 400 for an unknown sort, a bad limit, a cursor from another ordering,
+ *   or a cursor whose values don't fit the types of the sort keys.
+ */
+export function parsePageParams(query, sorts, defaultSort) {
+  const sort = query.sort || defaultSort;
+  if (!sorts[sort]) {
+    throw invalidPage(`sort must be one of: ${Object.keys(sorts).join(', ')}`);
+  }
+  const direction = query.order || sorts[sort].direction;
+  if (!['asc', 'desc'].includes(direction)) {
+    throw invalidPage('order must be asc or desc');
+  }
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw invalidPage(`limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  let after = null;
+  if (query.cursor) {
+    let cursor;
+    try {
+      cursor = JSON.parse(Buffer.from(query.cursor, 'base64url').toString('utf8'));
+    } catch {
+      throw invalidPage('Invalid cursor.');
+    }
+    if (cursor?.sort !== sort || cursor.order !== direction || !Array.isArray(cursor.after) || cursor.after.length !== sorts[sort].keys.length) {
+      throw invalidPage('The cursor belongs to a different sort order; start again without it.');
+    }
+    if (!cursor.after.every((value, i) => CURSOR_VALUE_CHECKS[sorts[sort].keys[i].type]?.(value))) {
+      throw invalidPage('Invalid cursor.');
+    }
+    after = cursor.after;
+  }
+  return { sort, keys: sorts[sort].keys, direction, limit, after };
+}
+
+/**
+ * Fetches one page of a query's results.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} query - The query for every matching record, without ORDER BY or LIMIT.
+ * @param {Array} values - The query's parameters.
+ * @param {object} page - The result of `parsePageParams`.
+ * @returns {Promise<{items: Array<object>, total: number, next: string|null}>}
+ */
+export async function fetchPage(pool, query, values, { sort, keys, direction, limit, after }) {
+  const pageValues = [...values];
+  const keyList = keys.map(key => key.expression).join(', ');
+  let where = '';
+  if (after) {
+    const placeholders = keys.map((key, i) => `$${pageValues.push(after[i])}::${key.type}`);
+    where = `WHERE (${keyList}) ${direction === 'desc' ? '<' : '>'} (${placeholders.join(', ')})`;
+  }
+  const orderBy = keys.map(key => `${key.expression} ${direction.toUpperCase()}`).join(', ');
+  // One extra row tells whether there is another page. json_build_array keeps dates as plain YYYY-MM-DD strings.
+  const pageQuery = `
+    SELECT q.*, json_build_array(${keyList}) as page_key
+    FROM (${query}) q
+    ${where}
+    ORDER BY ${orderBy}
+    LIMIT $${pageValues.push(limit + 1)}`;
+
+  const [pageResult, countResult] = await Promise.all([
+    pool.query(pageQuery, pageValues),
+    pool.query(`SELECT COUNT(*)::INT as total FROM (${query}) q`, values),
+  ]);
+
+  const rows = pageResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+  const next = pageResult.rows.length > limit ? encodeCursor(sort, direction, last.page_key) : null;
+  return {
+    items: rows.map(({ page_key, ...item }) => item),
+    total: countResult.rows[0].total,
+    next,
+  };
+}
@@ -0,0 +1,156 @@
+// Archive of raw Congress.gov API documents.
+// Every document the population scripts fetch is stored as JSONB in `raw_api_documents`, keyed by its
+// canonical URL (API key and `format` removed, parameters sorted, always on api.congress.gov) and its updateDate.
+// Normalized rows point back at the document they were built from through `source_document_id`.
+// `congress reprocess` swaps the network for this archive, so a mapping fix can be applied without refetching.
+
+import { setDocumentSink, setDocumentSource } from './congressApiClient.js';
+import { LIVE_API_URL } from './apiFixtures.js';
+
+const IGNORED_PARAMS = new Set(['api_key', 'format']);
+
+// Documents (and the records inside them) mapped to their archive row, for provenance.
+const documentIds = new WeakMap();
+
+/**
+ * Returns the archive key for a request URL: the live API URL without the key or format, with sorted parameters.
+ * Requests made against a mock or proxy map to the same key as the live API.
+ * @param {string} url - The request URL.
+ */
+export function canonicalDocumentUrl(url) {
+  const parsed = new URL(url);
+  const endpoint = parsed.pathname.replace(/^.*?\/v3\/?/, '').replace(/\/+$/, '');
+  const query = [...parsed.searchParams]
+    .filter(([key]) => !IGNORED_PARAMS.has(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const search = new URLSearchParams(query).toString();
+  return `${LIVE_API_URL}/${endpoint}${search ? `?${search}` : ''}`;
+}
+
+/**
+ * Finds the updateDate of a detail document (e.g. `bill.updateDateIncludingText`), or null for lists.
+ */
+function documentUpdateDate(body) {
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'pagination' || key === 'request') continue;
+    const record = Array.isArray(value) ? (body.pagination ? null : value[0]) : value;
+    if (record && typeof record === 'object' && (record.updateDateIncludingText || record.updateDate)) {
+      return record.updateDateIncludingText || record.updateDate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Remembers which archive row a document came from, for the document and each record inside it.
+ */
+function rememberDocument(body, id) {
+  documentIds.set(body, id);
+  for (const value of Object.values(body)) {
+    if (Array.isArray(value)) {
+      value.forEach(item => { if (item && typeof item === 'object') documentIds.set(item, id); });
+    } else if (value && typeof value === 'object') {
+      documentIds.set(value, id);
+    }
+  }
+}
+
+/**
+ * Returns the archive row id of a fetched document or a record from it (such as `bill`), or null.
+ * @param {object} record - A body returned by `fetchJson`, or an object taken from one.
+ * @returns {number|null}
+ */
+export function archivedDocumentId(record) {
+  return (record && documentIds.get(record)) || null;
+}
+
+/**
+ * Stores a fetched document. Refetching the same URL with the same updateDate replaces the stored copy.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} url - The request URL.
+ * @param {object} body - The parsed response body.
+ * @returns {Promise<number>} The archive row id.
+ */
+export async function archiveDocument(pool, url, body) {
+  const result = await pool.query({
+    text: `
+      INSERT INTO raw_api_documents (url, update_date, document)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (url, (COALESCE(update_date, '-infinity'::TIMESTAMPTZ))) DO UPDATE SET
+        document = EXCLUDED.document,
+        fetched_at = NOW()
+      RETURNING id;
+    `,
+    values: [canonicalDocumentUrl(url), documentUpdateDate(body), body],
+  });
+  const id = result.rows[0].id;
+  rememberDocument(body, id);
+  return id;
+}
+
+/**
+ * Loads the newest archived document for a request URL, or null when it was never fetched.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} url - The request URL.
+ * @returns {Promise<object|null>} The document body.
+ */
+export async function loadArchivedDocument(pool, url) {
+  const result = await pool.query({
+    text: `
+      SELECT id, document FROM raw_api_documents
+      WHERE url = $1
+      ORDER BY update_date DESC NULLS LAST, fetched_at DESC
+      LIMIT 1
+    `,
+    values: [canonicalDocumentUrl(url)],
+  });
+  if (result.rows.length === 0) return null;
+  const { id, document } = result.rows[0];
+  rememberDocument(document, id);
+  return document;
+}
+
+/**
+ * Lists the newest archived document of every URL whose endpoint matches a pattern.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} endpointPattern - A POSIX regular expression for the path after /v3/, e.g. 'bill/119/[a-z]+/[0-9]+'.
+ *   It must match the whole URL, so list pages fetched with query parameters only match with a trailing '(\?.*)?'.
+ * @returns {Promise<Array<{url: string, document: object}>>}
+ */
+export async function listArchivedDocuments(pool, endpointPattern) {
+  const result = await pool.query({
+    text: `
+      SELECT DISTINCT ON (url) id, url, document
+      FROM raw_api_documents
+      WHERE url ~ $1
+      ORDER BY url, update_date DESC NULLS LAST, fetched_at DESC
+    `,
+    values: [`^${LIVE_API_URL.replace(/[.]/g, '\\.')}/${endpointPattern}$`],
+  });
+  return result.rows.map(({ id, url, document }) => {
+    rememberDocument(document, id);
+    return { url, document };
+  });
+}
+
+/**
+ * Connects the API client to the archive for one run: normally every fetched document is archived;
+ * when reprocessing, documents are read from the archive instead of the network.
+ * A dry run leaves the client untouched.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {object} options
+ * @param {boolean} [options.fromArchive] - Read documents from the archive instead of the network.
+ * @param {boolean} [options.dryRun] - Don't write anything.
+ * @returns {function(): void} Detaches the archive again.
+ */
+export function attachArchive(pool, { fromArchive = false, dryRun = false } = {}) {
+  if (fromArchive) {
+    setDocumentSource(url => loadArchivedDocument(pool, url));
+  } else if (!dryRun) {
+    setDocumentSink((url, body) => archiveDocument(pool, url, body));
+  }
+  return () => {
+    setDocumentSource(null);
+    setDocumentSink(null);
+  };
+}
@@ -0,0 +1,138 @@
+// Saving roll-call votes, shared by the House vote sync (houseVotePopulation.js) and the Senate vote importer
+// (senateVoteImport.js). Both turn their source format into the same roll call shape, documented on `saveRollCall`.
+
+// How each published vote maps to a position. Anything else (including 'Not Voting') counts as not voting.
+const VOTE_POSITIONS = {
+  yea: 'yea', aye: 'yea', yes: 'yea', guilty: 'yea',
+  nay: 'nay', no: 'nay', 'not guilty': 'nay',
+  present: 'present',
+};
+
+/**
+ * Normalizes a published vote ('Yea', 'Aye', 'No', 'Not Voting', ...) to 'yea', 'nay', 'present' or 'not_voting'.
+ * @param {string} voteCast - The vote as published.
+ * @returns {string}
+ */
+export function votePosition(voteCast) {
+  return VOTE_POSITIONS[String(voteCast || '').trim().toLowerCase()] || 'not_voting';
+}
+
+/**
+ * Normalizes a published bill type ('H.R.', 'S.J.Res.', 'hr') to the form stored in bills.type ('HR', 'SJRES').
+ * @param {string|null} type
+ * @returns {string|null}
+ */
+export function normalizeBillType(type) {
+  return type ? type.replace(/[.\s]/g, '').toUpperCase() : null;
+}
+
+/**
+ * Saves a roll call and its member votes, replacing any stored copy.
+ * The roll call is linked to its bill and amendment when they are stored; votes of members who aren't
+ * stored are skipped, so sync members first.
+ * @param {import('pg').PoolClient} client - A client inside an open transaction.
+ * @param {object} rollCall
+ * @param {string} rollCall.chamber - 'House' or 'Senate'.
+ * @param {number} rollCall.congress
+ * @param {number} rollCall.session
+ * @param {number} rollCall.rollCallNumber
+ * @param {string|null} rollCall.voteDate - Anything PostgreSQL accepts as a TIMESTAMPTZ.
+ * @param {string|null} rollCall.question
+ * @param {string|null} rollCall.voteType
+ * @param {string|null} rollCall.result
+ * @param {string|null} rollCall.description
+ * @param {string|null} rollCall.legislationType - As stored in bills.type, e.g. 'HR'.
+ * @param {string|null} rollCall.legislationNumber
+ * @param {{type: string, number: number}|null} rollCall.amendment - The amendment voted on, if any.
+ * @param {{yea: number, nay: number, present: number, notVoting: number}|null} rollCall.totals - Counted from the votes when null.
+ * @param {string|null} rollCall.sourceUrl
+ * @param {string|null} rollCall.updatedAt
+ * @param {number|null} rollCall.sourceDocumentId - The archived API document, if any.
+ * @param {Array<{bioguideId: string, voteCast: string, party: string, state: string}>} rollCall.votes
+ * @returns {Promise<{id: number, savedVotes: number}>} The roll call id and how many member votes were saved.
+ */
+export async function saveRollCall(client, rollCall) {
+  const positions = rollCall.votes.map(vote => votePosition(vote.voteCast));
+  const count = (position) => positions.filter(p => p === position).length;
+  const totals = rollCall.totals || { yea: count('yea'), nay: count('nay'), present: count('present'), notVoting: count('not_voting') };
+
+  const result = await client.query({
+    text: `
+      INSERT INTO roll_calls (
+        chamber, congress, session, roll_call_number, vote_date, question, vote_type, result, description,
+        legislation_type, legislation_number, bill_id, amendment_id,
+        yea_total, nay_total, present_total, not_voting_total, source_url, updated_at, source_document_id, last_processed_at
+      )
+      VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+        (SELECT id FROM bills WHERE congress = $2 AND type = $10 AND number::TEXT = $11),
+        (SELECT id FROM amendments WHERE congress = $2 AND type = $12 AND number = $13),
+        $14, $15, $16, $17, $18, $19, $20, NOW()
+      )
+      ON CONFLICT (chamber, congress, session, roll_call_number) DO UPDATE SET
+        vote_date = EXCLUDED.vote_date,
+        question = EXCLUDED.question,
+        vote_type = EXCLUDED.vote_type,
+        result = EXCLUDED.result,
+        description = EXCLUDED.description,
+        legislation_type = EXCLUDED.legislation_type,
+        legislation_number = EXCLUDED.legislation_number,
+        bill_id = EXCLUDED.bill_id,
+        amendment_id = EXCLUDED.amendment_id,
+        yea_total = EXCLUDED.yea_total,
+        nay_total = EXCLUDED.nay_total,
+        present_total = EXCLUDED.present_total,
+        not_voting_total = EXCLUDED.not_voting_total,
+        source_url = EXCLUDED.source_url,
+        updated_at = EXCLUDED.updated_at,
+        source_document_id = EXCLUDED.source_document_id,
+        last_processed_at = NOW()
+      RETURNING id;
+    `,
+    values: [
+      rollCall.chamber,
+      rollCall.congress,
+      rollCall.session,
+      rollCall.rollCallNumber,
+      rollCall.voteDate,
+      rollCall.question,
+      rollCall.voteType,
+      rollCall.result,
+      rollCall.description,
+      rollCall.legislationType,
+      rollCall.legislationNumber === null || rollCall.legislationNumber === undefined ? null : String(rollCall.legislationNumber),
+      rollCall.amendment?.type ?? null,
+      rollCall.amendment?.number ?? null,
+      totals.yea,
+      totals.nay,
+      totals.present,
+      totals.notVoting,
+      rollCall.sourceUrl,
+      rollCall.updatedAt,
+      rollCall.sourceDocumentId,
+    ],
+  });
+  const rollCallId = result.rows[0].id;
+
+  await client.query({ text: 'DELETE FROM member_votes WHERE roll_call_id = $1', values: [rollCallId] });
+  const votes = rollCall.votes.filter(vote => vote.bioguideId);
+  const inserted = await client.query({
+    text: `
+      INSERT INTO member_votes (roll_call_id, member_bioguide_id, vote_cast, position, party, state)
+      SELECT $1, v.bioguide_id, v.vote_cast, v.position, v.party, v.state
+      FROM UNNEST($2::TEXT[], $3::TEXT[], $4::TEXT[], $5::TEXT[], $6::TEXT[]) AS v(bioguide_id, vote_cast, position, party, state)
+      JOIN members m ON m.bioguide_id = v.bioguide_id
+      ON CONFLICT (roll_call_id, member_bioguide_id) DO NOTHING;
+    `,
+    values: [
+      rollCallId,
+      votes.map(vote => vote.bioguideId),
+      votes.map(vote => vote.voteCast),
+      votes.map(vote => votePosition(vote.voteCast)),
+      votes.map(vote => vote.party || null),
+      votes.map(vote => vote.state || null),
+    ],
+  });
+
+  return { id: rollCallId, savedVotes: inserted.rowCount };
+}
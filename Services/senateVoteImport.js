@@ -0,0 +1,285 @@
+// This script imports Senate roll-call votes from the XML files the Senate publishes for each vote
+// (https://www.senate.gov/legislative/LIS/roll_call_votes/vote1191/vote_119_1_00001.xml) into roll_calls and
+// member_votes (see rollCalls.js). The Congress.gov API has no Senate vote endpoint, so the files are read
+// from a local directory: download them (or the whole vote list) first and point --vote-dir at the directory.
+// Files are matched to a congress by name (vote_<congress>_<session>_<number>.xml) and may sit in subdirectories.
+// The files identify senators by their LIS id rather than their bioguide id, so each vote is matched to a
+// senator of that congress by state and last name; sync members first.
+// Roll calls already stored are skipped unless --force.
+// To run this script:
+// 1. Apply the database migrations first: node migrate.js up
+// 2. Run it through the CLI: node cli.js sync senate-votes --vote-dir <dir> [--congress 119] [--batch-size 25] [--force] [--dry-run]
+//    (or directly with the same flags: node Services/senateVoteImport.js --congress 119 --vote-dir <dir>)
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL, fileURLToPath } from 'url';
+import { createPool, withSavepoint } from './db.js';
+import { isMainModule, runFromCommandLine } from './config.js';
+import { startRun, recordListPage, getPendingItems, addFetchedCount, completeRun, finishRun, printRunSummary } from './ingestionLedger.js';
+import { getDeadLetterItems, settleItems } from './deadLetters.js';
+import { saveRollCall, normalizeBillType } from './rollCalls.js';
+import { findElements, elementText } from './xmlUtils.js';
+
+const DEFAULT_BATCH_SIZE = 25;
+const VOTE_FILE = /^vote_(\d+)_(\d+)_(\d+)\.xml$/i;
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Set by `run` for the duration of a run.
+let pool;
+let options;
+// `${state}:${last name}` -> the senators of the congress with that state and last name.
+let senators = null;
+
+/**
+ * Lists the vote files of the congress under --vote-dir, skipping roll calls already stored unless --force.
+ * @returns {Promise<Array<object>>} Ledger items for `recordListPage`.
+ */
+async function findVoteFiles() {
+  const files = [];
+  for (const entry of await fs.readdir(options.voteDir, { recursive: true, withFileTypes: true })) {
+    const match = entry.isFile() && entry.name.match(VOTE_FILE);
+    if (match && parseInt(match[1], 10) === Number(options.congress)) {
+      files.push({ session: parseInt(match[2], 10), number: parseInt(match[3], 10), file: path.join(entry.parentPath ?? entry.path, entry.name) });
+    }
+  }
+
+  const stored = new Set();
+  if (!options.force) {
+    const result = await pool.query({
+      text: `SELECT session, roll_call_number FROM roll_calls WHERE chamber = 'Senate' AND congress = $1`,
+      values: [options.congress],
+    });
+    result.rows.forEach(row => stored.add(`${row.session}-${row.roll_call_number}`));
+  }
+
+  return files
+    .filter(({ session, number }) => !stored.has(`${session}-${number}`))
+    .sort((a, b) => a.session - b.session || a.number - b.number)
+    .map(({ session, number, file }) => ({
+      entityType: 'senate-vote',
+      entityKey: `${options.congress}-${session}-${number}`,
+      url: pathToFileURL(file).href,
+    }));
+}
+
+const nameKey = (state, lastName) => `${state}:${lastName.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()}`;
+
+/**
+ * Loads the senators who served in the congress, for matching votes to members.
+ */
+async function loadSenators() {
+  const result = await pool.query({
+    text: `
+      SELECT DISTINCT m.bioguide_id, m.first_name, m.last_name, mt.state_code
+      FROM members m
+      JOIN member_terms mt ON mt.member_bioguide_id = m.bioguide_id
+      WHERE mt.congress = $1 AND mt.chamber = 'Senate'
+    `,
+    values: [options.congress],
+  });
+  const byName = new Map();
+  for (const row of result.rows) {
+    const key = nameKey(row.state_code, row.last_name || '');
+    byName.set(key, [...(byName.get(key) || []), row]);
+  }
+  console.log(`Loaded ${result.rows.length} senators of Congress ${options.congress} for matching.`);
+  return byName;
+}
+
+/**
+ * Finds the bioguide id of the senator behind a vote, or null when no stored senator matches.
+ */
+function matchSenator(state, lastName, firstName) {
+  const candidates = senators.get(nameKey(state, lastName || '')) || [];
+  if (candidates.length <= 1) return candidates[0]?.bioguide_id || null;
+  return candidates.find(senator => senator.first_name === firstName)?.bioguide_id || null;
+}
+
+/**
+ * Converts a Senate vote date ('January 9, 2025,  12:00 PM', Eastern time) to a TIMESTAMPTZ literal.
+ */
+function parseVoteDate(text) {
+  const match = text?.match(/^(\w+) (\d{1,2}), (\d{4}),?\s+(\d{1,2}):(\d{2})\s*([AP]M)$/i);
+  const month = match ? MONTHS.indexOf(match[1].toLowerCase()) + 1 : 0;
+  if (!month) return null;
+  const hour = (parseInt(match[4], 10) % 12) + (match[6].toUpperCase() === 'PM' ? 12 : 0);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${match[3]}-${pad(month)}-${pad(match[2])} ${pad(hour)}:${match[5]} America/New_York`;
+}
+
+const toCount = (text) => (text === null ? 0 : parseInt(text, 10) || 0);
+
+/**
+ * Parses a Senate roll-call vote file into the roll call shape saved by `saveRollCall`.
+ * @param {string} xml - The file contents.
+ * @param {string} url - The file URL, kept as the roll call's source.
+ */
+function parseSenateVote(xml, url) {
+  const [vote] = findElements(xml, 'roll_call_vote');
+  if (vote === undefined) throw new Error('Not a Senate roll_call_vote document');
+
+  const [document = ''] = findElements(vote, 'document');
+  const [amendment = ''] = findElements(vote, 'amendment');
+  const [count = ''] = findElements(vote, 'count');
+  const amendmentNumber = elementText(amendment, 'amendment_number')?.match(/\d+/)?.[0];
+
+  return {
+    chamber: 'Senate',
+    congress: parseInt(elementText(vote, 'congress'), 10),
+    session: parseInt(elementText(vote, 'session'), 10),
+    rollCallNumber: parseInt(elementText(vote, 'vote_number'), 10),
+    voteDate: parseVoteDate(elementText(vote, 'vote_date')),
+    question: elementText(vote, 'vote_question_text') || elementText(vote, 'question'),
+    voteType: elementText(vote, 'majority_requirement'),
+    result: elementText(vote, 'vote_result'),
+    description: elementText(vote, 'vote_title') || elementText(vote, 'vote_document_text'),
+    legislationType: normalizeBillType(elementText(document, 'document_type')),
+    legislationNumber: elementText(document, 'document_number'),
+    amendment: amendmentNumber ? { type: 'SAMDT', number: parseInt(amendmentNumber, 10) } : null,
+    totals: {
+      yea: toCount(elementText(count, 'yeas')),
+      nay: toCount(elementText(count, 'nays')),
+      present: toCount(elementText(count, 'present')),
+      notVoting: toCount(elementText(count, 'absent')),
+    },
+    sourceUrl: url,
+    updatedAt: null,
+    sourceDocumentId: null,
+    votes: findElements(vote, 'member').map(member => ({
+      bioguideId: null,
+      lisMemberId: elementText(member, 'lis_member_id'),
+      firstName: elementText(member, 'first_name'),
+      lastName: elementText(member, 'last_name'),
+      voteCast: elementText(member, 'vote_cast'),
+      party: elementText(member, 'party'),
+      state: elementText(member, 'state'),
+    })),
+  };
+}
+
+/**
+ * Saves a batch of parsed votes in one transaction, each under its own savepoint.
+ * @param {Array<{item: object, rollCall: object}>} entries - The parsed votes with their ledger items.
+ * @returns {Promise<{saved: Array<object>, failed: Array<object>}>} The outcome for `settleItems`.
+ */
+async function saveVoteBatch(entries) {
+  const saved = [];
+  const failed = [];
+  if (entries.length === 0) return { saved, failed };
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    for (const { item, rollCall } of entries) {
+      try {
+        const votes = rollCall.votes.map(vote => ({ ...vote, bioguideId: matchSenator(vote.state, vote.lastName, vote.firstName) }));
+        const { savedVotes } = await withSavepoint(client, () => saveRollCall(client, { ...rollCall, votes }));
+        if (savedVotes < votes.length) {
+          console.log(`    ⚠️  Senate vote ${item.entity_key}: ${votes.length - savedVotes} votes not matched to a stored senator.`);
+        }
+        saved.push(item);
+      } catch (error) {
+        console.error(`    ❌ Error saving Senate vote ${item.entity_key}, rolled back to its savepoint: ${error.message}`);
+        failed.push({ item, error: error.message });
+      }
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ Committed ${saved.length} of ${entries.length} Senate votes to the database.`);
+    return { saved, failed };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('  ❌ Error saving Senate vote batch. Transaction rolled back.', error);
+    return { saved: [], failed: entries.map(({ item }) => ({ item, error: 'Batch transaction rolled back' })) };
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Imports the Senate roll-call votes of one congress from --vote-dir.
+ * @param {object} runOptions
+ * @param {number|string} runOptions.congress - The congress to import.
+ * @param {string} [runOptions.voteDir] - The directory holding the vote files. Without it (and outside a retry) nothing is imported.
+ * @param {number} [runOptions.batchSize] - Votes saved per transaction.
+ * @param {boolean} [runOptions.force] - Import roll calls that are already stored.
+ * @param {boolean} [runOptions.dryRun] - List what would be imported without writing to the database.
+ * @param {boolean} [runOptions.resume] - Continue the last unfinished run instead of starting over.
+ * @param {boolean} [runOptions.retryFailed] - Only process the votes with open dead letters.
+ * @returns {Promise<string>} The run status: 'completed', 'failed', 'dry-run', or 'skipped' without a --vote-dir.
+ */
+export async function run(runOptions) {
+  options = { ...runOptions, batchSize: runOptions.batchSize || DEFAULT_BATCH_SIZE };
+  if (!options.voteDir && !options.retryFailed) {
+    console.log(`⏭️  No --vote-dir given; skipping Senate votes for Congress ${options.congress}.`);
+    return 'skipped';
+  }
+
+  pool = createPool();
+  try {
+    return await importSenateVotes();
+  } finally {
+    senators = null;
+    await pool.end();
+  }
+}
+
+async function importSenateVotes() {
+  console.log(`Starting Senate vote import for Congress ${options.congress}...`);
+  if (options.dryRun) {
+    const items = await findVoteFiles();
+    console.log(`\n🔎 Dry run: would import ${items.length} Senate votes from ${options.voteDir}. Nothing was written to the database.`);
+    return 'dry-run';
+  }
+
+  const run = await startRun(pool, { entityType: 'senate-votes', congress: options.congress, resume: options.resume });
+  try {
+    if (!run.list_complete) {
+      const items = options.retryFailed
+        ? await getDeadLetterItems(pool, ['senate-vote'], options.congress)
+        : await findVoteFiles();
+      await recordListPage(pool, run.id, items, null);
+    }
+
+    const pendingItems = await getPendingItems(pool, run.id, 'senate-vote');
+    if (pendingItems.length === 0) {
+      console.log('No new Senate votes found to import.');
+    } else {
+      console.log(`\nImporting ${pendingItems.length} Senate votes in batches of ${options.batchSize}...`);
+      senators = await loadSenators();
+    }
+
+    for (let i = 0; i < pendingItems.length; i += options.batchSize) {
+      const batchItems = pendingItems.slice(i, i + options.batchSize);
+      console.log(`\n--- Processing Batch ${Math.floor(i / options.batchSize) + 1} of ${Math.ceil(pendingItems.length / options.batchSize)} ---`);
+
+      const results = await Promise.all(batchItems.map(async (item) => {
+        try {
+          const xml = await fs.readFile(fileURLToPath(item.url), 'utf8');
+          return { item, rollCall: parseSenateVote(xml, item.url), error: null };
+        } catch (error) {
+          console.error(`  Error reading Senate vote ${item.url}: ${error.message}`);
+          return { item, rollCall: null, error: error.message };
+        }
+      }));
+
+      const parsed = results.filter(r => r.rollCall !== null);
+      await addFetchedCount(pool, run.id, parsed.length);
+      await settleItems(pool, run, { saved: [], failed: results.filter(r => r.rollCall === null) });
+      await settleItems(pool, run, await saveVoteBatch(parsed));
+    }
+
+    const status = await completeRun(pool, run.id);
+    console.log('\n✅ All Senate vote batches have been processed!');
+    return status;
+  } catch (error) {
+    await finishRun(pool, run.id, 'failed');
+    throw error;
+  } finally {
+    await printRunSummary(pool, run.id);
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  runFromCommandLine(run, { apiKey: false });
+}
@@ -1,8 +1,15 @@
 // services/server.js
 import express from 'express';
 import cors from 'cors';
-import pg from 'pg';
 import dotenv from 'dotenv';
+import { createPool } from './db.js';
+import { isMainModule } from './config.js';
+import { geometryContains } from './geoUtils.js';
+import { BILL_STATUSES } from './billStatus.js';
+import { parsePageParams, fetchPage } from './pagination.js';
+import { toTsQuery, fetchSearchMatches } from './billSearch.js';
+import { SEARCH_TYPES, search, suggest } from './globalSearch.js';
+import { ordinal, parseCitation, resolveCitation } from './citations.js';
 
 dotenv.config();
 
@@ -10,12 +17,93 @@ const app = express();
 app.use(cors());
 app.use(express.json());
 
-const pool = new pg.Pool({
-  user: process.env.DB_USER,
-  host: process.env.DB_HOST,
-  database: process.env.DB_NAME,
-  password: process.env.DB_PASSWORD,
-  port: process.env.DB_PORT,
+const pool = createPool();
+
+// Congress shown when a request doesn't ask for one.
+const DEFAULT_CONGRESS = process.env.CURRENT_CONGRESS || '119';
+
+// The first query parameter given more than once (Express then passes its values as an array), or undefined.
+const repeatedParam = query => Object.keys(query).find(name => typeof query[name] !== 'string');
+
+// A request's ?congress= as a number, or `fallback` when it isn't given; NaN when it isn't a whole number from 1 up.
+function congressParam(query, fallback = DEFAULT_CONGRESS) {
+  if (!query.congress) return fallback === null ? null : Number(fallback);
+  const congress = Number(query.congress);
+  return Number.isInteger(congress) && congress > 0 ? congress : NaN;
+}
+
+// How each party voted on each of the roll calls matching `rollCallFilter` (a condition on member_votes.roll_call_id):
+// its counts and its majority position ('yea' or 'nay', NULL on a tie). Callers narrow it to the roll calls they show,
+// so a request only aggregates those votes. A member votes with their party when they cast the party's majority position.
+const partyPositions = rollCallFilter => `
+  SELECT
+    roll_call_id,
+    party,
+    COUNT(*) FILTER (WHERE position = 'yea') as yea,
+    COUNT(*) FILTER (WHERE position = 'nay') as nay,
+    COUNT(*) FILTER (WHERE position = 'present') as present,
+    COUNT(*) FILTER (WHERE position = 'not_voting') as not_voting,
+    CASE
+      WHEN COUNT(*) FILTER (WHERE position = 'yea') > COUNT(*) FILTER (WHERE position = 'nay') THEN 'yea'
+      WHEN COUNT(*) FILTER (WHERE position = 'nay') > COUNT(*) FILTER (WHERE position = 'yea') THEN 'nay'
+    END as majority_position
+  FROM member_votes
+  WHERE roll_call_id ${rollCallFilter}
+  GROUP BY roll_call_id, party`;
+
+// Committee meetings with their committees, the bills they considered and the published hearing, if any.
+// Used with an alias of `cm` for committee_meetings.
+const MEETINGS_QUERY = `
+  SELECT
+    cm.id,
+    cm.event_id,
+    cm.congress,
+    cm.chamber,
+    cm.type,
+    cm.title,
+    cm.meeting_status,
+    cm.meeting_date,
+    cm.location_building,
+    cm.location_room,
+    COALESCE((
+      SELECT json_agg(json_build_object('system_code', c.system_code, 'name', c.name) ORDER BY c.name)
+      FROM committee_meeting_committees cmc
+      JOIN committees c ON cmc.committee_system_code = c.system_code
+      WHERE cmc.meeting_id = cm.id
+    ), '[]') as committees,
+    COALESCE((
+      SELECT json_agg(json_build_object('id', b.id, 'congress', b.congress, 'type', b.type, 'number', b.number, 'title', b.title)
+                      ORDER BY b.type, b.number)
+      FROM committee_meeting_bills cmb
+      JOIN bills b ON cmb.bill_id = b.id
+      WHERE cmb.meeting_id = cm.id
+    ), '[]') as bills,
+    h.citation as hearing_citation,
+    h.pdf_url as hearing_pdf_url,
+    h.text_url as hearing_text_url
+  FROM committee_meetings cm
+  LEFT JOIN LATERAL (
+    SELECT citation, pdf_url, text_url FROM hearings WHERE meeting_id = cm.id ORDER BY part NULLS FIRST LIMIT 1
+  ) h ON true`;
+
+// Congresses endpoint - the congresses that have bills loaded, for the congress selectors
+app.get('/api/congresses', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT congress, COUNT(*) AS bill_count
+      FROM bills
+      WHERE title IS NOT NULL
+      GROUP BY congress
+      ORDER BY congress DESC
+    `);
+    res.json({
+      current: parseInt(DEFAULT_CONGRESS, 10),
+      congresses: result.rows.map(row => ({ congress: row.congress, bill_count: parseInt(row.bill_count, 10) })),
+    });
+  } catch (error) {
+    console.error('Error fetching congresses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 // Committees endpoint
@@ -45,6 +133,59 @@ app.get('/api/committees', async (req, res) => {
   }
 });
 
+// Orderings accepted by the paged bill lists' `sort` parameter (see pagination.js), each ending with the bill id
+// so every bill has a distinct position. `status` puts the furthest-along bills first.
+const BILL_ID_KEY = { expression: 'q.id', type: 'INT' };
+const BILL_SORTS = {
+    introduced: { direction: 'desc', keys: [{ expression: "COALESCE(q.introduced_date, '-infinity')", type: 'DATE' }, BILL_ID_KEY] },
+    latest_action: { direction: 'desc', keys: [{ expression: "COALESCE(q.latest_action_date, '-infinity')", type: 'TIMESTAMPTZ' }, BILL_ID_KEY] },
+    cosponsors: { direction: 'desc', keys: [{ expression: 'q.cosponsor_count', type: 'BIGINT' }, BILL_ID_KEY] },
+    actions: { direction: 'desc', keys: [{ expression: 'q.action_count', type: 'BIGINT' }, BILL_ID_KEY] },
+    number: { direction: 'asc', keys: [{ expression: 'q.type', type: 'TEXT' }, { expression: 'q.number', type: 'INT' }, BILL_ID_KEY] },
+    status: { direction: 'desc', keys: [
+        { expression: 'COALESCE(q.status_rank, 0)', type: 'INT' },
+        { expression: "COALESCE(q.status_date, '-infinity')", type: 'DATE' },
+        BILL_ID_KEY,
+    ] },
+    status_date: { direction: 'desc', keys: [{ expression: "COALESCE(q.status_date, '-infinity')", type: 'DATE' }, BILL_ID_KEY] },
+};
+// Searches (?q=) can also be ordered by relevance, their default.
+const BILL_SEARCH_SORTS = {
+    ...BILL_SORTS,
+    relevance: { direction: 'desc', keys: [{ expression: 'q.rank', type: 'REAL' }, BILL_ID_KEY] },
+};
+
+// Bills referred to a committee, each once with its latest committee activity. $1 is the committee's system code.
+const COMMITTEE_BILLS_QUERY = `
+    SELECT DISTINCT ON (b.id)
+           b.id, b.type, b.number, b.title, b.introduced_date,
+           b.congress, b.policy_area_name, b.status, b.status_date,
+           CONCAT(m2.first_name, ' ', m2.last_name) as sponsor_name,
+           b.sponsor_bioguide_id,
+           bc.activity_name, bc.activity_date
+    FROM bills b
+    JOIN bill_committees bc ON b.id = bc.bill_id
+    LEFT JOIN members m2 ON b.sponsor_bioguide_id = m2.bioguide_id
+    WHERE bc.committee_system_code = $1
+    ORDER BY b.id, bc.activity_date DESC NULLS LAST`;
+const COMMITTEE_BILL_SORTS = {
+    activity: { direction: 'desc', keys: [{ expression: "COALESCE(q.activity_date, '-infinity')", type: 'TIMESTAMPTZ' }, BILL_ID_KEY] },
+    introduced: BILL_SORTS.introduced,
+    number: BILL_SORTS.number,
+};
+
+// Reports of a committee. $1 is the committee's system code.
+const COMMITTEE_REPORTS_QUERY = `
+    SELECT cr.id, cr.congress, cr.chamber, cr.type, cr.number, cr.part,
+           cr.citation, cr.title, cr.issue_date, cr.is_conference_report
+    FROM committee_reports cr
+    JOIN report_committees rc ON cr.id = rc.report_id
+    WHERE rc.committee_system_code = $1`;
+const REPORT_SORTS = {
+    issued: { direction: 'desc', keys: [{ expression: "COALESCE(q.issue_date, '-infinity')", type: 'TIMESTAMPTZ' }, { expression: 'q.id', type: 'INT' }] },
+    number: { direction: 'desc', keys: [{ expression: 'q.congress', type: 'INT' }, { expression: 'q.number', type: 'INT' }, { expression: 'q.id', type: 'INT' }] },
+};
+
 // Committee Detail endpoint - ENHANCED
 app.get('/api/committees/:system_code', async (req, res) => {
     const { system_code } = req.params;
@@ -63,31 +204,9 @@ app.get('/api/committees/:system_code', async (req, res) => {
             ORDER BY start_date DESC
         `, [system_code]);
         
-        // Committee reports
-        const reportsResult = await pool.query(`
-            SELECT cr.id, cr.congress, cr.chamber, cr.type, cr.number, cr.part, 
-                   cr.citation, cr.title, cr.issue_date, cr.is_conference_report
-            FROM committee_reports cr
-            JOIN report_committees rc ON cr.id = rc.report_id
-            WHERE rc.committee_system_code = $1
-            ORDER BY cr.issue_date DESC
-            LIMIT 50
-        `, [system_code]);
-        
-        // Bills referred to committee with unique aliases
-        const billsResult = await pool.query(`
-            SELECT DISTINCT b.id, b.type, b.number, b.title, b.introduced_date,
-                   b.congress, b.policy_area_name,
-                   CONCAT(m2.first_name, ' ', m2.last_name) as sponsor_name,
-                   b.sponsor_bioguide_id,
-                   bc.activity_name, bc.activity_date
-            FROM bills b
-            JOIN bill_committees bc ON b.id = bc.bill_id
-            LEFT JOIN members m2 ON b.sponsor_bioguide_id = m2.bioguide_id
-            WHERE bc.committee_system_code = $1
-            ORDER BY bc.activity_date DESC
-            LIMIT 100
-        `, [system_code]);
+        // The first page of the committee's reports and bills; later pages come from /reports and /bills
+        const reportsPage = await fetchPage(pool, COMMITTEE_REPORTS_QUERY, [system_code], parsePageParams({}, REPORT_SORTS, 'issued'));
+        const billsPage = await fetchPage(pool, COMMITTEE_BILLS_QUERY, [system_code], parsePageParams({}, COMMITTEE_BILL_SORTS, 'activity'));
         
         // Subcommittees
         const subcommitteesResult = await pool.query(`
@@ -96,13 +215,67 @@ app.get('/api/committees/:system_code', async (req, res) => {
             WHERE parent_committee_system_code = $1
             ORDER BY name
         `, [system_code]);
+
+        // Nominations referred to committee
+        const nominationsResult = await pool.query(`
+            SELECT n.id, n.congress, n.citation, n.description, n.organization, n.received_date,
+                   n.latest_action_date, n.latest_action_text,
+                   MAX(nc.activity_date) as activity_date
+            FROM nominations n
+            JOIN nomination_committees nc ON n.id = nc.nomination_id
+            WHERE nc.committee_system_code = $1
+            GROUP BY n.id
+            ORDER BY n.received_date DESC NULLS LAST
+            LIMIT 100
+        `, [system_code]);
+
+        // Treaties referred to committee
+        const treatiesResult = await pool.query(`
+            SELECT t.id, t.congress_received, t.number, t.suffix, t.topic, t.title, t.transmitted_date,
+                   MAX(tc.activity_date) as activity_date
+            FROM treaties t
+            JOIN treaty_committees tc ON t.id = tc.treaty_id
+            WHERE tc.committee_system_code = $1
+            GROUP BY t.id
+            ORDER BY t.transmitted_date DESC NULLS LAST
+            LIMIT 100
+        `, [system_code]);
+
+        // Current roster (committee_memberships is filled from the congress-legislators files).
+        // A full committee lists its own seats; a subcommittee lists the seats on that subcommittee.
+        const rosterResult = await pool.query(`
+            SELECT cm.congress, cm.member_bioguide_id, cm.rank, cm.title, cm.party_side,
+                   CONCAT(m.first_name, ' ', m.last_name) as member_name,
+                   mph.party_name as party, mt.state_code as state
+            FROM committee_memberships cm
+            JOIN members m ON m.bioguide_id = cm.member_bioguide_id
+            LEFT JOIN LATERAL (
+                SELECT party_name FROM member_party_history
+                WHERE member_bioguide_id = m.bioguide_id
+                ORDER BY start_year DESC
+                LIMIT 1
+            ) mph ON true
+            LEFT JOIN LATERAL (
+                SELECT state_code FROM member_terms
+                WHERE member_bioguide_id = m.bioguide_id
+                ORDER BY congress DESC
+                LIMIT 1
+            ) mt ON true
+            WHERE (cm.subcommittee_system_code = $1
+                   OR (cm.committee_system_code = $1 AND cm.subcommittee_system_code IS NULL))
+              AND cm.congress = (SELECT MAX(congress) FROM committee_memberships)
+            ORDER BY cm.party_side, cm.rank NULLS LAST, m.last_name
+        `, [system_code]);
         
         res.json({
             details: committeeResult.rows[0],
             history: historyResult.rows,
-            reports: reportsResult.rows,
-            bills: billsResult.rows,
-            subcommittees: subcommitteesResult.rows
+            reports: reportsPage,
+            bills: billsPage,
+            subcommittees: subcommitteesResult.rows,
+            nominations: nominationsResult.rows,
+            treaties: treatiesResult.rows,
+            roster: rosterResult.rows
         });
     } catch (error) {
         console.error(`Error fetching committee details for ${system_code}:`, error);
@@ -110,26 +283,119 @@ app.get('/api/committees/:system_code', async (req, res) => {
     }
 });
 
-// Bills endpoint with comprehensive filtering - MODIFIED
-app.get('/api/bills', async (req, res) => {
+// Committee Bills endpoint - the bills referred to a committee, paged like the bills endpoint
+app.get('/api/committees/:system_code/bills', async (req, res) => {
+    const { system_code } = req.params;
+    try {
+        const page = parsePageParams(req.query, COMMITTEE_BILL_SORTS, 'activity');
+        const committeeResult = await pool.query('SELECT 1 FROM committees WHERE system_code = $1', [system_code]);
+        if (committeeResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Committee not found' });
+        }
+        res.json(await fetchPage(pool, COMMITTEE_BILLS_QUERY, [system_code], page));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`Error fetching bills for committee ${system_code}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Committee Reports endpoint - a committee's reports, paged like the bills endpoint
+app.get('/api/committees/:system_code/reports', async (req, res) => {
+    const { system_code } = req.params;
+    try {
+        const page = parsePageParams(req.query, REPORT_SORTS, 'issued');
+        const committeeResult = await pool.query('SELECT 1 FROM committees WHERE system_code = $1', [system_code]);
+        if (committeeResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Committee not found' });
+        }
+        res.json(await fetchPage(pool, COMMITTEE_REPORTS_QUERY, [system_code], page));
+    } catch (error) {
+        if (error.status === 400) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error(`Error fetching reports for committee ${system_code}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Committee Meetings endpoint - upcoming and past meetings of a committee and its subcommittees
+app.get('/api/committees/:system_code/meetings', async (req, res) => {
+    const { system_code } = req.params;
+    try {
+        const committeeResult = await pool.query('SELECT system_code FROM committees WHERE system_code = $1', [system_code]);
+        if (committeeResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Committee not found' });
+        }
+
+        const committeeFilter = `
+            WHERE EXISTS (
+                SELECT 1 FROM committee_meeting_committees cmc
+                JOIN committees c ON cmc.committee_system_code = c.system_code
+                WHERE cmc.meeting_id = cm.id AND (c.system_code = $1 OR c.parent_committee_system_code = $1)
+            )`;
+        const upcomingResult = await pool.query(`
+            ${MEETINGS_QUERY}
+            ${committeeFilter} AND cm.meeting_date >= NOW()
+            ORDER BY cm.meeting_date
+            LIMIT 50
+        `, [system_code]);
+        const pastResult = await pool.query(`
+            ${MEETINGS_QUERY}
+            ${committeeFilter} AND cm.meeting_date < NOW()
+            ORDER BY cm.meeting_date DESC
+            LIMIT 50
+        `, [system_code]);
+
+        res.json({
+            upcoming: upcomingResult.rows,
+            past: pastResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching meetings for committee ${system_code}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Meetings calendar endpoint - every committee meeting between two dates (default: the next seven days)
+app.get('/api/meetings', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
   try {
-    const { title, sponsor, billNumber, party, congress = '119', policyArea, committee } = req.query;
+    const { from, to, chamber } = req.query;
+    const fromDate = from ? new Date(from) : new Date(new Date().setHours(0, 0, 0, 0));
+    const toDate = to ? new Date(to) : new Date(fromDate.getTime() + 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate) || isNaN(toDate)) {
+        return res.status(400).json({ error: 'Invalid from or to date provided.' });
+    }
 
-   let baseQuery = `
-      SELECT DISTINCT
-        b.id,
-        b.congress,
-        b.type,
-        b.number,
-        b.title,
-        b.introduced_date,
-        b.policy_area_name,
-        CONCAT(m2.first_name, ' ', m2.last_name) as sponsor_name,
-        b.sponsor_bioguide_id,
-        sph.party_name as sponsor_party,
-        (SELECT COUNT(*) FROM bill_cosponsors WHERE bill_id = b.id) as cosponsor_count,
-        (SELECT COUNT(*) FROM bill_actions WHERE bill_id = b.id) as action_count
-      FROM bills b
+    // A bare date as `to` includes that whole day.
+    if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+        toDate.setUTCDate(toDate.getUTCDate() + 1);
+    }
+
+    const queryParams = [fromDate, toDate];
+    let query = `${MEETINGS_QUERY} WHERE cm.meeting_date >= $1 AND cm.meeting_date < $2`;
+    if (chamber) {
+        query += ` AND cm.chamber ILIKE $3`;
+        queryParams.push(chamber);
+    }
+    query += ` ORDER BY cm.meeting_date LIMIT 500`;
+
+    const result = await pool.query(query, queryParams);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching meetings:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The sponsor (m2) of a bill aliased `b` and their latest party (sph), joined by the bill list and its facets.
+const BILL_SPONSOR_JOINS = `
       LEFT JOIN members m2 ON b.sponsor_bioguide_id = m2.bioguide_id
       LEFT JOIN (
         SELECT mph.member_bioguide_id, mph.party_name, mph.party_abbreviation
@@ -140,73 +406,279 @@ app.get('/api/bills', async (req, res) => {
             GROUP BY member_bioguide_id
         ) latest ON mph.member_bioguide_id = latest.member_bioguide_id 
         AND mph.start_year = latest.max_year
-      ) sph ON b.sponsor_bioguide_id = sph.member_bioguide_id
-      WHERE b.congress = $1
-    `;
-    
-    const whereClauses = [];
-    const queryParams = [congress];
-    let paramIndex = 2;
+      ) sph ON b.sponsor_bioguide_id = sph.member_bioguide_id`;
+// The search index entry of a bill matching ?q= (passed as $2).
+const BILL_SEARCH_JOIN = "JOIN bill_search bsrch ON bsrch.bill_id = b.id AND bsrch.document @@ to_tsquery('english', $2)";
 
-    if (title) {
-        whereClauses.push(`b.title ILIKE $${paramIndex++}`);
-        queryParams.push(`%${title}%`);
-    }
-    if (sponsor) {
-        whereClauses.push(`CONCAT(m2.first_name, ' ', m2.last_name) ILIKE $${paramIndex++}`);
-        queryParams.push(`%${sponsor}%`);
-    }
-    if (billNumber) {
+// Facets the bill list can count with ?facets=. Each groups the matching bills by a value that the filter parameter
+// of the same name accepts; `label` names the value where it is a code, and `order` overrides most-common-first.
+const BILL_FACETS = {
+    policyArea: { value: 'b.policy_area_name' },
+    party: { value: `CASE
+        WHEN sph.party_abbreviation = 'R' OR sph.party_name ILIKE 'Republican%' THEN 'Republican'
+        WHEN sph.party_abbreviation = 'D' OR sph.party_name ILIKE 'Democrat%' THEN 'Democrat'
+        WHEN sph.party_abbreviation = 'I' OR sph.party_name ILIKE 'Independent%' THEN 'Independent'
+        ELSE sph.party_name END` },
+    committee: {
+        value: 'bcf.committee_system_code',
+        label: 'cf.name',
+        join: 'JOIN bill_committees bcf ON bcf.bill_id = b.id JOIN committees cf ON cf.system_code = bcf.committee_system_code',
+    },
+    originChamber: { value: 'b.origin_chamber' },
+    type: { value: 'b.type' },
+    status: { value: 'b.status' },
+    introducedMonth: { value: "to_char(b.introduced_date, 'YYYY-MM')", order: 'value DESC' },
+};
+// Values listed per facet.
+const FACET_VALUE_LIMIT = 100;
+
+/**
+ * Reads the bill list's filters from its query parameters. Each filter names the facet it narrows, if any,
+ * so that facet's counts can leave it out.
+ * @param {object} query - The request's query parameters, already validated.
+ * @param {object|null} citation - `billNumber` parsed by parseCitation: a bill, the bill that became a law, or the
+ *   bills a committee report is on. Without one, `billNumber` matches whatever letters and digits it has so far.
+ * @returns {Array<{facet: string|null, condition: function(function(*): string): string}>} Each condition is built
+ *   with a function that adds a parameter to the query and returns its placeholder.
+ */
+function billFilters({ title, sponsor, billNumber, party, policyArea, committee, status, originChamber, type, introducedMonth }, citation) {
+    const filters = [];
+    const add = (facet, condition) => filters.push({ facet, condition });
+
+    if (title) add(null, param => `b.title ILIKE ${param(`%${title}%`)}`);
+    if (sponsor) add(null, param => `CONCAT(m2.first_name, ' ', m2.last_name) ILIKE ${param(`%${sponsor}%`)}`);
+    if (citation?.kind === 'bill') {
+        add(null, param => `lower(b.type) = ${param(citation.type)} AND b.number = ${param(citation.number)}`);
+    } else if (citation?.kind === 'law') {
+        add(null, param => `EXISTS (SELECT 1 FROM laws l WHERE l.bill_id = b.id AND l.type = ${param(citation.lawType)} AND l.number = ${param(`${citation.congress}-${citation.number}`)})`);
+    } else if (citation?.kind === 'report') {
+        add(null, param => `EXISTS (
+            SELECT 1 FROM report_associated_bills rab
+            JOIN committee_reports cr ON cr.id = rab.report_id
+            WHERE rab.bill_id = b.id AND cr.type = ${param(citation.reportType)} AND cr.congress = ${param(citation.congress)}
+              AND cr.number = ${param(citation.number)} AND (${param(citation.part)}::INT IS NULL OR COALESCE(cr.part, 1) = ${param(citation.part)})
+        )`);
+    } else if (billNumber) {
         const billType = (billNumber.match(/[a-zA-Z]+/g) || []).join('');
         const billNum = (billNumber.match(/\d+/g) || []).join('');
-
-        if (billType) {
-            whereClauses.push(`b.type ILIKE $${paramIndex++}`);
-            queryParams.push(billType);
-        }
-        if (billNum) {
-            whereClauses.push(`b.number = $${paramIndex++}`);
-            queryParams.push(parseInt(billNum, 10));
-        }
-    }
-    if (policyArea) {
-        whereClauses.push(`b.policy_area_name ILIKE $${paramIndex++}`);
-        queryParams.push(`%${policyArea}%`);
+        if (billType) add(null, param => `b.type ILIKE ${param(billType)}`);
+        if (billNum) add(null, param => `b.number = ${param(parseInt(billNum, 10))}`);
     }
+    if (policyArea) add('policyArea', param => `b.policy_area_name ILIKE ${param(`%${policyArea}%`)}`);
+    if (status) add('status', param => `b.status = ANY(${param(status.split(','))}::TEXT[])`);
     if (committee) {
-        baseQuery += ` JOIN bill_committees bc ON b.id = bc.bill_id`;
-        whereClauses.push(`bc.committee_system_code = $${paramIndex++}`);
-        queryParams.push(committee);
+        add('committee', param => `EXISTS (SELECT 1 FROM bill_committees bc WHERE bc.bill_id = b.id AND bc.committee_system_code = ${param(committee)})`);
     }
-    
-    // --- REPLACED BLOCK ---
-    // This logic now checks for the party abbreviation OR the full party name, making it much more robust.
-        if (party) {
+    // The three main parties match on their abbreviation or full name; any other party by its exact name.
+    if (party) {
         if (party === 'Republican') {
-            whereClauses.push(`(sph.party_abbreviation = 'R' OR sph.party_name ILIKE 'Republican%')`);
+            add('party', () => `(sph.party_abbreviation = 'R' OR sph.party_name ILIKE 'Republican%')`);
         } else if (party === 'Democrat') {
-            whereClauses.push(`(sph.party_abbreviation = 'D' OR sph.party_name ILIKE 'Democrat%')`);
+            add('party', () => `(sph.party_abbreviation = 'D' OR sph.party_name ILIKE 'Democrat%')`);
         } else if (party === 'Independent') {
-            whereClauses.push(`(sph.party_abbreviation = 'I' OR sph.party_name ILIKE 'Independent%')`);
+            add('party', () => `(sph.party_abbreviation = 'I' OR sph.party_name ILIKE 'Independent%')`);
+        } else {
+            add('party', param => `sph.party_name = ${param(party)}`);
         }
     }
-    // --- END REPLACED BLOCK ---
+    if (originChamber) add('originChamber', param => `b.origin_chamber ILIKE ${param(originChamber)}`);
+    if (type) add('type', param => `b.type ILIKE ${param(type)}`);
+    if (introducedMonth) add('introducedMonth', param => `date_trunc('month', b.introduced_date) = ${param(`${introducedMonth}-01`)}::DATE`);
+    return filters;
+}
 
-    if (whereClauses.length > 0) {
-        baseQuery += ` AND ${whereClauses.join(' AND ')}`;
+/**
+ * Builds the WHERE conditions of a bill list query, appending the filters' values to its parameters.
+ * @param {Array<object>} filters - The result of `billFilters`.
+ * @param {Array} params - The query's parameters, starting with the congress ($1).
+ * @param {string} [exceptFacet] - Leave out this facet's filter.
+ * @returns {string}
+ */
+function billConditions(filters, params, exceptFacet = null) {
+    const param = value => `$${params.push(value)}`;
+    return ['b.congress = $1', ...filters
+        .filter(filter => !exceptFacet || filter.facet !== exceptFacet)
+        .map(filter => filter.condition(param))].join(' AND ');
+}
+
+/**
+ * Counts the bills matching every filter but the facet's own under each of the facet's values.
+ * @returns {Promise<Array<{value: string, label?: string, count: number}>>}
+ */
+async function fetchBillFacet(name, filters, baseParams, tsQuery) {
+    const facet = BILL_FACETS[name];
+    const params = [...baseParams];
+    const result = await pool.query(`
+      SELECT ${facet.value} as value, ${facet.label ? `${facet.label} as label,` : ''} COUNT(DISTINCT b.id)::INT as count
+      FROM bills b
+      ${tsQuery ? BILL_SEARCH_JOIN : ''}
+      ${BILL_SPONSOR_JOINS}
+      ${facet.join || ''}
+      WHERE ${billConditions(filters, params, name)} AND ${facet.value} IS NOT NULL
+      GROUP BY ${facet.label ? '1, 2' : '1'}
+      ORDER BY ${facet.order || 'count DESC, value'}
+      LIMIT ${FACET_VALUE_LIMIT}
+    `, params);
+    return result.rows;
+}
+
+// Bills endpoint with comprehensive filtering, paged with ?sort=, ?order=, ?limit= and ?cursor= (see pagination.js).
+// ?q= is a ranked full-text search (see billSearch.js); each bill found lists the fields it matched with highlighted snippets.
+// ?billNumber= takes any citation parseCitation reads (see citations.js); one naming a congress overrides ?congress=.
+// ?facets=policyArea,party,... adds `facets`: the counts behind each filter's options (see BILL_FACETS). A facet's
+// counts apply every active filter except its own, so they show what choosing another option would give.
+app.get('/api/bills', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const { status, introducedMonth, billNumber, q } = req.query;
+  const tsQuery = q ? toTsQuery(q) : null;
+  const citation = billNumber ? parseCitation(billNumber) : null;
+  const congress = citation?.congress ?? congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    if (q && !tsQuery) {
+        return res.status(400).json({ error: 'q must contain at least one word to search for' });
+    }
+    const page = tsQuery ? parsePageParams(req.query, BILL_SEARCH_SORTS, 'relevance') : parsePageParams(req.query, BILL_SORTS, 'introduced');
+    if (status && status.split(',').some(s => !BILL_STATUSES.includes(s))) {
+        return res.status(400).json({ error: `status must be one or more of: ${BILL_STATUSES.join(', ')}` });
+    }
+    if (introducedMonth && !/^\d{4}-(0[1-9]|1[0-2])$/.test(introducedMonth)) {
+        return res.status(400).json({ error: 'introducedMonth must be formatted YYYY-MM' });
+    }
+    const facetNames = req.query.facets ? req.query.facets.split(',') : [];
+    if (facetNames.some(name => !BILL_FACETS[name])) {
+        return res.status(400).json({ error: `facets must be one or more of: ${Object.keys(BILL_FACETS).join(', ')}` });
     }
 
-    baseQuery += ` ORDER BY b.introduced_date DESC LIMIT 200`;
+    const filters = billFilters(req.query, citation);
+    const baseParams = tsQuery ? [congress, tsQuery] : [congress];
+    const queryParams = [...baseParams];
+    const baseQuery = `
+      SELECT DISTINCT
+        b.id,
+        b.congress,
+        b.type,
+        b.number,
+        b.title,
+        b.introduced_date,
+        b.policy_area_name,
+        b.status,
+        b.status_date,
+        array_position(ARRAY['${BILL_STATUSES.join("', '")}'], b.status) as status_rank,
+        CONCAT(m2.first_name, ' ', m2.last_name) as sponsor_name,
+        b.sponsor_bioguide_id,
+        sph.party_name as sponsor_party,
+        (SELECT COUNT(*) FROM bill_cosponsors WHERE bill_id = b.id) as cosponsor_count,
+        (SELECT COUNT(*) FROM bill_actions WHERE bill_id = b.id) as action_count,
+        (SELECT MAX(action_date) FROM bill_actions WHERE bill_id = b.id) as latest_action_date
+        ${tsQuery ? ", ts_rank_cd(bsrch.document, to_tsquery('english', $2), 1) as rank" : ''}
+      FROM bills b
+      ${tsQuery ? BILL_SEARCH_JOIN : ''}
+      ${BILL_SPONSOR_JOINS}
+      WHERE ${billConditions(filters, queryParams)}
+    `;
 
-    const result = await pool.query(baseQuery, queryParams);
-    res.json(result.rows);
+    const [result, ...facetCounts] = await Promise.all([
+        fetchPage(pool, baseQuery, queryParams, page),
+        ...facetNames.map(name => fetchBillFacet(name, filters, baseParams, tsQuery)),
+    ]);
+    if (tsQuery && result.items.length > 0) {
+        const matches = await fetchSearchMatches(pool, result.items.map(bill => bill.id), tsQuery);
+        result.items = result.items.map(bill => ({ ...bill, matches: matches.get(bill.id) || [] }));
+    }
+    if (facetNames.length > 0) {
+        result.facets = Object.fromEntries(facetNames.map((name, i) => [name, facetCounts[i]]));
+    }
+    res.json(result);
   } catch (error) {
+    if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (tsQuery && /tsquery/.test(error.message)) {
+        return res.status(400).json({ error: 'Invalid search query' });
+    }
     console.error('Error fetching bills:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 
+// Global search endpoint - ranked hits across members, bills, committees and committee reports (see globalSearch.js),
+// grouped by dataset with the best group first. ?types= narrows the datasets; ?limit= is the hits per dataset.
+app.get('/api/search', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const q = (req.query.q || '').trim();
+  const types = req.query.types ? req.query.types.split(',') : SEARCH_TYPES;
+  const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+  if (!q) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  if (types.some(type => !SEARCH_TYPES.includes(type))) {
+    return res.status(400).json({ error: `types must be one or more of: ${SEARCH_TYPES.join(', ')}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+    return res.status(400).json({ error: 'limit must be a whole number from 1 to 50' });
+  }
+  try {
+    res.json({ q, groups: await search(pool, q, { limit, types }) });
+  } catch (error) {
+    console.error('Error searching:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Typeahead endpoint - the best few names and numbers starting with what has been typed (at least two characters).
+app.get('/api/suggest', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const q = (req.query.q || '').trim();
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 8, 1), 20);
+  try {
+    res.json({ q, hits: q.length < 2 ? [] : await suggest(pool, q, { limit }) });
+  } catch (error) {
+    console.error('Error fetching suggestions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Citation resolver endpoint - the bill, law or committee report a citation names, in any congress (see citations.js).
+// Answers with the normalized citation and `match` when one record fits, or `candidates` when several do
+// (e.g. "H.R. 1" without a congress).
+app.get('/api/resolve', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const citation = parseCitation(req.query.cite);
+  if (!citation) {
+    return res.status(400).json({ error: 'cite must be a bill, resolution, law or committee report citation, e.g. "H.J.Res. 7 (118th)", "Pub. L. 118-5" or "S. Rept. 118-40"' });
+  }
+  try {
+    const records = await resolveCitation(pool, citation);
+    if (records.length === 0) {
+      return res.status(404).json({ error: `No ${citation.kind} found for ${citation.citation}`, citation });
+    }
+    res.json({
+      citation,
+      match: records.length === 1 ? records[0] : null,
+      candidates: records.length === 1 ? [] : records,
+    });
+  } catch (error) {
+    console.error(`Error resolving citation ${req.query.cite}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Bill Detail endpoint - ENHANCED
 app.get('/api/bills/:id', async (req, res) => {
     const billId = parseInt(req.params.id, 10);
@@ -225,7 +697,8 @@ app.get('/api/bills/:id', async (req, res) => {
                 sph.party_name as sponsor_party,
                 smt.state_code as sponsor_state,
                 l.type as law_type,
-                l.number as law_number
+                l.number as law_number,
+                EXISTS (SELECT 1 FROM bill_texts bt WHERE bt.bill_id = b.id) as has_text
             FROM bills b
             LEFT JOIN members m ON b.sponsor_bioguide_id = m.bioguide_id
             LEFT JOIN (
@@ -352,6 +825,14 @@ app.get('/api/bills/:id', async (req, res) => {
             ORDER BY publication_date DESC`;
         const cboResult = await pool.query(cboQuery, [billId]);
 
+        // The date each stage of the bill's status was reached
+        const milestonesQuery = `
+            SELECT milestone, milestone_date, action_id
+            FROM bill_milestones
+            WHERE bill_id = $1
+            ORDER BY milestone_date NULLS LAST, array_position(ARRAY['${BILL_STATUSES.join("', '")}'], milestone)`;
+        const milestonesResult = await pool.query(milestonesQuery, [billId]);
+
         // Summaries
         const summariesQuery = `
             SELECT version_code, action_description, action_date, text, updated_at
@@ -362,10 +843,12 @@ app.get('/api/bills/:id', async (req, res) => {
 
         // Text Versions
         const textVersionsQuery = `
-            SELECT type, date, url, format
-            FROM bill_text_versions
-            WHERE bill_id = $1
-            ORDER BY date DESC, type`;
+            SELECT tv.type, tv.date, tv.url, tv.format,
+                   (bt.id IS NOT NULL) as has_text, bt.word_count, bt.section_count
+            FROM bill_text_versions tv
+            LEFT JOIN bill_texts bt ON bt.bill_id = tv.bill_id AND bt.version_type = tv.type
+            WHERE tv.bill_id = $1
+            ORDER BY tv.date DESC, tv.type`;
         const textVersionsResult = await pool.query(textVersionsQuery, [billId]);
 
         // Subjects
@@ -407,10 +890,24 @@ app.get('/api/bills/:id', async (req, res) => {
             WHERE rb.bill_id = $1
             ORDER BY b2.congress DESC, b2.type, b2.number`;
         const relatedBillsResult = await pool.query(relatedBillsQuery, [billId]);
+
+        // Amendments offered to the bill
+        const amendmentsQuery = `
+            SELECT
+                a.id, a.congress, a.type, a.number, a.chamber, a.description, a.purpose,
+                a.submitted_date, a.latest_action_date, a.latest_action_text,
+                a.sponsor_bioguide_id,
+                CONCAT(m.first_name, ' ', m.last_name) as sponsor_name
+            FROM amendments a
+            LEFT JOIN members m ON a.sponsor_bioguide_id = m.bioguide_id
+            WHERE a.amended_bill_id = $1
+            ORDER BY a.submitted_date DESC NULLS LAST, a.number DESC`;
+        const amendmentsResult = await pool.query(amendmentsQuery, [billId]);
         
         res.json({
             details: billResult.rows[0],
             actions: actionsResult.rows,
+            milestones: milestonesResult.rows,
             cosponsors: cosponsorsResult.rows,
             committees: committeesResult.rows,
             reports: reportsResult.rows,
@@ -419,7 +916,8 @@ app.get('/api/bills/:id', async (req, res) => {
             text_versions: textVersionsResult.rows,
             subjects: subjectsResult.rows,
             titles: titlesResult.rows,
-            related_bills: relatedBillsResult.rows
+            related_bills: relatedBillsResult.rows,
+            amendments: amendmentsResult.rows
         });
 
     } catch (error) {
@@ -428,11 +926,656 @@ app.get('/api/bills/:id', async (req, res) => {
     }
 });
 
-// Members endpoint
+// Change log rows with the bill or member they belong to. Used with an alias of `cl` for change_log.
+const CHANGES_QUERY = `
+    SELECT
+        cl.id, cl.run_id, cl.entity_type, cl.entity_key, cl.change_type, cl.field,
+        cl.old_value, cl.new_value, cl.changed_at,
+        cl.bill_id, b.congress as bill_congress, b.type as bill_type, b.number as bill_number, b.title as bill_title,
+        cl.member_bioguide_id, m.direct_order_name as member_name
+    FROM change_log cl
+    LEFT JOIN bills b ON b.id = cl.bill_id
+    LEFT JOIN members m ON m.bioguide_id = cl.member_bioguide_id`;
+
+// Bill History endpoint - what the syncs have added to or changed on a bill, newest first
+app.get('/api/bills/:id/history', async (req, res) => {
+    const billId = parseInt(req.params.id, 10);
+    if (isNaN(billId)) {
+        return res.status(400).json({ error: 'Invalid bill ID provided.' });
+    }
+
+    try {
+        const billResult = await pool.query('SELECT id FROM bills WHERE id = $1', [billId]);
+        if (billResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Bill not found' });
+        }
+        const result = await pool.query(`${CHANGES_QUERY} WHERE cl.bill_id = $1 ORDER BY cl.changed_at DESC, cl.id DESC LIMIT 500`, [billId]);
+        res.json(result.rows);
+    } catch (error) {
+        console.error(`Error fetching history for bill ${billId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Changes endpoint - everything the syncs added or changed between two dates (default: the last seven days),
+// with counts by entity and change type
+app.get('/api/changes', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query, null);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    const { since, until, entity_type } = req.query;
+    const sinceDate = since ? new Date(since) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const untilDate = until ? new Date(until) : null;
+    if (isNaN(sinceDate) || (untilDate && isNaN(untilDate))) {
+        return res.status(400).json({ error: 'Invalid since or until date provided.' });
+    }
+    // A bare date as `until` includes that whole day.
+    if (until && /^\d{4}-\d{2}-\d{2}$/.test(until)) {
+        untilDate.setUTCDate(untilDate.getUTCDate() + 1);
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 500, 1), 2000);
+
+    const queryParams = [sinceDate];
+    let where = ' WHERE cl.changed_at >= $1';
+    if (untilDate) {
+        queryParams.push(untilDate);
+        where += ` AND cl.changed_at < $${queryParams.length}`;
+    }
+    if (entity_type) {
+        queryParams.push(entity_type);
+        where += ` AND cl.entity_type = $${queryParams.length}`;
+    }
+    if (congress) {
+        queryParams.push(congress);
+        where += ` AND b.congress = $${queryParams.length}`;
+    }
+
+    const summaryResult = await pool.query(`
+        SELECT cl.entity_type, cl.change_type, COUNT(*)::INT as count
+        FROM change_log cl
+        LEFT JOIN bills b ON b.id = cl.bill_id
+        ${where}
+        GROUP BY cl.entity_type, cl.change_type
+        ORDER BY cl.entity_type, cl.change_type
+    `, queryParams);
+    const changesResult = await pool.query(
+        `${CHANGES_QUERY}${where} ORDER BY cl.changed_at DESC, cl.id DESC LIMIT $${queryParams.length + 1}`,
+        [...queryParams, limit]
+    );
+
+    res.json({
+        since: sinceDate.toISOString(),
+        until: untilDate ? untilDate.toISOString() : null,
+        summary: summaryResult.rows,
+        changes: changesResult.rows
+    });
+  } catch (error) {
+    console.error('Error fetching changes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Amendments endpoint
+app.get('/api/amendments', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    const { type, sponsor, bill_id } = req.query;
+
+    let baseQuery = `
+      SELECT
+        a.id,
+        a.congress,
+        a.type,
+        a.number,
+        a.chamber,
+        a.description,
+        a.purpose,
+        a.submitted_date,
+        a.latest_action_date,
+        a.latest_action_text,
+        a.sponsor_bioguide_id,
+        CONCAT(m.first_name, ' ', m.last_name) as sponsor_name,
+        a.amended_bill_id,
+        b.type as amended_bill_type,
+        b.number as amended_bill_number,
+        (SELECT COUNT(*) FROM amendment_cosponsors WHERE amendment_id = a.id) as cosponsor_count
+      FROM amendments a
+      LEFT JOIN members m ON a.sponsor_bioguide_id = m.bioguide_id
+      LEFT JOIN bills b ON a.amended_bill_id = b.id
+      WHERE a.congress = $1
+    `;
+
+    const whereClauses = [];
+    const queryParams = [congress];
+    let paramIndex = 2;
+
+    if (type) {
+        whereClauses.push(`a.type ILIKE $${paramIndex++}`);
+        queryParams.push(type);
+    }
+    if (sponsor) {
+        whereClauses.push(`(a.sponsor_bioguide_id = $${paramIndex} OR CONCAT(m.first_name, ' ', m.last_name) ILIKE $${paramIndex + 1})`);
+        queryParams.push(sponsor, `%${sponsor}%`);
+        paramIndex += 2;
+    }
+    if (bill_id) {
+        whereClauses.push(`a.amended_bill_id = $${paramIndex++}`);
+        queryParams.push(parseInt(bill_id, 10));
+    }
+
+    if (whereClauses.length > 0) {
+        baseQuery += ` AND ${whereClauses.join(' AND ')}`;
+    }
+
+    baseQuery += ` ORDER BY a.submitted_date DESC NULLS LAST, a.number DESC LIMIT 200`;
+
+    const result = await pool.query(baseQuery, queryParams);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching amendments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Amendment Detail endpoint
+app.get('/api/amendments/:id', async (req, res) => {
+    const amendmentId = parseInt(req.params.id, 10);
+
+    if (isNaN(amendmentId)) {
+        return res.status(400).json({ error: 'Invalid amendment ID provided.' });
+    }
+
+    try {
+        // Amendment details with its sponsor and what it amends
+        const amendmentQuery = `
+            SELECT
+                a.*,
+                CONCAT(m.first_name, ' ', m.last_name) as sponsor_name,
+                b.congress as amended_bill_congress,
+                b.type as amended_bill_type,
+                b.number as amended_bill_number,
+                b.title as amended_bill_title,
+                pa.type as amended_amendment_type,
+                pa.number as amended_amendment_number
+            FROM amendments a
+            LEFT JOIN members m ON a.sponsor_bioguide_id = m.bioguide_id
+            LEFT JOIN bills b ON a.amended_bill_id = b.id
+            LEFT JOIN amendments pa ON a.amended_amendment_id = pa.id
+            WHERE a.id = $1`;
+        const amendmentResult = await pool.query(amendmentQuery, [amendmentId]);
+
+        if (amendmentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Amendment not found' });
+        }
+
+        // Actions
+        const actionsQuery = `
+            SELECT id, action_date, text, type, action_code, source_system_name
+            FROM amendment_actions
+            WHERE amendment_id = $1
+            ORDER BY action_date DESC`;
+        const actionsResult = await pool.query(actionsQuery, [amendmentId]);
+
+        // Cosponsors with party info
+        const cosponsorsQuery = `
+            SELECT
+                m.bioguide_id,
+                CONCAT(m.first_name, ' ', m.last_name) as name,
+                mph.party_name as party,
+                ac.sponsorship_date,
+                ac.is_original_cosponsor,
+                ac.sponsorship_withdrawn_date
+            FROM amendment_cosponsors ac
+            JOIN members m ON ac.member_bioguide_id = m.bioguide_id
+            LEFT JOIN LATERAL (
+                SELECT party_name
+                FROM member_party_history
+                WHERE member_bioguide_id = m.bioguide_id
+                ORDER BY start_year DESC
+                LIMIT 1
+            ) mph ON true
+            WHERE ac.amendment_id = $1
+            ORDER BY ac.is_original_cosponsor DESC, ac.sponsorship_date`;
+        const cosponsorsResult = await pool.query(cosponsorsQuery, [amendmentId]);
+
+        // Amendments offered to this amendment
+        const subAmendmentsQuery = `
+            SELECT a.id, a.congress, a.type, a.number, a.description, a.purpose, a.submitted_date,
+                   CONCAT(m.first_name, ' ', m.last_name) as sponsor_name
+            FROM amendments a
+            LEFT JOIN members m ON a.sponsor_bioguide_id = m.bioguide_id
+            WHERE a.amended_amendment_id = $1
+            ORDER BY a.submitted_date DESC NULLS LAST, a.number DESC`;
+        const subAmendmentsResult = await pool.query(subAmendmentsQuery, [amendmentId]);
+
+        res.json({
+            details: amendmentResult.rows[0],
+            actions: actionsResult.rows,
+            cosponsors: cosponsorsResult.rows,
+            amendments: subAmendmentsResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching amendment details for ${amendmentId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Votes endpoint - roll calls with optional filtering
+app.get('/api/votes', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    const { chamber, session, bill_id } = req.query;
+
+    let baseQuery = `
+      SELECT
+        rc.id,
+        rc.chamber,
+        rc.congress,
+        rc.session,
+        rc.roll_call_number,
+        rc.vote_date,
+        rc.question,
+        rc.vote_type,
+        rc.result,
+        rc.description,
+        rc.legislation_type,
+        rc.legislation_number,
+        rc.bill_id,
+        b.title as bill_title,
+        rc.yea_total,
+        rc.nay_total,
+        rc.present_total,
+        rc.not_voting_total
+      FROM roll_calls rc
+      LEFT JOIN bills b ON rc.bill_id = b.id
+      WHERE rc.congress = $1
+    `;
+
+    const whereClauses = [];
+    const queryParams = [congress];
+    let paramIndex = 2;
+
+    if (chamber) {
+        whereClauses.push(`rc.chamber ILIKE $${paramIndex++}`);
+        queryParams.push(chamber);
+    }
+    if (session) {
+        whereClauses.push(`rc.session = $${paramIndex++}`);
+        queryParams.push(parseInt(session, 10));
+    }
+    if (bill_id) {
+        whereClauses.push(`rc.bill_id = $${paramIndex++}`);
+        queryParams.push(parseInt(bill_id, 10));
+    }
+
+    if (whereClauses.length > 0) {
+        baseQuery += ` AND ${whereClauses.join(' AND ')}`;
+    }
+
+    baseQuery += ` ORDER BY rc.vote_date DESC NULLS LAST, rc.roll_call_number DESC LIMIT 200`;
+
+    const result = await pool.query(baseQuery, queryParams);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching votes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Vote Detail endpoint - the roll call, its party breakdown and every member's vote
+app.get('/api/votes/:id', async (req, res) => {
+    const rollCallId = parseInt(req.params.id, 10);
+
+    if (isNaN(rollCallId)) {
+        return res.status(400).json({ error: 'Invalid vote ID provided.' });
+    }
+
+    try {
+        const rollCallQuery = `
+            SELECT
+                rc.*,
+                b.congress as bill_congress,
+                b.type as bill_type,
+                b.number as bill_number,
+                b.title as bill_title,
+                a.type as amendment_type,
+                a.number as amendment_number
+            FROM roll_calls rc
+            LEFT JOIN bills b ON rc.bill_id = b.id
+            LEFT JOIN amendments a ON rc.amendment_id = a.id
+            WHERE rc.id = $1`;
+        const rollCallResult = await pool.query(rollCallQuery, [rollCallId]);
+
+        if (rollCallResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Vote not found' });
+        }
+
+        // Party breakdown
+        const partyBreakdownQuery = `
+            SELECT party, yea, nay, present, not_voting, majority_position
+            FROM (${partyPositions('= $1')}) pp
+            ORDER BY (yea + nay + present + not_voting) DESC`;
+        const partyBreakdownResult = await pool.query(partyBreakdownQuery, [rollCallId]);
+
+        // A party-line vote: the majorities of the two largest parties took opposite positions.
+        const [first, second] = partyBreakdownResult.rows;
+        const isPartyLine = Boolean(first?.majority_position && second?.majority_position
+            && first.majority_position !== second.majority_position);
+
+        // Member votes
+        const memberVotesQuery = `
+            SELECT
+                m.bioguide_id,
+                CONCAT(m.first_name, ' ', m.last_name) as name,
+                mv.party,
+                mv.state,
+                mv.vote_cast,
+                mv.position,
+                (mv.position = pp.majority_position) as with_party
+            FROM member_votes mv
+            JOIN members m ON mv.member_bioguide_id = m.bioguide_id
+            LEFT JOIN (${partyPositions('= $1')}) pp ON pp.roll_call_id = mv.roll_call_id AND pp.party IS NOT DISTINCT FROM mv.party
+            WHERE mv.roll_call_id = $1
+            ORDER BY mv.position, m.last_name, m.first_name`;
+        const memberVotesResult = await pool.query(memberVotesQuery, [rollCallId]);
+
+        res.json({
+            details: { ...rollCallResult.rows[0], is_party_line: isPartyLine },
+            party_breakdown: partyBreakdownResult.rows,
+            member_votes: memberVotesResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching vote details for ${rollCallId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Nominations endpoint with optional filtering
+app.get('/api/nominations', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    const { committee, organization, type } = req.query;
+
+    let baseQuery = `
+      SELECT
+        n.id,
+        n.congress,
+        n.number,
+        n.part_number,
+        n.citation,
+        n.description,
+        n.organization,
+        n.received_date,
+        n.is_civilian,
+        n.is_list,
+        n.latest_action_date,
+        n.latest_action_text
+      FROM nominations n
+      WHERE n.congress = $1
+    `;
+
+    const whereClauses = [];
+    const queryParams = [congress];
+    let paramIndex = 2;
+
+    if (committee) {
+        whereClauses.push(`EXISTS (SELECT 1 FROM nomination_committees nc WHERE nc.nomination_id = n.id AND nc.committee_system_code = $${paramIndex++})`);
+        queryParams.push(committee);
+    }
+    if (organization) {
+        whereClauses.push(`n.organization ILIKE $${paramIndex++}`);
+        queryParams.push(`%${organization}%`);
+    }
+    if (type === 'civilian' || type === 'military') {
+        whereClauses.push(`n.is_civilian = $${paramIndex++}`);
+        queryParams.push(type === 'civilian');
+    }
+
+    if (whereClauses.length > 0) {
+        baseQuery += ` AND ${whereClauses.join(' AND ')}`;
+    }
+
+    baseQuery += ` ORDER BY n.received_date DESC NULLS LAST, n.number DESC LIMIT 200`;
+
+    const result = await pool.query(baseQuery, queryParams);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching nominations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Nomination Detail endpoint
+app.get('/api/nominations/:id', async (req, res) => {
+    const nominationId = parseInt(req.params.id, 10);
+
+    if (isNaN(nominationId)) {
+        return res.status(400).json({ error: 'Invalid nomination ID provided.' });
+    }
+
+    try {
+        const nominationResult = await pool.query('SELECT * FROM nominations WHERE id = $1', [nominationId]);
+        if (nominationResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Nomination not found' });
+        }
+
+        // Positions with their nominees
+        const positionsQuery = `
+            SELECT
+                np.ordinal,
+                np.position_title,
+                np.organization,
+                np.intro_text,
+                np.nominee_count,
+                COALESCE(json_agg(
+                    json_build_object(
+                        'first_name', nn.first_name,
+                        'middle_name', nn.middle_name,
+                        'last_name', nn.last_name,
+                        'suffix', nn.suffix,
+                        'state', nn.state,
+                        'effective_date', nn.effective_date,
+                        'predecessor_name', nn.predecessor_name
+                    ) ORDER BY nn.last_name, nn.first_name
+                ) FILTER (WHERE nn.id IS NOT NULL), '[]') as nominees
+            FROM nomination_positions np
+            LEFT JOIN nomination_nominees nn ON np.id = nn.position_id
+            WHERE np.nomination_id = $1
+            GROUP BY np.id
+            ORDER BY np.ordinal`;
+        const positionsResult = await pool.query(positionsQuery, [nominationId]);
+
+        const actionsResult = await pool.query(`
+            SELECT action_date, text, type, action_code
+            FROM nomination_actions
+            WHERE nomination_id = $1
+            ORDER BY action_date DESC, id DESC
+        `, [nominationId]);
+
+        const committeesResult = await pool.query(`
+            SELECT
+                c.system_code,
+                c.name,
+                c.chamber,
+                array_agg(
+                    json_build_object(
+                        'activity_name', nc.activity_name,
+                        'activity_date', nc.activity_date
+                    ) ORDER BY nc.activity_date DESC
+                ) as activities
+            FROM nomination_committees nc
+            JOIN committees c ON nc.committee_system_code = c.system_code
+            WHERE nc.nomination_id = $1
+            GROUP BY c.system_code, c.name, c.chamber
+            ORDER BY c.name
+        `, [nominationId]);
+
+        res.json({
+            details: nominationResult.rows[0],
+            positions: positionsResult.rows,
+            actions: actionsResult.rows,
+            committees: committeesResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching nomination details for ${nominationId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Treaties endpoint - treaties received or considered in a congress
+app.get('/api/treaties', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
+  try {
+    const { committee, topic } = req.query;
+
+    let baseQuery = `
+      SELECT
+        t.id,
+        t.congress_received,
+        t.congress_considered,
+        t.number,
+        t.suffix,
+        t.topic,
+        t.title,
+        t.transmitted_date,
+        t.in_force_date,
+        t.countries
+      FROM treaties t
+      WHERE (t.congress_received = $1 OR t.congress_considered = $1)
+    `;
+
+    const whereClauses = [];
+    const queryParams = [congress];
+    let paramIndex = 2;
+
+    if (committee) {
+        whereClauses.push(`EXISTS (SELECT 1 FROM treaty_committees tc WHERE tc.treaty_id = t.id AND tc.committee_system_code = $${paramIndex++})`);
+        queryParams.push(committee);
+    }
+    if (topic) {
+        whereClauses.push(`t.topic ILIKE $${paramIndex++}`);
+        queryParams.push(`%${topic}%`);
+    }
+
+    if (whereClauses.length > 0) {
+        baseQuery += ` AND ${whereClauses.join(' AND ')}`;
+    }
+
+    baseQuery += ` ORDER BY t.transmitted_date DESC NULLS LAST, t.number DESC LIMIT 200`;
+
+    const result = await pool.query(baseQuery, queryParams);
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching treaties:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Treaty Detail endpoint
+app.get('/api/treaties/:id', async (req, res) => {
+    const treatyId = parseInt(req.params.id, 10);
+
+    if (isNaN(treatyId)) {
+        return res.status(400).json({ error: 'Invalid treaty ID provided.' });
+    }
+
+    try {
+        const treatyResult = await pool.query('SELECT * FROM treaties WHERE id = $1', [treatyId]);
+        if (treatyResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Treaty not found' });
+        }
+
+        const actionsResult = await pool.query(`
+            SELECT ta.action_date, ta.text, ta.type, ta.action_code, ta.committee_system_code, c.name as committee_name
+            FROM treaty_actions ta
+            LEFT JOIN committees c ON ta.committee_system_code = c.system_code
+            WHERE ta.treaty_id = $1
+            ORDER BY ta.action_date DESC, ta.id DESC
+        `, [treatyId]);
+
+        const committeesResult = await pool.query(`
+            SELECT
+                c.system_code,
+                c.name,
+                c.chamber,
+                array_agg(
+                    json_build_object(
+                        'activity_name', tc.activity_name,
+                        'activity_date', tc.activity_date
+                    ) ORDER BY tc.activity_date DESC
+                ) as activities
+            FROM treaty_committees tc
+            JOIN committees c ON tc.committee_system_code = c.system_code
+            WHERE tc.treaty_id = $1
+            GROUP BY c.system_code, c.name, c.chamber
+            ORDER BY c.name
+        `, [treatyId]);
+
+        res.json({
+            details: treatyResult.rows[0],
+            actions: actionsResult.rows,
+            committees: committeesResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching treaty details for ${treatyId}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Orderings of the paged member list. A member can serve in both chambers in one congress, so the chamber completes the key.
+const MEMBER_ID_KEYS = [{ expression: 'q.bioguide_id', type: 'TEXT' }, { expression: "COALESCE(q.chamber, '')", type: 'TEXT' }];
+const MEMBER_SORTS = {
+    name: { direction: 'asc', keys: [{ expression: "COALESCE(q.last_name, '')", type: 'TEXT' }, { expression: "COALESCE(q.first_name, '')", type: 'TEXT' }, ...MEMBER_ID_KEYS] },
+    state: { direction: 'asc', keys: [{ expression: "COALESCE(q.state, '')", type: 'TEXT' }, { expression: 'COALESCE(q.district, 0)', type: 'INT' }, ...MEMBER_ID_KEYS] },
+};
+
+// Members endpoint - the members who served in a congress, paged like the bills endpoint
 app.get('/api/members', async (req, res) => {
+  const repeated = repeatedParam(req.query);
+  if (repeated) {
+    return res.status(400).json({ error: `${repeated} may only be given once` });
+  }
+  const congress = congressParam(req.query);
+  if (Number.isNaN(congress)) {
+    return res.status(400).json({ error: 'congress must be a whole number' });
+  }
   try {
-    const congress = req.query.congress || '119';
-    const result = await pool.query(`
+    const page = parsePageParams(req.query, MEMBER_SORTS, 'name');
+    res.json(await fetchPage(pool, `
       SELECT DISTINCT
         m.bioguide_id,
         m.direct_order_name,
@@ -461,10 +1604,11 @@ app.get('/api/members', async (req, res) => {
         LIMIT 1
       ) mph ON true
       WHERE mt.congress = $1
-      ORDER BY m.last_name, m.first_name
-    `, [congress]);
-    res.json(result.rows);
+    `, [congress], page));
   } catch (error) {
+    if (error.status === 400) {
+        return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching members:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -561,6 +1705,31 @@ app.get('/api/members/:bioguide_id', async (req, res) => {
             WHERE b.sponsor_bioguide_id = $1
             ORDER BY c.chamber, c.name`;
         const committeeActivityResult = await pool.query(committeeActivityQuery, [bioguide_id]);
+
+        // Committee assignments in the latest imported roster
+        const assignmentsQuery = `
+            SELECT cm.congress, cm.committee_system_code, c.name as committee_name,
+                   cm.subcommittee_system_code, sc.name as subcommittee_name,
+                   c.chamber, cm.rank, cm.title, cm.party_side
+            FROM committee_memberships cm
+            JOIN committees c ON c.system_code = cm.committee_system_code
+            LEFT JOIN committees sc ON sc.system_code = cm.subcommittee_system_code
+            WHERE cm.member_bioguide_id = $1
+              AND cm.congress = (SELECT MAX(congress) FROM committee_memberships)
+            ORDER BY c.name, cm.subcommittee_system_code NULLS FIRST, sc.name`;
+        const assignmentsResult = await pool.query(assignmentsQuery, [bioguide_id]);
+
+        // IDs in other databases and social media accounts, as { scheme: value }.
+        // FEC IDs are a list, since a member gets a new candidate ID for each office sought.
+        const identifiersQuery = `
+            SELECT COALESCE(json_object_agg(scheme, CASE WHEN scheme = 'fec' THEN to_json(vals) ELSE to_json(vals[1]) END), '{}') as identifiers
+            FROM (
+                SELECT scheme, array_agg(value ORDER BY value) as vals
+                FROM member_identifiers
+                WHERE member_bioguide_id = $1
+                GROUP BY scheme
+            ) ids`;
+        const identifiersResult = await pool.query(identifiersQuery, [bioguide_id]);
         
         // Merge current term info with member details
         const memberDetails = {
@@ -578,6 +1747,8 @@ app.get('/api/members/:bioguide_id', async (req, res) => {
             sponsored_legislation: sponsoredBillsResult.rows,
             cosponsored_legislation: cosponsoredBillsResult.rows,
             committee_activity: committeeActivityResult.rows,
+            committee_assignments: assignmentsResult.rows,
+            identifiers: identifiersResult.rows[0].identifiers,
             address: memberResult.rows[0].office_address ? {
                 office_address: memberResult.rows[0].office_address,
                 city: memberResult.rows[0].city,
@@ -592,8 +1763,188 @@ app.get('/api/members/:bioguide_id', async (req, res) => {
     }
 });
 
+// Member Votes endpoint - a member's voting record and how often they vote with their party
+app.get('/api/members/:bioguide_id/votes', async (req, res) => {
+    const { bioguide_id } = req.params;
+    const repeated = repeatedParam(req.query);
+    if (repeated) {
+        return res.status(400).json({ error: `${repeated} may only be given once` });
+    }
+    const congress = congressParam(req.query, null);
+    if (Number.isNaN(congress)) {
+        return res.status(400).json({ error: 'congress must be a whole number' });
+    }
+    try {
+        const memberResult = await pool.query('SELECT bioguide_id FROM members WHERE bioguide_id = $1', [bioguide_id]);
+        if (memberResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Member not found' });
+        }
+
+        // The party positions on the roll calls the member voted in ($1) during the congress ($2), if one is given.
+        const memberPartyPositions = partyPositions(`IN (
+            SELECT mv.roll_call_id FROM member_votes mv JOIN roll_calls rc ON mv.roll_call_id = rc.id
+            WHERE mv.member_bioguide_id = $1 AND ($2::INT IS NULL OR rc.congress = $2))`);
+
+        // Party unity counts only the votes where the member voted yea or nay and their party had a majority position.
+        const summaryQuery = `
+            SELECT
+                COUNT(*) as total_votes,
+                COUNT(*) FILTER (WHERE mv.position IN ('yea', 'nay')) as yea_nay_votes,
+                COUNT(*) FILTER (WHERE mv.position = 'present') as present_votes,
+                COUNT(*) FILTER (WHERE mv.position = 'not_voting') as missed_votes,
+                COUNT(*) FILTER (WHERE mv.position IN ('yea', 'nay') AND pp.majority_position IS NOT NULL) as party_votes,
+                COUNT(*) FILTER (WHERE mv.position = pp.majority_position) as votes_with_party
+            FROM member_votes mv
+            JOIN roll_calls rc ON mv.roll_call_id = rc.id
+            LEFT JOIN (${memberPartyPositions}) pp ON pp.roll_call_id = mv.roll_call_id AND pp.party IS NOT DISTINCT FROM mv.party
+            WHERE mv.member_bioguide_id = $1 AND ($2::INT IS NULL OR rc.congress = $2)`;
+        const summaryResult = await pool.query(summaryQuery, [bioguide_id, congress]);
+        const summary = summaryResult.rows[0];
+        const partyVotes = parseInt(summary.party_votes, 10);
+        const totalVotes = parseInt(summary.total_votes, 10);
+
+        const votesQuery = `
+            SELECT
+                rc.id,
+                rc.chamber,
+                rc.congress,
+                rc.session,
+                rc.roll_call_number,
+                rc.vote_date,
+                rc.question,
+                rc.result,
+                rc.bill_id,
+                rc.legislation_type,
+                rc.legislation_number,
+                mv.vote_cast,
+                mv.position,
+                mv.party,
+                pp.majority_position as party_position,
+                (mv.position = pp.majority_position) as with_party
+            FROM member_votes mv
+            JOIN roll_calls rc ON mv.roll_call_id = rc.id
+            LEFT JOIN (${memberPartyPositions}) pp ON pp.roll_call_id = mv.roll_call_id AND pp.party IS NOT DISTINCT FROM mv.party
+            WHERE mv.member_bioguide_id = $1 AND ($2::INT IS NULL OR rc.congress = $2)
+            ORDER BY rc.vote_date DESC NULLS LAST, rc.roll_call_number DESC
+            LIMIT 200`;
+        const votesResult = await pool.query(votesQuery, [bioguide_id, congress]);
+
+        res.json({
+            summary: {
+                ...summary,
+                missed_vote_pct: totalVotes > 0 ? Math.round((parseInt(summary.missed_votes, 10) / totalVotes) * 1000) / 10 : null,
+                party_unity_pct: partyVotes > 0 ? Math.round((parseInt(summary.votes_with_party, 10) / partyVotes) * 1000) / 10 : null
+            },
+            votes: votesResult.rows
+        });
+    } catch (error) {
+        console.error(`Error fetching votes for member ${bioguide_id}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Representative Lookup endpoint - a constituent's senators and House members by ZIP code (?zip=) or point (?lat=&lng=).
+// ZIPs are matched to Census ZCTAs, which can span districts; every candidate district is returned with its share of the ZCTA's land.
+app.get('/api/lookup', async (req, res) => {
+    const repeated = repeatedParam(req.query);
+    if (repeated) {
+        return res.status(400).json({ error: `${repeated} may only be given once` });
+    }
+    const congress = congressParam(req.query);
+    if (Number.isNaN(congress)) {
+        return res.status(400).json({ error: 'congress must be a whole number' });
+    }
+    const { zip, lat, lng } = req.query;
+    try {
+        let districts;
+        if (zip !== undefined) {
+            if (!/^\d{5}$/.test(zip)) {
+                return res.status(400).json({ error: 'zip must be a 5-digit ZIP code' });
+            }
+            const zctaResult = await pool.query(`
+                SELECT state_code as state, district, land_area_share
+                FROM zcta_districts
+                WHERE congress = $1 AND zcta = $2
+                ORDER BY land_area_share DESC NULLS LAST, state_code, district
+            `, [congress, zip]);
+            districts = zctaResult.rows;
+        } else if (lat !== undefined && lng !== undefined) {
+            const latitude = Number(lat);
+            const longitude = Number(lng);
+            if (lat === '' || lng === '' || !(Math.abs(latitude) <= 90) || !(Math.abs(longitude) <= 180)) {
+                return res.status(400).json({ error: 'lat and lng must be coordinates in decimal degrees' });
+            }
+            // The bounding boxes narrow the search to a few districts; the point is then tested against their polygons.
+            const boundaryResult = await pool.query(`
+                SELECT state_code as state, district, geometry
+                FROM district_boundaries
+                WHERE congress = $1 AND $2 BETWEEN min_lng AND max_lng AND $3 BETWEEN min_lat AND max_lat
+            `, [congress, longitude, latitude]);
+            districts = boundaryResult.rows
+                .filter(row => geometryContains(row.geometry, longitude, latitude))
+                .map(({ state, district }) => ({ state, district, land_area_share: null }));
+        } else {
+            return res.status(400).json({ error: 'Provide a zip, or lat and lng' });
+        }
+
+        if (districts.length === 0) {
+            return res.status(404).json({ error: `No congressional district found for that location in the ${ordinal(congress)} Congress` });
+        }
+
+        // Senators of every state found, and the House member (or delegate) of every district.
+        // At-large seats are district 0 in the lookup tables; member_terms may leave them NULL.
+        const membersResult = await pool.query(`
+            SELECT DISTINCT ON (m.bioguide_id)
+                m.bioguide_id,
+                m.direct_order_name,
+                m.first_name,
+                m.last_name,
+                m.depiction_image_url,
+                mt.chamber,
+                mt.member_type,
+                mt.state_code as state,
+                mt.district,
+                mph.party_name as party
+            FROM member_terms mt
+            JOIN members m ON m.bioguide_id = mt.member_bioguide_id
+            LEFT JOIN LATERAL (
+                SELECT party_name
+                FROM member_party_history
+                WHERE member_bioguide_id = m.bioguide_id
+                ORDER BY start_year DESC
+                LIMIT 1
+            ) mph ON true
+            WHERE mt.congress = $1
+              AND ((mt.chamber = 'Senate' AND mt.state_code = ANY($2::TEXT[]))
+                OR (mt.chamber = 'House of Representatives' AND EXISTS (
+                    SELECT 1 FROM UNNEST($2::TEXT[], $3::INT[]) d(state, district)
+                    WHERE d.state = mt.state_code AND d.district = COALESCE(mt.district, 0))))
+            ORDER BY m.bioguide_id, mt.end_year DESC NULLS FIRST
+        `, [congress, districts.map(d => d.state), districts.map(d => d.district)]);
+
+        const byName = (a, b) => a.last_name.localeCompare(b.last_name);
+        res.json({
+            congress: Number(congress),
+            districts,
+            senators: membersResult.rows.filter(m => m.chamber === 'Senate').sort(byName),
+            representatives: membersResult.rows.filter(m => m.chamber !== 'Senate').sort(byName)
+        });
+    } catch (error) {
+        console.error('Error looking up representatives:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+/**
+ * Starts the API server. Used by `node cli.js serve` and when this file is run directly.
+ * @param {number|string} [port] - The port to listen on (defaults to PORT from .env, then 3001).
+ */
+export function startServer(port = process.env.PORT || 3001) {
+  return app.listen(port, () => {
+    console.log(`Server running on port ${port}`);
+  });
+}
 
-const PORT = process.env.PORT || 3001;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+if (isMainModule(import.meta.url)) {
+  startServer();
+}
\ No newline at end of file
@@ -0,0 +1,71 @@
+// High-water marks for incremental syncs.
+// `sync_state` keeps, per entity type and congress, the end of the last update window that was
+// ingested without failures. An incremental run asks the API only for records whose updateDate
+// falls between that mark and the time the run started (`fromDateTime`/`toDateTime`).
+
+/**
+ * Formats a date the way the Congress.gov API expects for `fromDateTime`/`toDateTime` (no milliseconds).
+ */
+export function toApiDateTime(date) {
+  return new Date(date).toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+/**
+ * Returns the stored high-water mark for an entity, or null when it has never completed an incremental run.
+ * @param {import('pg').Pool} pool - The database pool.
+ * @param {string} entityType - The synced entity (e.g. 'bills', 'members', 'committees').
+ * @param {number|string} congress - The congress the mark belongs to.
+ * @returns {Promise<Date|null>}
+ */
+export async function getHighWaterMark(pool, entityType, congress) {
+  const result = await pool.query({
+    text: `SELECT high_water_mark FROM sync_state WHERE entity_type = $1 AND congress = $2`,
+    values: [entityType, congress],
+  });
+  return result.rows[0]?.high_water_mark || null;
+}
+
+/**
+ * Moves an entity's high-water mark forward. The mark never moves backwards.
+ */
+export async function setHighWaterMark(pool, entityType, congress, mark) {
+  await pool.query({
+    text: `
+      INSERT INTO sync_state (entity_type, congress, high_water_mark, updated_at)
+      VALUES ($1, $2, $3, NOW())
+      ON CONFLICT (entity_type, congress) DO UPDATE SET
+        high_water_mark = GREATEST(sync_state.high_water_mark, EXCLUDED.high_water_mark),
+        updated_at = NOW();
+    `,
+    values: [entityType, congress, mark],
+  });
+  console.log(`High-water mark for ${entityType} (Congress ${congress}) is now ${toApiDateTime(mark)}.`);
+}
+
+/**
+ * Builds the update window for an incremental run: from the stored mark up to now.
+ * When no mark exists yet, `from` is null and the run lists everything to establish one.
+ * @returns {Promise<{from: Date|null, to: Date}>}
+ */
+export async function getUpdateWindow(pool, entityType, congress) {
+  const from = await getHighWaterMark(pool, entityType, congress);
+  const to = new Date();
+  if (from) {
+    console.log(`Incremental ${entityType} sync: records updated between ${toApiDateTime(from)} and ${toApiDateTime(to)}.`);
+  } else {
+    console.log(`Incremental ${entityType} sync: no high-water mark yet, listing everything to establish one.`);
+  }
+  return { from, to };
+}
+
+/**
+ * Returns the API query parameters for a run's stored window, or an empty object for a full run.
+ * @param {object} run - The ingestion run from the ledger.
+ */
+export function windowParams(run) {
+  if (!run.window_to) return {};
+  return {
+    ...(run.window_from ? { fromDateTime: toApiDateTime(run.window_from) } : {}),
+    toDateTime: toApiDateTime(run.window_to),
+  };
+}
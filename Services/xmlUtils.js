@@ -0,0 +1,96 @@
+// Small helpers for the XML (and HTML) documents published alongside the API, such as bill text files.
+// They cover what the ingestion scripts need without pulling in a full XML parser:
+// turning markup into readable plain text, counting elements, and reading simple records such as Senate roll-call votes.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  nbsp: ' ', ensp: ' ', emsp: ' ', thinsp: ' ',
+  sect: '§', para: '¶', mdash: '—', ndash: '–', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+};
+
+// Elements that start a new line in the plain text (bill XML structure plus common HTML blocks).
+const BLOCK_ELEMENTS = [
+  'section', 'subsection', 'paragraph', 'subparagraph', 'clause', 'subclause', 'item', 'subitem',
+  'title', 'text', 'quoted-block', 'toc-entry', 'official-title', 'legis-body', 'form',
+  'p', 'div', 'br', 'pre', 'tr', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+];
+const BLOCK_TAG = new RegExp(`</?(?:${BLOCK_ELEMENTS.join('|')})\\b[^>]*>`, 'gi');
+
+/**
+ * Replaces character references (`&#167;`, `&#xA7;`) and common named entities with their characters.
+ * Unknown named entities are left as they are.
+ * @param {string} text - Text taken from XML or HTML.
+ * @returns {string}
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+      const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isNaN(codePoint) ? entity : String.fromCodePoint(codePoint);
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Converts an XML or HTML document to plain text: markup, comments and declarations are removed,
+ * block elements become line breaks, and runs of whitespace are collapsed.
+ * Elements that only hold metadata (`<metadata>`, `<head>`, `<script>`, `<style>`) are dropped with their content.
+ * @param {string} markup - The document.
+ * @returns {string} The text, one block per line.
+ */
+export function markupToText(markup) {
+  const text = markup
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '')
+    .replace(/<(metadata|head|script|style)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(BLOCK_TAG, '\n')
+    .replace(/<[^>]+>/g, ' ');
+
+  return decodeEntities(text)
+    .split('\n')
+    // Inline tags became spaces; don't leave them before punctuation ("the <quote>Act</quote>.").
+    .map(line => line.replace(/\s+/g, ' ').replace(/ ([.,;:!?)\]])/g, '$1').trim())
+    .filter(line => line.length > 0)
+    .join('\n');
+}
+
+/**
+ * Counts the elements with a given name, e.g. `countElements(xml, 'section')`.
+ * @param {string} markup - The document.
+ * @param {string} name - The element name.
+ * @returns {number}
+ */
+export function countElements(markup, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+  return (markup.match(new RegExp(`<${escaped}(?=[\\s/>])`, 'g')) || []).length;
+}
+
+/**
+ * Returns the content of every element with a given name, in document order, e.g. each `<member>` of a vote.
+ * Elements nested inside another element of the same name are not supported.
+ * @param {string} markup - The document or an element's content.
+ * @param {string} name - The element name.
+ * @returns {Array<string>} The inner markup of each element (an empty string for `<name/>`).
+ */
+export function findElements(markup, name) {
+  const escaped = name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&');
+  const pattern = new RegExp(`<${escaped}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</${escaped}>)`, 'g');
+  return [...markup.matchAll(pattern)].map(match => match[1] ?? '');
+}
+
+/**
+ * Returns the text of the first element with a given name, with markup removed and entities decoded,
+ * or null when there is no such element or it is empty.
+ * @param {string} markup - The document or an element's content.
+ * @param {string} name - The element name.
+ * @returns {string|null}
+ */
+export function elementText(markup, name) {
+  const [content] = findElements(markup, name);
+  if (content === undefined) return null;
+  const text = decodeEntities(content.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+  return text || null;
+}
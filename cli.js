@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+// Command-line entrypoint for the Congress Explorer backend.
+// It replaces running each script by hand and checks the .env configuration before doing any work.
+// Usage (after `npm link`, or with `node cli.js` in place of `congress`):
+//   congress sync members|committees|bills|amendments|texts|house-votes|senate-votes|meetings|nominations|memberships|identifiers|districts|all [--congress 117-119]
+//        [--batch-size N] [--concurrency N] [--force] [--dry-run] [--resume] [--incremental] [--text-dir <dir>] [--vote-dir <dir>]
+//        [--legislators-dir <dir>] [--zcta-file <file>] [--district-file <file>]
+//   congress backfill [--congress 93-119] [same options as sync]
+//   congress reprocess members|committees|bills|amendments|house-votes|meetings|nominations|all [--congress 117-119] [--batch-size N] [--resume]
+//   congress retry-failed members|committees|bills|amendments|texts|house-votes|senate-votes|meetings|nominations|all [--congress 117-119] [--batch-size N] [--resume] [--text-dir <dir>]
+//   congress db migrate [up [version] | down [steps] | status]
+//   congress db audit [--congress 117-119] [--thresholds <file>] [--offline]
+//   congress db refresh-status [--congress 117-119]
+//   congress db refresh-search [--congress 117-119]
+//   congress serve [--port 3001]
+//   congress mock-api [--port 3100] [--fixtures <dir>] [--page-size N] [--rate-limit-every N] [--malformed-every N]
+// Exit codes: 0 on success, 1 when a run failed or left failed items, 2 for usage or configuration errors.
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { SYNC_FLAGS, REPROCESS_FLAGS, RETRY_FLAGS, FIRST_API_CONGRESS, validateEnv, toSyncOptions, parseCongressRange } from './Services/config.js';
+import { run as syncMembers } from './Services/memberDataPopulation.js';
+import { run as syncCommittees } from './Services/committeDataPopulation.js';
+import { run as syncBills } from './Services/billDataPopulation.js';
+import { run as syncAmendments } from './Services/amendmentDataPopulation.js';
+import { run as syncBillTexts } from './Services/billTextPopulation.js';
+import { run as syncHouseVotes } from './Services/houseVotePopulation.js';
+import { run as importSenateVotes } from './Services/senateVoteImport.js';
+import { run as syncMeetings } from './Services/committeeMeetingPopulation.js';
+import { run as syncNominations } from './Services/nominationTreatyPopulation.js';
+import { run as importMemberships } from './Services/committeeMembershipImport.js';
+import { run as importIdentifiers } from './Services/memberIdentifierImport.js';
+import { run as importDistricts } from './Services/districtImport.js';
+import { runBackfill } from './Services/backfill.js';
+import { AUDIT_FLAGS, auditFromFlags } from './Services/dataAudit.js';
+import { refreshBillStatuses } from './Services/billStatus.js';
+import { refreshBillSearch } from './Services/billSearch.js';
+import { startServer } from './Services/server.js';
+import { MOCK_API_FLAGS, startMockApi, toMockApiOptions } from './Services/mockCongressApi.js';
+import { migrate } from './migrate.js';
+
+const EXIT_OK = 0;
+const EXIT_FAILURE = 1;
+const EXIT_USAGE = 2;
+
+// Sync targets in dependency order: bills reference members and committees, amendments reference bills,
+// texts come from bills, votes reference members, bills and amendments, meetings reference committees and bills,
+// nominations (which include treaties) reference committees, memberships reference members and committees,
+// and identifiers reference members. Districts (the representative lookup data) stand alone.
+const SYNC_TARGETS = {
+  members: syncMembers,
+  committees: syncCommittees,
+  bills: syncBills,
+  amendments: syncAmendments,
+  texts: syncBillTexts,
+  'house-votes': syncHouseVotes,
+  'senate-votes': importSenateVotes,
+  meetings: syncMeetings,
+  nominations: syncNominations,
+  memberships: importMemberships,
+  identifiers: importIdentifiers,
+  districts: importDistricts,
+};
+// Targets built from API documents, which `reprocess` can rebuild from the archive. Only these call the
+// Congress.gov API and need CONGRESS_API_KEY; texts come from GovInfo and the rest from local files.
+const ARCHIVED_TARGETS = ['members', 'committees', 'bills', 'amendments', 'house-votes', 'meetings', 'nominations'];
+// Targets that record failed items in the dead-letter table. Local file imports are replaced as a whole instead.
+const RETRY_TARGETS = Object.keys(SYNC_TARGETS).filter(name => !['memberships', 'identifiers', 'districts'].includes(name));
+
+const USAGE = `Usage:
+  congress sync <members|committees|bills|amendments|texts|house-votes|senate-votes|meetings|nominations|memberships|identifiers|districts|all> [options]
+      (meetings also loads published hearings; nominations also loads treaties)
+      --congress <list>        Congresses to sync, e.g. 118, 117-119 or 115,117-119 (default: CURRENT_CONGRESS)
+      --batch-size <n>         Records saved per database transaction
+      --concurrency <n>        Detail requests in flight at once (default: the batch size)
+      --force                  Refetch records even when the stored copy is up to date
+      --dry-run                List what would be fetched without writing to the database
+      --resume                 Continue the last unfinished run instead of starting over
+      --incremental            Only fetch records updated since the last successful sync
+      --text-dir <dir>         texts: read GovInfo bill files from this directory instead of downloading them
+      --vote-dir <dir>         senate-votes: import the Senate roll-call XML files in this directory (skipped without it)
+      --legislators-dir <dir>  memberships, identifiers: import committee rosters and member IDs from the
+                               congress-legislators YAML files in this directory (skipped without it)
+      --zcta-file <file>       districts: import the Census ZCTA-to-congressional-district relationship file
+      --district-file <file>   districts: import congressional district boundaries from this GeoJSON file
+  congress backfill [options]
+      Syncs members, committees, bills and amendments for each congress in --congress (default: ${FIRST_API_CONGRESS} to CURRENT_CONGRESS),
+      skipping congresses already completed (unless --force) and resuming interrupted ones.
+      Accepts the same options as sync.
+  congress reprocess <members|committees|bills|amendments|house-votes|meetings|nominations|all> [options]
+      Rebuilds the normalized tables from the raw API documents archived by earlier syncs, without calling the API.
+      --congress <list>     Congresses to reprocess (default: CURRENT_CONGRESS)
+      --batch-size <n>      Records saved per database transaction
+      --resume              Continue the last unfinished run instead of starting over
+  congress retry-failed <members|committees|bills|amendments|texts|house-votes|senate-votes|meetings|nominations|all> [options]
+      Refetches and saves only the records left in the dead-letter table by earlier runs.
+      Accepts the same options as reprocess, plus --text-dir for texts.
+  congress db migrate [up [version] | down [steps] | status]
+  congress db audit [options]
+      Checks the data for known ingestion problems and prints a JSON report; exits with 1 when a threshold is breached.
+      (db check is an alias.)
+      --congress <list>        Limit the per-congress checks to these congresses (default: all)
+      --thresholds <file>      JSON file of check id -> largest acceptable value
+      --offline                Skip comparing bill counts with the API
+  congress db refresh-status [--congress <list>]
+      Recomputes each bill's status and milestones from its stored actions (default: all congresses).
+  congress db refresh-search [--congress <list>]
+      Rebuilds each bill's full-text search document from its stored titles, subjects, summaries and text.
+  congress serve [--port <port>]
+  congress mock-api [options]
+      Serves recorded fixtures as a local Congress.gov API. Run syncs against it with
+      CONGRESS_API_BASE_URL=http://localhost:3100/v3 (record fixtures with CONGRESS_API_RECORD_DIR=<dir>).
+      --port <port>           Port to listen on (default: 3100)
+      --fixtures <dir>        Fixture directory (default: fixtures/congress-api)
+      --page-size <n>         Largest page served for list fixtures
+      --rate-limit-every <n>  Answer every nth request with 429
+      --malformed-every <n>   Answer every nth request with malformed JSON`;
+
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+/**
+ * Validates configuration up front, turning problems into usage errors.
+ */
+function checkConfig(validate) {
+  try {
+    return validate();
+  } catch (error) {
+    throw usageError(error.message);
+  }
+}
+
+/**
+ * Returns the targets named by a command's positional argument.
+ * @param {string} command - The command, for the error message.
+ * @param {Array<string>} positionals - The command's positional arguments.
+ * @param {Array<string>} [allowed] - The targets the command accepts.
+ */
+function parseTargets(command, positionals, allowed = Object.keys(SYNC_TARGETS)) {
+  const [target, ...extra] = positionals;
+  if (!target || extra.length > 0 || !(target === 'all' || allowed.includes(target))) {
+    throw usageError(`Expected one ${command} target: ${allowed.join(', ')} or all.`);
+  }
+  return target === 'all' ? allowed : [target];
+}
+
+/**
+ * Runs each target for each congress in order and reports whether any run failed.
+ */
+async function runTargets(targets, options) {
+  let failed = false;
+  for (const congress of options.congresses) {
+    for (const name of targets) {
+      const status = await SYNC_TARGETS[name]({ ...options, congress });
+      if (status === 'failed') failed = true;
+    }
+  }
+  return failed ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function syncCommand(args) {
+  const { values, positionals } = parseArgs({ args, options: SYNC_FLAGS, allowPositionals: true });
+  const targets = parseTargets('sync', positionals);
+  const options = checkConfig(() => {
+    validateEnv({ apiKey: targets.some(name => ARCHIVED_TARGETS.includes(name)), congress: !values.congress });
+    return toSyncOptions(values);
+  });
+  return runTargets(targets, options);
+}
+
+async function reprocessCommand(args) {
+  const { values, positionals } = parseArgs({ args, options: REPROCESS_FLAGS, allowPositionals: true });
+  const targets = parseTargets('reprocess', positionals, ARCHIVED_TARGETS);
+  const options = checkConfig(() => {
+    validateEnv({ congress: !values.congress });
+    return toSyncOptions(values);
+  });
+  return runTargets(targets, { ...options, fromArchive: true });
+}
+
+async function retryFailedCommand(args) {
+  const { values, positionals } = parseArgs({ args, options: RETRY_FLAGS, allowPositionals: true });
+  const targets = parseTargets('retry-failed', positionals, RETRY_TARGETS);
+  const options = checkConfig(() => {
+    validateEnv({ apiKey: targets.some(name => ARCHIVED_TARGETS.includes(name)), congress: !values.congress });
+    return toSyncOptions(values);
+  });
+  return runTargets(targets, { ...options, retryFailed: true });
+}
+
+async function backfillCommand(args) {
+  const { values } = parseArgs({ args, options: SYNC_FLAGS });
+  const options = checkConfig(() => {
+    validateEnv({ apiKey: true, congress: !values.congress });
+    return toSyncOptions({ ...values, congress: values.congress || `${FIRST_API_CONGRESS}-${process.env.CURRENT_CONGRESS}` });
+  });
+  const status = await runBackfill(options);
+  return status === 'failed' ? EXIT_FAILURE : EXIT_OK;
+}
+
+async function dbCommand(args) {
+  const [subcommand, ...rest] = args;
+  checkConfig(() => validateEnv());
+
+  if (subcommand === 'migrate') {
+    const [command = 'up', arg] = rest;
+    if (!['up', 'down', 'status'].includes(command)) {
+      throw usageError(`Unknown migrate command '${command}'. Use up, down or status.`);
+    }
+    await migrate(command, arg);
+    return EXIT_OK;
+  }
+  if (subcommand === 'audit' || subcommand === 'check') {
+    const { values } = parseArgs({ args: rest, options: AUDIT_FLAGS });
+    checkConfig(() => validateEnv({ apiKey: !values.offline }));
+    return (await auditFromFlags(values)) ? EXIT_OK : EXIT_FAILURE;
+  }
+  if (subcommand === 'refresh-status' || subcommand === 'refresh-search') {
+    const { values } = parseArgs({ args: rest, options: { congress: { type: 'string' } } });
+    const congresses = values.congress ? checkConfig(() => parseCongressRange(values.congress)) : null;
+    await (subcommand === 'refresh-status' ? refreshBillStatuses : refreshBillSearch)({ congresses });
+    return EXIT_OK;
+  }
+  throw usageError(`Unknown db command '${subcommand || ''}'. Use migrate, audit, refresh-status or refresh-search.`);
+}
+
+function serveCommand(args) {
+  const { values } = parseArgs({ args, options: { port: { type: 'string' } } });
+  checkConfig(() => validateEnv());
+  startServer(values.port);
+  // The server keeps the process alive; no exit code until it stops.
+  return undefined;
+}
+
+function mockApiCommand(args) {
+  const { values } = parseArgs({ args, options: MOCK_API_FLAGS });
+  startMockApi(toMockApiOptions(values));
+  return undefined;
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+  switch (command) {
+    case 'sync':
+      return syncCommand(args);
+    case 'backfill':
+      return backfillCommand(args);
+    case 'reprocess':
+      return reprocessCommand(args);
+    case 'retry-failed':
+      return retryFailedCommand(args);
+    case 'db':
+      return dbCommand(args);
+    case 'serve':
+      return serveCommand(args);
+    case 'mock-api':
+      return mockApiCommand(args);
+    case 'help':
+    case '--help':
+    case '-h':
+      console.log(USAGE);
+      return EXIT_OK;
+    default:
+      throw usageError(command ? `Unknown command '${command}'.` : 'No command given.');
+  }
+}
+
+main(process.argv.slice(2))
+  .then(exitCode => {
+    if (exitCode !== undefined) process.exitCode = exitCode;
+  })
+  .catch(error => {
+    const isUsageError = error.exitCode === EXIT_USAGE || error.code?.startsWith('ERR_PARSE_ARGS');
+    if (isUsageError) {
+      console.error(`❌ ${error.message}\n\n${USAGE}`);
+      process.exitCode = EXIT_USAGE;
+    } else {
+      console.error('❌ An unexpected error occurred:', error);
+      process.exitCode = EXIT_FAILURE;
+    }
+  });
@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import './App.css';
-import { ChevronLeft, Loader, ExternalLink, Globe, Phone, MapPin, Newspaper, Scroll, Youtube, Key } from 'lucide-react';
+import { ChevronLeft, Loader, ExternalLink, Globe, Phone, MapPin, Newspaper, Scroll, Youtube, Key, Landmark, Twitter, BookOpen } from 'lucide-react';
 
 // --- API Service ---
 const API_BASE_URL = 'http://localhost:3001/api';
@@ -16,8 +16,24 @@ const api = {
     if (!response.ok) throw new Error('Failed to fetch committee details');
     return await response.json();
   },
-  fetchBills: async (filters = {}) => {
-    const activeFilters = Object.fromEntries(Object.entries(filters).filter(([_, v]) => v));
+  fetchCommitteeMeetings: async (systemCode) => {
+    const response = await fetch(`${API_BASE_URL}/committees/${systemCode}/meetings`);
+    if (!response.ok) throw new Error('Failed to fetch committee meetings');
+    return await response.json();
+  },
+  fetchCommitteeBills: async (systemCode, cursor) => {
+    const response = await fetch(`${API_BASE_URL}/committees/${systemCode}/bills?${new URLSearchParams({ cursor })}`);
+    if (!response.ok) throw new Error('Failed to fetch committee bills');
+    return await response.json();
+  },
+  fetchCommitteeReports: async (systemCode, cursor) => {
+    const response = await fetch(`${API_BASE_URL}/committees/${systemCode}/reports?${new URLSearchParams({ cursor })}`);
+    if (!response.ok) throw new Error('Failed to fetch committee reports');
+    return await response.json();
+  },
+  // Returns one page of bills ({ items, total, next }); pass `next` back as the cursor for the following page.
+  fetchBills: async (filters = {}, cursor = '') => {
+    const activeFilters = Object.fromEntries(Object.entries({ ...filters, cursor }).filter(([_, v]) => v));
     const query = new URLSearchParams(activeFilters).toString();
     const response = await fetch(`${API_BASE_URL}/bills?${query}`);
     if (!response.ok) throw new Error('Failed to fetch bills');
@@ -28,15 +44,68 @@ const api = {
     if (!response.ok) throw new Error('Failed to fetch bill details');
     return await response.json();
   },
-  fetchMembers: async (congress = '119') => {
-    const response = await fetch(`${API_BASE_URL}/members?congress=${congress}`);
-    if (!response.ok) throw new Error('Failed to fetch members');
+  fetchCongresses: async () => {
+    const response = await fetch(`${API_BASE_URL}/congresses`);
+    if (!response.ok) throw new Error('Failed to fetch congresses');
     return await response.json();
   },
+  // Returns every member of the congress, following the pages of /members.
+  fetchMembers: async (congress) => {
+    const members = [];
+    let cursor = '';
+    do {
+      const params = Object.fromEntries(Object.entries({ congress, cursor, limit: 500 }).filter(([_, v]) => v));
+      const response = await fetch(`${API_BASE_URL}/members?${new URLSearchParams(params)}`);
+      if (!response.ok) throw new Error('Failed to fetch members');
+      const page = await response.json();
+      members.push(...page.items);
+      cursor = page.next;
+    } while (cursor);
+    return members;
+  },
   fetchMemberDetails: async (bioguideId) => {
     const response = await fetch(`${API_BASE_URL}/members/${bioguideId}`);
     if (!response.ok) throw new Error('Failed to fetch member details');
     return await response.json();
+  },
+  fetchMemberVotes: async (bioguideId) => {
+    const response = await fetch(`${API_BASE_URL}/members/${bioguideId}/votes`);
+    if (!response.ok) throw new Error('Failed to fetch member votes');
+    return await response.json();
+  },
+  fetchBillHistory: async (id) => {
+    const response = await fetch(`${API_BASE_URL}/bills/${id}/history`);
+    if (!response.ok) throw new Error('Failed to fetch bill history');
+    return await response.json();
+  },
+  fetchChanges: async (filters = {}) => {
+    const activeFilters = Object.fromEntries(Object.entries(filters).filter(([_, v]) => v));
+    const response = await fetch(`${API_BASE_URL}/changes?${new URLSearchParams(activeFilters)}`);
+    if (!response.ok) throw new Error('Failed to fetch changes');
+    return await response.json();
+  },
+  search: async (q) => {
+    const response = await fetch(`${API_BASE_URL}/search?${new URLSearchParams({ q })}`);
+    if (!response.ok) throw new Error('Failed to search');
+    return await response.json();
+  },
+  suggest: async (q) => {
+    const response = await fetch(`${API_BASE_URL}/suggest?${new URLSearchParams({ q })}`);
+    if (!response.ok) throw new Error('Failed to fetch suggestions');
+    return await response.json();
+  },
+  // Returns { citation, match, candidates } for a bill, law or report citation, or null when nothing matches it.
+  resolveCitation: async (cite) => {
+    const response = await fetch(`${API_BASE_URL}/resolve?${new URLSearchParams({ cite })}`);
+    if (response.status === 400 || response.status === 404) return null;
+    if (!response.ok) throw new Error('Failed to resolve citation');
+    return await response.json();
+  },
+  lookupRepresentatives: async (params) => {
+    const response = await fetch(`${API_BASE_URL}/lookup?${new URLSearchParams(params)}`);
+    const body = await response.json();
+    if (!response.ok) throw new Error(body.error || 'Failed to look up representatives');
+    return body;
   }
 };
 
@@ -68,6 +137,9 @@ const getPartyClass = (party) => {
     return 'other';
 };
 
+// 118 -> '118th', 101 -> '101st' (as in Services/citations.js)
+const ordinal = (n) => `${n}${[11, 12, 13].includes(n % 100) ? 'th' : ['th', 'st', 'nd', 'rd'][n % 10] || 'th'}`;
+
 // Helper to format bill type for Congress.gov URL
 const billUrlTypeMap = {
     s: 'senate-bill',
@@ -81,14 +153,217 @@ const billUrlTypeMap = {
 };
 const getBillUrlType = (type) => billUrlTypeMap[type.toLowerCase()] || `${type.toLowerCase()}-bill`;
 
-const FilterInput = ({ name, value, onChange, placeholder }) => (
-    <input type="text" name={name} value={value} onChange={onChange} placeholder={placeholder} className="filter-control" />
+// Labels for the bill status stages, in the order a bill reaches them (see Services/billStatus.js)
+const billStatusLabels = {
+    introduced: 'Introduced',
+    referred: 'Referred to Committee',
+    reported: 'Reported by Committee',
+    passed_house: 'Passed House',
+    passed_senate: 'Passed Senate',
+    resolving_differences: 'Resolving Differences',
+    to_president: 'To President',
+    vetoed: 'Vetoed',
+    veto_overridden: 'Veto Overridden',
+    became_law: 'Became Law',
+};
+
+// Facets counted for the legislation filters (the `facets` of /bills), each named after the filter it sets
+const billFacetTitles = {
+    status: 'Status',
+    policyArea: 'Policy Area',
+    committee: 'Committee',
+    party: 'Sponsor Party',
+    originChamber: 'Origin Chamber',
+    type: 'Bill Type',
+    introducedMonth: 'Introduced',
+};
+const facetValueLabel = (facet, option) => {
+    if (facet === 'status') return billStatusLabels[option.value] || option.value;
+    if (facet === 'type') return option.value.toUpperCase();
+    if (facet === 'introducedMonth') return new Date(`${option.value}-01T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'short' });
+    return option.label || option.value;
+};
+
+// Global search hits (/search, /suggest): what each kind is called and the page it opens. Reports open their committee.
+const searchHitTypeLabels = { member: 'Member', bill: 'Bill', committee: 'Committee', report: 'Report' };
+const searchGroupTitles = { members: 'Members', bills: 'Legislation', committees: 'Committees', reports: 'Committee Reports' };
+const searchHitRoute = (hit) => {
+    switch (hit.type) {
+        case 'member': return { page: 'memberDetail', id: hit.id };
+        case 'bill': return { page: 'legislationDetail', id: hit.id };
+        case 'committee': return { page: 'committeeDetail', id: hit.id };
+        default: return hit.committee_system_code ? { page: 'committeeDetail', id: hit.committee_system_code } : { page: 'committees' };
+    }
+};
+
+// Where a search matched a bill (the `matches` of /bills?q=)
+const searchFieldLabels = { title: 'Title', subject: 'Subjects', summary: 'Summary', text: 'Text' };
+
+// Wiki-style page URLs (Wikipedia, Ballotpedia) use underscores for spaces
+const wikiPage = (title) => encodeURIComponent(title.replace(/ /g, '_'));
+
+// Profile links built from the member's IDs in other databases (see member_identifiers).
+// Members without an imported ID fall back to a search by name.
+const getProfileLinks = (details, identifiers = {}) => {
+    const name = details.direct_order_name;
+    const links = [
+        { title: 'OpenSecrets Profile', icon: Key, href: identifiers.opensecrets
+            ? `https://www.opensecrets.org/members-of-congress/summary?cid=${encodeURIComponent(identifiers.opensecrets)}`
+            : `https://www.opensecrets.org/members-of-congress/search?q=${encodeURIComponent(name)}` },
+        { title: 'Ballotpedia Profile', icon: Scroll, href: `https://ballotpedia.org/${wikiPage(identifiers.ballotpedia || `${details.first_name} ${details.last_name}`)}` },
+        { title: 'YouTube Channel', icon: Youtube, href: identifiers.youtube_id
+            ? `https://www.youtube.com/channel/${encodeURIComponent(identifiers.youtube_id)}`
+            : identifiers.youtube
+                ? `https://www.youtube.com/user/${encodeURIComponent(identifiers.youtube)}`
+                : `https://www.youtube.com/results?search_query=${encodeURIComponent(details.chamber + ' ' + name)}` },
+    ];
+    if (identifiers.govtrack) links.push({ title: 'GovTrack Profile', icon: Landmark, href: `https://www.govtrack.us/congress/members/${encodeURIComponent(identifiers.govtrack)}` });
+    if (identifiers.wikipedia) links.push({ title: 'Wikipedia', icon: BookOpen, href: `https://en.wikipedia.org/wiki/${wikiPage(identifiers.wikipedia)}` });
+    if (identifiers.twitter) links.push({ title: `@${identifiers.twitter} on X`, icon: Twitter, href: `https://x.com/${encodeURIComponent(identifiers.twitter)}` });
+    return links;
+};
+
+// Labels for the change_log entity types
+const changeEntityLabels = {
+    bill: 'Bill',
+    bill_action: 'Action',
+    bill_cosponsor: 'Cosponsor',
+    bill_summary: 'Summary',
+    member: 'Member',
+    member_party: 'Party',
+};
+
+// The Monday of the current week, as YYYY-MM-DD, for the "changed since Monday" default
+const lastMonday = () => {
+    const date = new Date();
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.toLocaleDateString('en-CA');
+};
+
+const FilterInput = ({ name, value, onChange, onKeyDown, placeholder }) => (
+    <input type="text" name={name} value={value} onChange={onChange} onKeyDown={onKeyDown} placeholder={placeholder} className="filter-control" />
 );
 
 const FilterSelect = ({ name, value, onChange, children }) => (
     <select name={name} value={value} onChange={onChange} className="filter-control">{children}</select>
 );
 
+const CongressSelect = ({ value, congressInfo, onChange }) => {
+    const congresses = congressInfo.congresses.length > 0 ? congressInfo.congresses : [{ congress: congressInfo.current }];
+    return (
+        <FilterSelect name="congress" value={value} onChange={onChange}>
+            {congresses.map(c => <option key={c.congress} value={c.congress}>{ordinal(c.congress)} Congress</option>)}
+        </FilterSelect>
+    );
+};
+
+// Footer of a paged list: how many of the matching records are shown, and a button for the next page.
+const LoadMore = ({ shown, page, loading, onLoadMore }) => (
+    <div className="load-more">
+        <span>Showing {shown.toLocaleString()} of {page.total.toLocaleString()}</span>
+        {page.next && (
+            <button className="btn btn-primary" onClick={onLoadMore} disabled={loading}>
+                {loading ? 'Loading...' : 'Load more'}
+            </button>
+        )}
+    </div>
+);
+
+// Drill-down filters with the number of bills each option would show; clicking an active option clears it
+const FacetPanel = ({ facets, filters, onSelect }) => (
+    <div className="facet-panel">
+        {Object.entries(billFacetTitles).filter(([facet]) => facets[facet]?.length > 0).map(([facet, title]) => (
+            <div key={facet} className="facet-group">
+                <h3>{title}</h3>
+                <ul>
+                    {facets[facet].slice(0, 8).map(option => (
+                        <li key={option.value}>
+                            <button className={`facet-option ${filters[facet] === option.value ? 'active' : ''}`} onClick={() => onSelect(facet, filters[facet] === option.value ? '' : option.value)}>
+                                <span>{facetValueLabel(facet, option)}</span>
+                                <span className="facet-count">{option.count.toLocaleString()}</span>
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            </div>
+        ))}
+    </div>
+);
+
+const SearchHit = ({ hit, active, onSelect }) => (
+    <button className={`search-hit ${active ? 'active' : ''}`} onMouseDown={e => e.preventDefault()} onClick={() => onSelect(searchHitRoute(hit))}>
+        <span className="search-hit-type">{searchHitTypeLabels[hit.type]}</span>
+        <span className="search-hit-label">{hit.label}</span>
+        {hit.detail && <span className="search-hit-detail">{hit.detail}</span>}
+    </button>
+);
+
+// Header search box: suggestions as you type, arrow keys to pick one, Enter for the full results page
+const HeaderSearch = ({ onNavigate }) => {
+    const [query, setQuery] = useState('');
+    const [hits, setHits] = useState([]);
+    const [active, setActive] = useState(-1);
+    const [open, setOpen] = useState(false);
+
+    useEffect(() => {
+        if (query.trim().length < 2) {
+            setHits([]);
+            return;
+        }
+        let cancelled = false;
+        const handler = setTimeout(() => {
+            api.suggest(query.trim()).then(data => {
+                if (cancelled) return;
+                setHits(data.hits);
+                setActive(-1);
+            }).catch(console.error);
+        }, 200);
+        return () => { cancelled = true; clearTimeout(handler); };
+    }, [query]);
+
+    const go = (route) => {
+        setQuery('');
+        setOpen(false);
+        onNavigate(route);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'ArrowDown') {
+            e.preventDefault();
+            setActive(i => Math.min(i + 1, hits.length - 1));
+        } else if (e.key === 'ArrowUp') {
+            e.preventDefault();
+            setActive(i => Math.max(i - 1, -1));
+        } else if (e.key === 'Enter' && query.trim()) {
+            go(active >= 0 ? searchHitRoute(hits[active]) : { page: 'search', q: query.trim() });
+        } else if (e.key === 'Escape') {
+            setOpen(false);
+        }
+    };
+
+    return (
+        <div className="header-search">
+            <input
+                type="search"
+                className="filter-control"
+                value={query}
+                placeholder="Search members, bills, committees..."
+                onChange={e => { setQuery(e.target.value); setOpen(true); }}
+                onKeyDown={handleKeyDown}
+                onFocus={() => setOpen(true)}
+                onBlur={() => setOpen(false)}
+            />
+            {open && hits.length > 0 && (
+                <ul className="search-suggestions">
+                    {hits.map((hit, i) => (
+                        <li key={`${hit.type}-${hit.id}`}><SearchHit hit={hit} active={i === active} onSelect={go} /></li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
 const BackButton = ({ onClick }) => (
   <button onClick={onClick} className="back-button"><ChevronLeft size={16} /> Back</button>
 );
@@ -152,6 +427,83 @@ const DetailSectionCard = ({title, children}) => (
 
 // --- Page Components ---
 
+// Finds a constituent's senators and House members from a ZIP code or "lat, lng" coordinates
+const RepresentativeLookup = ({ onNavigate }) => {
+    const [query, setQuery] = useState('');
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const lookup = (params) => {
+        setLoading(true);
+        setError(null);
+        api.lookupRepresentatives(params)
+            .then(setResult)
+            .catch(err => { setResult(null); setError(err.message); })
+            .finally(() => setLoading(false));
+    };
+
+    const handleSubmit = (e) => {
+        e.preventDefault();
+        const value = query.trim();
+        const coordinates = value.match(/^(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)$/);
+        if (/^\d{5}$/.test(value)) lookup({ zip: value });
+        else if (coordinates) lookup({ lat: coordinates[1], lng: coordinates[2] });
+        else setError('Enter a 5-digit ZIP code or coordinates such as 38.8899, -77.0091.');
+    };
+
+    const useMyLocation = () => {
+        navigator.geolocation.getCurrentPosition(
+            ({ coords }) => {
+                setQuery(`${coords.latitude.toFixed(5)}, ${coords.longitude.toFixed(5)}`);
+                lookup({ lat: coords.latitude, lng: coords.longitude });
+            },
+            () => setError('Your location is not available.')
+        );
+    };
+
+    const memberButton = (m) => (
+        <PartyButton
+            key={m.bioguide_id}
+            name={m.direct_order_name || `${m.first_name} ${m.last_name}`}
+            party={m.party}
+            bioguideId={m.bioguide_id}
+            onNavigate={onNavigate}
+            details={m.chamber === 'Senate' ? m.state : `${m.state}-${m.district || 'At Large'}`}
+        />
+    );
+
+    return (
+        <div className="card lookup-card">
+            <form className="lookup-form" onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    className="filter-control"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    placeholder="Find your representatives: ZIP code or lat, lng"
+                />
+                <button type="submit" className="btn btn-primary" disabled={loading}>Find</button>
+                {navigator.geolocation && <button type="button" className="btn-format" onClick={useMyLocation}><MapPin size={16} /> Use my location</button>}
+            </form>
+            {error && <p className="lookup-message">{error}</p>}
+            {result && (
+                <div className="lookup-results">
+                    {result.districts.length > 1 && (
+                        <p className="lookup-message">
+                            This ZIP code spans {result.districts.length} districts: {result.districts.map(d => `${d.state}-${d.district || 'At Large'}`).join(', ')}.
+                        </p>
+                    )}
+                    <h3 className="subcommittee-heading">Senators</h3>
+                    <div className="cosponsors-grid">{result.senators.map(memberButton)}</div>
+                    <h3 className="subcommittee-heading">{result.representatives.length > 1 ? 'House Members' : 'House Member'}</h3>
+                    <div className="cosponsors-grid">{result.representatives.map(memberButton)}</div>
+                </div>
+            )}
+        </div>
+    );
+};
+
 const HomePage = ({ onNavigate }) => (
     <PageContainer>
         <div className="home-hero">
@@ -162,11 +514,12 @@ const HomePage = ({ onNavigate }) => (
                 <button onClick={() => onNavigate({ page: 'legislation' })} className="btn btn-primary">Search Legislation</button>
                 <button onClick={() => onNavigate({ page: 'committees' })} className="btn btn-primary">View Committees</button>
             </div>
+            <RepresentativeLookup onNavigate={onNavigate} />
         </div>
     </PageContainer>
 );
 
-const MembersPage = ({ onBack, onNavigate, members, loading }) => {
+const MembersPage = ({ onBack, onNavigate, members, loading, congress, congressInfo, onCongressChange }) => {
   const [filters, setFilters] = useState({ name: '', party: '', state: '', chamber: '' });
 
   const handleFilterChange = (e) => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
@@ -184,9 +537,10 @@ const MembersPage = ({ onBack, onNavigate, members, loading }) => {
   return (
     <PageContainer>
       <BackButton onClick={onBack} />
-      <PageHeader title="Browse Members" subtitle={`Search the 119th Congress`} />
+      <PageHeader title="Browse Members" subtitle={`Search the ${ordinal(congress)} Congress`} />
       {loading ? <LoadingSpinner /> : <>
         <div className="filter-bar">
+            <CongressSelect value={congress} congressInfo={congressInfo} onChange={e => onCongressChange(e.target.value)} />
             <FilterInput name="name" value={filters.name} onChange={handleFilterChange} placeholder="Search by Name..." />
             <FilterInput name="state" value={filters.state} onChange={handleFilterChange} placeholder="State (e.g. CA)" />
             <FilterSelect name="party" value={filters.party} onChange={handleFilterChange}>
@@ -213,10 +567,11 @@ const MembersPage = ({ onBack, onNavigate, members, loading }) => {
   );
 };
 
-const LegislationPage = ({ onBack, onNavigate }) => {
-    const [bills, setBills] = useState([]);
-    const [filters, setFilters] = useState({ title: '', sponsor: '', billNumber: '', party: '' });
+const LegislationPage = ({ onBack, onNavigate, congressInfo }) => {
+    const [page, setPage] = useState({ items: [], total: 0, next: null, facets: {} });
+    const [filters, setFilters] = useState({ q: '', sponsor: '', billNumber: '', party: '', congress: '', status: '', policyArea: '', committee: '', originChamber: '', type: '', introducedMonth: '', sort: '', order: '' });
     const [loading, setLoading] = useState(false);
+    const [loadingMore, setLoadingMore] = useState(false);
     
     const useDebounce = (value, delay) => {
         const [debouncedValue, setDebouncedValue] = useState(value);
@@ -232,8 +587,8 @@ const LegislationPage = ({ onBack, onNavigate }) => {
 const loadBills = useCallback(async (currentFilters) => {
     setLoading(true);
     try {
-        const data = await api.fetchBills(currentFilters);
-        setBills(data);
+        const data = await api.fetchBills({ ...currentFilters, facets: Object.keys(billFacetTitles).join(',') });
+        setPage(data);
     } catch (error) {
         console.error("Failed to fetch bills:", error);
     } finally {
@@ -243,56 +598,116 @@ const loadBills = useCallback(async (currentFilters) => {
 
     useEffect(() => { loadBills(debouncedFilters); }, [debouncedFilters, loadBills]);
 
+    const loadMoreBills = async () => {
+        setLoadingMore(true);
+        try {
+            const data = await api.fetchBills(debouncedFilters, page.next);
+            setPage(prev => ({ ...prev, ...data, items: [...prev.items, ...data.items] }));
+        } catch (error) {
+            console.error("Failed to fetch more bills:", error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
     const handleFilterChange = e => setFilters(prev => ({...prev, [e.target.name]: e.target.value}));
+    const handleFacetSelect = (facet, value) => setFilters(prev => ({ ...prev, [facet]: value }));
+
+    // Enter in the bill number box opens the bill, law or report the citation names, when it names just one
+    const handleCitationKeyDown = async (e) => {
+        if (e.key !== 'Enter' || !filters.billNumber.trim()) return;
+        try {
+            const resolved = await api.resolveCitation(filters.billNumber.trim());
+            if (!resolved?.match) return;
+            if (resolved.citation.kind === 'report') {
+                if (resolved.match.committee_system_code) onNavigate({ page: 'committeeDetail', id: resolved.match.committee_system_code });
+            } else {
+                onNavigate({ page: 'legislationDetail', id: resolved.match.id });
+            }
+        } catch (error) {
+            console.error("Failed to resolve citation:", error);
+        }
+    };
 
     return (
         <PageContainer>
             <BackButton onClick={onBack} />
             <PageHeader title="Search All Legislation" />
             <div className="filter-bar">
-                <FilterInput name="title" value={filters.title} onChange={handleFilterChange} placeholder="Search by Title..."/>
+                <CongressSelect value={filters.congress || congressInfo.current} congressInfo={congressInfo} onChange={handleFilterChange} />
+                <FilterInput name="q" value={filters.q} onChange={handleFilterChange} placeholder='Search bills, e.g. "clean water" OR wetland*'/>
                 <FilterInput name="sponsor" value={filters.sponsor} onChange={handleFilterChange} placeholder="Search by Sponsor Name..."/>
-                <FilterInput name="billNumber" value={filters.billNumber} onChange={handleFilterChange} placeholder="Search by Bill Number..."/>
+                <FilterInput name="billNumber" value={filters.billNumber} onChange={handleFilterChange} onKeyDown={handleCitationKeyDown} placeholder='Bill, law or report, e.g. "H.J.Res. 7 (118th)"'/>
                 <FilterSelect name="party" value={filters.party} onChange={handleFilterChange}>
                     <option value="">All Parties</option>
                     <option value="Republican">Republican</option>
                     <option value="Democrat">Democrat</option>
                     <option value="Independent">Independent</option>
                 </FilterSelect>
+                <FilterSelect name="status" value={filters.status} onChange={handleFilterChange}>
+                    <option value="">All Statuses</option>
+                    {Object.entries(billStatusLabels).map(([status, label]) => <option key={status} value={status}>{label}</option>)}
+                </FilterSelect>
+                <FilterSelect name="sort" value={filters.sort} onChange={handleFilterChange}>
+                    <option value="">{filters.q ? 'Sort by Relevance' : 'Sort by Introduced Date'}</option>
+                    {filters.q && <option value="introduced">Sort by Introduced Date</option>}
+                    <option value="latest_action">Sort by Latest Action</option>
+                    <option value="cosponsors">Sort by Cosponsors</option>
+                    <option value="actions">Sort by Actions</option>
+                    <option value="number">Sort by Bill Number</option>
+                    <option value="status">Sort by Status</option>
+                    <option value="status_date">Sort by Latest Progress</option>
+                </FilterSelect>
+                <FilterSelect name="order" value={filters.order} onChange={handleFilterChange}>
+                    <option value="">Default Order</option>
+                    <option value="desc">Descending</option>
+                    <option value="asc">Ascending</option>
+                </FilterSelect>
             </div>
-            {loading ? <LoadingSpinner /> : (
+            {page.facets && <FacetPanel facets={page.facets} filters={filters} onSelect={handleFacetSelect} />}
+            {loading ? <LoadingSpinner /> : <>
                 <div className="info-grid">
-                    {bills.map(bill => (
+                    {page.items.map(bill => (
                         <div key={bill.id} className="card clickable bill-card" onClick={() => onNavigate({ page: 'legislationDetail', id: bill.id })}>
                             <div className="bill-card-header">
                                 <h2 className="bill-identifier">{bill.type.toUpperCase()}.{bill.number}</h2>
                             </div>
                             <p className="bill-title">{bill.title}</p>
                             <p className="bill-detail"><strong>Introduced:</strong> {new Date(bill.introduced_date).toLocaleDateString()}</p>
+                            {bill.status && <p className="bill-detail"><strong>Status:</strong> {billStatusLabels[bill.status]}{bill.status_date && ` (${new Date(bill.status_date).toLocaleDateString()})`}</p>}
                             <p className="bill-detail"><strong>Sponsor:</strong> <span className={`link-like party-button ${getPartyClass(bill.sponsor_party)}`} onClick={(e) => { e.stopPropagation(); onNavigate({ page: 'memberDetail', id: bill.sponsor_bioguide_id })}}>{bill.sponsor_name}</span></p>
                             {bill.policy_area_name && <p className="bill-detail"><strong>Policy Area:</strong> {bill.policy_area_name}</p>}
                             <p className="bill-detail"><strong>Cosponsors:</strong> {bill.cosponsor_count} | <strong>Actions:</strong> {bill.action_count}</p>
+                            {bill.matches?.map(match => (
+                                <p key={match.field} className="bill-snippet">
+                                    <strong>{searchFieldLabels[match.field]}:</strong> <span dangerouslySetInnerHTML={{ __html: match.snippet }} />
+                                </p>
+                            ))}
                         </div>
                     ))}
                 </div>
-            )}
+                <LoadMore shown={page.items.length} page={page} loading={loadingMore} onLoadMore={loadMoreBills} />
+            </>}
         </PageContainer>
     );
 };
 
 const MemberDetailPage = ({ bioguideId, onBack, onNavigate }) => {
     const [data, setData] = useState(null);
+    const [votes, setVotes] = useState(null);
     const [loading, setLoading] = useState(true);
 
     useEffect(() => {
         setLoading(true);
         api.fetchMemberDetails(bioguideId).then(setData).catch(console.error).finally(() => setLoading(false));
+        setVotes(null);
+        api.fetchMemberVotes(bioguideId).then(setVotes).catch(console.error);
     }, [bioguideId]);
 
     if (loading) return <LoadingSpinner />;
     if (!data) return <PageContainer><BackButton onClick={onBack} /><PageHeader title="Member Not Found" /></PageContainer>;
 
-    const { details, sponsored_legislation, cosponsored_legislation, terms, leadership, party_history, address } = data;
+    const { details, sponsored_legislation, cosponsored_legislation, terms, leadership, party_history, committee_assignments, identifiers, address } = data;
 
     return (
         <PageContainer>
@@ -307,10 +722,10 @@ const MemberDetailPage = ({ bioguideId, onBack, onNavigate }) => {
                             <div className="member-social-links">
                                 {details.official_url && <a href={details.official_url} target="_blank" rel="noopener noreferrer" title="Official Website"><Globe size={18} /></a>}
                                 <a href={`https://www.congress.gov/member/${encodeURIComponent(details.first_name + '-' + details.last_name) + '/'+  encodeURIComponent(details.bioguide_id)}`} target="_blank" rel="noopener noreferrer" title="Congress.gov Profile"><ExternalLink size={18} /></a>
-                                <a href={`https://www.opensecrets.org/members-of-congress/search?q=${encodeURIComponent(details.direct_order_name)}`} target="_blank" rel="noopener noreferrer" title="OpenSecrets Profile"><Key size={18} /></a>
-                                <a href={`https://ballotpedia.org/${encodeURIComponent(details.first_name + '_' + details.last_name)}`} target="_blank" rel="noopener noreferrer" title="Ballotpedia Profile"><Scroll size={18} /></a>
                                 <a href={`https://www.google.com/search?tbm=nws&q=${encodeURIComponent(details.direct_order_name)}`} target="_blank" rel="noopener noreferrer" title={`News about ${details.direct_order_name}`}><Newspaper size={18} /></a>
-                                <a href={`https://www.youtube.com/results?search_query=${encodeURIComponent(details.chamber + ' ' + details.direct_order_name)}`} target="_blank" rel="noopener noreferrer" title="YouTube Videos"><Youtube size={18} /></a>
+                                {getProfileLinks(details, identifiers).map(({ title, icon: Icon, href }) => (
+                                    <a key={title} href={href} target="_blank" rel="noopener noreferrer" title={title}><Icon size={18} /></a>
+                                ))}
                             </div>
                     </div>
                     
@@ -353,19 +768,32 @@ const MemberDetailPage = ({ bioguideId, onBack, onNavigate }) => {
                                  {leadership.map((l, idx) => (
                                      <li key={idx}>
                                          <span>{l.leadership_type}</span>
-                                         <span>{l.congress}th{l.is_current && ' (Current)'}</span>
+                                         <span>{ordinal(l.congress)}{l.is_current && ' (Current)'}</span>
                                      </li>
                                  ))}
                              </ul>
                         </DetailSectionCard>
                     )}
                     
+                    {committee_assignments && committee_assignments.length > 0 && (
+                        <DetailSectionCard title="Committee Assignments">
+                            <ul className="detail-list">
+                                {committee_assignments.map(a => (
+                                    <li key={a.subcommittee_system_code || a.committee_system_code} className="link-like" onClick={() => onNavigate({ page: 'committeeDetail', id: a.subcommittee_system_code || a.committee_system_code })}>
+                                        <strong>{a.subcommittee_name || a.committee_name}</strong>
+                                        <span>{a.subcommittee_system_code ? `Subcommittee of ${a.committee_name}` : a.chamber}{a.title && ` · ${a.title}`}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </DetailSectionCard>
+                    )}
+
                     {terms && terms.length > 0 && (
                         <DetailSectionCard title="Terms Served">
                             <ul className="detail-list">
                                 {terms.map((t, idx) => (
                                     <li key={idx}>
-                                        <strong>{t.congress}th Congress</strong>
+                                        <strong>{ordinal(t.congress)} Congress</strong>
                                         <span>{t.chamber} ({t.start_year}-{t.end_year || 'Present'})</span>
                                     </li>
                                 ))}
@@ -414,20 +842,76 @@ const MemberDetailPage = ({ bioguideId, onBack, onNavigate }) => {
                             </div>
                          </DetailSectionCard>
                      )}
+
+                     {votes && votes.votes.length > 0 && (
+                         <DetailSectionCard title={`Voting Record (${votes.summary.total_votes})`}>
+                            <p className="vote-summary">
+                                <strong>Votes with party:</strong> {votes.summary.party_unity_pct !== null ? `${votes.summary.party_unity_pct}%` : 'N/A'} |
+                                <strong> Missed votes:</strong> {votes.summary.missed_votes} ({votes.summary.missed_vote_pct}%)
+                            </p>
+                            <ul className="detail-list">
+                                {votes.votes.slice(0, 20).map(vote => (
+                                    <li key={vote.id}>
+                                        <span>
+                                            <strong>{vote.chamber} Roll Call {vote.roll_call_number}</strong>
+                                            {vote.legislation_type && vote.bill_id
+                                                ? <span className="clickable" onClick={() => onNavigate({ page: 'legislationDetail', id: vote.bill_id })}> ({vote.legislation_type}.{vote.legislation_number})</span>
+                                                : vote.legislation_type && ` (${vote.legislation_type}.${vote.legislation_number})`}
+                                            {' '}{vote.question}
+                                            {vote.vote_date && ` · ${new Date(vote.vote_date).toLocaleDateString()}`}
+                                        </span>
+                                        <span className={`vote-position vote-${vote.position}`}>
+                                            {vote.vote_cast}{vote.with_party === false && ' (against party)'}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                         </DetailSectionCard>
+                     )}
                 </main>
             </div>
         </PageContainer>
     );
 };
 
+// Change log entries, e.g. "Cosponsor · sponsorship_withdrawn_date: (none) → 2025-03-04".
+// `showBill` links each entry to its bill, for lists that span bills.
+const ChangeList = ({ changes, onNavigate, showBill = false }) => (
+    <ul className="detail-list">
+        {changes.map(change => (
+            <li key={change.id}>
+                <div>
+                    <strong>{changeEntityLabels[change.entity_type] || change.entity_type}</strong>
+                    {change.change_type === 'added'
+                        ? <span>Added{change.new_value && `: ${change.new_value}`}</span>
+                        : <span>{change.field}: <span className="change-old">{change.old_value ?? '(none)'}</span> → {change.new_value ?? '(none)'}</span>}
+                </div>
+                <p className="meeting-meta">
+                    {new Date(change.changed_at).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                    {showBill && change.bill_id && (
+                        <> · <span className="link-like" onClick={() => onNavigate({ page: 'legislationDetail', id: change.bill_id })}>
+                            {change.bill_type.toUpperCase()}.{change.bill_number} ({ordinal(change.bill_congress)})
+                        </span></>
+                    )}
+                    {change.member_bioguide_id && change.member_name && (
+                        <> · <span className="link-like" onClick={() => onNavigate({ page: 'memberDetail', id: change.member_bioguide_id })}>{change.member_name}</span></>
+                    )}
+                </p>
+            </li>
+        ))}
+    </ul>
+);
+
 const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
     const [data, setData] = useState(null);
     const [loading, setLoading] = useState(true);
+    const [history, setHistory] = useState([]);
 
     const memberMap = useMemo(() => new Map(members.map(m => [m.bioguide_id, m])), [members]);
 
     useEffect(() => {
         api.fetchBillDetails(billId).then(setData).catch(console.error).finally(() => setLoading(false));
+        api.fetchBillHistory(billId).then(setHistory).catch(console.error);
     }, [billId]);
 
     const groupedTextVersions = useMemo(() => {
@@ -438,6 +922,8 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
                 acc[key] = {
                     type: version.type,
                     date: version.date,
+                    wordCount: version.has_text ? version.word_count : null,
+                    sectionCount: version.has_text ? version.section_count : null,
                     formats: [],
                 };
             }
@@ -450,7 +936,7 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
     if (loading || members.length === 0) return <LoadingSpinner />;
     if (!data) return <PageContainer><BackButton onClick={onBack} /><PageHeader title="Legislation Not Found" /></PageContainer>;
 
-    const { details, cosponsors, committees, reports, summaries, actions, titles, cbo_cost_estimates, related_bills } = data;
+    const { details, cosponsors, committees, reports, summaries, actions, milestones, titles, cbo_cost_estimates, related_bills } = data;
     const sponsor = memberMap.get(details.sponsor_bioguide_id);
     const latestSummary = summaries?.[0] || null;
     const latestAction = actions?.[0] || null;
@@ -533,7 +1019,7 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
 
                     <DetailSectionCard title="Bill Information">
                          <ul className="detail-list">
-                             <li><strong>Congress:</strong> <span>{details.congress}th</span></li>
+                             <li><strong>Congress:</strong> <span>{ordinal(details.congress)}</span></li>
                              <li><strong>Introduced:</strong> <span>{new Date(details.introduced_date).toLocaleDateString()}</span></li>
                              {details.policy_area_name && <li><strong>Policy Area:</strong> <span>{details.policy_area_name}</span></li>}
                              {details.origin_chamber && <li><strong>Origin Chamber:</strong> <span>{details.origin_chamber}</span></li>}
@@ -548,6 +1034,19 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
                          </ul>
                     </DetailSectionCard>
                     
+                    {milestones?.length > 0 && (
+                        <DetailSectionCard title={`Status: ${billStatusLabels[details.status] || details.status}`}>
+                            <ul className="detail-list">
+                                {milestones.map(m => (
+                                    <li key={m.milestone}>
+                                        <strong>{billStatusLabels[m.milestone]}:</strong>
+                                        <span>{m.milestone_date ? new Date(m.milestone_date).toLocaleDateString() : 'Date unknown'}</span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </DetailSectionCard>
+                    )}
+
                     <DetailSectionCard title="Committee Referrals">
                          {committees.length > 0 ? (
                              <ul className="detail-list">
@@ -570,6 +1069,9 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
                             {groupedTextVersions.map(group => (
                                 <div key={group.type + group.date} className="text-version-group">
                                     <p className="version-info">{group.type} <span>({new Date(group.date).toLocaleDateString()})</span></p>
+                                    {group.wordCount !== null && (
+                                        <p className="version-stats">{group.wordCount.toLocaleString()} words · {group.sectionCount} sections</p>
+                                    )}
                                     <div className="format-buttons">
                                         {group.formats.map(v => (
                                             <a key={v.url} className="btn-format" href={v.url} target="_blank" rel="noopener noreferrer">
@@ -586,7 +1088,7 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
                          <DetailSectionCard title="Committee Reports">
                              <ul className="detail-list">
                                  {reports.map(r => {
-                                    const reportUrl = `https://www.congress.gov/congressional-report/${r.congress}th-congress/${r.chamber.toLowerCase()}-report/${r.number}`;
+                                    const reportUrl = `https://www.congress.gov/congressional-report/${ordinal(r.congress)}-congress/${r.chamber.toLowerCase()}-report/${r.number}`;
                                     return (
                                         <li key={r.citation}>
                                             <a className="link-like" href={reportUrl} target="_blank" rel="noopener noreferrer">{r.citation} <ExternalLink size={14} /></a>
@@ -611,10 +1113,16 @@ const LegislationDetailPage = ({ billId, onBack, onNavigate, members }) => {
                          </DetailSectionCard>
                      )}
                      
+                     {history.length > 0 && (
+                         <DetailSectionCard title="Change History">
+                             <ChangeList changes={history.slice(0, 10)} onNavigate={onNavigate} />
+                         </DetailSectionCard>
+                     )}
+
                      <DetailSectionCard title="Outgoing Links">
                         <ul className="detail-list">
-                            <li><a className="link-like" href={`https://www.congress.gov/bill/${details.congress}th-congress/${getBillUrlType(details.type)}/${details.number}`} target="_blank" rel="noopener noreferrer">View on Congress.gov <ExternalLink size={14}/></a></li>
-                            <li><a className="link-like" href={`https://www.google.com/search?q=${details.type.toUpperCase()}+${details.number}+${details.congress}th+congress`} target="_blank" rel="noopener noreferrer">Search on Google <ExternalLink size={14}/></a></li>
+                            <li><a className="link-like" href={`https://www.congress.gov/bill/${ordinal(details.congress)}-congress/${getBillUrlType(details.type)}/${details.number}`} target="_blank" rel="noopener noreferrer">View on Congress.gov <ExternalLink size={14}/></a></li>
+                            <li><a className="link-like" href={`https://www.google.com/search?q=${details.type.toUpperCase()}+${details.number}+${ordinal(details.congress)}+congress`} target="_blank" rel="noopener noreferrer">Search on Google <ExternalLink size={14}/></a></li>
                         </ul>
                      </DetailSectionCard>
                 </aside>
@@ -678,18 +1186,137 @@ const CommitteesPage = ({ onBack, onNavigate }) => {
 };
 
 
+const MeetingList = ({ meetings, onNavigate }) => (
+    <ul className="detail-list">
+        {meetings.map(meeting => (
+            <li key={meeting.id} className="meeting-item">
+                <div>
+                    <strong>{meeting.title || meeting.type}</strong>
+                    <p className="meeting-meta">
+                        {meeting.meeting_date && new Date(meeting.meeting_date).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })}
+                        {meeting.location_room && ` · ${meeting.location_room} ${meeting.location_building || ''}`}
+                        {meeting.type && ` · ${meeting.type}`}
+                        {meeting.meeting_status && meeting.meeting_status !== 'Scheduled' && <span className="meeting-status"> ({meeting.meeting_status})</span>}
+                    </p>
+                    {meeting.bills.length > 0 && (
+                        <p className="meeting-meta">
+                            {meeting.bills.map(bill => (
+                                <span key={bill.id} className="link-like" onClick={() => onNavigate({ page: 'legislationDetail', id: bill.id })}>
+                                    {bill.type}.{bill.number}{' '}
+                                </span>
+                            ))}
+                        </p>
+                    )}
+                </div>
+                {(meeting.hearing_text_url || meeting.hearing_pdf_url) && (
+                    <a className="link-like" href={meeting.hearing_text_url || meeting.hearing_pdf_url} target="_blank" rel="noopener noreferrer">
+                        {meeting.hearing_citation || 'Transcript'} <ExternalLink size={14} />
+                    </a>
+                )}
+            </li>
+        ))}
+    </ul>
+);
+
+const ChangesPage = ({ onBack, onNavigate, congressInfo }) => {
+    const [filters, setFilters] = useState({ since: lastMonday(), entity_type: '', congress: '' });
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        api.fetchChanges(filters).then(setData).catch(console.error).finally(() => setLoading(false));
+    }, [filters]);
+
+    const handleFilterChange = e => setFilters(prev => ({ ...prev, [e.target.name]: e.target.value }));
+
+    return (
+        <PageContainer>
+            <BackButton onClick={onBack} />
+            <PageHeader title="Recent Changes" subtitle="Bills and members added or updated by the syncs" />
+            <div className="filter-bar">
+                <input type="date" name="since" value={filters.since} onChange={handleFilterChange} className="filter-control" />
+                <FilterSelect name="entity_type" value={filters.entity_type} onChange={handleFilterChange}>
+                    <option value="">All Changes</option>
+                    {Object.entries(changeEntityLabels).map(([type, label]) => <option key={type} value={type}>{label}</option>)}
+                </FilterSelect>
+                <FilterSelect name="congress" value={filters.congress} onChange={handleFilterChange}>
+                    <option value="">All Congresses</option>
+                    {congressInfo.congresses.map(c => <option key={c.congress} value={c.congress}>{ordinal(c.congress)} Congress</option>)}
+                </FilterSelect>
+            </div>
+            {loading ? <LoadingSpinner /> : data && (
+                <DetailSectionCard title={`${data.changes.length} changes since ${new Date(data.since).toLocaleDateString()}`}>
+                    {data.summary.length > 0 && (
+                        <p className="meeting-meta">
+                            {data.summary.map(row => `${row.count} ${(changeEntityLabels[row.entity_type] || row.entity_type).toLowerCase()} ${row.change_type}`).join(' · ')}
+                        </p>
+                    )}
+                    {data.changes.length > 0
+                        ? <ChangeList changes={data.changes} onNavigate={onNavigate} showBill />
+                        : <p>No changes recorded in this period.</p>}
+                </DetailSectionCard>
+            )}
+        </PageContainer>
+    );
+};
+
+const SearchPage = ({ q, onBack, onNavigate }) => {
+    const [groups, setGroups] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        setLoading(true);
+        api.search(q).then(data => setGroups(data.groups)).catch(console.error).finally(() => setLoading(false));
+    }, [q]);
+
+    return (
+        <PageContainer>
+            <BackButton onClick={onBack} />
+            <PageHeader title="Search Results" subtitle={`for "${q}"`} />
+            {loading ? <LoadingSpinner /> : groups && (groups.length === 0
+                ? <p className="load-more">Nothing matched your search.</p>
+                : groups.map(group => (
+                    <DetailSectionCard key={group.type} title={searchGroupTitles[group.type]}>
+                        <ul className="search-results">
+                            {group.hits.map(hit => <li key={hit.id}><SearchHit hit={hit} onSelect={onNavigate} /></li>)}
+                        </ul>
+                    </DetailSectionCard>
+                )))}
+        </PageContainer>
+    );
+};
+
 const CommitteeDetailPage = ({ systemCode, onBack, onNavigate }) => {
     const [data, setData] = useState(null);
+    const [meetings, setMeetings] = useState(null);
     const [loading, setLoading] = useState(true);
 
+    const [loadingMore, setLoadingMore] = useState(false);
+
     useEffect(() => {
         api.fetchCommitteeDetails(systemCode).then(setData).catch(console.error).finally(() => setLoading(false));
+        setMeetings(null);
+        api.fetchCommitteeMeetings(systemCode).then(setMeetings).catch(console.error);
     }, [systemCode]);
 
     if (loading) return <LoadingSpinner />;
     if (!data) return <PageContainer><BackButton onClick={onBack} /><PageHeader title="Committee Not Found" /></PageContainer>;
     
-    const { details, bills, history, reports, subcommittees } = data;
+    const { details, bills, history, reports, subcommittees, nominations, treaties, roster } = data;
+
+    // Appends the next page of the committee's bills or reports
+    const loadMore = async (list, fetchPage) => {
+        setLoadingMore(true);
+        try {
+            const page = await fetchPage(systemCode, data[list].next);
+            setData(prev => ({ ...prev, [list]: { ...page, items: [...prev[list].items, ...page.items] } }));
+        } catch (error) {
+            console.error(`Failed to fetch more ${list}:`, error);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
 
     return (
         <PageContainer>
@@ -698,6 +1325,31 @@ const CommitteeDetailPage = ({ systemCode, onBack, onNavigate }) => {
 
             <div className="detail-page-grid">
                 <aside className="member-detail-sidebar">
+                    {roster && roster.length > 0 && (
+                        <DetailSectionCard title={`Members (${roster.length})`}>
+                            {['majority', 'minority'].map(side => {
+                                const seats = roster.filter(seat => seat.party_side === side);
+                                return seats.length > 0 && (
+                                    <div key={side}>
+                                        <h3 className="subcommittee-heading">{side === 'majority' ? 'Majority' : 'Minority'}</h3>
+                                        <div className="cosponsors-grid roster-grid">
+                                            {seats.map(seat => (
+                                                <PartyButton
+                                                    key={seat.member_bioguide_id}
+                                                    name={`${seat.member_name}, ${seat.state}`}
+                                                    party={seat.party}
+                                                    bioguideId={seat.member_bioguide_id}
+                                                    onNavigate={onNavigate}
+                                                    details={seat.title}
+                                                />
+                                            ))}
+                                        </div>
+                                    </div>
+                                );
+                            })}
+                        </DetailSectionCard>
+                    )}
+
                     {history && history.length > 0 && (
                         <DetailSectionCard title="Committee History">
                             <ul className="detail-list">
@@ -725,11 +1377,23 @@ const CommitteeDetailPage = ({ systemCode, onBack, onNavigate }) => {
                 </aside>
 
                 <main className="detail-main-content">
-                    {reports && reports.length > 0 && (
-                        <DetailSectionCard title={`Committee Reports (${reports.length})`}>
+                    {meetings && meetings.upcoming.length > 0 && (
+                        <DetailSectionCard title={`Upcoming Meetings (${meetings.upcoming.length})`}>
+                            <MeetingList meetings={meetings.upcoming} onNavigate={onNavigate} />
+                        </DetailSectionCard>
+                    )}
+
+                    {meetings && meetings.past.length > 0 && (
+                        <DetailSectionCard title="Recent Meetings">
+                            <MeetingList meetings={meetings.past.slice(0, 10)} onNavigate={onNavigate} />
+                        </DetailSectionCard>
+                    )}
+
+                    {reports.items.length > 0 && (
+                        <DetailSectionCard title={`Committee Reports (${reports.total})`}>
                             <ul className="detail-list">
-                                {reports.slice(0, 10).map(report => {
-                                    const reportUrl = `https://www.congress.gov/congressional-report/${report.congress}th-congress/${report.chamber.toLowerCase()}-report/${report.number}`;
+                                {reports.items.map(report => {
+                                    const reportUrl = `https://www.congress.gov/congressional-report/${ordinal(report.congress)}-congress/${report.chamber.toLowerCase()}-report/${report.number}`;
                                     return (
                                         <li key={report.id}>
                                             <a className="link-like" href={reportUrl} target="_blank" rel="noopener noreferrer">
@@ -741,12 +1405,13 @@ const CommitteeDetailPage = ({ systemCode, onBack, onNavigate }) => {
                                     );
                                 })}
                             </ul>
+                            <LoadMore shown={reports.items.length} page={reports} loading={loadingMore} onLoadMore={() => loadMore('reports', api.fetchCommitteeReports)} />
                         </DetailSectionCard>
                     )}
 
-                    <DetailSectionCard title={`Related Legislation (${bills.length})`}>
+                    <DetailSectionCard title={`Related Legislation (${bills.total})`}>
                         <div className="info-grid">
-                            {bills.map(bill => (
+                            {bills.items.map(bill => (
                                 <div key={bill.id} className="card clickable bill-card" onClick={() => onNavigate({ page: 'legislationDetail', id: bill.id })}>
                                      <div className="bill-card-header">
                                         <h2 className="bill-identifier">{bill.type.toUpperCase()}.{bill.number}</h2>
@@ -758,7 +1423,46 @@ const CommitteeDetailPage = ({ systemCode, onBack, onNavigate }) => {
                                 </div>
                             ))}
                         </div>
+                        <LoadMore shown={bills.items.length} page={bills} loading={loadingMore} onLoadMore={() => loadMore('bills', api.fetchCommitteeBills)} />
                     </DetailSectionCard>
+
+                    {nominations && nominations.length > 0 && (
+                        <DetailSectionCard title={`Nominations (${nominations.length})`}>
+                            <ul className="detail-list">
+                                {nominations.map(nomination => (
+                                    <li key={nomination.id}>
+                                        <a className="link-like" href={`https://www.congress.gov/nomination/${ordinal(nomination.congress)}-congress/${nomination.number}`} target="_blank" rel="noopener noreferrer">
+                                            {nomination.citation} <ExternalLink size={14} />
+                                        </a>
+                                        <p style={{fontSize: '0.875rem', marginTop: '0.25rem'}}>{nomination.description}</p>
+                                        {nomination.latest_action_text && (
+                                            <span style={{fontSize: '0.875rem', color: 'var(--text-muted)'}}>
+                                                {new Date(nomination.latest_action_date).toLocaleDateString()}: {nomination.latest_action_text}
+                                            </span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </DetailSectionCard>
+                    )}
+
+                    {treaties && treaties.length > 0 && (
+                        <DetailSectionCard title={`Treaties (${treaties.length})`}>
+                            <ul className="detail-list">
+                                {treaties.map(treaty => (
+                                    <li key={treaty.id}>
+                                        <a className="link-like" href={`https://www.congress.gov/treaty-document/${ordinal(treaty.congress_received)}-congress/${treaty.number}`} target="_blank" rel="noopener noreferrer">
+                                            Treaty Doc. {treaty.congress_received}-{treaty.number}{treaty.suffix} <ExternalLink size={14} />
+                                        </a>
+                                        <p style={{fontSize: '0.875rem', marginTop: '0.25rem'}}>{treaty.title || treaty.topic}</p>
+                                        {treaty.transmitted_date && (
+                                            <span style={{fontSize: '0.875rem', color: 'var(--text-muted)'}}>Transmitted {new Date(treaty.transmitted_date).toLocaleDateString()}</span>
+                                        )}
+                                    </li>
+                                ))}
+                            </ul>
+                        </DetailSectionCard>
+                    )}
                 </main>
             </div>
         </PageContainer>
@@ -771,16 +1475,25 @@ const App = () => {
   const [route, setRoute] = useState({ page: 'home' });
   const [members, setMembers] = useState([]);
   const [loadingMembers, setLoadingMembers] = useState(true);
+  const [congressInfo, setCongressInfo] = useState({ current: 119, congresses: [] });
+  const [membersCongress, setMembersCongress] = useState('');
+
+  useEffect(() => {
+    api.fetchCongresses().then(setCongressInfo).catch(error => {
+        console.error("Failed to fetch congresses", error);
+    });
+  }, []);
 
   useEffect(() => {
-    api.fetchMembers().then(data => {
+    setLoadingMembers(true);
+    api.fetchMembers(membersCongress).then(data => {
       setMembers(data);
     }).catch(error => {
         console.error("Failed to fetch members", error);
     }).finally(() => {
       setLoadingMembers(false);
     });
-  }, []);
+  }, [membersCongress]);
 
   const handleNavigate = (newRoute) => setRoute(newRoute);
   
@@ -800,10 +1513,12 @@ const App = () => {
     switch (route.page) {
       case 'committees': return <CommitteesPage onBack={handleBack} onNavigate={handleNavigate} />;
       case 'committeeDetail': return <CommitteeDetailPage systemCode={route.id} onBack={handleBack} onNavigate={handleNavigate} />;
-      case 'legislation': return <LegislationPage onBack={handleBack} onNavigate={handleNavigate} />;
+      case 'legislation': return <LegislationPage onBack={handleBack} onNavigate={handleNavigate} congressInfo={congressInfo} />;
       case 'legislationDetail': return <LegislationDetailPage billId={route.id} onBack={handleBack} onNavigate={handleNavigate} members={members} />;
-      case 'members': return <MembersPage onBack={handleBack} onNavigate={handleNavigate} members={members} loading={loadingMembers} />;
+      case 'members': return <MembersPage onBack={handleBack} onNavigate={handleNavigate} members={members} loading={loadingMembers} congress={membersCongress || congressInfo.current} congressInfo={congressInfo} onCongressChange={setMembersCongress} />;
+      case 'changes': return <ChangesPage onBack={handleBack} onNavigate={handleNavigate} congressInfo={congressInfo} />;
       case 'memberDetail': return <MemberDetailPage bioguideId={route.id} onBack={handleBack} onNavigate={handleNavigate} />;
+      case 'search': return <SearchPage q={route.q} onBack={handleBack} onNavigate={handleNavigate} />;
       default: return <HomePage onNavigate={handleNavigate} />;
     }
   };
@@ -816,6 +1531,8 @@ const App = () => {
           <button onClick={() => handleNavigate({ page: 'committees'})} className="nav-link">Committees</button>
           <button onClick={() => handleNavigate({ page: 'legislation'})} className="nav-link">Legislation</button>
           <button onClick={() => handleNavigate({ page: 'members'})} className="nav-link">Members</button>
+          <button onClick={() => handleNavigate({ page: 'changes'})} className="nav-link">Changes</button>
+          <HeaderSearch onNavigate={handleNavigate} />
         </nav>
       </header>
       <main>
@@ -0,0 +1,191 @@
+// This script manages the PostgreSQL schema through numbered migration files.
+// It replaces dbSetup.js, which dropped and recreated every table (and all ingested data) on each schema change.
+// Migrations live in ./migrations as pairs of files named <version>_<name>.up.sql and <version>_<name>.down.sql,
+// and the versions that have been applied are recorded in the 'schema_migrations' table.
+// To change the schema, add the next numbered pair (e.g. an ALTER TABLE ... ADD COLUMN) instead of editing old files.
+// To run this script:
+// 1. Install packages: npm install pg dotenv
+// 2. Ensure your .env file is present with DB credentials.
+// 3. Run the script from your terminal (or through the CLI: node cli.js db migrate <command>):
+//    node migrate.js up [version]   - Apply every pending migration (or up to and including [version])
+//    node migrate.js down [steps]   - Roll back the last applied migration (or the last [steps] migrations)
+//    node migrate.js status         - List every migration and whether it has been applied
+
+import { Client } from 'pg';
+import 'dotenv/config';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { isMainModule } from './Services/config.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+// Arbitrary key for pg_advisory_lock, so two runners can't apply migrations at the same time.
+const MIGRATION_LOCK_KEY = 72410119;
+// Exit code for a bad command or argument, as in cli.js.
+const EXIT_USAGE = 2;
+
+function usageError(message) {
+  const error = new Error(message);
+  error.exitCode = EXIT_USAGE;
+  return error;
+}
+
+/**
+ * Reads the migrations directory and pairs each version's up and down files.
+ * @returns {Promise<Array<{version: string, name: string, up: string, down: string}>>} The migrations, ordered by version.
+ */
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const byVersion = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    const [, version, name, direction] = match;
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names ('${migration.name}' and '${name}').`);
+    }
+    migration[direction] = path.join(MIGRATIONS_DIR, file);
+    byVersion.set(version, migration);
+  }
+
+  for (const migration of byVersion.values()) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} is missing its ${migration.up ? 'down' : 'up'} file.`);
+    }
+  }
+  return [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Creates the 'schema_migrations' table if needed and returns the applied versions.
+ * @returns {Promise<Map<string, Date>>} Applied versions mapped to when they were applied.
+ */
+async function getAppliedVersions(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        version TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+  `);
+  const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+  return new Map(result.rows.map(row => [row.version, row.applied_at]));
+}
+
+/**
+ * Runs one migration file and records (or removes) its version in the same transaction,
+ * so a failing migration leaves both the schema and 'schema_migrations' untouched.
+ */
+async function runMigration(client, migration, direction) {
+  const sql = await fs.readFile(migration[direction], 'utf8');
+  const label = `${migration.version}_${migration.name}`;
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query({
+        text: 'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        values: [migration.version, migration.name],
+      });
+    } else {
+      await client.query({ text: 'DELETE FROM schema_migrations WHERE version = $1', values: [migration.version] });
+    }
+    await client.query('COMMIT');
+    console.log(`  ✅ ${direction === 'up' ? 'Applied' : 'Rolled back'} ${label}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${label} (${direction}) failed: ${error.message}`);
+  }
+}
+
+async function migrateUp(client, migrations, applied, targetVersion) {
+  const pending = migrations.filter(m => !applied.has(m.version)
+    && (!targetVersion || Number(m.version) <= Number(targetVersion)));
+  if (pending.length === 0) {
+    console.log('Database schema is up to date.');
+    return;
+  }
+  console.log(`Applying ${pending.length} migration(s)...`);
+  for (const migration of pending) {
+    await runMigration(client, migration, 'up');
+  }
+}
+
+async function migrateDown(client, migrations, applied, steps) {
+  const toRollBack = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+  if (toRollBack.length === 0) {
+    console.log('No applied migrations to roll back.');
+    return;
+  }
+  console.log(`Rolling back ${toRollBack.length} migration(s)...`);
+  for (const migration of toRollBack) {
+    await runMigration(client, migration, 'down');
+  }
+}
+
+function printStatus(migrations, applied) {
+  console.log('Migration status:');
+  for (const migration of migrations) {
+    const appliedAt = applied.get(migration.version);
+    const status = appliedAt ? `applied ${new Date(appliedAt).toLocaleString()}` : 'pending';
+    console.log(`  ${appliedAt ? '✅' : '⬜'} ${migration.version}_${migration.name} (${status})`);
+  }
+  // Versions recorded in the database whose files are gone can't be rolled back.
+  const known = new Set(migrations.map(m => m.version));
+  for (const version of applied.keys()) {
+    if (!known.has(version)) console.log(`  ⚠️ ${version} is applied but its files are missing`);
+  }
+}
+
+/**
+ * Runs a migration command.
+ * @param {'up'|'down'|'status'} command - What to do.
+ * @param {string} [arg] - The target version for 'up', or the number of steps for 'down'.
+ * @throws {Error} With `exitCode` 2 for an unknown command or an argument that isn't a positive whole number.
+ */
+export async function migrate(command = 'status', arg) {
+  if (!['up', 'down', 'status'].includes(command)) {
+    throw usageError(`Unknown command '${command}'. Use 'up [version]', 'down [steps]' or 'status'.`);
+  }
+  if (arg !== undefined && (command === 'status' || !/^\d+$/.test(arg) || Number(arg) === 0)) {
+    throw usageError(command === 'status'
+      ? "'status' takes no argument."
+      : `The ${command === 'up' ? 'version' : 'number of steps'} must be a positive whole number, got '${arg}'.`);
+  }
+
+  const client = new Client({
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    database: process.env.DB_NAME,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+  });
+
+  try {
+    const migrations = await loadMigrations();
+    await client.connect();
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    const applied = await getAppliedVersions(client);
+
+    if (command === 'up') {
+      await migrateUp(client, migrations, applied, arg);
+    } else if (command === 'down') {
+      await migrateDown(client, migrations, applied, arg ? parseInt(arg, 10) : 1);
+    } else {
+      printStatus(migrations, applied);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+if (isMainModule(import.meta.url)) {
+  const [command, arg] = process.argv.slice(2);
+  migrate(command, arg).catch(err => {
+    console.error('❌ Error running migrations:', err.message);
+    process.exitCode = err.exitCode || 1;
+  });
+}
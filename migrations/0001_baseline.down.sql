@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS
+    bill_text_versions, bill_subjects, bill_titles, report_associated_bills, report_committees, committee_reports,
+    laws, related_bills, bill_summaries, cbo_cost_estimates, bill_action_committees, bill_actions, bill_cosponsors,
+    bill_committees, bills, committee_history, committees, member_party_history, member_addresses, member_leadership,
+    member_terms, members
+CASCADE;
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS ingestion_items, ingestion_runs CASCADE;
@@ -0,0 +1,31 @@
+-- Job ledger for the population scripts' --resume support.
+
+-- One row per run of a population script. 'page_cursor' is the next list page to fetch.
+CREATE TABLE IF NOT EXISTS ingestion_runs (
+    id SERIAL PRIMARY KEY,
+    entity_type TEXT NOT NULL,
+    congress INT,
+    status TEXT NOT NULL DEFAULT 'running',
+    page_cursor TEXT,
+    list_complete BOOLEAN NOT NULL DEFAULT false,
+    fetched_count INT NOT NULL DEFAULT 0,
+    started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    finished_at TIMESTAMPTZ
+);
+
+-- One row per detail URL discovered by a run. Status is pending, done, skipped or failed.
+CREATE TABLE IF NOT EXISTS ingestion_items (
+    id SERIAL PRIMARY KEY,
+    run_id INT NOT NULL REFERENCES ingestion_runs(id) ON DELETE CASCADE,
+    entity_type TEXT NOT NULL,
+    entity_key TEXT,
+    url TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    retries INT NOT NULL DEFAULT 0,
+    last_error TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (run_id, url)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_entity ON ingestion_runs (entity_type, congress, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ingestion_items_status ON ingestion_items (run_id, entity_type, status);
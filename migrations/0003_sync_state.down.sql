@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS sync_state;
+
+ALTER TABLE ingestion_runs DROP COLUMN IF EXISTS window_from;
+ALTER TABLE ingestion_runs DROP COLUMN IF EXISTS window_to;
@@ -0,0 +1,14 @@
+-- High-water marks and update windows for --incremental syncs.
+
+-- The updateDate window an incremental run requested.
+ALTER TABLE ingestion_runs ADD COLUMN IF NOT EXISTS window_from TIMESTAMPTZ;
+ALTER TABLE ingestion_runs ADD COLUMN IF NOT EXISTS window_to TIMESTAMPTZ;
+
+-- The end of the last update window each entity was fully synced through.
+CREATE TABLE IF NOT EXISTS sync_state (
+    entity_type TEXT NOT NULL,
+    congress INT NOT NULL,
+    high_water_mark TIMESTAMPTZ NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (entity_type, congress)
+);
@@ -0,0 +1,6 @@
+ALTER TABLE committee_reports DROP COLUMN IF EXISTS source_document_id;
+ALTER TABLE bills DROP COLUMN IF EXISTS source_document_id;
+ALTER TABLE committees DROP COLUMN IF EXISTS source_document_id;
+ALTER TABLE members DROP COLUMN IF EXISTS source_document_id;
+
+DROP TABLE IF EXISTS raw_api_documents;
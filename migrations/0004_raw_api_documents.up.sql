@@ -0,0 +1,21 @@
+-- Archive of every document fetched from the Congress.gov API, so normalized tables can be rebuilt
+-- without refetching (`congress reprocess`) and every normalized row can be traced to its source.
+
+CREATE TABLE IF NOT EXISTS raw_api_documents (
+    id SERIAL PRIMARY KEY,
+    -- The request URL on api.congress.gov, without the API key or format and with sorted parameters.
+    url TEXT NOT NULL,
+    -- The updateDate of a detail document; NULL for lists, which keep only their latest copy.
+    update_date TIMESTAMPTZ,
+    document JSONB NOT NULL,
+    fetched_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS raw_api_documents_url_update_date_key
+    ON raw_api_documents (url, (COALESCE(update_date, '-infinity'::TIMESTAMPTZ)));
+CREATE INDEX IF NOT EXISTS raw_api_documents_url_pattern_idx ON raw_api_documents (url text_pattern_ops);
+
+-- Provenance: the archived document each row was last built from.
+ALTER TABLE members ADD COLUMN IF NOT EXISTS source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL;
+ALTER TABLE committees ADD COLUMN IF NOT EXISTS source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL;
+ALTER TABLE committee_reports ADD COLUMN IF NOT EXISTS source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL;
@@ -0,0 +1,20 @@
+-- Records that could not be fetched or saved, kept until a later run saves them (`congress retry-failed`).
+
+CREATE TABLE IF NOT EXISTS dead_letters (
+    id SERIAL PRIMARY KEY,
+    entity_type TEXT NOT NULL,
+    entity_key TEXT NOT NULL,
+    congress INT NOT NULL,
+    url TEXT NOT NULL,
+    error TEXT NOT NULL,
+    -- The fetched document that failed to save; NULL when the fetch itself failed.
+    payload JSONB,
+    run_id INT REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    attempts INT NOT NULL DEFAULT 1,
+    first_failed_at TIMESTAMPTZ DEFAULT NOW(),
+    last_failed_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ
+);
+-- At most one open dead letter per record.
+CREATE UNIQUE INDEX IF NOT EXISTS dead_letters_open_key
+    ON dead_letters (entity_type, entity_key) WHERE resolved_at IS NULL;
@@ -0,0 +1,19 @@
+-- Full text of each bill text version, downloaded from the files listed in bill_text_versions.
+
+CREATE TABLE IF NOT EXISTS bill_texts (
+    id SERIAL PRIMARY KEY,
+    bill_id INT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    -- The text version, as in bill_text_versions.type (e.g. 'Introduced in House').
+    version_type TEXT NOT NULL,
+    version_date TIMESTAMPTZ,
+    -- The bill_text_versions format the text was taken from: 'Formatted XML' or 'Formatted Text'.
+    source_format TEXT NOT NULL,
+    source_url TEXT NOT NULL,
+    -- The bill XML as published; NULL when only the formatted text was available.
+    raw_xml TEXT,
+    plain_text TEXT NOT NULL,
+    word_count INT NOT NULL,
+    section_count INT NOT NULL,
+    fetched_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(bill_id, version_type)
+);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS amendment_cosponsors;
+DROP TABLE IF EXISTS amendment_actions;
+DROP TABLE IF EXISTS amendments;
@@ -0,0 +1,43 @@
+-- Amendments offered to bills (and to other amendments), with their actions and cosponsors.
+
+CREATE TABLE IF NOT EXISTS amendments (
+    id SERIAL PRIMARY KEY,
+    congress INT NOT NULL,
+    type TEXT NOT NULL, -- 'HAMDT', 'SAMDT' or 'SUAMDT'
+    number INT NOT NULL,
+    chamber TEXT,
+    description TEXT,
+    purpose TEXT,
+    sponsor_bioguide_id TEXT REFERENCES members(bioguide_id) ON DELETE SET NULL,
+    amended_bill_id INT REFERENCES bills(id) ON DELETE SET NULL,
+    amended_amendment_id INT REFERENCES amendments(id) ON DELETE SET NULL,
+    proposed_date TIMESTAMPTZ,
+    submitted_date TIMESTAMPTZ,
+    latest_action_date DATE,
+    latest_action_text TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ,
+    UNIQUE (congress, type, number)
+);
+CREATE INDEX IF NOT EXISTS amendments_amended_bill_id_idx ON amendments (amended_bill_id);
+
+CREATE TABLE IF NOT EXISTS amendment_actions (
+    id SERIAL PRIMARY KEY,
+    amendment_id INT NOT NULL REFERENCES amendments(id) ON DELETE CASCADE,
+    action_date TIMESTAMPTZ NOT NULL,
+    text TEXT NOT NULL,
+    type TEXT,
+    action_code TEXT,
+    source_system_name TEXT,
+    UNIQUE(amendment_id, action_date, text)
+);
+
+CREATE TABLE IF NOT EXISTS amendment_cosponsors (
+    amendment_id INT NOT NULL REFERENCES amendments(id) ON DELETE CASCADE,
+    member_bioguide_id TEXT NOT NULL REFERENCES members(bioguide_id) ON DELETE CASCADE,
+    sponsorship_date DATE,
+    is_original_cosponsor BOOLEAN,
+    sponsorship_withdrawn_date DATE,
+    PRIMARY KEY (amendment_id, member_bioguide_id)
+);
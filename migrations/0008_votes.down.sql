@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS member_votes;
+DROP TABLE IF EXISTS roll_calls;
@@ -0,0 +1,43 @@
+-- Roll-call votes: House votes from the Congress.gov house-vote endpoint and Senate votes imported from
+-- the Senate's published roll-call XML files, with each member's vote.
+
+CREATE TABLE IF NOT EXISTS roll_calls (
+    id SERIAL PRIMARY KEY,
+    chamber TEXT NOT NULL, -- 'House' or 'Senate'
+    congress INT NOT NULL,
+    session INT NOT NULL,
+    roll_call_number INT NOT NULL,
+    vote_date TIMESTAMPTZ,
+    question TEXT,
+    vote_type TEXT,
+    result TEXT,
+    description TEXT,
+    -- The legislation voted on, as published (e.g. 'HR' 1234), and the bill it was matched to.
+    legislation_type TEXT,
+    legislation_number TEXT,
+    bill_id INT REFERENCES bills(id) ON DELETE SET NULL,
+    amendment_id INT REFERENCES amendments(id) ON DELETE SET NULL,
+    yea_total INT,
+    nay_total INT,
+    present_total INT,
+    not_voting_total INT,
+    source_url TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ,
+    UNIQUE (chamber, congress, session, roll_call_number)
+);
+CREATE INDEX IF NOT EXISTS roll_calls_bill_id_idx ON roll_calls (bill_id);
+
+CREATE TABLE IF NOT EXISTS member_votes (
+    roll_call_id INT NOT NULL REFERENCES roll_calls(id) ON DELETE CASCADE,
+    member_bioguide_id TEXT NOT NULL REFERENCES members(bioguide_id) ON DELETE CASCADE,
+    -- The vote as published ('Yea', 'Aye', 'No', 'Not Voting', ...) and normalized to 'yea', 'nay', 'present' or 'not_voting'.
+    vote_cast TEXT NOT NULL,
+    position TEXT NOT NULL,
+    -- The member's party and state at the time of the vote.
+    party TEXT,
+    state TEXT,
+    PRIMARY KEY (roll_call_id, member_bioguide_id)
+);
+CREATE INDEX IF NOT EXISTS member_votes_member_idx ON member_votes (member_bioguide_id);
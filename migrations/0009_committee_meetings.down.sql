@@ -0,0 +1,6 @@
+DROP TABLE IF EXISTS hearing_committees;
+DROP TABLE IF EXISTS hearings;
+DROP TABLE IF EXISTS committee_meeting_witnesses;
+DROP TABLE IF EXISTS committee_meeting_bills;
+DROP TABLE IF EXISTS committee_meeting_committees;
+DROP TABLE IF EXISTS committee_meetings;
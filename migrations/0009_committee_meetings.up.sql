@@ -0,0 +1,69 @@
+-- Committee meetings (hearings, markups and business meetings) from /committee-meeting,
+-- and published hearing transcripts from /hearing, linked to committees and to the bills they consider.
+
+CREATE TABLE IF NOT EXISTS committee_meetings (
+    id SERIAL PRIMARY KEY,
+    event_id TEXT NOT NULL UNIQUE,
+    congress INT NOT NULL,
+    chamber TEXT,
+    type TEXT, -- 'Hearing', 'Meeting' or 'Markup'
+    title TEXT,
+    meeting_status TEXT, -- 'Scheduled', 'Canceled', 'Postponed' or 'Rescheduled'
+    meeting_date TIMESTAMPTZ,
+    location_building TEXT,
+    location_room TEXT,
+    location_address TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS committee_meetings_meeting_date_idx ON committee_meetings (meeting_date);
+
+CREATE TABLE IF NOT EXISTS committee_meeting_committees (
+    meeting_id INT NOT NULL REFERENCES committee_meetings(id) ON DELETE CASCADE,
+    committee_system_code TEXT NOT NULL REFERENCES committees(system_code) ON DELETE CASCADE,
+    PRIMARY KEY (meeting_id, committee_system_code)
+);
+CREATE INDEX IF NOT EXISTS committee_meeting_committees_committee_idx ON committee_meeting_committees (committee_system_code);
+
+CREATE TABLE IF NOT EXISTS committee_meeting_bills (
+    meeting_id INT NOT NULL REFERENCES committee_meetings(id) ON DELETE CASCADE,
+    bill_id INT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    PRIMARY KEY (meeting_id, bill_id)
+);
+CREATE INDEX IF NOT EXISTS committee_meeting_bills_bill_id_idx ON committee_meeting_bills (bill_id);
+
+CREATE TABLE IF NOT EXISTS committee_meeting_witnesses (
+    id SERIAL PRIMARY KEY,
+    meeting_id INT NOT NULL REFERENCES committee_meetings(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    position TEXT,
+    organization TEXT
+);
+
+CREATE TABLE IF NOT EXISTS hearings (
+    id SERIAL PRIMARY KEY,
+    congress INT NOT NULL,
+    chamber TEXT NOT NULL,
+    jacket_number INT NOT NULL,
+    number INT,
+    part INT,
+    title TEXT,
+    citation TEXT,
+    hearing_date DATE, -- The first day of the hearing.
+    -- The committee meeting the hearing was held at, when the API links one.
+    meeting_id INT REFERENCES committee_meetings(id) ON DELETE SET NULL,
+    pdf_url TEXT,
+    text_url TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ,
+    UNIQUE (congress, chamber, jacket_number)
+);
+CREATE INDEX IF NOT EXISTS hearings_meeting_id_idx ON hearings (meeting_id);
+
+CREATE TABLE IF NOT EXISTS hearing_committees (
+    hearing_id INT NOT NULL REFERENCES hearings(id) ON DELETE CASCADE,
+    committee_system_code TEXT NOT NULL REFERENCES committees(system_code) ON DELETE CASCADE,
+    PRIMARY KEY (hearing_id, committee_system_code)
+);
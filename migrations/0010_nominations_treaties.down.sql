@@ -0,0 +1,8 @@
+DROP TABLE IF EXISTS treaty_committees;
+DROP TABLE IF EXISTS treaty_actions;
+DROP TABLE IF EXISTS treaties;
+DROP TABLE IF EXISTS nomination_committees;
+DROP TABLE IF EXISTS nomination_actions;
+DROP TABLE IF EXISTS nomination_nominees;
+DROP TABLE IF EXISTS nomination_positions;
+DROP TABLE IF EXISTS nominations;
@@ -0,0 +1,110 @@
+-- Nominations and treaties, the Senate's executive business, from /nomination and /treaty,
+-- with their actions and the committees they were referred to.
+
+CREATE TABLE IF NOT EXISTS nominations (
+    id SERIAL PRIMARY KEY,
+    congress INT NOT NULL,
+    number INT NOT NULL,
+    -- Nominations split into parts (PN230-1, PN230-2) share a number; '00' when not split.
+    part_number TEXT NOT NULL DEFAULT '00',
+    citation TEXT NOT NULL, -- e.g. 'PN230'
+    description TEXT,
+    organization TEXT,
+    received_date DATE,
+    is_civilian BOOLEAN,
+    is_list BOOLEAN, -- A list of many nominees, such as military promotions.
+    latest_action_date DATE,
+    latest_action_text TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ,
+    UNIQUE (congress, number, part_number)
+);
+
+-- The positions a nomination fills; a list nomination can name many nominees for one position.
+CREATE TABLE IF NOT EXISTS nomination_positions (
+    id SERIAL PRIMARY KEY,
+    nomination_id INT NOT NULL REFERENCES nominations(id) ON DELETE CASCADE,
+    ordinal INT NOT NULL,
+    position_title TEXT,
+    organization TEXT,
+    intro_text TEXT,
+    nominee_count INT,
+    UNIQUE (nomination_id, ordinal)
+);
+
+CREATE TABLE IF NOT EXISTS nomination_nominees (
+    id SERIAL PRIMARY KEY,
+    position_id INT NOT NULL REFERENCES nomination_positions(id) ON DELETE CASCADE,
+    first_name TEXT,
+    middle_name TEXT,
+    last_name TEXT,
+    prefix TEXT,
+    suffix TEXT,
+    state TEXT,
+    effective_date DATE,
+    predecessor_name TEXT
+);
+
+CREATE TABLE IF NOT EXISTS nomination_actions (
+    id SERIAL PRIMARY KEY,
+    nomination_id INT NOT NULL REFERENCES nominations(id) ON DELETE CASCADE,
+    action_date DATE NOT NULL,
+    text TEXT NOT NULL,
+    type TEXT,
+    action_code TEXT,
+    UNIQUE (nomination_id, action_date, text)
+);
+
+CREATE TABLE IF NOT EXISTS nomination_committees (
+    id SERIAL PRIMARY KEY,
+    nomination_id INT NOT NULL REFERENCES nominations(id) ON DELETE CASCADE,
+    committee_system_code TEXT NOT NULL REFERENCES committees(system_code) ON DELETE CASCADE,
+    activity_name TEXT NOT NULL,
+    activity_date TIMESTAMPTZ,
+    UNIQUE (nomination_id, committee_system_code, activity_name, activity_date)
+);
+CREATE INDEX IF NOT EXISTS nomination_committees_committee_idx ON nomination_committees (committee_system_code);
+
+CREATE TABLE IF NOT EXISTS treaties (
+    id SERIAL PRIMARY KEY,
+    congress_received INT NOT NULL,
+    congress_considered INT,
+    number INT NOT NULL,
+    -- Treaties split into parts (Treaty Doc. 118-1A, 118-1B) share a number; '' when not split.
+    suffix TEXT NOT NULL DEFAULT '',
+    topic TEXT,
+    title TEXT,
+    transmitted_date DATE,
+    in_force_date DATE,
+    old_number TEXT,
+    countries TEXT[],
+    -- The Senate's resolution of advice and consent, as published (HTML) and as plain text.
+    resolution_html TEXT,
+    resolution_text TEXT,
+    updated_at TIMESTAMPTZ,
+    source_document_id INT REFERENCES raw_api_documents(id) ON DELETE SET NULL,
+    last_processed_at TIMESTAMPTZ,
+    UNIQUE (congress_received, number, suffix)
+);
+
+CREATE TABLE IF NOT EXISTS treaty_actions (
+    id SERIAL PRIMARY KEY,
+    treaty_id INT NOT NULL REFERENCES treaties(id) ON DELETE CASCADE,
+    action_date DATE NOT NULL,
+    text TEXT NOT NULL,
+    type TEXT,
+    action_code TEXT,
+    committee_system_code TEXT REFERENCES committees(system_code) ON DELETE SET NULL,
+    UNIQUE (treaty_id, action_date, text)
+);
+
+CREATE TABLE IF NOT EXISTS treaty_committees (
+    id SERIAL PRIMARY KEY,
+    treaty_id INT NOT NULL REFERENCES treaties(id) ON DELETE CASCADE,
+    committee_system_code TEXT NOT NULL REFERENCES committees(system_code) ON DELETE CASCADE,
+    activity_name TEXT NOT NULL,
+    activity_date TIMESTAMPTZ,
+    UNIQUE (treaty_id, committee_system_code, activity_name, activity_date)
+);
+CREATE INDEX IF NOT EXISTS treaty_committees_committee_idx ON treaty_committees (committee_system_code);
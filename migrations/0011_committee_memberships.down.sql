@@ -0,0 +1 @@
+DROP TABLE IF EXISTS committee_memberships;
@@ -0,0 +1,19 @@
+-- Committee and subcommittee rosters, imported from the congress-legislators project's
+-- committee-membership-current.yaml (the Congress.gov API has no membership data).
+
+CREATE TABLE IF NOT EXISTS committee_memberships (
+    id SERIAL PRIMARY KEY,
+    congress INT NOT NULL,
+    member_bioguide_id TEXT NOT NULL REFERENCES members(bioguide_id) ON DELETE CASCADE,
+    -- The full committee, and the subcommittee when the seat is on a subcommittee.
+    committee_system_code TEXT NOT NULL REFERENCES committees(system_code) ON DELETE CASCADE,
+    subcommittee_system_code TEXT REFERENCES committees(system_code) ON DELETE CASCADE,
+    rank INT,
+    title TEXT, -- e.g. 'Chair', 'Ranking Member'; NULL for other members.
+    party_side TEXT, -- 'majority' or 'minority'
+    imported_at TIMESTAMPTZ DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS committee_memberships_seat_idx
+    ON committee_memberships (congress, member_bioguide_id, committee_system_code, (COALESCE(subcommittee_system_code, '')));
+CREATE INDEX IF NOT EXISTS committee_memberships_member_idx ON committee_memberships (member_bioguide_id);
+CREATE INDEX IF NOT EXISTS committee_memberships_subcommittee_idx ON committee_memberships (subcommittee_system_code);
@@ -0,0 +1,12 @@
+-- Other databases' IDs and social media accounts for each member, imported from the congress-legislators
+-- project's legislators-current.yaml and legislators-social-media.yaml.
+-- One row per value: FEC candidate IDs are a list, every other scheme has a single value.
+
+CREATE TABLE IF NOT EXISTS member_identifiers (
+    member_bioguide_id TEXT NOT NULL REFERENCES members(bioguide_id) ON DELETE CASCADE,
+    scheme TEXT NOT NULL, -- e.g. 'fec', 'opensecrets', 'govtrack', 'wikipedia', 'twitter', 'youtube_id'
+    value TEXT NOT NULL,
+    imported_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (member_bioguide_id, scheme, value)
+);
+CREATE INDEX IF NOT EXISTS member_identifiers_value_idx ON member_identifiers (scheme, value);
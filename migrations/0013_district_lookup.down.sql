@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS district_boundaries;
+DROP TABLE IF EXISTS zcta_districts;
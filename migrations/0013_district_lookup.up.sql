@@ -0,0 +1,29 @@
+-- Data for looking up a constituent's representatives by ZIP code or coordinates, imported from Census files.
+-- Districts are stored as (state postal code, district number) like member_terms, with 0 for at-large seats
+-- and non-voting delegates.
+
+-- The Census ZCTA-to-congressional-district relationship file. A ZCTA (ZIP Code Tabulation Area) can span
+-- several districts, so it has one row per district with the share of its land area in that district.
+CREATE TABLE IF NOT EXISTS zcta_districts (
+    congress INT NOT NULL,
+    zcta TEXT NOT NULL,
+    state_code TEXT NOT NULL,
+    district INT NOT NULL,
+    land_area_share NUMERIC,
+    PRIMARY KEY (congress, zcta, state_code, district)
+);
+
+-- District boundaries from the Census cartographic boundary files, as GeoJSON.
+-- The bounding box narrows a point lookup to a few districts before the polygons are tested.
+CREATE TABLE IF NOT EXISTS district_boundaries (
+    congress INT NOT NULL,
+    state_code TEXT NOT NULL,
+    district INT NOT NULL,
+    geometry JSONB NOT NULL,
+    min_lng DOUBLE PRECISION NOT NULL,
+    min_lat DOUBLE PRECISION NOT NULL,
+    max_lng DOUBLE PRECISION NOT NULL,
+    max_lat DOUBLE PRECISION NOT NULL,
+    PRIMARY KEY (congress, state_code, district)
+);
+CREATE INDEX IF NOT EXISTS district_boundaries_bounds_idx ON district_boundaries (congress, min_lng, max_lng, min_lat, max_lat);
@@ -0,0 +1,19 @@
+-- Field-level history of the records the syncs overwrite. The bill and member scripts compare each record
+-- with the stored copy as they upsert it and add a row here for every new record or changed field.
+
+CREATE TABLE IF NOT EXISTS change_log (
+    id BIGSERIAL PRIMARY KEY,
+    run_id INT REFERENCES ingestion_runs(id) ON DELETE SET NULL,
+    entity_type TEXT NOT NULL, -- 'bill', 'bill_cosponsor', 'bill_action', 'bill_summary', 'member', 'member_party'
+    entity_key TEXT NOT NULL, -- identifies the record within its type, e.g. '119-HR-1' or a cosponsor's bioguide id
+    bill_id INT REFERENCES bills(id) ON DELETE CASCADE,
+    member_bioguide_id TEXT REFERENCES members(bioguide_id) ON DELETE CASCADE,
+    change_type TEXT NOT NULL, -- 'added' or 'updated'
+    field TEXT, -- the changed column, NULL for added records
+    old_value TEXT,
+    new_value TEXT,
+    changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS change_log_changed_at_idx ON change_log (changed_at);
+CREATE INDEX IF NOT EXISTS change_log_bill_idx ON change_log (bill_id, changed_at);
+CREATE INDEX IF NOT EXISTS change_log_member_idx ON change_log (member_bioguide_id, changed_at);
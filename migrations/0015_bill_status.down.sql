@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS bill_milestones;
+DROP INDEX IF EXISTS bills_status_idx;
+ALTER TABLE bills DROP COLUMN IF EXISTS status_date;
+ALTER TABLE bills DROP COLUMN IF EXISTS status;
@@ -0,0 +1,14 @@
+-- Normalized bill status, derived from the bill's actions and its law (see Services/billStatus.js).
+-- bills.status is the furthest stage the bill has reached; bill_milestones holds the date each stage was reached.
+
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS status TEXT;
+ALTER TABLE bills ADD COLUMN IF NOT EXISTS status_date DATE;
+CREATE INDEX IF NOT EXISTS bills_status_idx ON bills (congress, status);
+
+CREATE TABLE IF NOT EXISTS bill_milestones (
+    bill_id INT NOT NULL REFERENCES bills(id) ON DELETE CASCADE,
+    milestone TEXT NOT NULL, -- 'introduced', 'referred', 'reported', 'passed_house', 'passed_senate', 'resolving_differences', 'to_president', 'vetoed', 'veto_overridden', 'became_law'
+    milestone_date DATE,
+    action_id INT REFERENCES bill_actions(id) ON DELETE SET NULL, -- the action that reached it, if any
+    PRIMARY KEY (bill_id, milestone)
+);
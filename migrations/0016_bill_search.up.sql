@@ -0,0 +1,10 @@
+-- Full-text search index of bills (see Services/billSearch.js). Each bill's document combines, by weight:
+-- A its titles, B its subjects and policy area, C its latest summary, D the start of its latest full text.
+-- The bill and text syncs rebuild a bill's row as they save it; `node cli.js db refresh-search` rebuilds them all.
+
+CREATE TABLE IF NOT EXISTS bill_search (
+    bill_id INT PRIMARY KEY REFERENCES bills(id) ON DELETE CASCADE,
+    document TSVECTOR NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS bill_search_document_idx ON bill_search USING GIN (document);
@@ -0,0 +1,4 @@
+DROP FUNCTION IF EXISTS search_match_score(TEXT, TEXT);
+DROP INDEX IF EXISTS bill_titles_title_trgm_idx;
+DROP INDEX IF EXISTS bills_title_trgm_idx;
+-- pg_trgm stays installed: the extension is database-wide and other objects may use it.
@@ -0,0 +1,21 @@
+-- Global search across members, bills, committees and committee reports (see Services/globalSearch.js).
+-- pg_trgm's trigram indexes let the large title columns be searched by substring and by close spelling.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS bills_title_trgm_idx ON bills USING GIN (title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS bill_titles_title_trgm_idx ON bill_titles USING GIN (title gin_trgm_ops);
+
+-- How well a name or title matches a search, from 1 (the whole text) down through a prefix (0.9), the start of a
+-- word (0.8) and anywhere inside it (0.6), to a close spelling (scaled word similarity, at most 0.6).
+CREATE OR REPLACE FUNCTION search_match_score(candidate TEXT, query TEXT) RETURNS REAL
+LANGUAGE SQL IMMUTABLE PARALLEL SAFE AS $$
+    SELECT (CASE
+        WHEN candidate IS NULL OR query = '' THEN 0
+        WHEN lower(candidate) = lower(query) THEN 1
+        WHEN starts_with(lower(candidate), lower(query)) THEN 0.9
+        WHEN strpos(' ' || lower(candidate), ' ' || lower(query)) > 0 THEN 0.8
+        WHEN strpos(lower(candidate), lower(query)) > 0 THEN 0.6
+        ELSE word_similarity(query, candidate) * 0.6
+    END)::REAL
+$$;
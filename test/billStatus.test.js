@@ -0,0 +1,67 @@
+// Tests of the bill status derivation in Services/billStatus.js. They need no database.
+// Run with: npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { deriveBillStatus } from '../Services/billStatus.js';
+
+let nextId = 1;
+/** An action as the bill sync stores it. */
+const action = (action_date, text, { type = null, action_code = null } = {}) => ({ id: nextId++, action_date, type, action_code, text });
+
+describe('deriveBillStatus', () => {
+  test('a bill with no actions is introduced on its introduced date', () => {
+    assert.deepEqual(deriveBillStatus({ actions: [], introducedDate: '2025-02-11' }), {
+      status: 'introduced',
+      statusDate: '2025-02-11',
+      milestones: [{ milestone: 'introduced', date: '2025-02-11', actionId: null }],
+    });
+    assert.deepEqual(deriveBillStatus({ actions: [] }), { status: null, statusDate: null, milestones: [] });
+  });
+
+  test('the status is the furthest stage reached, each stage dated by the first action reaching it', () => {
+    const referral = action('2025-02-11', 'Referred to the House Committee on Education and Workforce.', { type: 'IntroReferral' });
+    const reported = action('2025-03-03', 'Reported by the Committee on Education and Workforce. H. Rept. 119-12.', { type: 'Committee', action_code: '5000' });
+    const passed = action('2025-03-12', 'On passage Passed by recorded vote: 231 - 190.', { action_code: '8000' });
+    const passedAgain = action('2025-03-13', 'Passed/agreed to in House: motion to reconsider laid on the table.', { type: 'Floor' });
+    const { status, statusDate, milestones } = deriveBillStatus({ actions: [referral, reported, passed, passedAgain], introducedDate: '2025-02-11' });
+
+    assert.equal(status, 'passed_house');
+    assert.equal(statusDate, '2025-03-12');
+    assert.deepEqual(milestones.map(m => [m.milestone, m.date, m.actionId]), [
+      ['introduced', '2025-02-11', null],
+      ['referred', '2025-02-11', referral.id],
+      ['reported', '2025-03-03', reported.id],
+      ['passed_house', '2025-03-12', passed.id],
+    ]);
+  });
+
+  test('a bill passed by both chambers is in whichever passed it last', () => {
+    const senate = date => action(date, 'Passed Senate without amendment by Unanimous Consent.', { action_code: '17000' });
+    const house = date => action(date, 'Passed/agreed to in House: On passage Passed without objection.');
+    assert.equal(deriveBillStatus({ actions: [senate('2025-04-01'), house('2025-05-01')] }).status, 'passed_house');
+    assert.equal(deriveBillStatus({ actions: [house('2025-04-01'), senate('2025-05-01')] }).status, 'passed_senate');
+  });
+
+  test('a veto is overridden only once both chambers have voted to override it', () => {
+    const vetoed = action('2025-06-01', 'Vetoed by President.', { type: 'Veto', action_code: '31000' });
+    const house = action('2025-06-10', 'Passed House over veto: 300 - 120.');
+    const senate = action('2025-06-12', 'Passed Senate over veto by Yea-Nay Vote. 70 - 30.');
+
+    assert.equal(deriveBillStatus({ actions: [vetoed, house] }).status, 'vetoed');
+    const overridden = deriveBillStatus({ actions: [vetoed, house, senate] });
+    assert.equal(overridden.status, 'veto_overridden');
+    assert.equal(overridden.statusDate, '2025-06-12');
+    assert.ok(!overridden.milestones.some(m => m.milestone === 'passed_house' || m.milestone === 'passed_senate'));
+  });
+
+  test('a bill with a law became law on its last action, even without a recognized law action', () => {
+    const actions = [
+      action('2025-07-01', 'Presented to President.', { action_code: '28000' }),
+      action('2025-07-09', 'Signed by President.'),
+    ];
+    assert.deepEqual([deriveBillStatus({ actions }).status, deriveBillStatus({ actions }).statusDate], ['to_president', '2025-07-01']);
+    const law = deriveBillStatus({ actions, hasLaw: true });
+    assert.deepEqual([law.status, law.statusDate], ['became_law', '2025-07-09']);
+  });
+});
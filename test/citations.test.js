@@ -0,0 +1,49 @@
+// Tests of the legislative citation parser (Services/citations.js). They need no database.
+// Run with: npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ordinal, parseCitation } from '../Services/citations.js';
+
+describe('parseCitation', () => {
+  test('reads bills however they are punctuated or spaced', () => {
+    for (const text of ['H.R. 1', 'HR1', 'h r 1', 'H.R.1']) {
+      assert.deepEqual(parseCitation(text), { kind: 'bill', type: 'hr', number: 1, congress: null, citation: 'H.R. 1' });
+    }
+    assert.equal(parseCitation('H.J.Res.7').citation, 'H.J.Res. 7');
+    assert.equal(parseCitation('s con res 12').citation, 'S.Con.Res. 12');
+  });
+
+  test('reads the congress of a bill before it, after a hyphen or as an ordinal', () => {
+    const expected = { kind: 'bill', type: 's', number: 5, congress: 118, citation: 'S. 5 (118th Congress)' };
+    assert.deepEqual(parseCitation('S. 5 (118th Congress)'), expected);
+    assert.deepEqual(parseCitation('118th Cong. S. 5'), expected);
+    assert.deepEqual(parseCitation('118 S 5'), expected);
+    assert.deepEqual(parseCitation('s5-118'), expected);
+  });
+
+  test('reads public and private laws', () => {
+    assert.deepEqual(parseCitation('Pub. L. 118-5'), { kind: 'law', lawType: 'Public Law', congress: 118, number: 5, citation: 'Pub. L. 118-5' });
+    assert.deepEqual(parseCitation('Public Law 118-5'), parseCitation('PL 118-5'));
+    assert.equal(parseCitation('Private Law 118-1').citation, 'Priv. L. 118-1');
+  });
+
+  test('reads committee reports and their parts', () => {
+    assert.deepEqual(parseCitation('S. Rept. 118-40'), { kind: 'report', reportType: 'SRPT', congress: 118, number: 40, part: null, citation: 'S. Rept. 118-40' });
+    assert.deepEqual(parseCitation('H.R. Rep. No. 118-40, Part 2'),
+      { kind: 'report', reportType: 'HRPT', congress: 118, number: 40, part: 2, citation: 'H. Rept. 118-40, Part 2' });
+  });
+
+  test('returns null for text that is not a citation', () => {
+    for (const text of ['', null, 'tax relief', 'XY 12', 'Pub. L. 118']) {
+      assert.equal(parseCitation(text), null);
+    }
+  });
+});
+
+describe('ordinal', () => {
+  test('picks the suffix from the last digits', () => {
+    assert.deepEqual([1, 2, 3, 4, 11, 12, 13, 21, 93, 101, 111, 112, 118, 119].map(ordinal),
+      ['1st', '2nd', '3rd', '4th', '11th', '12th', '13th', '21st', '93rd', '101st', '111th', '112th', '118th', '119th']);
+  });
+});
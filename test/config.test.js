@@ -0,0 +1,45 @@
+// Tests of the sync flag parsing in Services/config.js. They need no database.
+// Run with: npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FIRST_API_CONGRESS, currentCongress, parseCongressRange } from '../Services/config.js';
+
+describe('parseCongressRange', () => {
+  test('reads single congresses, ranges and lists of both, sorted without repeats', () => {
+    assert.deepEqual(parseCongressRange('118'), [118]);
+    assert.deepEqual(parseCongressRange('117-119'), [117, 118, 119]);
+    assert.deepEqual(parseCongressRange('119, 115,117-118,118'), [115, 117, 118, 119]);
+    assert.deepEqual(parseCongressRange(118), [118]);
+  });
+
+  test('rejects text that is not a congress or a range', () => {
+    for (const value of ['abc', '117-', '-119', '117..119', '', '1e2']) {
+      assert.throws(() => parseCongressRange(value), /Invalid congress/);
+    }
+    assert.throws(() => parseCongressRange('119-117'), /the start is after the end/);
+  });
+
+  test('rejects congresses before the first one the API has', () => {
+    assert.throws(() => parseCongressRange(`${FIRST_API_CONGRESS - 1}-${FIRST_API_CONGRESS + 1}`),
+      /Congress 92 is not available; the Congress.gov API starts at the 93rd Congress/);
+    assert.deepEqual(parseCongressRange(String(FIRST_API_CONGRESS)), [FIRST_API_CONGRESS]);
+  });
+
+  test('rejects congresses after the current one', () => {
+    const current = currentCongress();
+    assert.deepEqual(parseCongressRange(`${current - 1}-${current}`), [current - 1, current]);
+    assert.throws(() => parseCongressRange(`${FIRST_API_CONGRESS}-9999`), /Congress 9999 is not available/);
+    assert.throws(() => parseCongressRange(String(current + 1)), /is not available; the current congress/);
+  });
+});
+
+describe('currentCongress', () => {
+  test('starts each congress on January 3 of an odd year', () => {
+    assert.equal(currentCongress(new Date('1789-03-04')), 1);
+    assert.equal(currentCongress(new Date('2025-01-02')), 118);
+    assert.equal(currentCongress(new Date('2025-01-03')), 119);
+    assert.equal(currentCongress(new Date('2026-12-31')), 119);
+    assert.equal(currentCongress(new Date('2027-01-03')), 120);
+  });
+});
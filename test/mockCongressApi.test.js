@@ -0,0 +1,108 @@
+// Tests of how the mock Congress.gov API (Services/mockCongressApi.js) answers requests from its fixtures.
+// Each test serves a scratch copy of fixtures/congress-api; they need no database.
+// Run with: npm test
+
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_FIXTURES_DIR, fixtureKey, writeFixture } from '../Services/apiFixtures.js';
+import { createMockApi } from '../Services/mockCongressApi.js';
+
+/** Starts a mock API on a free port and returns its server and base URL. */
+async function startMock(options) {
+  const server = createMockApi(options).listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return { server, baseUrl: `http://localhost:${server.address().port}/v3` };
+}
+
+const stopMock = server => new Promise(resolve => server.close(resolve));
+
+describe('mock Congress.gov API', () => {
+  let fixturesDir;
+  let server;
+  let baseUrl;
+
+  async function get(endpoint) {
+    const response = await fetch(`${baseUrl}/${endpoint}`);
+    return { status: response.status, headers: response.headers, text: await response.text() };
+  }
+
+  async function getJson(endpoint) {
+    const { status, text } = await get(endpoint);
+    return { status, body: JSON.parse(text) };
+  }
+
+  before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'congress-fixtures-'));
+    await fs.cp(DEFAULT_FIXTURES_DIR, fixturesDir, { recursive: true });
+    ({ server, baseUrl } = await startMock({ fixturesDir }));
+  });
+
+  after(async () => {
+    if (server) await stopMock(server);
+    if (fixturesDir) await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('serves a detail fixture whatever the key and format, with its links pointed at the mock', async () => {
+    const { status, body } = await getJson('bill/119/hr/1204?format=json&api_key=anything');
+    assert.equal(status, 200);
+    assert.equal(body.bill.number, '1204');
+    assert.equal(body.bill.actions.url, `${baseUrl}/bill/119/hr/1204/actions?format=json`);
+  });
+
+  test('pages a list fixture by offset and limit, with a next link that leaves out the key', async () => {
+    const first = await getJson('bill/119?limit=1&api_key=secret');
+    assert.deepEqual(first.body.bills.map(bill => bill.number), ['1204']);
+    assert.equal(first.body.pagination.count, 2);
+    const next = new URL(first.body.pagination.next);
+    assert.equal(`${next.origin}${next.pathname}`, `${baseUrl}/bill/119`);
+    assert.deepEqual(Object.fromEntries(next.searchParams), { offset: '1', limit: '1' });
+
+    const second = await getJson(`bill/119${next.search}`);
+    assert.deepEqual(second.body.bills.map(bill => bill.number), ['388']);
+    assert.equal(second.body.pagination.next, undefined);
+  });
+
+  test('filters a list fixture by the update window', async () => {
+    const { body } = await getJson('bill/119?fromDateTime=2025-03-01T00:00:00Z&toDateTime=2025-04-01T00:00:00Z');
+    assert.deepEqual(body.bills.map(bill => bill.number), ['1204']);
+    assert.equal(body.pagination.count, 1);
+  });
+
+  test('prefers a fixture recorded for the exact request, served as recorded', async () => {
+    const url = `${baseUrl}/bill/119?offset=0&limit=5`;
+    await writeFixture(fixturesDir, url, { bills: [{ number: 'recorded' }], pagination: { count: 99 } });
+    const { body } = await getJson('bill/119?limit=5&offset=0&format=json');
+    assert.deepEqual(body, { bills: [{ number: 'recorded' }], pagination: { count: 99 } });
+  });
+
+  test('sends a .raw fixture verbatim, so malformed payloads can be replayed', async () => {
+    await fs.writeFile(path.join(fixturesDir, `${fixtureKey(`${baseUrl}/member/T000001`)}.raw`), '{"member": {"bioguideId": "T0');
+    const { status, headers, text } = await get('member/T000001?format=json');
+    assert.equal(status, 200);
+    assert.match(headers.get('content-type'), /application\/json/);
+    assert.equal(text, '{"member": {"bioguideId": "T0');
+  });
+
+  test('answers 404 for an endpoint without a fixture', async () => {
+    const { status, body } = await getJson('bill/119/hr/9999');
+    assert.equal(status, 404);
+    assert.match(body.error, /No fixture for bill\/119\/hr\/9999/);
+  });
+
+  test('injects rate limits and caps the page size when asked to', async () => {
+    const faulty = await startMock({ fixturesDir, rateLimitEvery: 2, pageSize: 1 });
+    try {
+      const first = await fetch(`${faulty.baseUrl}/bill/119?limit=250`);
+      assert.equal(first.status, 200);
+      assert.equal((await first.json()).bills.length, 1);
+      const second = await fetch(`${faulty.baseUrl}/bill/119?limit=250`);
+      assert.equal(second.status, 429);
+      assert.equal(second.headers.get('retry-after'), '1');
+    } finally {
+      await stopMock(faulty.server);
+    }
+  });
+});
@@ -0,0 +1,87 @@
+// Tests of the page parameter and cursor handling in Services/pagination.js. They need no database.
+// Run with: npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, encodeCursor, parsePageParams } from '../Services/pagination.js';
+
+const ID_KEY = { expression: 'q.id', type: 'INT' };
+const SORTS = {
+  introduced: { direction: 'desc', keys: [{ expression: "COALESCE(q.introduced_date, '-infinity')", type: 'DATE' }, ID_KEY] },
+  latest_action: { direction: 'desc', keys: [{ expression: "COALESCE(q.latest_action_date, '-infinity')", type: 'TIMESTAMPTZ' }, ID_KEY] },
+  title: { direction: 'asc', keys: [{ expression: 'q.title', type: 'TEXT' }, ID_KEY] },
+  relevance: { direction: 'desc', keys: [{ expression: 'q.rank', type: 'REAL' }, { expression: 'q.count', type: 'BIGINT' }, ID_KEY] },
+};
+
+/** Parses a request that passes `cursor` with otherwise default parameters for its ordering. */
+function parseCursor(sort, cursor) {
+  return parsePageParams({ sort, cursor }, SORTS, 'introduced');
+}
+
+function assertInvalid(fn, message) {
+  assert.throws(fn, error => error.status === 400 && message.test(error.message));
+}
+
+describe('parsePageParams', () => {
+  test('uses the default ordering, its direction and the default page size', () => {
+    assert.deepEqual(parsePageParams({}, SORTS, 'introduced'),
+      { sort: 'introduced', keys: SORTS.introduced.keys, direction: 'desc', limit: DEFAULT_PAGE_SIZE, after: null });
+    const page = parsePageParams({ sort: 'title', order: 'desc', limit: '10' }, SORTS, 'introduced');
+    assert.deepEqual([page.sort, page.direction, page.limit], ['title', 'desc', 10]);
+  });
+
+  test('rejects an unknown sort, order or a limit out of range with a 400', () => {
+    assertInvalid(() => parsePageParams({ sort: 'size' }, SORTS, 'introduced'), /sort must be one of: introduced, latest_action, title, relevance/);
+    assertInvalid(() => parsePageParams({ order: 'up' }, SORTS, 'introduced'), /order must be asc or desc/);
+    for (const limit of ['0', '-5', '2.5', 'ten', String(MAX_PAGE_SIZE + 1)]) {
+      assertInvalid(() => parsePageParams({ limit }, SORTS, 'introduced'), /limit must be a whole number/);
+    }
+  });
+});
+
+describe('cursors', () => {
+  test('a cursor reads back as the sort keys it was built from', () => {
+    const values = {
+      introduced: ['2025-02-11', 12],
+      latest_action: ['2025-03-03T14:05:09.123456+00:00', 12],
+      title: ['An Act', 12],
+      relevance: [0.0607927, 3, 12],
+    };
+    for (const [sort, after] of Object.entries(values)) {
+      assert.deepEqual(parseCursor(sort, encodeCursor(sort, SORTS[sort].direction, after)).after, after);
+    }
+    // Missing dates sort as '-infinity'.
+    assert.deepEqual(parseCursor('introduced', encodeCursor('introduced', 'desc', ['-infinity', 3])).after, ['-infinity', 3]);
+  });
+
+  test('rejects a cursor from another ordering or direction', () => {
+    const cursor = encodeCursor('title', 'asc', ['An Act', 12]);
+    assertInvalid(() => parseCursor('introduced', cursor), /belongs to a different sort order/);
+    assertInvalid(() => parsePageParams({ sort: 'title', order: 'desc', cursor }, SORTS, 'introduced'), /belongs to a different sort order/);
+    assertInvalid(() => parseCursor('title', encodeCursor('title', 'asc', ['An Act'])), /belongs to a different sort order/);
+  });
+
+  test('rejects a cursor that is not base64 JSON', () => {
+    assertInvalid(() => parseCursor('title', 'not a cursor'), /Invalid cursor/);
+    assertInvalid(() => parseCursor('title', Buffer.from('{"sort":').toString('base64url')), /Invalid cursor/);
+  });
+
+  test('rejects a cursor whose values do not fit the sort key types', () => {
+    const invalid = [
+      ['introduced', ['abc', 12]],
+      ['introduced', ['2025-02-30', 12]],
+      ['introduced', ['2025-02-11T00:00:00+00:00', 12]],
+      ['introduced', ['2025-02-11', '12']],
+      ['introduced', ['2025-02-11', 1.5]],
+      ['introduced', ['2025-02-11', 2 ** 31]],
+      ['latest_action', ['yesterday', 12]],
+      ['latest_action', [1741000000000, 12]],
+      ['title', [null, 12]],
+      ['relevance', ['0.5', 3, 12]],
+      ['relevance', [0.5, 3.5, 12]],
+    ];
+    for (const [sort, after] of invalid) {
+      assertInvalid(() => parseCursor(sort, encodeCursor(sort, SORTS[sort].direction, after)), /Invalid cursor/);
+    }
+  });
+});
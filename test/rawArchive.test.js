@@ -0,0 +1,28 @@
+// Tests of the archive keys in Services/rawArchive.js. They need no database.
+// Run with: npm test
+
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalDocumentUrl } from '../Services/rawArchive.js';
+
+describe('canonicalDocumentUrl', () => {
+  test('drops the API key and format and sorts the remaining parameters', () => {
+    assert.equal(canonicalDocumentUrl('https://api.congress.gov/v3/bill/119?format=json&offset=250&api_key=SECRET&limit=250'),
+      'https://api.congress.gov/v3/bill/119?limit=250&offset=250');
+    assert.equal(canonicalDocumentUrl('https://api.congress.gov/v3/bill/119/hr/1204?format=json&api_key=SECRET'),
+      'https://api.congress.gov/v3/bill/119/hr/1204');
+  });
+
+  test('maps requests to a mock or proxy to the live API URL', () => {
+    assert.equal(canonicalDocumentUrl('http://localhost:3100/v3/member/F000901/?api_key=x'), 'https://api.congress.gov/v3/member/F000901');
+    assert.equal(canonicalDocumentUrl('https://proxy.example.org/congress/v3/committee/house/hsed00/reports?format=xml'),
+      'https://api.congress.gov/v3/committee/house/hsed00/reports');
+  });
+
+  test('gives the same key to the same request however its parameters are ordered', () => {
+    assert.equal(
+      canonicalDocumentUrl('https://api.congress.gov/v3/member?toDateTime=2025-03-01T00:00:00Z&fromDateTime=2025-02-01T00:00:00Z'),
+      canonicalDocumentUrl('https://api.congress.gov/v3/member?fromDateTime=2025-02-01T00:00:00Z&api_key=x&toDateTime=2025-03-01T00:00:00Z'),
+    );
+  });
+});
@@ -0,0 +1,208 @@
+// End-to-end tests of the data population scripts: each sync runs against the mock Congress.gov API
+// (mockCongressApi.js) serving a scratch copy of fixtures/congress-api, and writes to a scratch database.
+// The tests check the stored rows, including that a record failing to save is rolled back on its own,
+// dead-lettered with its payload, and saved by a later run once it is fixed.
+// They need a PostgreSQL server with pg_trgm: the DB_* variables (from .env or the environment) must name a user
+// allowed to create databases. Each run creates its own database from the migrations and drops it afterwards.
+// Without DB_HOST the suite is skipped, and npm test runs only the other test files, which need no database.
+// Run with: npm test
+
+import 'dotenv/config';
+import { describe, test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+import { DEFAULT_FIXTURES_DIR, LIVE_API_URL, fixtureKey, readFixture, writeFixture } from '../Services/apiFixtures.js';
+import { createMockApi } from '../Services/mockCongressApi.js';
+
+const CONGRESS = 119;
+const TEXT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'bill-texts');
+const SKIP = process.env.DB_HOST ? false : 'needs a PostgreSQL server; set the DB_* variables';
+
+/**
+ * Reads a fixture by its endpoint, e.g. 'bill/119/s/388'.
+ */
+async function loadFixture(dir, endpoint) {
+  return JSON.parse(await readFixture(dir, fixtureKey(`${LIVE_API_URL}/${endpoint}`)));
+}
+
+describe('data population against the mock API', { skip: SKIP }, () => {
+  const scratchDatabase = `${process.env.DB_NAME || 'congress'}_test_${process.pid}`;
+  const adminConfig = {
+    user: process.env.DB_USER,
+    host: process.env.DB_HOST,
+    password: process.env.DB_PASSWORD,
+    port: process.env.DB_PORT,
+    database: 'postgres',
+  };
+  let fixturesDir;
+  let mockServer;
+  let pool;
+  let sync;
+
+  /** Replaces a fixture of the scratch copy with `edit` applied to the checked-in one. */
+  async function editFixture(endpoint, edit) {
+    const body = await loadFixture(DEFAULT_FIXTURES_DIR, endpoint);
+    edit(body);
+    await writeFixture(fixturesDir, `${LIVE_API_URL}/${endpoint}`, body);
+  }
+
+  /** Puts the checked-in version of a fixture back in the scratch copy. */
+  async function restoreFixture(endpoint) {
+    await writeFixture(fixturesDir, `${LIVE_API_URL}/${endpoint}`, await loadFixture(DEFAULT_FIXTURES_DIR, endpoint));
+  }
+
+  async function rows(text, values = []) {
+    return (await pool.query(text, values)).rows;
+  }
+
+  async function deadLetter(entityType, entityKey) {
+    const [letter] = await rows('SELECT * FROM dead_letters WHERE entity_type = $1 AND entity_key = $2', [entityType, entityKey]);
+    return letter;
+  }
+
+  before(async () => {
+    fixturesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'congress-fixtures-'));
+    await fs.cp(DEFAULT_FIXTURES_DIR, fixturesDir, { recursive: true });
+    mockServer = createMockApi({ fixturesDir }).listen(0);
+    await new Promise(resolve => mockServer.once('listening', resolve));
+
+    const admin = new pg.Client(adminConfig);
+    await admin.connect();
+    await admin.query(`DROP DATABASE IF EXISTS ${scratchDatabase}`);
+    await admin.query(`CREATE DATABASE ${scratchDatabase}`);
+    await admin.end();
+
+    // The API client reads its base URL when first imported, so the scripts are loaded once it is set.
+    process.env.DB_NAME = scratchDatabase;
+    process.env.CONGRESS_API_BASE_URL = `http://localhost:${mockServer.address().port}/v3`;
+    const { migrate } = await import('../migrate.js');
+    await migrate('up');
+    const { createPool } = await import('../Services/db.js');
+    pool = createPool();
+    sync = {
+      members: (await import('../Services/memberDataPopulation.js')).run,
+      committees: (await import('../Services/committeDataPopulation.js')).run,
+      bills: (await import('../Services/billDataPopulation.js')).run,
+      amendments: (await import('../Services/amendmentDataPopulation.js')).run,
+      texts: (await import('../Services/billTextPopulation.js')).run,
+      houseVotes: (await import('../Services/houseVotePopulation.js')).run,
+      meetings: (await import('../Services/committeeMeetingPopulation.js')).run,
+      nominations: (await import('../Services/nominationTreatyPopulation.js')).run,
+    };
+  });
+
+  after(async () => {
+    await pool?.end();
+    await new Promise(resolve => (mockServer ? mockServer.close(resolve) : resolve()));
+    const admin = new pg.Client(adminConfig);
+    await admin.connect();
+    await admin.query(`DROP DATABASE IF EXISTS ${scratchDatabase} WITH (FORCE)`);
+    await admin.end();
+    if (fixturesDir) await fs.rm(fixturesDir, { recursive: true, force: true });
+  });
+
+  test('members: a member that fails to save is dead-lettered and the rest of its batch is committed', async () => {
+    await editFixture('member/F000901', body => { body.member.birthYear = 'unknown'; });
+    assert.equal(await sync.members({ congress: CONGRESS }), 'failed');
+
+    assert.deepEqual(await rows('SELECT bioguide_id FROM members ORDER BY bioguide_id'), [{ bioguide_id: 'W000917' }]);
+    const letter = await deadLetter('member', 'F000901');
+    assert.match(letter.error, /integer/);
+    assert.equal(letter.payload.birthYear, 'unknown');
+    assert.equal(letter.resolved_at, null);
+
+    await restoreFixture('member/F000901');
+    assert.equal(await sync.members({ congress: CONGRESS }), 'completed');
+    assert.deepEqual(await rows('SELECT bioguide_id FROM members ORDER BY bioguide_id'), [{ bioguide_id: 'F000901' }, { bioguide_id: 'W000917' }]);
+    assert.deepEqual(await rows("SELECT state_code, district FROM member_terms WHERE member_bioguide_id = 'F000901' AND congress = $1", [CONGRESS]),
+      [{ state_code: 'MN', district: 3 }]);
+    assert.notEqual((await deadLetter('member', 'F000901')).resolved_at, null);
+  });
+
+  test('committees: a report that fails to save is dead-lettered and the committee\'s other reports are committed', async () => {
+    // A second report for the committee, and a first one whose issue date the database rejects.
+    await editFixture('committee/house/hsed00/reports', body => {
+      body.reports.push({ ...body.reports[0], citation: 'H. Rept. 119-13', number: 13, url: `${LIVE_API_URL}/committee-report/119/HRPT/13?format=json` });
+    });
+    await editFixture('committee-report/119/HRPT/12', body => { body.committeeReports[0].issueDate = 'not-a-date'; });
+    const report = await loadFixture(DEFAULT_FIXTURES_DIR, 'committee-report/119/HRPT/12');
+    Object.assign(report.committeeReports[0], { citation: 'H. Rept. 119-13', number: 13 });
+    await writeFixture(fixturesDir, `${LIVE_API_URL}/committee-report/119/HRPT/13`, report);
+
+    assert.equal(await sync.committees({ congress: CONGRESS }), 'failed');
+    assert.deepEqual(await rows('SELECT system_code FROM committees ORDER BY system_code'),
+      [{ system_code: 'hsed00' }, { system_code: 'hsed13' }, { system_code: 'ssfi00' }]);
+    assert.deepEqual(await rows('SELECT citation FROM committee_reports'), [{ citation: 'H. Rept. 119-13' }]);
+    const letter = await deadLetter('committee-report', 'H. Rept. 119-12');
+    assert.match(letter.error, /not-a-date/);
+    assert.equal(letter.payload.committeeReports[0].issueDate, 'not-a-date');
+
+    await restoreFixture('committee-report/119/HRPT/12');
+    assert.equal(await sync.committees({ congress: CONGRESS, retryFailed: true }), 'completed');
+    const reports = await rows(`
+      SELECT cr.citation, rc.committee_system_code FROM committee_reports cr
+      JOIN report_committees rc ON rc.report_id = cr.id
+      ORDER BY cr.citation`);
+    assert.deepEqual(reports, [
+      { citation: 'H. Rept. 119-12', committee_system_code: 'hsed00' },
+      { citation: 'H. Rept. 119-13', committee_system_code: 'hsed00' },
+    ]);
+    assert.notEqual((await deadLetter('committee-report', 'H. Rept. 119-12')).resolved_at, null);
+  });
+
+  test('bills: a bill that fails to save is dead-lettered and the rest of its batch is committed', async () => {
+    await editFixture('bill/119/s/388', body => { body.bill.introducedDate = 'not-a-date'; });
+    assert.equal(await sync.bills({ congress: CONGRESS }), 'failed');
+
+    const processed = 'SELECT type, number FROM bills WHERE last_processed_at IS NOT NULL ORDER BY type, number';
+    assert.deepEqual(await rows(processed), [{ type: 'HR', number: 1204 }]);
+    const letter = await deadLetter('bill', '119-S-388');
+    assert.match(letter.error, /not-a-date/);
+    assert.equal(letter.payload.number, '388');
+
+    await restoreFixture('bill/119/s/388');
+    assert.equal(await sync.bills({ congress: CONGRESS, retryFailed: true }), 'completed');
+    assert.deepEqual(await rows(processed), [{ type: 'HR', number: 1204 }, { type: 'S', number: 388 }]);
+    const [bill] = await rows("SELECT sponsor_bioguide_id, policy_area_name FROM bills WHERE type = 'S' AND number = 388");
+    assert.deepEqual(bill, { sponsor_bioguide_id: 'W000917', policy_area_name: 'Taxation' });
+    assert.notEqual((await deadLetter('bill', '119-S-388')).resolved_at, null);
+  });
+
+  test('every other API target syncs from the fixtures', async () => {
+    assert.equal(await sync.amendments({ congress: CONGRESS }), 'completed');
+    assert.equal(await sync.texts({ congress: CONGRESS, textDir: TEXT_FIXTURES_DIR }), 'completed');
+    assert.equal(await sync.houseVotes({ congress: CONGRESS }), 'completed');
+    assert.equal(await sync.meetings({ congress: CONGRESS }), 'completed');
+    assert.equal(await sync.nominations({ congress: CONGRESS }), 'completed');
+
+    assert.deepEqual(await rows(`
+      SELECT a.type, a.number, a.sponsor_bioguide_id, b.type as bill_type, b.number as bill_number
+      FROM amendments a JOIN bills b ON b.id = a.amended_bill_id`),
+    [{ type: 'HAMDT', number: 9, sponsor_bioguide_id: 'F000901', bill_type: 'HR', bill_number: 1204 }]);
+
+    assert.deepEqual(await rows('SELECT section_count FROM bill_texts'), [{ section_count: 2 }]);
+
+    assert.deepEqual(await rows(`
+      SELECT rc.roll_call_number, rc.yea_total, rc.bill_id IS NOT NULL as has_bill, rc.amendment_id IS NOT NULL as has_amendment,
+             mv.member_bioguide_id, mv.position
+      FROM roll_calls rc JOIN member_votes mv ON mv.roll_call_id = rc.id`),
+    [{ roll_call_number: 71, yea_total: 231, has_bill: true, has_amendment: true, member_bioguide_id: 'F000901', position: 'yea' }]);
+
+    assert.equal((await rows('SELECT COUNT(*)::INT as count FROM committee_meetings'))[0].count, 1);
+    assert.equal((await rows('SELECT COUNT(*)::INT as count FROM hearings'))[0].count, 1);
+
+    assert.deepEqual(await rows(`
+      SELECT n.citation, p.position_title, nn.last_name
+      FROM nominations n
+      JOIN nomination_positions p ON p.nomination_id = n.id
+      JOIN nomination_nominees nn ON nn.position_id = p.id`),
+    [{ citation: 'PN112', position_title: 'Assistant Secretary of Education', last_name: 'Okafor' }]);
+    assert.deepEqual(await rows('SELECT number, countries FROM treaties'), [{ number: 2, countries: ['Chile'] }]);
+
+    assert.deepEqual(await rows('SELECT * FROM dead_letters WHERE resolved_at IS NULL'), []);
+  });
+});